@@ -110,8 +110,8 @@
      (1 'ftt-id-tag-face)
      (2 'ftt-id-value-face))
 
-   ;; 4. Modifiers (*_SRC, *_NOTE)
-   '("^[A-Z0-9_]+_\\(SRC\\|NOTE\\):" . font-lock-doc-face)
+   ;; 4. Modifiers (*_SRC, *_NOTE, *_PRIV)
+   '("^[A-Z0-9_]+_\\(SRC\\|NOTE\\|PRIV\\):" . font-lock-doc-face)
 
    ;; 5. Standard Keys
    '("^[A-Z0-9_]+:" . 'ftt-key-face)
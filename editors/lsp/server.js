@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * FTT Language Server
+ * Speaks the Language Server Protocol (JSON-RPC over stdio) on top of FTTLanguageService.
+ *
+ * node editors/lsp/server.js --stdio
+ */
+
+import fs from "fs";
+import { fileURLToPath, pathToFileURL } from "url";
+import FTTLanguageService from "../../implementations/js/FTTLanguageService.js";
+
+const pkg = JSON.parse(fs.readFileSync(new URL("../../package.json", import.meta.url), "utf-8"));
+
+const ErrorCodes = {
+    ParseError: -32700,
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InternalError: -32603,
+    RequestFailed: -32803
+};
+const TextDocumentSyncKind = { Full: 1 };
+
+const service = new FTTLanguageService({
+    readFile: (path) => fs.readFileSync(path, "utf-8")
+});
+const uris = new Map(); // path -> uri as sent by the client
+let shuttingDown = false;
+
+// A request that was understood but refused (reported to the user, not logged as a crash)
+class RequestFailed extends Error {}
+
+// =========================================================================
+// Transport
+// =========================================================================
+
+let buffer = Buffer.alloc(0);
+
+process.stdin.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    for (;;) {
+        const headerEnd = buffer.indexOf("\r\n\r\n");
+        if (headerEnd === -1) return;
+
+        const header = buffer.subarray(0, headerEnd).toString("ascii");
+        const match = header.match(/Content-Length:\s*(\d+)/i);
+        const start = headerEnd + 4;
+        if (!match) {
+            buffer = buffer.subarray(start); // Skip malformed header block
+            continue;
+        }
+
+        const end = start + parseInt(match[1], 10);
+        if (buffer.length < end) return;
+
+        const body = buffer.subarray(start, end).toString("utf-8");
+        buffer = buffer.subarray(end);
+
+        // A malformed message is answered, not allowed to take the server down
+        let message;
+        try {
+            message = JSON.parse(body);
+        } catch (err) {
+            send({ id: null, error: { code: ErrorCodes.ParseError, message: err.message } });
+            continue;
+        }
+        handleMessage(message);
+    }
+});
+
+function send(message) {
+    const json = JSON.stringify({ jsonrpc: "2.0", ...message });
+    process.stdout.write(`Content-Length: ${Buffer.byteLength(json, "utf-8")}\r\n\r\n${json}`);
+}
+
+function notify(method, params) {
+    send({ method, params });
+}
+
+function handleMessage(message) {
+    if (message === null || typeof message !== "object" || Array.isArray(message)) {
+        send({ id: null, error: { code: ErrorCodes.InvalidRequest, message: "Invalid Request" } });
+        return;
+    }
+    if (!message.method) return; // Responses to server requests are not used
+
+    const isRequest = message.id !== undefined;
+    const handler = isRequest ? requests[message.method] : notifications[message.method];
+
+    if (!handler) {
+        if (isRequest) {
+            send({
+                id: message.id,
+                error: { code: ErrorCodes.MethodNotFound, message: `Unhandled: ${message.method}` }
+            });
+        }
+        return;
+    }
+
+    try {
+        const result = handler(message.params || {});
+        if (isRequest) send({ id: message.id, result: result === undefined ? null : result });
+    } catch (err) {
+        if (isRequest) {
+            send({
+                id: message.id,
+                error: {
+                    code:
+                        err instanceof RequestFailed
+                            ? ErrorCodes.RequestFailed
+                            : ErrorCodes.InternalError,
+                    message: err.message
+                }
+            });
+        } else {
+            console.error(`[ftt-language-server] ${message.method}: ${err.message}`);
+        }
+    }
+}
+
+// =========================================================================
+// Documents
+// =========================================================================
+
+function toPath(uri) {
+    return uri.startsWith("file:") ? fileURLToPath(uri) : uri;
+}
+
+function toUri(path) {
+    return uris.get(path) || (path.startsWith("/") ? pathToFileURL(path).href : path);
+}
+
+/**
+ * Re-keys WorkspaceEdit changes from paths to the URIs the client knows.
+ */
+function byUri(changes) {
+    const result = {};
+    for (const path in changes) result[toUri(path)] = changes[path];
+    return result;
+}
+
+function toLocation(location) {
+    return location ? { uri: toUri(location.path), range: location.range } : null;
+}
+
+function updateDocument(uri, text) {
+    const path = toPath(uri);
+    uris.set(path, uri);
+    service.openDocument(path, text);
+    notify("textDocument/publishDiagnostics", { uri, diagnostics: service.getDiagnostics(path) });
+}
+
+// =========================================================================
+// Handlers
+// =========================================================================
+
+const requests = {
+    initialize: () => ({
+        capabilities: {
+            textDocumentSync: TextDocumentSyncKind.Full,
+            definitionProvider: true,
+            referencesProvider: true,
+            hoverProvider: true,
+            completionProvider: { triggerCharacters: ["|", " "] },
+            documentSymbolProvider: true,
+            renameProvider: { prepareProvider: true },
+            codeActionProvider: { codeActionKinds: ["quickfix"] }
+        },
+        serverInfo: { name: "ftt-language-server", version: pkg.version }
+    }),
+
+    shutdown: () => {
+        shuttingDown = true;
+        return null;
+    },
+
+    "textDocument/definition": ({ textDocument, position }) =>
+        toLocation(service.getDefinition(toPath(textDocument.uri), position)),
+
+    "textDocument/references": ({ textDocument, position, context }) =>
+        service
+            .getReferences(
+                toPath(textDocument.uri),
+                position,
+                context?.includeDeclaration !== false
+            )
+            .map(toLocation),
+
+    "textDocument/hover": ({ textDocument, position }) =>
+        service.getHover(toPath(textDocument.uri), position),
+
+    "textDocument/completion": ({ textDocument, position }) =>
+        service.getCompletions(toPath(textDocument.uri), position),
+
+    "textDocument/documentSymbol": ({ textDocument }) =>
+        service.getDocumentSymbols(toPath(textDocument.uri)),
+
+    "textDocument/prepareRename": ({ textDocument, position }) =>
+        service.prepareRename(toPath(textDocument.uri), position),
+
+    "textDocument/rename": ({ textDocument, position, newName }) => {
+        let changes;
+        try {
+            changes = service.getRenameEdits(toPath(textDocument.uri), position, newName);
+        } catch (err) {
+            throw new RequestFailed(err.message);
+        }
+        if (!changes) return null;
+
+        return { changes: byUri(changes) };
+    },
+
+    "textDocument/codeAction": ({ textDocument, range }) =>
+        service.getCodeActions(toPath(textDocument.uri), range).map((action) => ({
+            ...action,
+            edit: { changes: byUri(action.edit.changes) }
+        }))
+};
+
+const notifications = {
+    initialized: () => {},
+
+    exit: () => process.exit(shuttingDown ? 0 : 1),
+
+    "textDocument/didOpen": ({ textDocument }) => {
+        updateDocument(textDocument.uri, textDocument.text);
+    },
+
+    // Full sync: the last change holds the complete text
+    "textDocument/didChange": ({ textDocument, contentChanges }) => {
+        updateDocument(textDocument.uri, contentChanges[contentChanges.length - 1].text);
+    },
+
+    "textDocument/didClose": ({ textDocument }) => {
+        const path = toPath(textDocument.uri);
+        service.closeDocument(path);
+        uris.delete(path);
+        notify("textDocument/publishDiagnostics", { uri: textDocument.uri, diagnostics: [] });
+    }
+};
@@ -0,0 +1,263 @@
+/**
+ * FTTDate
+ * Structured model for FTT dates (ISO 8601-2 / EDTF Level 2 subset, Spec 4.3).
+ *
+ * const date = FTTDate.parse("[1904..1908]");
+ * date.earliest; // { year: 1904, month: 1, day: 1 }
+ * date.latest;   // { year: 1908, month: 12, day: 31 }
+ *
+ * Bounds are inclusive calendar days. Qualifiers (`?`, `~`) are reported as flags
+ * and do not widen the bounds. Years are astronomical (`-0500` is 501 BCE).
+ */
+
+const SIMPLE_PATTERN = /^(-?)([\dX]{4})(?:-([\dX]{2})(?:-([\dX]{2}))?)?([?~]+)?$/;
+
+// EDTF seasons (21-24), expressed as northern hemisphere month ranges
+const SEASONS = {
+    21: { name: "Spring", start: 3, end: 5 },
+    22: { name: "Summer", start: 6, end: 8 },
+    23: { name: "Autumn", start: 9, end: 11 },
+    24: { name: "Winter", start: 12, end: 2 }
+};
+
+export default class FTTDate {
+    constructor(props) {
+        this.raw = props.raw;
+        this.type = props.type; // "date", "window", "open" or "unknown"
+        this.precision = props.precision || null; // "year", "season", "month", "day"
+        this.year = props.year ?? null;
+        this.month = props.month ?? null;
+        this.day = props.day ?? null;
+        this.season = props.season || null;
+        this.uncertain = !!props.uncertain; // `?`
+        this.approximate = !!props.approximate; // `~`
+        this.unspecified = !!props.unspecified; // `X` digits
+        this.start = props.start || null; // Window bounds (FTTDate or null when open)
+        this.end = props.end || null;
+        this.earliest = props.earliest || null; // { year, month, day } or null if unbounded
+        this.latest = props.latest || null;
+    }
+
+    /**
+     * Parses an FTT date string.
+     * @param {string} str
+     * @returns {FTTDate|null} null if the value is empty or not a valid FTT date.
+     */
+    static parse(str) {
+        if (typeof str !== "string") return null;
+        const raw = str.trim();
+        if (!raw) return null;
+
+        if (raw === "?") return new FTTDate({ raw, type: "unknown" });
+        if (raw === "..") return new FTTDate({ raw, type: "open" });
+
+        if (raw.startsWith("[") && raw.endsWith("]")) {
+            const parts = raw.slice(1, -1).split("..");
+            if (parts.length !== 2) return null;
+
+            const [startRaw, endRaw] = parts.map((p) => p.trim());
+            if (!startRaw && !endRaw) return null;
+
+            const start = startRaw ? parseSimple(startRaw) : null;
+            const end = endRaw ? parseSimple(endRaw) : null;
+            if ((startRaw && !start) || (endRaw && !end)) return null;
+
+            return new FTTDate({
+                raw,
+                type: "window",
+                uncertain: start?.uncertain || end?.uncertain,
+                approximate: start?.approximate || end?.approximate,
+                unspecified: start?.unspecified || end?.unspecified,
+                start,
+                end,
+                earliest: start ? start.earliest : null,
+                latest: end ? end.latest : null
+            });
+        }
+
+        return parseSimple(raw);
+    }
+
+    /**
+     * Returns true if the string is a valid FTT date.
+     * @param {string} str
+     */
+    static isValid(str) {
+        return FTTDate.parse(str) !== null;
+    }
+
+    /**
+     * Chronological comparator for Array.prototype.sort().
+     * Dates are ordered by their earliest bound (falling back to the latest bound
+     * for windows open at the start), then by their latest bound.
+     * Missing, unknown and open dates sort last.
+     * @param {FTTDate|null} a
+     * @param {FTTDate|null} b
+     * @returns {number}
+     */
+    static compare(a, b) {
+        const keyA = a ? a.earliest || a.latest : null;
+        const keyB = b ? b.earliest || b.latest : null;
+
+        if (!keyA || !keyB) {
+            if (keyA) return -1;
+            if (keyB) return 1;
+            return 0;
+        }
+
+        return compareInstants(keyA, keyB) || compareInstants(a.latest || keyA, b.latest || keyB);
+    }
+
+    /**
+     * True only if every possible value of `a` falls before every possible value
+     * of `b` (e.g. `[1904..1908]` is not before `1906`). Unbounded dates never are.
+     * @param {FTTDate|null} a
+     * @param {FTTDate|null} b
+     */
+    static isBefore(a, b) {
+        if (!a?.latest || !b?.earliest) return false;
+        return compareInstants(a.latest, b.earliest) < 0;
+    }
+
+    /**
+     * Elapsed whole years between two dates, as a range covering every
+     * combination of their bounds (e.g. age at death).
+     * @param {FTTDate|null} from
+     * @param {FTTDate|null} to
+     * @returns {{ min: number, max: number }|null} null if either date is unbounded.
+     */
+    static yearsBetween(from, to) {
+        if (!from?.earliest || !from.latest || !to?.earliest || !to.latest) return null;
+        return {
+            min: Math.max(0, wholeYears(from.latest, to.earliest)),
+            max: wholeYears(from.earliest, to.latest)
+        };
+    }
+
+    /**
+     * True if both bounds are known and identify a single calendar day.
+     */
+    get isExact() {
+        return (
+            !!this.earliest && !!this.latest && compareInstants(this.earliest, this.latest) === 0
+        );
+    }
+
+    compareTo(other) {
+        return FTTDate.compare(this, other);
+    }
+
+    toString() {
+        return this.raw;
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+function parseSimple(raw) {
+    const match = raw.match(SIMPLE_PATTERN);
+    if (!match) return null;
+
+    const [, sign, yearStr, monthStr, dayStr, qualifiers = ""] = match;
+    const negative = sign === "-";
+
+    // Year range (unspecified digits expand to 0-9)
+    const yearLow = parseInt(yearStr.replace(/X/g, "0"), 10);
+    const yearHigh = parseInt(yearStr.replace(/X/g, "9"), 10);
+    const earliestYear = negative ? -yearHigh : yearLow;
+    const latestYear = negative ? -yearLow : yearHigh;
+
+    let precision = "year";
+    let season = null;
+    let monthLow = 1;
+    let monthHigh = 12;
+    let latestYearEnd = latestYear;
+
+    if (monthStr) {
+        precision = "month";
+        if (monthStr.includes("X")) {
+            // Unspecified digits outside 01-12 (e.g. an unknown season `2X`) mean "some time that year"
+            const low = Math.max(1, parseInt(monthStr.replace(/X/g, "0"), 10));
+            const high = Math.min(12, parseInt(monthStr.replace(/X/g, "9"), 10));
+            if (low <= high) {
+                monthLow = low;
+                monthHigh = high;
+            }
+        } else {
+            const m = parseInt(monthStr, 10);
+            if (SEASONS[m]) {
+                if (dayStr) return null;
+                precision = "season";
+                season = SEASONS[m].name;
+                monthLow = SEASONS[m].start;
+                monthHigh = SEASONS[m].end;
+                if (monthHigh < monthLow) latestYearEnd = latestYear + 1; // Winter spans New Year
+            } else if (m >= 1 && m <= 12) {
+                monthLow = m;
+                monthHigh = m;
+            } else {
+                return null;
+            }
+        }
+    }
+
+    let dayLow = 1;
+    let dayHigh = daysInMonth(latestYearEnd, monthHigh);
+
+    if (dayStr) {
+        precision = "day";
+        if (dayStr.includes("X")) {
+            const low = Math.max(1, parseInt(dayStr.replace(/X/g, "0"), 10));
+            const high = Math.min(dayHigh, parseInt(dayStr.replace(/X/g, "9"), 10));
+            if (low <= high) {
+                dayLow = low;
+                dayHigh = high;
+            }
+        } else {
+            const d = parseInt(dayStr, 10);
+            if (d < 1 || d > 31) return null;
+            // Feb 29 is accepted in any year, as the calendar in use may be unknown
+            if (monthLow === monthHigh && d > MAX_DAYS[monthLow]) return null;
+            dayLow = d;
+            dayHigh = d;
+        }
+    }
+
+    return new FTTDate({
+        raw,
+        type: "date",
+        precision,
+        year: yearStr.includes("X") ? null : earliestYear,
+        month: monthStr && !monthStr.includes("X") && !season ? monthLow : null,
+        day: dayStr && !dayStr.includes("X") ? dayLow : null,
+        season,
+        uncertain: qualifiers.includes("?"),
+        approximate: qualifiers.includes("~"),
+        unspecified: raw.includes("X"),
+        earliest: { year: earliestYear, month: monthLow, day: dayLow },
+        latest: { year: latestYearEnd, month: monthHigh, day: dayHigh }
+    });
+}
+
+const MAX_DAYS = [0, 31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function daysInMonth(year, month) {
+    if (month === 2) return isLeapYear(year) ? 29 : 28;
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+function compareInstants(a, b) {
+    return a.year - b.year || a.month - b.month || a.day - b.day;
+}
+
+function wholeYears(from, to) {
+    let years = to.year - from.year;
+    if (to.month < from.month || (to.month === from.month && to.day < from.day)) years--;
+    return years;
+}
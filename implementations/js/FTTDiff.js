@@ -0,0 +1,434 @@
+/**
+ * FTTDiff
+ * Semantic (record and field level) comparison of two versions of an FTT file.
+ *
+ * const differ = new FTTDiff();
+ * const result = differ.diff(oldText, newText);
+ * console.log(differ.format(result)); // "~ SMITH-1950  John Smith\n    ~ BORN date: ..."
+ *
+ * Comparison works on the lossless syntax tree, so it sees exactly what was written:
+ * formatting, comments and record order are ignored, and links to IDs in other files
+ * (HEAD_INCLUDE) are kept even though a single file cannot resolve them.
+ */
+
+import FTTParser from "./FTTParser.js";
+import FTTWriter from "./FTTWriter.js";
+
+const MODIFIER_PATTERN = /_(SRC|QUAL|NOTE|PRIV)$/;
+
+// Keys whose first segment is a record ID. Such fields only match if the ID is unchanged.
+const LINK_KEYS = new Set(["PARENT", "CHILD", "UNION", "ASSOC", "SRC", "EVENT_REF"]);
+
+// Keys whose line order carries meaning (Spec 4.2.2)
+const ORDERED_KEYS = new Set(["CHILD"]);
+
+// Canonical key order for listings; unlisted keys follow alphabetically
+const KEY_ORDER = [
+    "NAME",
+    "SEX",
+    "PRIVACY",
+    "BORN",
+    "DIED",
+    "EVENT",
+    "EVENT_REF",
+    "PARENT",
+    "UNION",
+    "CHILD",
+    "ASSOC",
+    "TYPE",
+    "START_DATE",
+    "END_DATE",
+    "PLACE",
+    "TITLE",
+    "AUTHOR",
+    "REPO",
+    "URL",
+    "MEDIA",
+    "SRC",
+    "NOTES"
+];
+
+// Pipe segment names (Spec 4, 7 and 8.2), used to describe edits
+const SEGMENT_NAMES = {
+    NAME: ["display", "sort key", "type", "status"],
+    BORN: ["date", "place", "status"],
+    DIED: ["date", "place", "status"],
+    EVENT: ["type", "start date", "end date", "place", "details"],
+    EVENT_REF: ["event", "role", "details"],
+    PARENT: ["parent", "type", "start date", "end date"],
+    UNION: ["partner", "type", "start date", "end date", "end reason"],
+    ASSOC: ["associate", "role", "start date", "end date", "details"],
+    MEDIA: ["path", "date", "caption"],
+    _SRC: ["source", "detail"],
+    _QUAL: ["evidence", "info", "source"]
+};
+
+const MARKERS = { added: "+", removed: "-", modified: "~", reordered: "~" };
+
+export default class FTTDiff {
+    constructor() {
+        this.parser = new FTTParser();
+    }
+
+    /**
+     * Compares two versions of a file.
+     * @param {string} before - Old file content ("" for a new file)
+     * @param {string} after - New file content ("" for a deleted file)
+     * @returns {{ headers: Array<object>, records: Array<object>, summary: object }}
+     *   `records` holds { id, type, label, status, changes } for each added, removed or
+     *   modified record. Each change is { key, status, before, after, line, segments,
+     *   modifiers }, where `segments` lists the edited pipe segments and `modifiers` holds
+     *   the changes of the field's *_SRC, *_QUAL, *_NOTE and *_PRIV lines.
+     */
+    diff(before, after) {
+        const oldModel = this.model(before);
+        const newModel = this.model(after);
+
+        const records = [];
+        const push = (id, status, changes) => {
+            const record = (status === "removed" ? oldModel : newModel).records.get(id);
+            records.push({ id, type: record.type, label: record.label, status, changes });
+        };
+
+        for (const [id, record] of newModel.records) {
+            const previous = oldModel.records.get(id);
+            if (!previous) {
+                push(id, "added", this.compareFields([], record.fields));
+                continue;
+            }
+            const changes = this.compareFields(previous.fields, record.fields);
+            if (changes.length > 0) push(id, "modified", changes);
+        }
+        for (const [id, record] of oldModel.records) {
+            if (!newModel.records.has(id))
+                push(id, "removed", this.compareFields(record.fields, []));
+        }
+
+        const count = (status) => records.filter((r) => r.status === status).length;
+        return {
+            headers: this.compareFields(oldModel.headers, newModel.headers),
+            records,
+            summary: {
+                added: count("added"),
+                removed: count("removed"),
+                modified: count("modified")
+            }
+        };
+    }
+
+    /**
+     * Renders a diff() result as a readable report.
+     * @param {object} result
+     * @returns {string} Empty if nothing changed.
+     */
+    format(result) {
+        const out = [];
+        const writeChanges = (changes, indent) => {
+            for (const change of changes) {
+                const marker = MARKERS[change.status];
+                if (change.status === "reordered") {
+                    out.push(
+                        `${indent}${marker} ${change.key} order: ${change.before} -> ${change.after}`
+                    );
+                } else if (change.status !== "modified") {
+                    const value = change.status === "added" ? change.after : change.before;
+                    out.push(`${indent}${marker} ${change.key}: ${oneLine(value)}`);
+                } else if (change.segments.length === 0) {
+                    out.push(`${indent}${marker} ${change.key}: ${oneLine(change.after)}`);
+                } else {
+                    for (const seg of change.segments) {
+                        const name = seg.name ? ` ${seg.name}` : "";
+                        const from = oneLine(seg.before) || "(empty)";
+                        const to = oneLine(seg.after) || "(empty)";
+                        out.push(`${indent}${marker} ${change.key}${name}: ${from} -> ${to}`);
+                    }
+                }
+                writeChanges(change.modifiers, indent + "    ");
+            }
+        };
+
+        if (result.headers.length > 0) {
+            out.push("Headers");
+            writeChanges(result.headers, "    ");
+        }
+        for (const record of result.records) {
+            const label = record.label ? `  ${oneLine(record.label)}` : "";
+            out.push(`${MARKERS[record.status]} ${record.id}${label}`);
+            writeChanges(record.changes, "    ");
+        }
+
+        if (out.length === 0) return "";
+        const { added, removed, modified } = result.summary;
+        out.push("", `${added} added, ${removed} removed, ${modified} modified`);
+        return out.join("\n") + "\n";
+    }
+
+    /**
+     * Canonical line-per-field listing of a file, for `git diff` textconv. Records are
+     * sorted by ID and every line is prefixed with its record's ID, so a plain line diff
+     * of two listings shows who changed and ignores reordering and formatting.
+     * @param {string} text
+     * @returns {string}
+     */
+    textconv(text) {
+        const model = this.model(text);
+        const out = [];
+        const writeFields = (fields, prefix) => {
+            for (const field of sortFields(fields)) {
+                out.push(`${prefix}${field.key}: ${oneLine(field.text)}`);
+                sortFields(field.modifiers).forEach((mod) =>
+                    out.push(`${prefix}  ${mod.key}: ${oneLine(mod.text)}`)
+                );
+            }
+        };
+
+        writeFields(model.headers, "");
+        const ids = [...model.records.keys()].sort();
+        for (const id of ids) {
+            const record = model.records.get(id);
+            out.push("", `[${id}] ${oneLine(record.label)}`.trimEnd());
+            writeFields(record.fields, `[${id}] `);
+        }
+        return out.join("\n") + "\n";
+    }
+
+    // =========================================================================
+    // Model
+    // =========================================================================
+
+    /**
+     * Comparable model of a file: headers and records, with each field's values
+     * normalized and its modifiers attached. Entries keep their syntax tree `node`.
+     * The first record wins for duplicate IDs, as in the parser.
+     * @param {string} text
+     * @returns {{ doc: CSTDocument, headers: Array<object>, records: Map<string, object> }}
+     */
+    model(text) {
+        const doc = this.parser.parseCST(text || "");
+        const records = new Map();
+
+        for (const rec of doc.records) {
+            if (records.has(rec.id)) continue;
+            const fields = collectFields(rec.fields.slice(1));
+            records.set(rec.id, {
+                id: rec.id,
+                type: FTTParser.recordType(rec.id),
+                label: recordLabel(fields),
+                fields,
+                node: rec
+            });
+        }
+
+        return { doc, headers: collectFields(doc.headers), records };
+    }
+
+    // =========================================================================
+    // Matching
+    // =========================================================================
+
+    /**
+     * Changes between two field lists (from model()), key by key.
+     * @returns {Array<object>} Changes as described for diff()
+     */
+    compareFields(before, after) {
+        const keys = [...new Set([...before, ...after].map((f) => f.key))];
+        const changes = [];
+
+        for (const key of sortKeys(keys)) {
+            const oldFields = before.filter((f) => f.key === key);
+            const newFields = after.filter((f) => f.key === key);
+            const { pairs, removed, added } = this.matchFields(key, oldFields, newFields);
+
+            for (const field of removed) changes.push(this._change(key, "removed", field, null));
+            for (const [oldField, newField] of pairs) {
+                const change = this._compare(key, oldField, newField);
+                if (change) changes.push(change);
+            }
+            for (const field of added) changes.push(this._change(key, "added", null, field));
+
+            if (ORDERED_KEYS.has(key)) {
+                const order = (list, side) =>
+                    list.filter((f) => pairs.some((p) => p[side] === f)).map((f) => f.values[0]);
+                const from = order(oldFields, 0).join(", ");
+                const to = order(newFields, 1).join(", ");
+                if (from !== to) {
+                    changes.push({
+                        key,
+                        status: "reordered",
+                        before: from,
+                        after: to,
+                        line: newFields[0].line,
+                        segments: [],
+                        modifiers: []
+                    });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Pairs up the old and new values of one key. Identical values match first (so
+     * reordered fields are not changes), then the most similar ones, and finally a
+     * lone value on each side is taken as an edit of the other.
+     * @returns {{ pairs: Array<Array<object>>, removed: Array<object>, added: Array<object> }}
+     */
+    matchFields(key, before, after) {
+        const pairs = [];
+        const removed = [...before];
+        const added = [];
+
+        for (const field of after) {
+            const index = removed.findIndex((f) => f.text === field.text);
+            if (index === -1) added.push(field);
+            else pairs.push([removed.splice(index, 1)[0], field]);
+        }
+
+        const candidates = [];
+        removed.forEach((oldField, i) =>
+            added.forEach((newField, j) => {
+                const score = similarity(key, oldField, newField);
+                if (score > 0) candidates.push({ i, j, score });
+            })
+        );
+        candidates.sort((a, b) => b.score - a.score);
+
+        const usedOld = new Set();
+        const usedNew = new Set();
+        for (const { i, j } of candidates) {
+            if (usedOld.has(i) || usedNew.has(j)) continue;
+            usedOld.add(i);
+            usedNew.add(j);
+            pairs.push([removed[i], added[j]]);
+        }
+
+        let restOld = removed.filter((_, i) => !usedOld.has(i));
+        let restNew = added.filter((_, j) => !usedNew.has(j));
+        if (restOld.length === 1 && restNew.length === 1 && !isLink(key)) {
+            pairs.push([restOld[0], restNew[0]]);
+            restOld = [];
+            restNew = [];
+        }
+
+        return { pairs, removed: restOld, added: restNew };
+    }
+
+    _compare(key, oldField, newField) {
+        const segments = [];
+        const length = Math.max(oldField.values.length, newField.values.length);
+        for (let i = 0; i < length; i++) {
+            const from = oldField.values[i] || "";
+            const to = newField.values[i] || "";
+            if (from !== to) {
+                segments.push({ index: i, name: segmentName(key, i), before: from, after: to });
+            }
+        }
+
+        const modifiers = this.compareFields(oldField.modifiers, newField.modifiers);
+        if (segments.length === 0 && modifiers.length === 0) return null;
+
+        const change = this._change(key, "modified", oldField, newField);
+        change.segments = segments;
+        change.modifiers = modifiers;
+        return change;
+    }
+
+    _change(key, status, oldField, newField) {
+        const field = newField || oldField;
+        return {
+            key,
+            status,
+            before: oldField ? oldField.text : null,
+            after: newField ? newField.text : null,
+            line: field.line,
+            segments: [],
+            // The modifiers of an added or removed field go with it
+            modifiers:
+                status === "modified"
+                    ? []
+                    : field.modifiers.map((mod) =>
+                          this._change(mod.key, status, oldField && mod, newField && mod)
+                      )
+        };
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Turns CST fields into comparable entries, attaching each modifier to the
+ * field it follows. A misplaced modifier is kept as a field of its own.
+ */
+function collectFields(cstFields) {
+    const fields = [];
+    for (const node of cstFields) {
+        const values = node.segments.map((s) => s.value.trim());
+        while (values.length > 1 && values[values.length - 1] === "") values.pop();
+
+        const entry = {
+            key: node.key,
+            values,
+            text: values.map((v) => FTTWriter.escape(v)).join(" | "),
+            line: node.lines[0].line,
+            modifiers: [],
+            node
+        };
+
+        const target = fields[fields.length - 1];
+        if (node.isModifier && target && node.key.replace(MODIFIER_PATTERN, "") === target.key) {
+            target.modifiers.push(entry);
+        } else {
+            fields.push(entry);
+        }
+    }
+    return fields;
+}
+
+function recordLabel(fields) {
+    const first = (key) => fields.find((f) => f.key === key)?.values[0] || "";
+    const names = fields.filter((f) => f.key === "NAME");
+    const name = names.find((f) => f.values[3] === "PREF") || names[0];
+    return name ? name.values[0] : first("TITLE") || first("TYPE");
+}
+
+function similarity(key, a, b) {
+    if (isLink(key) && a.values[0] !== b.values[0]) return 0;
+    return a.values.filter((value, i) => value && value === b.values[i]).length;
+}
+
+function isLink(key) {
+    return LINK_KEYS.has(key) || key.endsWith("_SRC");
+}
+
+function segmentName(key, index) {
+    const names = SEGMENT_NAMES[key] || SEGMENT_NAMES[key.match(MODIFIER_PATTERN)?.[0]];
+    return names?.[index] || (index > 0 ? `segment ${index + 1}` : "");
+}
+
+function sortKeys(keys) {
+    const rank = (key) => {
+        const base = key.replace(MODIFIER_PATTERN, "");
+        const index = KEY_ORDER.indexOf(base);
+        return index === -1 ? KEY_ORDER.length : index;
+    };
+    return [...keys].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Fields in canonical order: by key, then by value unless line order matters.
+ */
+function sortFields(fields) {
+    const order = sortKeys([...new Set(fields.map((f) => f.key))]);
+    return [...fields].sort((a, b) => {
+        const byKey = order.indexOf(a.key) - order.indexOf(b.key);
+        if (byKey !== 0 || ORDERED_KEYS.has(a.key)) return byKey;
+        return a.text < b.text ? -1 : a.text > b.text ? 1 : 0;
+    });
+}
+
+function oneLine(text) {
+    return (text || "").replace(/\n/g, " ¶ ");
+}
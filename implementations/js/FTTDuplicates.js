@@ -0,0 +1,285 @@
+/**
+ * FTTDuplicates
+ * Finds records that probably describe the same person, e.g. after a GEDCOM import
+ * or after merging two branches of a tree.
+ *
+ * const result = new FTTParser().parse(text, { recover: true });
+ * const candidates = new FTTDuplicates().find(result.records);
+ * candidates[0]; // { ids: ["SMITH-1", "SMITH-7"], labels, score: 0.91, evidence: [...] }
+ *
+ * Each pair is scored from weighted signals: names (display and sort keys, with
+ * phonetic matching), overlapping birth/death dates, matching places and shared
+ * parents or spouses. A signal that one record lacks counts as neutral (0.5), so
+ * missing data neither confirms nor rules out a match. Only people who share a
+ * phonetic surname code are compared (Soundex by default, see FTTPhonetic); the
+ * surname is found by FTTNames, so particles and family-first names are handled.
+ */
+
+import FTTDate from "./FTTDate.js";
+import FTTNames from "./FTTNames.js";
+import FTTPhonetic, { jaroWinkler, normalize } from "./FTTPhonetic.js";
+import { displayName, preferred } from "./FTTQuery.js";
+
+const WEIGHTS = { name: 0.35, born: 0.2, died: 0.1, place: 0.15, relatives: 0.2 };
+const NEUTRAL = 0.5;
+
+export default class FTTDuplicates {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.phonetic="soundex"] - Name matching algorithm: "soundex",
+     *   "daitch-mokotoff" or "beider-morse"
+     */
+    constructor(options = {}) {
+        this.phonetic = new FTTPhonetic(options.phonetic || "soundex");
+        this.names = new FTTNames();
+    }
+
+    /**
+     * Ranks candidate duplicate pairs.
+     * @param {object} records - Parsed records (FTTParser result.records)
+     * @param {object} [options]
+     * @param {number} [options.threshold=0.6] - Minimum score (0-1) to report
+     * @param {number} [options.limit=Infinity] - Maximum number of pairs
+     * @returns {Array<{ ids: string[], labels: string[], score: number, evidence: Array<object> }>}
+     *   Highest score first. `evidence` lists { signal, score, weight, detail } for each
+     *   signal both records have.
+     */
+    find(records, options = {}) {
+        const { threshold = 0.6, limit = Infinity } = options;
+        const people = Object.values(records)
+            .filter((r) => r.type === "INDIVIDUAL" || r.type === "PLACEHOLDER")
+            .map((r) => this._profile(r));
+
+        const candidates = [];
+        for (const [a, b] of this._pairs(people)) {
+            const candidate = this.compare(a, b);
+            if (candidate && candidate.score >= threshold) candidates.push(candidate);
+        }
+
+        return candidates
+            .sort((x, y) => y.score - x.score || x.ids.join().localeCompare(y.ids.join()))
+            .slice(0, limit);
+    }
+
+    /**
+     * Scores a single pair of records (or profiles).
+     * @returns {?object} As for find(), or null if the two cannot be the same person
+     *   (different sex, or directly related to each other).
+     */
+    compare(recordA, recordB) {
+        const a = recordA.names ? recordA : this._profile(recordA);
+        const b = recordB.names ? recordB : this._profile(recordB);
+
+        if (a.sex && b.sex && a.sex !== b.sex) return null;
+        if (a.related.has(b.id) || b.related.has(a.id)) return null;
+
+        const evidence = [
+            this._compareNames(a, b),
+            this._compareDates("born", a.born, b.born),
+            this._compareDates("died", a.died, b.died),
+            this._comparePlaces(a, b),
+            this._compareRelatives(a, b)
+        ].filter((e) => e);
+
+        let score = 0;
+        for (const [signal, weight] of Object.entries(WEIGHTS)) {
+            const found = evidence.find((e) => e.signal === signal);
+            score += weight * (found ? found.score : NEUTRAL);
+        }
+
+        return {
+            ids: [a.id, b.id],
+            labels: [a.label, b.label],
+            score: Math.round(score * 1000) / 1000,
+            evidence
+        };
+    }
+
+    // =========================================================================
+    // Profiles & Blocking
+    // =========================================================================
+
+    _profile(record) {
+        const data = record.data;
+        const ids = (key, prop) => new Set((data[key] || []).map((f) => f[prop]).filter((i) => i));
+
+        const parents = ids("PARENT", "parentId");
+        const spouses = ids("UNION", "partnerId");
+        const children = ids("CHILD", "childId");
+
+        return {
+            id: record.id,
+            label: displayName(record),
+            sex: ["M", "F"].includes(data.SEX?.[0]?.value) ? data.SEX[0].value : null,
+            names: (data.NAME || []).map((n) => this._splitName(n)),
+            born: preferred(record, "BORN"),
+            died: preferred(record, "DIED"),
+            parents,
+            spouses,
+            related: new Set([...parents, ...spouses, ...children])
+        };
+    }
+
+    /**
+     * Surname (without particles, so "van der Berg" meets "Berg") and given names
+     * of a NAME, normalised. A mononym stands in for the surname.
+     */
+    _splitName(field) {
+        const { given, surname } = this.names.parse(field);
+        return {
+            display: field.display,
+            surname: normalize(surname || given),
+            given: surname ? normalize(given) : ""
+        };
+    }
+
+    /**
+     * Pairs of people sharing a phonetic code of at least one surname.
+     */
+    *_pairs(people) {
+        const blocks = new Map();
+        for (const person of people) {
+            const codes = new Set(person.names.flatMap((n) => this.phonetic.encode(n.surname)));
+            for (const code of codes) {
+                if (!blocks.has(code)) blocks.set(code, []);
+                blocks.get(code).push(person);
+            }
+        }
+
+        const seen = new Set();
+        for (const block of blocks.values()) {
+            for (let i = 0; i < block.length; i++) {
+                for (let j = i + 1; j < block.length; j++) {
+                    const key = `${block[i].id}\n${block[j].id}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    yield [block[i], block[j]];
+                }
+            }
+        }
+    }
+
+    // =========================================================================
+    // Signals
+    // =========================================================================
+
+    /**
+     * Best match between any NAME of one record and any NAME of the other, so
+     * birth and married names are both considered.
+     */
+    _compareNames(a, b) {
+        let best = null;
+        for (const nameA of a.names) {
+            for (const nameB of b.names) {
+                const surname = this._compareTokens(nameA.surname, nameB.surname);
+                const given = this._compareTokens(nameA.given, nameB.given);
+                const score =
+                    nameA.given && nameB.given ? (surname.score + given.score) / 2 : surname.score;
+                if (!best || score > best.score) {
+                    const how = [surname.how, given.how].filter((h) => h && h !== "exact");
+                    const detail = `"${nameA.display}" / "${nameB.display}"`;
+                    best = {
+                        signal: "name",
+                        score,
+                        weight: WEIGHTS.name,
+                        detail:
+                            how.length > 0 ? `${detail} (${[...new Set(how)].join(", ")})` : detail
+                    };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Compares the first words of two name parts.
+     * @returns {{ score: number, how: ?string }} `how` is null when they do not match.
+     */
+    _compareTokens(a, b) {
+        const [x, y] = [a.split(" ")[0], b.split(" ")[0]];
+        if (!x || !y) return { score: 0, how: null };
+        if (x === y) return { score: 1, how: "exact" };
+        if ((x.length === 1 || y.length === 1) && x[0] === y[0]) {
+            return { score: 0.7, how: "initial" };
+        }
+
+        // Phonetic codes alone are too coarse for short names (Jon and Jane are both J500)
+        const similarity = jaroWinkler(x, y);
+        if (similarity < 0.8) return { score: 0, how: null };
+        if (this.phonetic.matches(x, y)) return { score: 0.85, how: "phonetic" };
+        return { score: similarity * 0.8, how: "similar" };
+    }
+
+    _compareDates(signal, fieldA, fieldB) {
+        const [a, b] = [fieldA?.dateValue, fieldB?.dateValue];
+        if (!a?.earliest || !a.latest || !b?.earliest || !b.latest) return null;
+
+        let score;
+        if (!FTTDate.isBefore(a, b) && !FTTDate.isBefore(b, a)) {
+            score = a.isExact && b.isExact ? 1 : 0.8; // Same day, or overlapping windows
+        } else {
+            const [first, last] = FTTDate.isBefore(a, b) ? [a, b] : [b, a];
+            score = Math.max(0, 0.6 - 0.12 * FTTDate.yearsBetween(first, last).min);
+        }
+        return { signal, score, weight: WEIGHTS[signal], detail: `${a.raw} / ${b.raw}` };
+    }
+
+    /**
+     * Birth and death places, compared unit by unit from the most specific one.
+     */
+    _comparePlaces(a, b) {
+        const scores = [];
+        const details = [];
+        for (const key of ["born", "died"]) {
+            const [placeA, placeB] = [a[key], b[key]].map((f) => f?.metadata?.geo || f?.place);
+            if (!placeA || !placeB) continue;
+
+            const [unitsA, unitsB] = [placeA, placeB].map((p) =>
+                p
+                    .split(";")
+                    .map((u) => normalize(u))
+                    .filter((u) => u)
+            );
+            if (unitsA.join(";") === unitsB.join(";")) {
+                scores.push(1);
+            } else if (unitsA[0] === unitsB[0]) {
+                scores.push(0.9);
+            } else {
+                scores.push(unitsA.some((u) => unitsB.includes(u)) ? 0.4 : 0);
+            }
+            details.push(`${placeA} / ${placeB}`);
+        }
+        if (scores.length === 0) return null;
+
+        const score = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+        return { signal: "place", score, weight: WEIGHTS.place, detail: details.join("; ") };
+    }
+
+    _compareRelatives(a, b) {
+        const shared = [];
+        let comparable = false;
+        for (const [kind, setA, setB] of [
+            ["parent", a.parents, b.parents],
+            ["spouse", a.spouses, b.spouses]
+        ]) {
+            if (setA.size === 0 || setB.size === 0) continue;
+            comparable = true;
+            setA.forEach((id) => setB.has(id) && shared.push(`${kind} ${id}`));
+        }
+        if (!comparable) return null;
+
+        return shared.length > 0
+            ? {
+                  signal: "relatives",
+                  score: 1,
+                  weight: WEIGHTS.relatives,
+                  detail: `Shared ${shared.join(", ")}`
+              }
+            : {
+                  signal: "relatives",
+                  score: 0.2,
+                  weight: WEIGHTS.relatives,
+                  detail: "No shared parents or spouses"
+              };
+    }
+}
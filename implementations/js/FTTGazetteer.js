@@ -0,0 +1,251 @@
+/**
+ * FTTGazetteer
+ * Index of every place in a tree, as a hierarchy from the largest unit down
+ * (Spec 4.1.3): "Calgary; Alberta; Canada" is filed under Canada > Alberta.
+ *
+ * const gazetteer = new FTTGazetteer(result.records);
+ * gazetteer.get("Calgary; Alberta; Canada");
+ * // { name: "Calgary", place: "Calgary; Alberta; Canada", units: ["Calgary", "Alberta", "Canada"],
+ * //   geo: [], coords: ["51.04, -114.07"], uses: [{ id, key, type, date, line, file }],
+ * //   count: 2, total: 2, children: [] }
+ * gazetteer.suggestions();
+ * // [{ place: "Calgary; AB", suggestion: "Calgary; Alberta; Canada", uses: 1,
+ * //    changes: ["AB -> Alberta", "+ Canada"] }]
+ *
+ * Places are filed by their historical hierarchy (4.1.1); identical hierarchies
+ * share a node, and the modern equivalents and coordinates written for them are
+ * collected on it. `count` is the number of fields naming the place itself,
+ * `total` includes the places inside it.
+ *
+ * Near-duplicates are places whose units match one by one, allowing for case,
+ * accents, abbreviations ("AB" for "Alberta") and small misspellings, where one
+ * may leave out larger units ("Calgary; Canada"). Each place is proposed the most
+ * complete, least abbreviated variant, unless the variants disagree with each
+ * other ("Springfield" in both Illinois and Massachusetts).
+ */
+
+import { jaroWinkler, normalize } from "./FTTPhonetic.js";
+import { firstValue } from "./FTTQuery.js";
+
+const PLACE_KEYS = ["BORN", "DIED", "EVENT", "PLACE"];
+
+// Jaro-Winkler similarity above which two unit spellings are the same place
+const SPELLING_THRESHOLD = 0.92;
+
+export default class FTTGazetteer {
+    /**
+     * @param {object} records - Parsed records (FTTParser result.records)
+     */
+    constructor(records) {
+        this.nodes = new Map(); // place -> node
+        this.roots = [];
+
+        for (const record of Object.values(records)) {
+            for (const key of PLACE_KEYS) {
+                for (const field of record.data[key] || []) {
+                    this._add(record, key, field);
+                }
+            }
+        }
+
+        const finish = (nodes) => {
+            nodes.sort((a, b) => a.name.localeCompare(b.name));
+            for (const node of nodes) {
+                finish(node.children);
+                node.count = node.uses.length;
+                node.total = node.count + node.children.reduce((sum, c) => sum + c.total, 0);
+            }
+        };
+        finish(this.roots);
+    }
+
+    /**
+     * The node of a place hierarchy, e.g. "Alberta; Canada".
+     * @param {string} place
+     * @returns {?object}
+     */
+    get(place) {
+        return this.nodes.get(units(place).join("; ")) || null;
+    }
+
+    /**
+     * Every node, depth first with the largest units first.
+     * @returns {Array<object>}
+     */
+    places() {
+        const out = [];
+        const walk = (nodes) =>
+            nodes.forEach((node) => {
+                out.push(node);
+                walk(node.children);
+            });
+        walk(this.roots);
+        return out;
+    }
+
+    /**
+     * Proposed normalisations of places written in more than one way.
+     * @returns {Array<{ place, suggestion, uses, changes }>} Sorted by place.
+     *   `changes` lists the edited units ("AB -> Alberta") and added ones ("+ Canada").
+     */
+    suggestions() {
+        const nodes = this.places();
+        const out = [];
+
+        for (const node of nodes) {
+            if (node.count === 0) continue;
+
+            const candidates = nodes
+                .filter((other) => other !== node && compareRank(other, node) < 0)
+                .filter((other) => align(node.units, other.units))
+                .sort(compareRank);
+            if (candidates.length === 0) continue;
+
+            // Variants that cannot all be the same place leave the choice to the researcher
+            const [best, ...rest] = candidates;
+            if (!rest.every((other) => align(other.units, best.units))) continue;
+
+            out.push({
+                place: node.place,
+                suggestion: best.place,
+                uses: node.count,
+                changes: align(node.units, best.units)
+            });
+        }
+        return out.sort((a, b) => a.place.localeCompare(b.place));
+    }
+
+    // =========================================================================
+    // Index
+    // =========================================================================
+
+    _add(record, key, field) {
+        const path = units(field.place);
+        if (path.length === 0) return;
+        const geo = units(field.metadata?.geo);
+
+        // Create the chain from the largest unit down to the place itself
+        let siblings = this.roots;
+        let node = null;
+        for (let depth = path.length - 1; depth >= 0; depth--) {
+            const place = path.slice(depth).join("; ");
+            node = this.nodes.get(place);
+            if (!node) {
+                node = {
+                    name: path[depth],
+                    place,
+                    units: path.slice(depth),
+                    geo: [],
+                    coords: [],
+                    uses: [],
+                    count: 0,
+                    total: 0,
+                    children: []
+                };
+                this.nodes.set(place, node);
+                siblings.push(node);
+            }
+
+            const modern = geo.slice(depth).join("; ");
+            if (geo.length === path.length && modern !== place && !node.geo.includes(modern)) {
+                node.geo.push(modern);
+            }
+            siblings = node.children;
+        }
+
+        const coords = field.metadata?.coords;
+        if (coords && !node.coords.includes(coords)) node.coords.push(coords);
+
+        const shared = key === "PLACE";
+        node.uses.push({
+            id: record.id,
+            key,
+            type: shared ? firstValue(record, "TYPE") || "" : field.eventType || key,
+            date: shared ? firstValue(record, "START_DATE") || "" : field.date || field.startDate,
+            line: field.line,
+            file: record.file || null
+        });
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Hierarchy units of a place string, smallest first, with spacing tidied.
+ */
+function units(place) {
+    return (place || "")
+        .split(";")
+        .map((u) => u.replace(/\s+/g, " ").trim())
+        .filter((u) => u);
+}
+
+/**
+ * Matches each unit of `from` to a unit of `to`, in order and starting with the
+ * smallest. Units of `to` left over are larger jurisdictions `from` omits.
+ * @returns {?Array<string>} The changes turning `from` into `to`, or null if
+ *   they are different places.
+ */
+function align(from, to) {
+    if (from.length > to.length || !sameUnit(from[0], to[0])) return null;
+
+    const changes = [];
+    let j = 0;
+    for (const unit of from) {
+        while (j < to.length && !sameUnit(unit, to[j])) changes.push(`+ ${to[j++]}`);
+        if (j === to.length) return null;
+        if (unit !== to[j]) changes.push(`${unit} -> ${to[j]}`);
+        j++;
+    }
+    to.slice(j).forEach((unit) => changes.push(`+ ${unit}`));
+    return changes;
+}
+
+/**
+ * True if two units name the same place, allowing for case, accents,
+ * abbreviation and a small misspelling.
+ */
+function sameUnit(a, b) {
+    const [na, nb] = [normalize(a), normalize(b)];
+    if (na === nb) return true;
+    if (abbreviates(a, b) || abbreviates(b, a)) return true;
+    return Math.min(na.length, nb.length) >= 4 && jaroWinkler(na, nb) >= SPELLING_THRESHOLD;
+}
+
+/**
+ * True if `short` abbreviates `long`: up to 4 letters, or ending with a full
+ * stop, found in order in `long` from its first letter ("AB" for "Alberta",
+ * "St." for "Saint").
+ */
+function abbreviates(short, long) {
+    const letters = normalize(short).replace(/ /g, "");
+    const target = normalize(long).replace(/ /g, "");
+    if (!isAbbreviation(short) || letters.length >= target.length) return false;
+    if (letters[0] !== target[0]) return false;
+
+    let i = 0;
+    for (const char of target) if (char === letters[i]) i++;
+    return i === letters.length;
+}
+
+function isAbbreviation(unit) {
+    return /\.$/.test(unit) || /^\p{Lu}{1,4}$/u.test(unit.replace(/\./g, ""));
+}
+
+/**
+ * Orders variants best first: more units, fewer abbreviations, more uses, more
+ * accents (stripping them loses information), then alphabetically.
+ */
+function compareRank(a, b) {
+    const abbreviations = (node) => node.units.filter(isAbbreviation).length;
+    const marks = (node) => (node.place.normalize("NFD").match(/\p{M}/gu) || []).length;
+    return (
+        b.units.length - a.units.length ||
+        abbreviations(a) - abbreviations(b) ||
+        b.total - a.total ||
+        marks(b) - marks(a) ||
+        a.place.localeCompare(b.place)
+    );
+}
@@ -0,0 +1,137 @@
+/**
+ * FTTIntegrity
+ * Per-record checksums that detect silent corruption of, or accidental edits to,
+ * records a researcher has finalised.
+ *
+ * const integrity = new FTTIntegrity();
+ * const { text: sealed } = await integrity.seal(text, ["SMITH-01"]);
+ * await integrity.verify(sealed); // [] until SMITH-01 changes
+ *
+ * A sealed record carries its checksum in an extension field, right after its ID:
+ *
+ * ID: SMITH-01
+ * _CHECKSUM: sha256:3f0c...
+ *
+ * The SHA-256 hash covers the record's normalised content: each field's key and
+ * trimmed segment values with its modifiers, grouped by key in source order.
+ * Comments, blank lines, line endings, continuation layout and the order of
+ * different keys do not count, so reformatting a file never breaks a checksum.
+ */
+
+import FTTParser from "./FTTParser.js";
+import { CSTField, CSTLine } from "./FTTSyntaxTree.js";
+
+export const CHECKSUM_KEY = "_CHECKSUM";
+
+const ALGORITHM = "sha256";
+
+export default class FTTIntegrity {
+    constructor() {
+        if (!globalThis.crypto?.subtle) throw new Error("WebCrypto is not available.");
+        this.parser = new FTTParser();
+    }
+
+    /**
+     * Checksum of a record's current content.
+     * @param {CSTRecord} record - From FTTParser.parseCST()
+     * @returns {Promise<string>} e.g. "sha256:3f0c..."
+     */
+    async checksum(record) {
+        const bytes = new TextEncoder().encode(canonical(record));
+        const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+        const hex = [...digest].map((b) => b.toString(16).padStart(2, "0")).join("");
+        return `${ALGORITHM}:${hex}`;
+    }
+
+    /**
+     * Lists sealed records whose content no longer matches their checksum.
+     * Records without a checksum are not checked.
+     * @param {string} text - File content
+     * @returns {Promise<Array<{ id, line, expected, actual }>>} `line` is that of the
+     *   _CHECKSUM field.
+     */
+    async verify(text) {
+        const mismatches = [];
+        for (const record of this.parser.parseCST(text).records) {
+            const field = checksumField(record);
+            if (!field) continue;
+
+            const expected = field.value;
+            const actual = await this.checksum(record);
+            if (expected !== actual) {
+                mismatches.push({ id: record.id, line: field.lines[0].line, expected, actual });
+            }
+        }
+        return mismatches;
+    }
+
+    /**
+     * Adds or updates the checksums of records marked as verified.
+     * @param {string} text - File content
+     * @param {?string[]} [ids] - Records to seal. If omitted, every record that
+     *   already has a checksum is updated.
+     * @returns {Promise<{ text: string, sealed: string[] }>} `sealed` lists the IDs
+     *   whose checksum was added or changed.
+     * @throws {Error} If a record is not found.
+     */
+    async seal(text, ids = null) {
+        const doc = this.parser.parseCST(text);
+        const records = ids
+            ? ids.map((id) => {
+                  const record = doc.findRecord(id);
+                  if (!record) throw new Error(`Record ${id} not found.`);
+                  return record;
+              })
+            : doc.records.filter((r) => checksumField(r));
+
+        const eol = [...doc.lines()].find((l) => l.eol)?.eol || "\n";
+        const sealed = [];
+        for (const record of records) {
+            const value = await this.checksum(record);
+            const field = checksumField(record);
+            if (field?.value === value) continue;
+
+            if (field) {
+                field.setSegment(0, value);
+            } else {
+                const idLine = record.children[0].lines[record.children[0].lines.length - 1];
+                idLine.eol ||= eol;
+                const line = new CSTLine(`${CHECKSUM_KEY}: ${value}`, eol, 0);
+                line.type = "key";
+                record.children.splice(1, 0, new CSTField(CHECKSUM_KEY, line));
+            }
+            sealed.push(record.id);
+        }
+        return { text: doc.toString(), sealed };
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+function checksumField(record) {
+    return record.fields.find((f) => f.key === CHECKSUM_KEY) || null;
+}
+
+/**
+ * The hashed form of a record: JSON of [key, values, modifiers] entries, sorted
+ * by key (stable, so repeated keys keep their order). Trailing empty segments are
+ * dropped, so `UNION: B | MARR ||` equals `UNION: B | MARR`.
+ */
+function canonical(record) {
+    const entries = [];
+    for (const field of record.fields) {
+        if (field.key === CHECKSUM_KEY) continue;
+        const values = field.segments.map((s) => s.value.trim());
+        while (values.length > 1 && values[values.length - 1] === "") values.pop();
+
+        if (field.isModifier && entries.length > 0) {
+            entries[entries.length - 1][2].push([field.key, values]);
+        } else {
+            entries.push([field.key, values, []]);
+        }
+    }
+    entries.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return JSON.stringify(entries);
+}
@@ -0,0 +1,557 @@
+/**
+ * FTTLanguageService
+ * Editor features for FTT documents, independent of any transport. Results use the
+ * Language Server Protocol shapes (0-based lines/characters); see editors/lsp/server.js.
+ *
+ * const service = new FTTLanguageService({ readFile });
+ * service.openDocument("/tree/main.ftt", text);
+ * service.getDefinition("/tree/main.ftt", { line: 4, character: 9 });
+ *
+ * Documents are identified by file path, so HEAD_INCLUDE files resolve against them.
+ */
+
+import FTTLinter from "./FTTLinter.js";
+import FTTParser, { FTTError } from "./FTTParser.js";
+import FTTRefactor from "./FTTRefactor.js";
+
+// Keys whose first segment references another record, and the record type it targets
+const REF_TARGETS = {
+    PARENT: "INDIVIDUAL",
+    CHILD: "INDIVIDUAL",
+    UNION: "INDIVIDUAL",
+    ASSOC: "INDIVIDUAL",
+    SRC: "SOURCE",
+    EVENT_REF: "EVENT",
+    HEAD_ROOT: "INDIVIDUAL"
+};
+
+// Standard vocabularies (Spec Appendix A-G)
+const VOCABULARY = {
+    PARENT_TYPES: {
+        BIO: "Biological",
+        ADO: "Adopted",
+        STE: "Step",
+        FOS: "Foster",
+        DONR: "Donor",
+        SURR: "Surrogate",
+        LEGL: "Legal",
+        UNK: "Unknown"
+    },
+    UNION_TYPES: { MARR: "Married", CIVL: "Civil Union", PART: "Partner", UNK: "Unknown" },
+    UNION_REASONS: {
+        DIV: "Divorced",
+        SEP: "Separated",
+        WID: "Widowed",
+        ANN: "Annulled",
+        VOID: "Void"
+    },
+    NAME_TYPES: {
+        BIRTH: "Birth Name",
+        MARR: "Married Name",
+        ADO: "Adopted Name",
+        IMM: "Immigrant Name",
+        TRAN: "Transliterated",
+        AKA: "Also Known As",
+        NICK: "Nickname",
+        PROF: "Professional",
+        REL: "Religious",
+        UNK: "Unknown"
+    },
+    PREF_STATUS: { PREF: "Preferred" },
+    EVENT_TYPES: {
+        BAP: "Baptism",
+        CONF: "Confirmation",
+        BUR: "Burial",
+        CREM: "Cremation",
+        CENS: "Census",
+        PROB: "Probate",
+        WILL: "Will",
+        NAT: "Naturalization",
+        IMM: "Immigration",
+        EMIG: "Emigration",
+        EDUC: "Education",
+        OCC: "Occupation",
+        MIL: "Military",
+        RET: "Retirement",
+        ANEC: "Anecdote"
+    },
+    PRIVACY: { OPEN: "Public", LIVING: "Living", PRIVATE: "Restricted" },
+    ASSOC_ROLES: {
+        GODP: "Godparent",
+        GODC: "Godchild",
+        SPON: "Sponsor",
+        OFFI: "Officiant",
+        WITN: "Witness",
+        EXEC: "Executor",
+        GUAR: "Guardian",
+        WARD: "Ward",
+        INFO: "Informant",
+        MAST: "Master",
+        APPR: "Apprentice",
+        SERV: "Servant",
+        NEIG: "Neighbor",
+        ENSL: "Enslaved By",
+        OWNR: "Enslaver"
+    },
+    EVIDENCE_TYPES: { DIRECT: "Direct", INDIRECT: "Indirect", NEG: "Negative" },
+    INFO_SOURCES: { PRIM: "Primary", SEC: "Secondary", UNK: "Unknown" },
+    EVIDENCE_SOURCES: { ORIG: "Original", DERIV: "Derivative", AUTH: "Authored" },
+    SEX: { M: "Male", F: "Female", U: "Unknown", O: "Other" }
+};
+
+// Key -> { segment index: vocabulary }
+const VOCAB_SLOTS = {
+    PARENT: { 1: VOCABULARY.PARENT_TYPES },
+    UNION: { 1: VOCABULARY.UNION_TYPES, 4: VOCABULARY.UNION_REASONS },
+    NAME: { 2: VOCABULARY.NAME_TYPES, 3: VOCABULARY.PREF_STATUS },
+    EVENT: { 0: VOCABULARY.EVENT_TYPES },
+    TYPE: { 0: VOCABULARY.EVENT_TYPES },
+    PRIVACY: { 0: VOCABULARY.PRIVACY },
+    ASSOC: { 1: VOCABULARY.ASSOC_ROLES },
+    BORN: { 2: VOCABULARY.PREF_STATUS },
+    DIED: { 2: VOCABULARY.PREF_STATUS },
+    SEX: { 0: VOCABULARY.SEX }
+};
+
+const QUAL_SLOTS = {
+    0: VOCABULARY.EVIDENCE_TYPES,
+    1: VOCABULARY.INFO_SOURCES,
+    2: VOCABULARY.EVIDENCE_SOURCES
+};
+
+// LSP enumerations
+const DiagnosticSeverity = { Error: 1, Warning: 2 };
+const CompletionItemKind = { Reference: 18, EnumMember: 20 };
+const SymbolKind = { Module: 2, Object: 19, Event: 24, Null: 21 };
+
+const RECORD_SYMBOLS = {
+    INDIVIDUAL: SymbolKind.Object,
+    SOURCE: SymbolKind.Module,
+    EVENT: SymbolKind.Event,
+    PLACEHOLDER: SymbolKind.Null
+};
+
+export default class FTTLanguageService {
+    /**
+     * @param {object} [options]
+     * @param {function(string): ?string} [options.readFile] - Loads HEAD_INCLUDE files
+     *   that are not open in the editor.
+     */
+    constructor(options = {}) {
+        this.parser = new FTTParser();
+        this.refactor = new FTTRefactor();
+        this.readFile = options.readFile || null;
+        this.documents = new Map(); // path -> analysis
+    }
+
+    /**
+     * Parses (or re-parses) a document. Call on open and on every change.
+     * @param {string} path
+     * @param {string} text
+     */
+    openDocument(path, text) {
+        const cst = this.parser.parseCST(text);
+        const result = this._lint(
+            path,
+            this.parser.parse(text, {
+                recover: true,
+                file: path,
+                readFile: (include) => this._readFile(include)
+            })
+        );
+
+        // Line number -> { field, record } for cursor lookups
+        const fields = [];
+        const fieldsByLine = new Map();
+        const index = (field, record) => {
+            const entry = { field, record };
+            fields.push(entry);
+            field.lines.forEach((node) => fieldsByLine.set(node.line, entry));
+        };
+        for (const node of cst.children) {
+            if (node.type === "record") node.fields.forEach((f) => index(f, node));
+            else if (node.type === "field") index(node, null);
+        }
+
+        const lines = text.split(/\r?\n/);
+        const doc = { path, text, cst, result, fields, fieldsByLine, lines };
+        this.documents.set(path, doc);
+        return doc;
+    }
+
+    closeDocument(path) {
+        this.documents.delete(path);
+    }
+
+    // =========================================================================
+    // Features
+    // =========================================================================
+
+    /**
+     * Parser errors and warnings for the document (not for included files).
+     */
+    getDiagnostics(path) {
+        const doc = this.documents.get(path);
+        if (!doc) return [];
+
+        return this._problems(doc).map((e) => this._diagnostic(doc, e));
+    }
+
+    /**
+     * Quick fixes for the problems on the lines of a range.
+     * @returns {Array<object>} LSP CodeActions whose `edit.changes` are keyed by path
+     */
+    getCodeActions(path, range) {
+        const doc = this.documents.get(path);
+        if (!doc) return [];
+
+        const actions = [];
+        for (const problem of this._problems(doc)) {
+            const line = (problem.line || 1) - 1;
+            if (line < range.start.line || line > range.end.line) continue;
+
+            const diagnostic = this._diagnostic(doc, problem);
+            problem.fixes.forEach((fix, i) => {
+                const changes = {};
+                for (const { file, span, text } of fix.edits) {
+                    (changes[file || path] ||= []).push({ range: toRange(span), newText: text });
+                }
+                actions.push({
+                    title: fix.title,
+                    kind: "quickfix",
+                    diagnostics: [diagnostic],
+                    isPreferred: i === 0,
+                    edit: { changes }
+                });
+            });
+        }
+        return actions;
+    }
+
+    /**
+     * Location of the record whose ID is under the cursor.
+     * @returns {{ path, range }|null}
+     */
+    getDefinition(path, position) {
+        const doc = this.documents.get(path);
+        const token = doc && this._idAt(doc, position);
+        if (!token) return null;
+
+        const local = doc.cst.findRecord(token.id);
+        if (local) {
+            return { path, range: toRange(local.children[0].segments[0].span) };
+        }
+
+        // Defined in an included file
+        const record = doc.result.records[token.id];
+        if (!record || !record.file) return null;
+        const line = record.line - 1;
+        return {
+            path: record.file,
+            range: { start: { line, character: 0 }, end: { line, character: 0 } }
+        };
+    }
+
+    /**
+     * Every reference to the ID under the cursor, across the same open documents
+     * and included files as a rename.
+     * @returns {Array<{ path, range }>}
+     */
+    getReferences(path, position, includeDeclaration = true) {
+        const doc = this.documents.get(path);
+        const token = doc && this._idAt(doc, position);
+        if (!token) return [];
+
+        return this.refactor
+            .findReferences(this._openFiles(), token.id, {
+                readFile: (include) => this._readFile(include)
+            })
+            .filter((ref) => includeDeclaration || ref.key !== "ID")
+            .map(({ file, span }) => ({ path: file, range: toRange(span) }));
+    }
+
+    /**
+     * Range of the ID under the cursor, if it can be renamed.
+     * @returns {{ range, placeholder: string }|null}
+     */
+    prepareRename(path, position) {
+        const doc = this.documents.get(path);
+        const token = doc && this._idAt(doc, position);
+        return token ? { range: token.range, placeholder: token.id } : null;
+    }
+
+    /**
+     * Renames the ID under the cursor across all open documents and the files they include.
+     * @returns {?object} LSP WorkspaceEdit `changes`, keyed by path rather than URI
+     * @throws {Error} If the new ID is invalid, changes the record type or is already taken.
+     */
+    getRenameEdits(path, position, newId) {
+        const doc = this.documents.get(path);
+        const token = doc && this._idAt(doc, position);
+        if (!token) return null;
+
+        const { edits } = this.refactor.renameID(this._openFiles(), token.id, newId, {
+            readFile: (include) => this._readFile(include)
+        });
+
+        const changes = {};
+        for (const { file, span, text } of edits) {
+            (changes[file] ||= []).push({ range: toRange(span), newText: text });
+        }
+        return changes;
+    }
+
+    /**
+     * Name and dates for an ID, or the meaning of a vocabulary code.
+     * @returns {{ contents: { kind: "markdown", value: string }, range }|null}
+     */
+    getHover(path, position) {
+        const doc = this.documents.get(path);
+        if (!doc) return null;
+
+        const token = this._idAt(doc, position);
+        if (token) {
+            const value = this._describeRecord(doc, token.id);
+            return value ? { contents: { kind: "markdown", value }, range: token.range } : null;
+        }
+
+        const ctx = this._contextAt(doc, position);
+        const vocab = ctx && this._vocabularyFor(ctx.field.key, ctx.segmentIndex);
+        const segment = ctx && ctx.field.segments[ctx.segmentIndex];
+        if (!vocab || !segment || !vocab[segment.value]) return null;
+
+        return {
+            contents: { kind: "markdown", value: `**${segment.value}**: ${vocab[segment.value]}` },
+            range: toRange(segment.span)
+        };
+    }
+
+    /**
+     * IDs for reference fields and standard codes for vocabulary fields.
+     * @returns {Array<object>} LSP CompletionItems
+     */
+    getCompletions(path, position) {
+        const doc = this.documents.get(path);
+        const ctx = doc && this._contextAt(doc, position);
+        if (!ctx || ctx.inKey) return [];
+
+        const { field, segmentIndex } = ctx;
+
+        if (segmentIndex === 0 && this._isRefKey(field.key)) {
+            const targetType = this._refTarget(field.key);
+            return Object.values(doc.result.records)
+                .filter((rec) => rec.type === targetType)
+                .map((rec) => ({
+                    label: rec.id,
+                    kind: CompletionItemKind.Reference,
+                    detail: this._recordLabel(rec)
+                }));
+        }
+
+        const vocab = this._vocabularyFor(field.key, segmentIndex);
+        if (!vocab) return [];
+        return Object.entries(vocab).map(([code, label]) => ({
+            label: code,
+            kind: CompletionItemKind.EnumMember,
+            detail: label
+        }));
+    }
+
+    /**
+     * Outline: one symbol per record.
+     * @returns {Array<object>} LSP DocumentSymbols
+     */
+    getDocumentSymbols(path) {
+        const doc = this.documents.get(path);
+        if (!doc) return [];
+
+        return doc.cst.records.map((rec) => {
+            const record = doc.result.records[rec.id];
+            const type = record ? record.type : "PLACEHOLDER";
+            return {
+                name: rec.id,
+                detail: record ? this._recordLabel(record) : "",
+                kind: RECORD_SYMBOLS[type] || SymbolKind.Object,
+                range: toRange(rec.span),
+                selectionRange: toRange(rec.children[0].span)
+            };
+        });
+    }
+
+    // =========================================================================
+    // Diagnostics
+    // =========================================================================
+
+    /**
+     * Applies the rules of the nearest .fttrc, if any. An invalid config is reported
+     * on the first line of the document.
+     */
+    _lint(path, result) {
+        try {
+            const found = FTTLinter.findConfig(path, (config) => this._readFile(config));
+            if (!found) return result;
+            return { ...result, ...new FTTLinter(found.config).lint(result) };
+        } catch (err) {
+            const problem = new FTTError("INVALID_CONFIG", err.message, 1, "ERROR", path);
+            return { ...result, errors: [problem, ...result.errors] };
+        }
+    }
+
+    /**
+     * Parser errors and warnings located in the document itself (not in included files).
+     */
+    _problems(doc) {
+        const { errors, warnings } = doc.result;
+        return [...errors, ...warnings].filter((e) => !e.file || e.file === doc.path);
+    }
+
+    _diagnostic(doc, error) {
+        const line = Math.max(0, (error.line || 1) - 1);
+        return {
+            range: {
+                start: { line, character: 0 },
+                end: { line, character: (doc.lines[line] || "").length }
+            },
+            severity:
+                error.severity === "WARNING"
+                    ? DiagnosticSeverity.Warning
+                    : DiagnosticSeverity.Error,
+            code: error.code,
+            source: "ftt",
+            message: error.message
+        };
+    }
+
+    // =========================================================================
+    // Cursor Context
+    // =========================================================================
+
+    /**
+     * Works out which field and pipe segment the cursor is in, using the text
+     * before the cursor so that it also works while a value is being typed.
+     */
+    _contextAt(doc, position) {
+        const entry = doc.fieldsByLine.get(position.line + 1);
+        if (!entry) return null;
+
+        const { field, record } = entry;
+        let before = "";
+        for (const node of field.lines) {
+            const isCursorLine = node.line === position.line + 1;
+            let text = isCursorLine ? node.text.slice(0, position.character) : node.text;
+
+            if (node.type === "key") {
+                const colon = text.indexOf(":");
+                if (colon === -1) return { field, record, inKey: true, segmentIndex: 0 };
+                text = text.slice(colon + 1);
+            } else if (node.type === "continuation") {
+                text = " " + text.slice(2);
+            } else {
+                text = "";
+            }
+
+            before += text;
+            if (isCursorLine) break;
+        }
+
+        let segmentIndex = 0;
+        for (let i = 0; i < before.length; i++) {
+            if (before[i] === "\\") i++;
+            else if (before[i] === "|") segmentIndex++;
+        }
+
+        return { field, record, inKey: false, segmentIndex };
+    }
+
+    /**
+     * The ID under the cursor: a record's own ID or the target of a reference.
+     */
+    _idAt(doc, position) {
+        const ctx = this._contextAt(doc, position);
+        if (!ctx || ctx.inKey || ctx.segmentIndex !== 0) return null;
+
+        const { field } = ctx;
+        if (field.key !== "ID" && !this._isRefKey(field.key)) return null;
+
+        const segment = field.segments[0];
+        if (!segment || !segment.value) return null;
+        return { id: segment.value, range: toRange(segment.span) };
+    }
+
+    _isRefKey(key) {
+        return key in REF_TARGETS || key.endsWith("_SRC");
+    }
+
+    _refTarget(key) {
+        return key.endsWith("_SRC") ? "SOURCE" : REF_TARGETS[key];
+    }
+
+    _vocabularyFor(key, segmentIndex) {
+        if (key.endsWith("_QUAL")) return QUAL_SLOTS[segmentIndex] || null;
+        if (key.endsWith("_PRIV")) return VOCAB_SLOTS.PRIVACY[segmentIndex] || null;
+        return VOCAB_SLOTS[key]?.[segmentIndex] || null;
+    }
+
+    // =========================================================================
+    // Record Summaries
+    // =========================================================================
+
+    _recordLabel(record) {
+        const first = (key) => record.data[key]?.[0];
+        if (record.type === "SOURCE") return first("TITLE")?.text || "";
+        if (record.type === "EVENT") return first("TYPE")?.value || "";
+
+        const names = record.data["NAME"] || [];
+        const name = names.find((n) => n.status === "PREF") || names[0];
+        return name ? name.display : "";
+    }
+
+    _describeRecord(doc, id) {
+        const record = doc.result.records[id];
+        if (!record) {
+            return id.startsWith("?") ? `\`${id}\` (placeholder)` : null;
+        }
+
+        const lines = [`**${this._recordLabel(record) || id}**`, `\`${id}\``];
+        const pref = (key) => {
+            const fields = record.data[key] || [];
+            return fields.find((f) => f.status === "PREF") || fields[0];
+        };
+        const describe = (label, field, date) => {
+            if (!field || (!date && !field.place)) return;
+            lines.push(`${label} ${[date, field.place].filter((v) => v).join(", ")}`);
+        };
+
+        if (record.type === "INDIVIDUAL") {
+            describe("Born:", pref("BORN"), pref("BORN")?.date);
+            describe("Died:", pref("DIED"), pref("DIED")?.date);
+        } else if (record.type === "EVENT") {
+            describe("Date:", record.data["START_DATE"]?.[0], record.data["START_DATE"]?.[0]?.date);
+            describe("Place:", record.data["PLACE"]?.[0], "");
+        } else if (record.type === "SOURCE") {
+            const author = record.data["AUTHOR"]?.[0]?.text;
+            if (author) lines.push(`Author: ${author}`);
+        }
+
+        return lines.join("\n\n");
+    }
+
+    _openFiles() {
+        return new Map([...this.documents].map(([path, doc]) => [path, doc.text]));
+    }
+
+    _readFile(path) {
+        if (this.documents.has(path)) return this.documents.get(path).text;
+        return this.readFile ? this.readFile(path) : null;
+    }
+}
+
+/**
+ * Converts a CST span (1-based lines) to an LSP range (0-based lines).
+ */
+function toRange(span) {
+    return {
+        start: { line: span.start.line - 1, character: span.start.column },
+        end: { line: span.end.line - 1, character: span.end.column }
+    };
+}
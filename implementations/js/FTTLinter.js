@@ -0,0 +1,184 @@
+/**
+ * FTTLinter
+ * Project house rules and severity overrides on top of FTTParser's validation.
+ *
+ * const linter = new FTTLinter(FTTLinter.parseConfig(fs.readFileSync(".fttrc", "utf-8")));
+ * const { errors, warnings } = linter.lint(parser.parse(text, { recover: true }));
+ *
+ * A config (a `.fttrc` JSON file) maps codes to a severity ("off", "warning", "error"
+ * or "fatal"), optionally followed by rule options:
+ *
+ * {
+ *     "rules": {
+ *         "NONSTD_VOCAB": "error",
+ *         "MISSING_SOURCE": ["error", { "keys": ["BORN"] }],
+ *         "ID_PATTERN": ["warning", { "pattern": "^[A-Z]+-\\d{4}-[A-Z]+$" }],
+ *         "MISSING_FIELD": ["error", { "keys": ["SEX"] }]
+ *     }
+ * }
+ *
+ * Parser codes are regraded; rule codes switch the rule on. Rules report FTTErrors,
+ * so results look exactly like parser output.
+ */
+
+import { FTTError } from "./FTTParser.js";
+
+export const CONFIG_FILE = ".fttrc";
+
+const SEVERITIES = { off: null, warning: "WARNING", error: "ERROR", fatal: "FATAL" };
+
+/**
+ * Built-in rules. Each takes its options and returns a check that runs once per
+ * record and reports problems through `context.report(message, line)`.
+ */
+const RULES = {
+    // Every field of the given keys cites a source, e.g. BORN_SRC
+    MISSING_SOURCE({ keys = ["BORN", "DIED"] }) {
+        return (record, { report }) => {
+            for (const key of keys) {
+                record.data[key]?.forEach((field) => {
+                    if (!field.modifiers[`${key}_SRC`]) {
+                        report(`${record.id}: ${key} has no ${key}_SRC citation.`, field.line);
+                    }
+                });
+            }
+        };
+    },
+
+    // IDs follow a house naming scheme
+    ID_PATTERN({ pattern, types = ["INDIVIDUAL"] }) {
+        if (typeof pattern !== "string") {
+            throw new Error('ID_PATTERN needs a "pattern" option.');
+        }
+        const regex = new RegExp(pattern, "u");
+        return (record, { report }) => {
+            if (types.includes(record.type) && !regex.test(record.id)) {
+                report(`ID "${record.id}" does not match ${pattern}.`, record.line);
+            }
+        };
+    },
+
+    // Records of the given types have at least one field of each key
+    MISSING_FIELD({ keys = [], types = ["INDIVIDUAL"] }) {
+        return (record, { report }) => {
+            if (!types.includes(record.type)) return;
+            for (const key of keys) {
+                if (!record.data[key]?.length) report(`${record.id} has no ${key}.`, record.line);
+            }
+        };
+    }
+};
+
+export default class FTTLinter {
+    /**
+     * @param {object} [config] - Parsed `.fttrc` contents ({ rules })
+     * @throws {Error} If a severity is unknown.
+     */
+    constructor(config = {}) {
+        this.rules = { ...RULES };
+        this.levels = new Map(); // Code -> severity (null when off)
+        this.options = new Map(); // Code -> rule options
+
+        for (const [code, setting] of Object.entries(config.rules || {})) {
+            const [level, options = {}] = Array.isArray(setting) ? setting : [setting];
+            const name = String(level).toLowerCase();
+            if (!Object.hasOwn(SEVERITIES, name)) {
+                throw new Error(`Invalid severity "${level}" for ${code}.`);
+            }
+            this.levels.set(code, SEVERITIES[name]);
+            this.options.set(code, options);
+        }
+    }
+
+    /**
+     * Parses the text of a config file.
+     * @param {string} text
+     * @param {string} [path] - Used in error messages.
+     * @returns {object}
+     * @throws {Error} If the text is not a JSON object.
+     */
+    static parseConfig(text, path = CONFIG_FILE) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid ${path}: ${err.message}`);
+        }
+        if (!config || typeof config !== "object" || Array.isArray(config)) {
+            throw new Error(`Invalid ${path}: expected a JSON object.`);
+        }
+        return config;
+    }
+
+    /**
+     * Finds the nearest config file in the directory of `file` or above it.
+     * @param {string} file - "/"-separated path of a tree file
+     * @param {function(string): ?string} readFile
+     * @returns {?{ path: string, config: object }}
+     */
+    static findConfig(file, readFile) {
+        const dirs = file.split("/").slice(0, -1);
+        const top = dirs[0] === "" ? 1 : 0; // Stop at the root of absolute paths
+
+        for (let i = dirs.length; i >= top; i--) {
+            const path = [...dirs.slice(0, i), CONFIG_FILE].join("/");
+            let text = null;
+            try {
+                text = readFile(path);
+            } catch {
+                // Not in this directory
+            }
+            if (typeof text === "string") {
+                return { path, config: FTTLinter.parseConfig(text, path) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Registers a custom rule. It runs when the config gives its code a severity.
+     * @param {string} code - e.g. "MISSING_BURIAL"
+     * @param {function(object): function(object, object): void} create - Takes the
+     *   rule options and returns a check, called as check(record, { records, headers, report }).
+     */
+    defineRule(code, create) {
+        this.rules[code] = create;
+    }
+
+    /**
+     * Applies severity overrides to a parse result and runs the enabled rules.
+     * Parse in recovery mode so every record is checked.
+     * @param {object} result - From FTTParser.parse() or parseFiles()
+     * @returns {{ errors: Array<FTTError>, warnings: Array<FTTError> }}
+     */
+    lint(result) {
+        const errors = [];
+        const warnings = [];
+        const add = (error) => (error.severity === "WARNING" ? warnings : errors).push(error);
+
+        for (const problem of [...result.errors, ...result.warnings]) {
+            if (!this.levels.has(problem.code)) {
+                add(problem);
+                continue;
+            }
+            const severity = this.levels.get(problem.code);
+            if (!severity) continue;
+            const { code, message, line, file, fixes } = problem;
+            add(new FTTError(code, message, line, severity, file, fixes));
+        }
+
+        const records = Object.values(result.records);
+        for (const [code, severity] of this.levels) {
+            if (!severity || !Object.hasOwn(this.rules, code)) continue;
+
+            const check = this.rules[code](this.options.get(code));
+            for (const record of records) {
+                const report = (message, line) =>
+                    add(new FTTError(code, message, line, severity, record.file));
+                check(record, { records: result.records, headers: result.headers, report });
+            }
+        }
+
+        return { errors, warnings };
+    }
+}
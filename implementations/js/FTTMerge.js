@@ -0,0 +1,322 @@
+/**
+ * FTTMerge
+ * Record-aware three-way merge of FTT files, for use as a git merge driver.
+ *
+ * const { text, clean, conflicts, errors } = new FTTMerge().merge(base, ours, theirs);
+ *
+ * The result keeps the layout of "ours" and applies the changes "theirs" made since
+ * "base", record by record and field by field. Independent changes (a CHILD or NAME
+ * added on each side, different segments of one field edited) merge automatically.
+ * Fields that both sides changed differently are written between git-style conflict
+ * markers, which FTTParser rejects (MERGE_CONFLICT) until they are resolved.
+ */
+
+import FTTParser from "./FTTParser.js";
+import FTTDiff from "./FTTDiff.js";
+import FTTWriter from "./FTTWriter.js";
+
+// Keys that may appear only once (Spec 2, 4-6), so different additions conflict.
+// Every header except HEAD_INCLUDE is single-valued too, as is every *_QUAL and *_PRIV.
+const SINGLE_KEYS = new Set(["PRIVACY", "SEX", "TITLE", "TYPE", "START_DATE", "END_DATE"]);
+
+const MARKERS = { ours: "<<<<<<< ours", separator: "=======", theirs: ">>>>>>> theirs" };
+
+export default class FTTMerge {
+    constructor() {
+        this.parser = new FTTParser();
+        this.differ = new FTTDiff();
+    }
+
+    /**
+     * Merges the changes two sides made to a common ancestor.
+     * @param {string} base - Common ancestor ("" if both sides created the file)
+     * @param {string} ours
+     * @param {string} theirs
+     * @returns {{ text: string, clean: boolean, conflicts: Array<object>, errors: Array<object> }}
+     *   `conflicts` lists { id, key, message } for each conflict block in `text`
+     *   (`id` is null for headers). `errors` are validation errors that the merge
+     *   introduced, i.e. that neither side had. The result is `clean` if both are empty.
+     */
+    merge(base, ours, theirs) {
+        const [b, o, t] = [base, ours, theirs].map((text) => this.differ.model(text));
+        this.eol = ours.includes("\r\n") ? "\r\n" : "\n";
+        this.conflicts = [];
+
+        const plan = this._mergeFields(b.headers, o.headers, t.headers, null, null);
+        const appended = [];
+
+        for (const [id, record] of o.records) {
+            const previous = b.records.get(id);
+            const other = t.records.get(id);
+
+            if (other) {
+                const fieldPlan = this._mergeFields(
+                    previous ? previous.fields : [],
+                    record.fields,
+                    other.fields,
+                    record.node.children[0],
+                    id
+                );
+                plan.replace.set(record.node, this._render(record.node.children, fieldPlan));
+            } else if (previous && this._isUnchanged(previous, record)) {
+                plan.replace.set(record.node, ""); // Deleted by theirs
+            } else if (previous) {
+                this._conflict(id, "ID", `${id} was deleted in theirs but changed in ours`);
+                plan.replace.set(record.node, this._block(record.node.toString(), ""));
+            }
+        }
+
+        for (const [id, record] of t.records) {
+            if (o.records.has(id)) continue;
+            const previous = b.records.get(id);
+
+            if (!previous) {
+                appended.push(record.node.toString()); // Added by theirs
+            } else if (!this._isUnchanged(previous, record)) {
+                this._conflict(id, "ID", `${id} was deleted in ours but changed in theirs`);
+                appended.push(this._block("", record.node.toString()));
+            }
+        }
+
+        let text = (o.doc.hasBom ? "\uFEFF" : "") + this._render(o.doc.children, plan);
+        for (const block of appended) {
+            text = this._ensureEol(text) + (text ? this.eol : "") + this._ensureEol(block);
+        }
+
+        const conflicts = this.conflicts;
+        const errors = conflicts.length > 0 ? [] : this._newErrors(text, [ours, theirs]);
+        return { text, clean: conflicts.length === 0 && errors.length === 0, conflicts, errors };
+    }
+
+    // =========================================================================
+    // Field Merging
+    // =========================================================================
+
+    /**
+     * Plans how to change ours' fields so that they also carry theirs' changes.
+     * @param {?object} anchor - Node to insert after when ours has no fields (the ID line)
+     * @returns {{ replace: Map, skip: Set, insertAfter: Map }} Keyed by ours' CST nodes
+     */
+    _mergeFields(baseFields, ourFields, theirFields, anchor, id) {
+        const plan = { replace: new Map(), skip: new Set(), insertAfter: new Map() };
+        const insert = (node, text) => {
+            if (!plan.insertAfter.has(node)) plan.insertAfter.set(node, []);
+            plan.insertAfter.get(node).push(text);
+        };
+        const remove = (entry) => {
+            plan.replace.set(entry.node, "");
+            entry.modifiers.forEach((m) => plan.skip.add(m.node));
+        };
+        const replace = (entry, text) => {
+            remove(entry);
+            plan.replace.set(entry.node, text);
+        };
+
+        const keys = new Set([...baseFields, ...ourFields, ...theirFields].map((f) => f.key));
+        for (const key of keys) {
+            const [bk, ok, tk] = [baseFields, ourFields, theirFields].map((list) =>
+                list.filter((f) => f.key === key)
+            );
+            const ours = this.differ.matchFields(key, bk, ok);
+            const theirs = this.differ.matchFields(key, bk, tk);
+            const ourMatch = new Map(ours.pairs);
+            const theirMatch = new Map(theirs.pairs);
+
+            // Insertions go after the last field of the same key, else after the last field
+            const last = ok[ok.length - 1] || ourFields[ourFields.length - 1];
+            const position = last ? unitEnd(last) : anchor;
+
+            for (const original of bk) {
+                const mine = ourMatch.get(original);
+                const other = theirMatch.get(original);
+
+                if (!other) {
+                    if (!mine) continue; // Deleted on both sides
+                    if (sameUnit(original, mine)) {
+                        remove(mine);
+                    } else {
+                        this._conflict(id, key, `${key} was deleted in theirs but changed in ours`);
+                        replace(mine, this._block(source(mine), ""));
+                    }
+                } else if (!mine) {
+                    if (!sameUnit(original, other)) {
+                        this._conflict(id, key, `${key} was deleted in ours but changed in theirs`);
+                        insert(position, this._block("", source(other)));
+                    }
+                } else if (sameUnit(original, other) || sameUnit(mine, other)) {
+                    continue;
+                } else if (sameUnit(original, mine)) {
+                    replace(mine, source(other));
+                } else {
+                    const merged = this._mergeUnit(key, original, mine, other);
+                    if (merged !== null) {
+                        replace(mine, merged);
+                    } else {
+                        this._conflict(id, key, `${key} was changed differently on both sides`);
+                        replace(mine, this._block(source(mine), source(other)));
+                    }
+                }
+            }
+
+            for (const added of theirs.added) {
+                if (ours.added.some((mine) => sameUnit(mine, added))) continue; // Added by both
+                const rival = isSingle(key) && ours.added[0];
+                if (rival) {
+                    this._conflict(id, key, `${key} was added differently on both sides`);
+                    replace(rival, this._block(source(rival), source(added)));
+                } else {
+                    insert(position, source(added));
+                }
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Merges a field both sides edited, segment by segment and modifier by modifier.
+     * @returns {?string} The merged field text, or null on a true conflict.
+     */
+    _mergeUnit(key, original, mine, other) {
+        const values = [];
+        const length = Math.max(original.values.length, mine.values.length, other.values.length);
+        for (let i = 0; i < length; i++) {
+            const [b, o, t] = [original, mine, other].map((f) => f.values[i] || "");
+            if (o !== t && o !== b && t !== b) return null;
+            values.push(o === b ? t : o);
+        }
+
+        // Modifiers as multisets: keep ours, drop what theirs deleted, add what theirs added
+        const has = (list, mod) => list.some((m) => m.key === mod.key && m.text === mod.text);
+        const modifiers = [
+            ...mine.modifiers.filter((m) => has(other.modifiers, m) || !has(original.modifiers, m)),
+            ...other.modifiers.filter((m) => !has(original.modifiers, m) && !has(mine.modifiers, m))
+        ];
+        const repeated = (suffix) => modifiers.filter((m) => m.key.endsWith(suffix)).length > 1;
+        if (repeated("_QUAL") || repeated("_PRIV")) return null;
+
+        while (values.length > 1 && values[values.length - 1] === "") values.pop();
+        const head =
+            values.join("|") === mine.values.join("|")
+                ? mine.node.toString()
+                : `${key}: ${values.map((v) => FTTWriter.escape(v)).join(" | ")}${this.eol}`;
+        return (
+            this._ensureEol(head) +
+            modifiers.map((m) => this._ensureEol(m.node.toString())).join("")
+        );
+    }
+
+    // =========================================================================
+    // Output
+    // =========================================================================
+
+    /**
+     * Writes a container's children with a plan applied. Insertions follow their anchor
+     * even if the anchor itself was replaced or removed.
+     */
+    _render(children, plan) {
+        let out = "";
+        const emit = (text) => {
+            if (text) out = this._ensureEol(out, false) + text;
+        };
+
+        // A deleted record takes its separating blank line with it
+        children.forEach((node, i) => {
+            if (node.type !== "record" || plan.replace.get(node) !== "") return;
+            const blank = [children[i + 1], children[i - 1]].find((n) => n?.type === "blank");
+            if (blank) plan.skip.add(blank);
+        });
+
+        (plan.insertAfter.get(null) || []).forEach(emit);
+        for (const node of children) {
+            if (plan.replace.has(node)) emit(plan.replace.get(node));
+            else if (!plan.skip.has(node)) emit(node.toString());
+            (plan.insertAfter.get(node) || []).forEach(emit);
+        }
+        return out;
+    }
+
+    /**
+     * Appends a line terminator unless the text already ends with one.
+     * @param {boolean} [always=true] - If false, an empty text stays empty.
+     */
+    _ensureEol(text, always = true) {
+        if (text.endsWith("\n") || (!text && !always)) return text;
+        return text + this.eol;
+    }
+
+    _block(oursText, theirsText) {
+        const section = (text) => (text ? this._ensureEol(text) : "");
+        return [
+            MARKERS.ours + this.eol,
+            section(oursText),
+            MARKERS.separator + this.eol,
+            section(theirsText),
+            MARKERS.theirs + this.eol
+        ].join("");
+    }
+
+    _conflict(id, key, message) {
+        this.conflicts.push({ id, key, message });
+    }
+
+    // =========================================================================
+    // Validation
+    // =========================================================================
+
+    _isUnchanged(before, after) {
+        return this.differ.compareFields(before.fields, after.fields).length === 0;
+    }
+
+    /**
+     * Errors in the merged text that neither side had (e.g. a link to a record the
+     * other side deleted). Line numbers differ between versions, so errors are
+     * compared by code and message.
+     */
+    _newErrors(text, sides) {
+        const signature = (e) => `${e.code}: ${e.message}`;
+        const known = new Set();
+        for (const side of sides) {
+            this.parser
+                .parse(side, { recover: true })
+                .errors.forEach((e) => known.add(signature(e)));
+        }
+        return this.parser
+            .parse(text, { recover: true })
+            .errors.filter((e) => !known.has(signature(e)));
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Source text of a field and its modifiers.
+ */
+function source(entry) {
+    return [entry, ...entry.modifiers].map((e) => e.node.toString()).join("");
+}
+
+/**
+ * The last node of a field and its modifiers, so insertions do not split them.
+ */
+function unitEnd(entry) {
+    const mods = entry.modifiers;
+    return (mods.length > 0 ? mods[mods.length - 1] : entry).node;
+}
+
+function sameUnit(a, b) {
+    const signature = (e) =>
+        [e.text, ...e.modifiers.map((m) => `${m.key}: ${m.text}`).sort()].join("\n");
+    return signature(a) === signature(b);
+}
+
+function isSingle(key) {
+    return (
+        SINGLE_KEYS.has(key) ||
+        key.endsWith("_QUAL") ||
+        key.endsWith("_PRIV") ||
+        (key.startsWith("HEAD_") && key !== "HEAD_INCLUDE")
+    );
+}
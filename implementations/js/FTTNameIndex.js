@@ -0,0 +1,224 @@
+/**
+ * FTTNameIndex
+ * Back-of-the-book name index: every NAME of every person, grouped under surname
+ * headings and collated on the sort key (Spec 4.4.1) for a locale.
+ *
+ * const index = new FTTNameIndex({ locale: "sv" });
+ * const headings = index.build(result.records);
+ * // [{ heading: "Åberg", entries: [{ name: "Åberg, Anna", id: "ANNA-1", dates: "1850–1921",
+ * //    nameType: "BIRTH", preferred: false, see: "Lind, Anna" }] }, ...]
+ * index.format(headings, "markdown"); // "text", "markdown" or "html"
+ *
+ * The heading is the part of the sort key before its comma ("García Márquez,
+ * Gabriel"), else the family name FTTNames infers, else the given name (mononyms,
+ * patronymics). Birth, married and alias names refer to the person's preferred
+ * name. Records are indexed as given: redact them first (FTTPrivacy) for publication.
+ */
+
+import FTTNames from "./FTTNames.js";
+import { preferred } from "./FTTQuery.js";
+
+// Labels for name types (Appendix B.1); UNK and the preferred name go unlabelled
+const TYPE_LABELS = {
+    BIRTH: "birth name",
+    MARR: "married name",
+    ADO: "adopted name",
+    IMM: "immigrant name",
+    TRAN: "transliteration",
+    AKA: "alias",
+    NICK: "nickname",
+    PROF: "professional name",
+    REL: "religious name"
+};
+
+const FORMATS = ["text", "markdown", "html"];
+
+export default class FTTNameIndex {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.locale="en"] - BCP 47 tag for collation, e.g. "sv", "de-u-co-phonebk"
+     * @param {FTTNames} [options.names] - Name parser (for extra particles)
+     */
+    constructor({ locale = "en", names = new FTTNames() } = {}) {
+        this.collator = new Intl.Collator(locale, { numeric: true });
+        this.names = names;
+    }
+
+    /**
+     * Headings with their entries, both in collation order.
+     * @param {object} records - Parsed records (FTTParser result.records)
+     * @returns {Array<{ heading: string, entries: Array<object> }>} Each entry is
+     *   { name, id, dates, nameType, preferred, see }; `see` is the preferred name
+     *   of a variant, else null.
+     */
+    build(records) {
+        const groups = new Map(); // heading -> Map(name + id -> { entry, sortKey })
+
+        for (const record of Object.values(records)) {
+            if (record.type !== "INDIVIDUAL") continue;
+            const main = preferred(record, "NAME");
+            const dates = lifeDates(record);
+
+            for (const field of record.data.NAME || []) {
+                const parts = this.names.parse(field);
+                const heading = this._heading(field, parts);
+                const name = indexForm(field, parts);
+                const isMain = field === main;
+
+                if (!groups.has(heading)) groups.set(heading, new Map());
+                const entries = groups.get(heading);
+                if (entries.has(`${name}\n${record.id}`)) continue;
+                const entry = {
+                    name,
+                    id: record.id,
+                    dates,
+                    nameType: field.nameType,
+                    preferred: isMain,
+                    see: isMain ? null : indexForm(main, this.names.parse(main))
+                };
+                entries.set(`${name}\n${record.id}`, { entry, sortKey: field.sortKey });
+            }
+        }
+
+        const compare = this.collator.compare;
+        return [...groups]
+            .map(([heading, entries]) => ({
+                heading,
+                entries: [...entries.values()]
+                    .sort(
+                        (a, b) =>
+                            compare(a.sortKey, b.sortKey) ||
+                            compare(a.entry.dates, b.entry.dates) ||
+                            compare(a.entry.id, b.entry.id)
+                    )
+                    .map(({ entry }) => entry)
+            }))
+            .sort((a, b) => compare(a.heading, b.heading));
+    }
+
+    /**
+     * Renders build() headings.
+     * @param {Array<object>} headings
+     * @param {string} [format="text"] - "text", "markdown" or "html"
+     * @returns {string}
+     */
+    format(headings, format = "text") {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown index format "${format}" (use ${FORMATS.join(", ")}).`);
+        }
+
+        const out = [];
+        for (const { heading, entries } of headings) {
+            if (format === "text") {
+                out.push(heading, ...entries.map((e) => `    ${describe(e, (s) => s, "")}`), "");
+            } else if (format === "markdown") {
+                out.push(`### ${markdown(heading)}`, "");
+                out.push(...entries.map((e) => `- ${describe(e, markdown, "_")}`), "");
+            } else {
+                out.push(`<section>`, `    <h3>${html(heading)}</h3>`, `    <ul>`);
+                out.push(...entries.map((e) => `        <li>${describe(e, html, "em")}</li>`));
+                out.push(`    </ul>`, `</section>`);
+            }
+        }
+        return out.join("\n").replace(/\n*$/, "\n");
+    }
+
+    /**
+     * Heading a NAME files under.
+     */
+    _heading(field, parts) {
+        const sortKey = (field.parsed[1] || "").trim();
+        if (sortKey.includes(",")) {
+            const family = sortKey.slice(0, sortKey.indexOf(",")).trim();
+            if (family) return family;
+        }
+        const family = [parts.particles, parts.surname].filter((p) => p).join(" ");
+        return family || parts.given || field.display;
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * The name as listed: the sort key as written, else "Surname, Given" for a
+ * western name, else the display.
+ */
+function indexForm(field, parts) {
+    const sortKey = (field.parsed[1] || "").trim();
+    if (sortKey) return sortKey;
+    if (parts.convention !== "western" || !parts.surname) return field.display;
+
+    const family = [parts.particles, parts.surname].filter((p) => p).join(" ");
+    const given = [parts.given, parts.patronymic].filter((p) => p).join(" ");
+    const name = given ? `${family}, ${given}` : family;
+    return parts.suffix ? `${name}, ${parts.suffix}` : name;
+}
+
+/**
+ * "1850–1921", "b. 1850", "d. 1921" or "" from the preferred BORN and DIED.
+ */
+function lifeDates(record) {
+    const born = dateLabel(preferred(record, "BORN")?.dateValue);
+    const died = dateLabel(preferred(record, "DIED")?.dateValue);
+    if (born && died) return `${born}–${died}`;
+    if (born) return `b. ${born}`;
+    if (died) return `d. ${died}`;
+    return "";
+}
+
+/**
+ * Year of a date: "1850", "c. 1850" (approximate), "1850?" (uncertain),
+ * "1904/1908" (window), "bef. 1908" or "aft. 1904" (open window).
+ */
+function dateLabel(date) {
+    if (!date) return "";
+    if (date.type === "window") {
+        const from = date.start?.year ?? null;
+        const to = date.end?.year ?? null;
+        if (from !== null && to !== null) return from === to ? `${from}` : `${from}/${to}`;
+        if (to !== null) return `bef. ${to}`;
+        if (from !== null) return `aft. ${from}`;
+        return "";
+    }
+    if (date.year === null) return "";
+    const year = `${date.year}${date.uncertain ? "?" : ""}`;
+    return date.approximate ? `c. ${year}` : year;
+}
+
+/**
+ * One entry line. `emphasis` is "_" (Markdown), "em" (HTML) or "" (text).
+ */
+function describe(entry, escape, emphasis) {
+    const see = (text) => {
+        if (emphasis === "em") return `<em>${text}</em>`;
+        return emphasis ? `${emphasis}${text}${emphasis}` : text;
+    };
+    const code = (text) => {
+        if (emphasis === "em") return `<code>${escape(text)}</code>`;
+        return emphasis ? `\`${text}\`` : `[${text}]`;
+    };
+
+    const notes = [];
+    if (!entry.preferred && TYPE_LABELS[entry.nameType]) notes.push(TYPE_LABELS[entry.nameType]);
+    if (entry.dates) notes.push(entry.dates);
+
+    let line = escape(entry.name);
+    if (notes.length > 0) line += ` (${escape(notes.join("; "))})`;
+    line += ` ${code(entry.id)}`;
+    if (entry.see && entry.see !== entry.name) line += `, ${see("see")} ${escape(entry.see)}`;
+    return line;
+}
+
+function markdown(text) {
+    return text.replace(/([\\`*_[\]<>#|])/g, "\\$1");
+}
+
+function html(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
@@ -0,0 +1,345 @@
+/**
+ * FTTNames
+ * Splits a NAME into its parts. FTT stores only a display string and a free-form
+ * sort key (Spec 4.4), so the parts are inferred as Section 4.4.1 suggests: from
+ * the sort key, the name TYPE and the convention the name follows (4.4.2).
+ *
+ * const names = new FTTNames();
+ * names.parse(field); // "Dr. Jan van der Berg Jr." | "Berg, Jan van der"
+ * // { prefix: "Dr.", given: "Jan", particles: "van der", surname: "Berg",
+ * //   suffix: "Jr.", patronymic: "", convention: "western" }
+ * names.surname(record); // "van der Berg"
+ *
+ * Conventions:
+ * - "western": Given Surname, with a "Surname, Given" sort key or none.
+ * - "family-first": a sort key without a comma that starts with the display's
+ *   first word ("Mao Zedong"), or a comma sort key naming that word ("Bartók, Béla").
+ * - "cjk": Chinese, Japanese or Korean script; the family name comes first.
+ * - "patronymic": "Jón Einarsson" with that same sort key: no surname.
+ * - "mononym": a single name ("Plato"), or a NICK/REL name without a sort key.
+ * - "historical": "Catherine the Great" sorted as "Catherine, Great"; the epithet
+ *   is returned as the suffix.
+ *
+ * Slavic patronymics ("Ivan Petrovich Sidorov") are split from the given names.
+ * Surname particles ("van der") are recognised when written in lower case, or when
+ * the sort key puts them in the family name ("Van Dyke, Dick"): otherwise "Ben" in
+ * "John Ben Smith" is a given name.
+ */
+
+const PARTICLES = [
+    "van",
+    "von",
+    "der",
+    "den",
+    "de",
+    "del",
+    "della",
+    "dei",
+    "degli",
+    "di",
+    "da",
+    "das",
+    "do",
+    "dos",
+    "du",
+    "des",
+    "la",
+    "le",
+    "lo",
+    "ten",
+    "ter",
+    "te",
+    "zu",
+    "zum",
+    "zur",
+    "af",
+    "av",
+    "bin",
+    "ibn",
+    "bint",
+    "ben",
+    "al",
+    "el",
+    "mac",
+    "mc",
+    "ap",
+    "ua"
+];
+
+const PREFIXES = new Set([
+    "mr",
+    "mrs",
+    "ms",
+    "miss",
+    "mx",
+    "dr",
+    "prof",
+    "rev",
+    "revd",
+    "fr",
+    "sir",
+    "dame",
+    "lady",
+    "lord",
+    "hon",
+    "capt",
+    "col",
+    "gen",
+    "lt",
+    "maj",
+    "sgt",
+    "cpl",
+    "pvt",
+    "rabbi"
+]);
+
+const SUFFIXES = new Set(["jr", "sr", "jnr", "snr", "ii", "iii", "iv", "esq", "phd", "md", "dds"]);
+
+// Words that join a name to its epithet ("Catherine the Great", "William of Orange")
+const EPITHET_WORDS = new Set(["the", "of", "der", "die", "le", "la", "el", "il", "o"]);
+
+// Names without a surname unless a sort key says otherwise
+const GIVEN_ONLY_TYPES = new Set(["NICK", "REL"]);
+
+const CJK = /[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const NORDIC_PATRONYMIC = /(s?son|sen|s?dottir|s?dóttir)$/i;
+const SLAVIC_PATRONYMIC = /(ovich|evich|ovitch|ovna|evna|ichna)$/i;
+
+export default class FTTNames {
+    /**
+     * @param {object} [options]
+     * @param {string[]} [options.particles] - Extra surname particles, e.g. ["dit"]
+     */
+    constructor(options = {}) {
+        this.particles = new Set([...PARTICLES, ...(options.particles || [])]);
+    }
+
+    /**
+     * Parts of a parsed NAME field. Missing parts are empty strings.
+     * @param {object} field - A NAME field (display, sortKey, nameType)
+     * @returns {{ prefix, given, particles, surname, suffix, patronymic, convention }}
+     */
+    parse(field) {
+        const display = (field.display || "").trim();
+        const sortKey = (field.parsed?.[1] || "").trim(); // As written, without fallback
+        const parts = {
+            prefix: "",
+            given: "",
+            particles: "",
+            surname: "",
+            suffix: "",
+            patronymic: "",
+            convention: "western"
+        };
+
+        let words = display.split(/\s+/).filter((w) => w);
+        const prefix = [];
+        const suffix = [];
+        while (words.length > 1 && PREFIXES.has(bare(words[0]))) prefix.push(words.shift());
+        while (words.length > 1 && SUFFIXES.has(bare(words[words.length - 1]))) {
+            suffix.unshift(words.pop());
+        }
+        words = words.map((w, i) => (i === words.length - 1 ? w.replace(/,$/, "") : w));
+        parts.prefix = prefix.join(" ");
+        parts.suffix = suffix.join(" ");
+
+        if (CJK.test(display)) {
+            this._cjk(parts, words, sortKey);
+        } else if (sortKey.includes(",")) {
+            this._commaKey(parts, words, sortKey);
+        } else if (words.length <= 1) {
+            parts.given = words.join("");
+            parts.convention = "mononym";
+        } else if (sortKey) {
+            this._plainKey(parts, words, sortKey);
+        } else if (GIVEN_ONLY_TYPES.has(field.nameType)) {
+            parts.given = words.join(" ");
+            parts.convention = "mononym";
+        } else {
+            this._western(parts, words, words.length - 1, 1);
+        }
+
+        if (parts.convention !== "patronymic") splitPatronymic(parts);
+        return parts;
+    }
+
+    /**
+     * Family name (particles and surname) of a person's preferred NAME, else of
+     * their first NAME that has one.
+     * @param {object} record
+     * @returns {string} "" if none is known
+     */
+    surname(record) {
+        const fields = record?.data.NAME || [];
+        const ordered = [...fields.filter((f) => f.status === "PREF"), ...fields];
+        for (const field of ordered) {
+            const { particles, surname } = this.parse(field);
+            if (surname) return [particles, surname].filter((p) => p).join(" ");
+        }
+        return "";
+    }
+
+    // =========================================================================
+    // Conventions
+    // =========================================================================
+
+    /**
+     * "Surname, Given": locates the surname in the display.
+     */
+    _commaKey(parts, words, sortKey) {
+        const comma = sortKey.indexOf(",");
+        const family = sortKey
+            .slice(0, comma)
+            .trim()
+            .split(/\s+/)
+            .filter((w) => w);
+        const rest = sortKey.slice(comma + 1).trim();
+        const at = findWords(words, family);
+
+        if (at === -1 || words.length === family.length) {
+            // The display lacks one of the parts (e.g. "Mother" | "Smith, Mary"): trust the key
+            const given = rest.split(/\s+/).filter((w) => w);
+            while (given.length > 1 && this._isParticle(given[given.length - 1])) {
+                family.unshift(given.pop());
+            }
+            this._setSurname(parts, family);
+            parts.given = given.join(" ");
+            return;
+        }
+
+        if (at === 0) {
+            const after = words.slice(family.length);
+            if (after.length > 1 && EPITHET_WORDS.has(bare(after[0])) && rest) {
+                parts.given = family.join(" ");
+                parts.suffix = [after.join(" "), parts.suffix].filter((s) => s).join(" ");
+                parts.convention = "historical";
+                return;
+            }
+            this._setSurname(parts, family);
+            parts.given = after.join(" ");
+            parts.convention = "family-first";
+            return;
+        }
+
+        // "Berg, Jan van der" vouches for "Jan Van der Berg"
+        const keyed = rest.split(/\s+/).filter((w) => w);
+        const confirmed = [];
+        while (keyed.length > 1 && this._isParticle(keyed[keyed.length - 1])) {
+            confirmed.push(bare(keyed.pop()));
+        }
+        this._western(parts, words, at, family.length, confirmed);
+    }
+
+    /**
+     * A sort key without a comma: "Family Given" (4.4.2 CJK), "Given Patronymic",
+     * or a reordered key whose first word is the display's surname.
+     */
+    _plainKey(parts, words, sortKey) {
+        const first = bare(sortKey.split(/\s+/)[0]);
+        if (bare(words[0]) === first) {
+            if (NORDIC_PATRONYMIC.test(words[words.length - 1])) {
+                parts.given = words.slice(0, -1).join(" ");
+                parts.patronymic = words[words.length - 1];
+                parts.convention = "patronymic";
+                return;
+            }
+            this._setSurname(parts, [words[0]]);
+            parts.given = words.slice(1).join(" ");
+            parts.convention = "family-first";
+            return;
+        }
+
+        const at = words.findIndex((w) => bare(w) === first);
+        this._western(parts, words, at === -1 ? words.length - 1 : at, 1);
+    }
+
+    /**
+     * Family name first; without spaces, the first character is the surname.
+     */
+    _cjk(parts, words, sortKey) {
+        parts.convention = "cjk";
+        if (sortKey.includes(",")) {
+            this._setSurname(parts, [sortKey.slice(0, sortKey.indexOf(",")).trim()]);
+            parts.given = sortKey.slice(sortKey.indexOf(",") + 1).trim();
+        } else if (words.length > 1) {
+            parts.surname = words[0];
+            parts.given = words.slice(1).join(" ");
+        } else {
+            const chars = [...(words[0] || "")];
+            parts.surname = chars[0] || "";
+            parts.given = chars.slice(1).join("");
+        }
+    }
+
+    /**
+     * Given names, then the surname at `at` (`length` words). Particles just
+     * before it ("van der") are split off, and words after it join the suffix.
+     * @param {string[]} [confirmed] - Particles the sort key lists, in any case
+     */
+    _western(parts, words, at, length, confirmed = []) {
+        const particle = (word) => this._isParticle(word) || confirmed.includes(bare(word));
+        let start = at;
+        while (start > 1 && particle(words[start - 1])) start--;
+        this._setSurname(parts, words.slice(start, at + length));
+        parts.given = words.slice(0, start).join(" ");
+
+        const after = words.slice(at + length).join(" ");
+        parts.suffix = [after, parts.suffix].filter((s) => s).join(" ");
+    }
+
+    /**
+     * A particle written in lower case, as it is when it is not a given name.
+     */
+    _isParticle(word) {
+        return word === word.toLowerCase() && this.particles.has(bare(word));
+    }
+
+    /**
+     * Surname words (the sort key's, or vetted by _isParticle), with leading
+     * particles split off.
+     */
+    _setSurname(parts, family) {
+        let i = 0;
+        while (i < family.length - 1 && this.particles.has(bare(family[i]))) i++;
+        const particles = family.slice(0, i).join(" ");
+        parts.particles = [parts.particles, particles].filter((p) => p).join(" ");
+        parts.surname = family.slice(i).join(" ");
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Lower case without accents or punctuation ("Dr." -> "dr", "D'" -> "d").
+ */
+function bare(word) {
+    return (word || "")
+        .normalize("NFD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Index of the last run of `words` equal to `target` (ignoring case and accents).
+ */
+function findWords(words, target) {
+    if (target.length === 0) return -1;
+    for (let i = words.length - target.length; i >= 0; i--) {
+        if (target.every((t, j) => bare(words[i + j]) === bare(t))) return i;
+    }
+    return -1;
+}
+
+/**
+ * Moves a Slavic patronymic out of the given names ("Ivan Petrovich").
+ */
+function splitPatronymic(parts) {
+    const given = parts.given.split(" ").filter((w) => w);
+    const index = given.findIndex((w, i) => i > 0 && SLAVIC_PATRONYMIC.test(w));
+    if (index === -1) return;
+    parts.patronymic = given[index];
+    parts.given = given.filter((_, i) => i !== index).join(" ");
+}
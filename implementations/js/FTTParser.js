@@ -2,10 +2,19 @@
  * FamilyTree-Text (FTT) Reference Parser v0.1.6
  * const parser = new FTTParser();
  * const result = parser.parse(fileContentString);
+ * const partial = parser.parse(fileContentString, { recover: true }); // Collect all errors
+ * const merged = parser.parseFiles({ "main.ftt": text1, "branch.ftt": text2 }); // One graph
+ * const cst = parser.parseCST(fileContentString); // Lossless syntax tree
+ * const fixed = FTTParser.applyFix(fileContentString, result.errors[0].fixes[0]); // Quick fix
  */
 
+import FTTDate from "./FTTDate.js";
+import { buildSyntaxTree } from "./FTTSyntaxTree.js";
+
 const STANDARD_ID_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.-]*$/u;
 const KEY_PATTERN = /^([A-Z0-9_]+):(?:\s+(.*))?$/;
+const CONFLICT_MARKER_PATTERN = /^(<{7}|={7}|>{7})(\s|$)/;
+const MODIFIER_PATTERN = /_(SRC|QUAL|NOTE|PRIV)$/;
 
 // Whitelist of valid FTT v0.1 Keys
 const KNOWN_KEYS = new Set([
@@ -16,6 +25,7 @@ const KNOWN_KEYS = new Set([
     "HEAD_AUTHOR",
     "HEAD_DATE",
     "HEAD_COPYRIGHT",
+    "HEAD_INCLUDE",
     // Record Anchors
     "ID",
     // Individual Record Keys
@@ -59,7 +69,8 @@ const FATAL_CODES = new Set([
     "GHOST_CHILD", // Spec 8.3.1: "Critical Error"
     "CIRCULAR_LINEAGE", // Spec 8.3.3: "Critical Lineage Error"
     "DANGLING_REF", // Spec 8.3.4: "Critical Validation Error"
-    "DANGLING_SRC" // Spec 8.3.4: "Critical Validation Error"
+    "DANGLING_SRC", // Spec 8.3.4: "Critical Validation Error"
+    "MERGE_CONFLICT"
 ]);
 
 export default class FTTParser {
@@ -70,14 +81,140 @@ export default class FTTParser {
     /**
      * Main Entry Point
      * @param {string} rawText
+     * @param {object} [options]
+     * @param {boolean} [options.recover=false] - Lenient mode: keep parsing past fatal errors,
+     *   quarantining only the offending record or link, and return best-effort records.
+     *   Strict mode (the default) halts on the first fatal error as the spec requires.
+     * @param {string} [options.file] - Path of the text, used to resolve HEAD_INCLUDE and in errors.
+     * @param {function(string): ?string} [options.readFile] - Loads HEAD_INCLUDE files by path.
      * @returns {object} { headers, records, errors, warnings }
      */
-    parse(rawText) {
-        // Strip UTF-8 BOM if present
-        const cleanText = rawText.startsWith("\uFEFF") ? rawText.slice(1) : rawText;
+    parse(rawText, options = {}) {
+        const session = new ParseSession(this.SUPPORTED_VERSION, options);
+        const sources = [{ file: options.file || null, text: rawText }];
+        return session.run(this._resolveSources(session, sources, options.readFile));
+    }
+
+    /**
+     * Multi-File Entry Point
+     * Parses several files into one graph. IDs resolve across files, and every
+     * record and error carries the `file` it came from. Files named by HEAD_INCLUDE
+     * are taken from `files` first, then from `options.readFile`. Each file is read once.
+     * @param {object|Map<string, string>} files - Path -> file content
+     * @param {object} [options] - As for parse()
+     * @returns {object} { headers, records, errors, warnings }
+     */
+    parseFiles(files, options = {}) {
+        const contents = files instanceof Map ? files : new Map(Object.entries(files));
+        const readFile = (path) =>
+            contents.has(path) ? contents.get(path) : options.readFile?.(path);
+
+        const session = new ParseSession(this.SUPPORTED_VERSION, options);
+        const sources = [...contents].map(([file, text]) => ({ file, text }));
+        return session.run(this._resolveSources(session, sources, readFile));
+    }
+
+    /**
+     * Lossless Entry Point (Concrete Syntax Tree)
+     * Keeps comments, separators, blank lines and exact whitespace with line/column spans.
+     * No validation is performed; use parse() for the semantic model.
+     * @param {string} rawText
+     * @returns {CSTDocument} Call toString() to reproduce the input byte-for-byte.
+     */
+    parseCST(rawText) {
+        return buildSyntaxTree(rawText);
+    }
+
+    /**
+     * Checks an ID against the character and sigil rules (Spec 3.2).
+     * @param {string} id
+     * @returns {?string} Why the ID is invalid, or null if it is valid.
+     */
+    static validateID(id) {
+        if (/[\s|;\p{C}]/u.test(id)) {
+            return `ID "${id}" contains forbidden characters.`;
+        }
+        const firstChar = id.charAt(0);
+        if (!["^", "&", "?"].includes(firstChar) && !STANDARD_ID_PATTERN.test(id)) {
+            return `Invalid Standard ID "${id}".`;
+        }
+        return null;
+    }
+
+    /**
+     * The record type an ID's sigil denotes (Spec 3.2).
+     * @param {string} id
+     * @returns {string} INDIVIDUAL, SOURCE, EVENT or PLACEHOLDER
+     */
+    static recordType(id) {
+        if (id.startsWith("^")) return "SOURCE";
+        if (id.startsWith("&")) return "EVENT";
+        if (id.startsWith("?")) return "PLACEHOLDER";
+        return "INDIVIDUAL";
+    }
+
+    /**
+     * Applies a quick fix (see FTTError.fixes) to the text of one file.
+     * @param {string} text
+     * @param {{ title: string, edits: Array<{ file, span, text }> }} fix
+     * @param {?string} [file=null] - Path of the text. Edits to other files are skipped.
+     * @returns {string}
+     */
+    static applyFix(text, fix, file = null) {
+        const starts = [text.startsWith("\uFEFF") ? 1 : 0];
+        for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) {
+            starts.push(i + 1);
+        }
+        const offset = ({ line, column }) =>
+            Math.min((starts[line - 1] ?? text.length) + column, text.length);
+
+        return fix.edits
+            .filter((edit) => (edit.file ?? null) === file)
+            .map((edit) => ({ start: offset(edit.span.start), end: offset(edit.span.end), edit }))
+            .sort((a, b) => b.start - a.start)
+            .reduce(
+                (acc, { start, end, edit }) => acc.slice(0, start) + edit.text + acc.slice(end),
+                text
+            );
+    }
 
-        const session = new ParseSession(this.SUPPORTED_VERSION);
-        return session.run(this._createLineIterator(cleanText));
+    /**
+     * Generator to yield files one by one. Files included by the file just read
+     * are queued next, so the session sees them in depth-first order.
+     */
+    *_resolveSources(session, sources, readFile) {
+        const queue = [...sources];
+        const seen = new Set();
+
+        while (queue.length > 0) {
+            const { file, text } = queue.shift();
+            if (file !== null && seen.has(file)) continue;
+            seen.add(file);
+
+            // Strip UTF-8 BOM if present
+            const cleanText = text.startsWith("\uFEFF") ? text.slice(1) : text;
+            const eol = cleanText.includes("\r\n") ? "\r\n" : "\n";
+            yield { file, eol, lines: this._createLineIterator(cleanText) };
+
+            const included = [];
+            for (const include of session.takeIncludes()) {
+                const path = resolveIncludePath(file, include.path);
+                if (seen.has(path)) continue;
+
+                let content = null;
+                try {
+                    content = readFile ? readFile(path) : null;
+                } catch {
+                    // Unreadable files are reported like missing ones
+                }
+                if (typeof content === "string") {
+                    included.push({ file: path, text: content });
+                } else {
+                    session.reportMissingInclude(path, include);
+                }
+            }
+            queue.unshift(...included);
+        }
     }
 
     /**
@@ -112,18 +249,24 @@ export default class FTTParser {
 
 /**
  * Structured Error Object
+ * `fixes` lists machine-applicable corrections, most likely first:
+ * { title, edits: [{ file, span, text }] }, where each edit replaces a span
+ * (1-based lines, 0-based columns, as in the CST). Apply with FTTParser.applyFix().
  */
-class FTTError {
-    constructor(code, message, line, severity = "ERROR") {
+export class FTTError {
+    constructor(code, message, line, severity = "ERROR", file = null, fixes = []) {
         this.code = code;
         this.message = message;
+        this.file = file; // Source path in multi-file parses, otherwise null
         this.line = line;
         this.severity = severity;
+        this.fixes = fixes;
         this.timestamp = new Date().toISOString();
     }
 
     toString() {
-        return `[${this.severity}] Line ${this.line}: ${this.message} (${this.code})`;
+        const location = this.file ? `${this.file}, Line ${this.line}` : `Line ${this.line}`;
+        return `[${this.severity}] ${location}: ${this.message} (${this.code})`;
     }
 }
 
@@ -142,8 +285,9 @@ class FTTFatalError extends Error {
  * Internal Parse Session
  */
 class ParseSession {
-    constructor(version) {
+    constructor(version, options = {}) {
         this.SUPPORTED_VERSION = version;
+        this.recover = !!options.recover;
 
         // Output Data
         this.headers = {};
@@ -154,8 +298,19 @@ class ParseSession {
         this.errors = []; // Array<FTTError>
         this.warnings = []; // Array<FTTError>
 
+        // Multi-File State
+        this.currentFile = null; // File being read, or owning the record under validation
+        this.rootFile = undefined;
+        this.pendingIncludes = [];
+        this.eols = new Map(); // File -> line terminator, for fixes that insert lines
+
+        // Source text of each record's ID line and each field's key line, for fix spans
+        this.keyLines = new WeakMap();
+        this.lineText = "";
+
         // State
         this.currentRecordId = null;
+        this.currentRecord = null; // May be a quarantined record that is not in this.records
         this.currentKey = null;
         this.buffer = [];
         this.lastFieldRef = null;
@@ -163,16 +318,24 @@ class ParseSession {
 
         // Track current line for buffer flushing
         this.bufferStartLine = 0;
+
+        // Recovery: swallow continuation lines of a rejected key
+        this.discardContinuation = false;
     }
 
-    run(lineIterator) {
+    run(sources) {
         try {
-            // Iterate via generator (Memory Optimization)
-            for (const { line, lineNum } of lineIterator) {
-                this._processLine(line, lineNum);
+            for (const { file, eol, lines } of sources) {
+                this._beginFile(file, eol);
+
+                // Iterate via generator (Memory Optimization)
+                for (const { line, lineNum } of lines) {
+                    this._processLine(line, lineNum);
+                }
+
+                this._endFile();
             }
 
-            this._flushBuffer();
             this._postProcess();
             this._validateGraph();
         } catch (e) {
@@ -203,6 +366,39 @@ class ParseSession {
     // 1. Line Processing
     // =========================================================================
 
+    _beginFile(file, eol) {
+        if (this.rootFile === undefined) this.rootFile = file;
+        this.currentFile = file;
+        this.eols.set(file, eol);
+    }
+
+    /**
+     * Records never span files: close any open field and record block.
+     */
+    _endFile() {
+        this._flushBuffer();
+        this.currentRecordId = null;
+        this.currentRecord = null;
+        this.lastFieldRef = null;
+        this.discardContinuation = false;
+    }
+
+    /**
+     * Returns (and clears) the HEAD_INCLUDE paths found in the file just read.
+     */
+    takeIncludes() {
+        return this.pendingIncludes.splice(0);
+    }
+
+    reportMissingInclude(path, include) {
+        this.currentFile = include.file;
+        this._error(
+            "INCLUDE_NOT_FOUND",
+            `Included file "${path}" could not be read.`,
+            include.line
+        );
+    }
+
     _processLine(line, lineNum) {
         if (line.startsWith("#")) return;
 
@@ -210,6 +406,8 @@ class ParseSession {
         if (line.startsWith("---")) {
             this._flushBuffer();
             this.currentRecordId = null;
+            this.currentRecord = null;
+            this.discardContinuation = false;
             return;
         }
 
@@ -224,6 +422,7 @@ class ParseSession {
         // 3. Indentation Check (Continuation)
         if (line.startsWith("  ")) {
             if (!this.currentKey) {
+                if (this.discardContinuation) return;
                 this._error("SYNTAX_INDENT", "Indented content without a preceding key.", lineNum);
                 return; // Logic stops if fatal
             }
@@ -243,15 +442,22 @@ class ParseSession {
         const keyMatch = line.match(KEY_PATTERN);
         if (keyMatch) {
             this._flushBuffer();
+            this.lineText = line;
             this._handleNewKey(keyMatch[1], keyMatch[2] || "", lineNum);
             return;
         }
 
-        this._error(
-            "SYNTAX_INVALID",
-            "Invalid syntax at Column 0. Expected Key or Indentation.",
-            lineNum
-        );
+        this._flushBuffer();
+        if (CONFLICT_MARKER_PATTERN.test(line)) {
+            this._error("MERGE_CONFLICT", "Unresolved merge conflict marker.", lineNum);
+        } else {
+            this._error(
+                "SYNTAX_INVALID",
+                "Invalid syntax at Column 0. Expected Key or Indentation.",
+                lineNum
+            );
+        }
+        this._discardCurrentKey();
     }
 
     // =========================================================================
@@ -259,10 +465,18 @@ class ParseSession {
     // =========================================================================
 
     _handleNewKey(key, inlineValue, lineNum) {
+        this.discardContinuation = false;
+
         // VALIDATION: Unknown Key Check
         // Spec 8.1.4: "If a line contains... text... not recognized as a Key... raise a Syntax Error"
         if (!this._isValidKey(key)) {
-            this._error("SYNTAX_INVALID", `Unknown Key "${key}" encountered at Column 0.`, lineNum);
+            this._error(
+                "SYNTAX_INVALID",
+                `Unknown Key "${key}" encountered at Column 0.`,
+                lineNum,
+                this._keyFixes(key, lineNum)
+            );
+            this._discardCurrentKey();
             return;
         }
 
@@ -282,35 +496,47 @@ class ParseSession {
         // Record ID
         if (key === "ID") {
             const id = inlineValue.trim().normalize("NFC");
-            this._validateID(id, lineNum);
+            let isValid = this._validateID(id, lineNum);
 
             // Strict Collision Intolerance
             if (this.records.has(id)) {
-                const originalLine = this.records.get(id).line;
+                const original = this.records.get(id);
+                const location =
+                    original.file === this.currentFile
+                        ? `Line ${original.line}`
+                        : `${original.file}, Line ${original.line}`;
                 this._error(
                     "DUPLICATE_ID",
-                    `Duplicate Record ID "${id}" detected. Originally defined on Line ${originalLine}.`,
+                    `Duplicate Record ID "${id}" detected. Originally defined on ${location}.`,
                     lineNum
                 );
+                isValid = false;
             }
 
             this.currentRecordId = id;
-            this.records.set(id, {
+            this.currentRecord = {
                 id: id,
                 type: this._determineRecordType(id),
+                file: this.currentFile,
                 line: lineNum,
                 data: {}
-            });
-            this.ids.add(id);
+            };
+            this.keyLines.set(this.currentRecord, this.lineText);
             this.lastFieldRef = null;
+
+            // Recovery mode: the rejected block is still consumed, but kept out of the result
+            if (isValid) {
+                this.records.set(id, this.currentRecord);
+                this.ids.add(id);
+            }
             return;
         }
 
         // Data Keys
         if (this.currentRecordId) {
-            const record = this.records.get(this.currentRecordId);
+            const record = this.currentRecord;
 
-            if (key.endsWith("_SRC") || key.endsWith("_QUAL") || key.endsWith("_NOTE")) {
+            if (MODIFIER_PATTERN.test(key)) {
                 this._attachModifier(record, key, lineNum);
             } else {
                 this._createField(record, key, lineNum);
@@ -324,9 +550,9 @@ class ParseSession {
         // 1. Extensions (Start with _) are always valid as user-defined tags
         if (key.startsWith("_")) return true;
 
-        // 2. Modifiers (End with _SRC, _QUAL, or _NOTE)
-        if (key.endsWith("_SRC") || key.endsWith("_QUAL") || key.endsWith("_NOTE")) {
-            const baseKey = key.replace(/_(SRC|QUAL|NOTE)$/, "");
+        // 2. Modifiers (End with _SRC, _QUAL, _NOTE or _PRIV)
+        if (MODIFIER_PATTERN.test(key)) {
+            const baseKey = key.replace(MODIFIER_PATTERN, "");
             return baseKey.startsWith("_") || KNOWN_KEYS.has(baseKey);
         }
 
@@ -347,6 +573,7 @@ class ParseSession {
         };
 
         record.data[key].push(newFieldObj);
+        this.keyLines.set(newFieldObj, this.lineText);
         this.lastFieldRef = {
             key,
             obj: newFieldObj
@@ -354,14 +581,28 @@ class ParseSession {
     }
 
     _attachModifier(record, modKey, lineNum) {
-        const baseKey = modKey.replace(/_(SRC|QUAL|NOTE)$/, "");
+        const baseKey = modKey.replace(MODIFIER_PATTERN, "");
 
         if (!this.lastFieldRef || this.lastFieldRef.key !== baseKey) {
+            // Suggest moving the modifier to the field it follows (BORN_SRC after DIED -> DIED_SRC)
+            const fixes = [];
+            if (this.lastFieldRef) {
+                const renamed = this.lastFieldRef.key + modKey.slice(baseKey.length);
+                fixes.push(
+                    this._replaceFix(
+                        `Rename ${modKey} to ${renamed}`,
+                        keySpan(modKey, lineNum),
+                        renamed
+                    )
+                );
+            }
             this._error(
                 "CTX_MODIFIER",
                 `Modifier ${modKey} does not immediately follow a ${baseKey} field.`,
-                lineNum
+                lineNum,
+                fixes
             );
+            this._discardCurrentKey();
             return;
         }
 
@@ -373,6 +614,7 @@ class ParseSession {
             raw: "",
             line: lineNum
         };
+        this.keyLines.set(modObj, this.lineText);
 
         this.lastFieldRef.obj.modifiers[modKey].push(modObj);
         this.currentModifierTarget = modObj;
@@ -396,8 +638,21 @@ class ParseSession {
             this.currentModifierTarget.raw = fullText;
             this.currentModifierTarget.parsed = this._parsePipes(fullText);
             this.currentModifierTarget = null;
+        } else if (this.currentKey === "HEAD_INCLUDE") {
+            this._parsePipes(fullText)
+                .filter((path) => path)
+                .forEach((path) => {
+                    this.pendingIncludes.push({
+                        path,
+                        file: this.currentFile,
+                        line: this.bufferStartLine
+                    });
+                });
         } else if (this.currentKey.startsWith("HEAD_")) {
-            this.headers[this.currentKey] = fullText.normalize("NFC");
+            // In multi-file parses, the first file to define a header wins
+            if (this.currentFile === this.rootFile || !(this.currentKey in this.headers)) {
+                this.headers[this.currentKey] = fullText.normalize("NFC");
+            }
         } else if (this.currentRecordId && this.lastFieldRef) {
             this.lastFieldRef.obj.raw = fullText;
             this.lastFieldRef.obj.parsed = this._parsePipes(fullText);
@@ -407,6 +662,16 @@ class ParseSession {
         this.currentKey = null;
     }
 
+    /**
+     * Recovery: drops the value of a rejected key, including its continuation lines.
+     */
+    _discardCurrentKey() {
+        this.currentKey = null;
+        this.buffer = [];
+        this.currentModifierTarget = null;
+        this.discardContinuation = true;
+    }
+
     /**
      * Splits string by pipes and unescapes content.
      */
@@ -474,6 +739,7 @@ class ParseSession {
     _injectImplicitUnions() {
         for (const [id, record] of this.records) {
             if (!record.data["UNION"]) continue;
+            this.currentFile = record.file;
 
             for (const unionField of record.data["UNION"]) {
                 const partnerId = unionField.parsed[0];
@@ -548,26 +814,9 @@ class ParseSession {
             });
 
             const forgottenChildren = actualChildren.filter((c) => !manifestIds.has(c.id));
-            forgottenChildren.sort((a, b) => {
-                const dateA = this._getSortableDate(a); // e.g., "-1000", "2000-12", "9999"
-                const dateB = this._getSortableDate(b);
-
-                const isNegA = dateA.startsWith("-");
-                const isNegB = dateB.startsWith("-");
-
-                // Case 1: Mixed Eras (BCE vs CE)
-                if (isNegA !== isNegB) {
-                    return isNegA ? -1 : 1;
-                }
-
-                // Case 2: Both BCE (Negative)
-                if (isNegA) {
-                    return dateB.localeCompare(dateA);
-                }
-
-                // Case 3: Both CE (Positive)
-                return dateA.localeCompare(dateB);
-            });
+            forgottenChildren.sort((a, b) =>
+                FTTDate.compare(this._getBirthDate(a), this._getBirthDate(b))
+            );
 
             forgottenChildren.forEach((childRec) => {
                 finalList.push({
@@ -585,12 +834,9 @@ class ParseSession {
         }
     }
 
-    _getSortableDate(record) {
-        if (!record.data["BORN"] || !record.data["BORN"][0]) return "9999";
-        const rawDate = record.data["BORN"][0].parsed[0];
-        if (!rawDate) return "9999";
-        const match = rawDate.match(/(-?[0-9]{4}(?:-[0-9]{2})?(?:-[0-9]{2})?)/);
-        return match ? match[1] : "9999";
+    _getBirthDate(record) {
+        if (!record.data["BORN"] || !record.data["BORN"][0]) return null;
+        return FTTDate.parse(record.data["BORN"][0].parsed[0]);
     }
 
     _processPlaceHierarchies() {
@@ -659,6 +905,8 @@ class ParseSession {
                 field.source = safe(2);
             } else if (key.endsWith("_NOTE")) {
                 field.text = p[0] ? p[0].normalize("NFC") : ""; // Preserve whitespace for notes
+            } else if (key.endsWith("_PRIV")) {
+                field.level = safe(0);
             }
             return;
         }
@@ -673,6 +921,7 @@ class ParseSession {
             case "BORN":
             case "DIED":
                 field.date = safe(0);
+                field.dateValue = FTTDate.parse(field.date);
                 field.place = field.place || (p[1] ? p[1].normalize("NFC") : ""); // Respect pre-existing place
                 field.status = safe(2);
                 break;
@@ -680,6 +929,8 @@ class ParseSession {
                 field.eventType = safe(0);
                 field.startDate = safe(1);
                 field.endDate = safe(2);
+                field.startDateValue = FTTDate.parse(field.startDate);
+                field.endDateValue = FTTDate.parse(field.endDate);
                 field.place = field.place || (p[1] ? p[1].normalize("NFC") : ""); // Respect pre-existing place
                 field.details = safe(4);
                 break;
@@ -693,12 +944,16 @@ class ParseSession {
                 field.relType = safe(1);
                 field.startDate = safe(2);
                 field.endDate = safe(3);
+                field.startDateValue = FTTDate.parse(field.startDate);
+                field.endDateValue = FTTDate.parse(field.endDate);
                 break;
             case "UNION":
                 field.partnerId = safe(0);
                 field.unionType = safe(1);
                 field.startDate = safe(2);
                 field.endDate = safe(3);
+                field.startDateValue = FTTDate.parse(field.startDate);
+                field.endDateValue = FTTDate.parse(field.endDate);
                 field.endReason = safe(4);
                 break;
             case "ASSOC":
@@ -706,6 +961,8 @@ class ParseSession {
                 field.role = safe(1);
                 field.startDate = safe(2);
                 field.endDate = safe(3);
+                field.startDateValue = FTTDate.parse(field.startDate);
+                field.endDateValue = FTTDate.parse(field.endDate);
                 field.details = safe(4);
                 break;
             case "MEDIA":
@@ -727,6 +984,7 @@ class ParseSession {
             case "START_DATE":
             case "END_DATE":
                 field.date = safe(0);
+                field.dateValue = FTTDate.parse(field.date);
                 break;
             case "PLACE":
                 field.place = field.place || (p[1] ? p[1].normalize("NFC") : ""); // Respect pre-existing place
@@ -738,6 +996,11 @@ class ParseSession {
             case "URL":
                 field.text = p[0] ? p[0].normalize("NFC") : ""; // Preserve whitespace
                 break;
+            case "_SEALED":
+                // Encrypted field (FTTVault), opaque without the passphrase
+                field.sealedKey = safe(0);
+                field.envelope = safe(1);
+                break;
             default:
                 // Handle user-defined extensions (e.g. _EYE_COLOR)
                 if (key.startsWith("_")) {
@@ -879,26 +1142,20 @@ class ParseSession {
     // =========================================================================
 
     _determineRecordType(id) {
-        if (id.startsWith("^")) return "SOURCE";
-        if (id.startsWith("&")) return "EVENT";
-        if (id.startsWith("?")) return "PLACEHOLDER";
-        return "INDIVIDUAL";
+        return FTTParser.recordType(id);
     }
 
     _validateID(id, lineNum) {
-        if (/[\s|;\p{C}]/u.test(id)) {
-            this._error("ID_FORMAT", `ID "${id}" contains forbidden characters.`, lineNum);
-            return;
-        }
-        const firstChar = id.charAt(0);
-        if (!["^", "&", "?"].includes(firstChar)) {
-            if (!STANDARD_ID_PATTERN.test(id)) {
-                this._error("ID_FORMAT", `Invalid Standard ID "${id}".`, lineNum);
-            }
+        const problem = FTTParser.validateID(id);
+        if (problem) {
+            this._error("ID_FORMAT", problem, lineNum);
+            return false;
         }
+        return true;
     }
 
     _validateGraph() {
+        this.currentFile = this.rootFile;
         const formatHeader = this.headers["HEAD_FORMAT"];
         if (!formatHeader) {
             this._error("MISSING_HEADER", "Missing Header: HEAD_FORMAT", 1);
@@ -918,8 +1175,9 @@ class ParseSession {
 
         // 2. Ghost Child Check (Defined as Critical Error in Spec 8.3.1)
         this.records.forEach((record, parentId) => {
+            this.currentFile = record.file;
             if (record.data["CHILD"]) {
-                record.data["CHILD"].forEach((childField) => {
+                [...record.data["CHILD"]].forEach((childField) => {
                     const childId = childField.parsed[0];
                     if (!childId || childId.startsWith("?")) return;
 
@@ -933,8 +1191,10 @@ class ParseSession {
                         this._error(
                             "GHOST_CHILD",
                             `${parentId} -> ${childId} (Child does not reciprocate PARENT link).`,
-                            childField.line
+                            childField.line,
+                            [this._addParentFix(childRecord, parentId)]
                         );
+                        this._quarantine(record.data, "CHILD", childField);
                     }
                 });
             }
@@ -978,7 +1238,8 @@ class ParseSession {
 
                 const record = this.records.get(id);
                 if (record && record.data["PARENT"]) {
-                    for (const pField of record.data["PARENT"]) {
+                    this.currentFile = record.file;
+                    for (const pField of [...record.data["PARENT"]]) {
                         const parentId = pField.parsed[0];
 
                         if (parentId && this.records.has(parentId)) {
@@ -989,6 +1250,12 @@ class ParseSession {
                                     `Circular Lineage Detected: ${cyclePath}`,
                                     pField.line || record.line
                                 );
+                                // Recovery: break the cycle at the closing link
+                                this._quarantine(record.data, "PARENT", pField);
+                                const parentRec = this.records.get(parentId);
+                                parentRec.data["CHILD"]
+                                    ?.filter((c) => c.parsed[0] === id)
+                                    .forEach((c) => this._quarantine(parentRec.data, "CHILD", c));
                             } else if (!visited.has(parentId)) {
                                 stack.push({ id: parentId, processed: false });
                             }
@@ -1001,15 +1268,25 @@ class ParseSession {
         // 4. Vocabulary & Date (Non-Fatal Validation)
         this._validateVocabulary();
         this._validateDates();
+
+        // 5. Chronological Plausibility (Non-Fatal Warnings)
+        this._validateChronology();
     }
 
     _checkReferences(record) {
+        this.currentFile = record.file;
         const refKeys = ["PARENT", "CHILD", "UNION", "ASSOC", "SRC", "EVENT_REF"];
         refKeys.forEach((key) => {
-            record.data[key]?.forEach((field) => {
+            [...(record.data[key] || [])].forEach((field) => {
                 const targetId = field.parsed[0];
                 if (targetId && !this._idExists(targetId)) {
-                    this._error("DANGLING_REF", `Reference to missing ID: ${targetId}`, field.line);
+                    this._error(
+                        "DANGLING_REF",
+                        `Reference to missing ID: ${targetId}`,
+                        field.line,
+                        this._idFixes(field, targetId)
+                    );
+                    this._quarantine(record.data, key, field);
                 }
             });
         });
@@ -1018,14 +1295,16 @@ class ParseSession {
             fieldList.forEach((field) => {
                 for (const modKey in field.modifiers) {
                     if (modKey.endsWith("_SRC")) {
-                        field.modifiers[modKey].forEach((mod) => {
+                        [...field.modifiers[modKey]].forEach((mod) => {
                             const srcId = mod.parsed[0];
                             if (srcId && !this._idExists(srcId)) {
                                 this._error(
                                     "DANGLING_SRC",
                                     `Citation of missing Source: ${srcId}`,
-                                    mod.line
+                                    mod.line,
+                                    this._idFixes(mod, srcId)
                                 );
+                                this._quarantine(field.modifiers, modKey, mod);
                             }
                         });
                     }
@@ -1052,6 +1331,7 @@ class ParseSession {
                 "UNK"
             ]),
             NAME_STATUS: new Set(["PREF"]),
+            PRIVACY_LEVELS: new Set(["OPEN", "LIVING", "PRIVATE"]),
             VITAL_STATUS: new Set(["PREF"]),
             ASSOC_ROLES: new Set([
                 "GODP",
@@ -1073,44 +1353,53 @@ class ParseSession {
         };
 
         for (const record of this.records.values()) {
+            this.currentFile = record.file;
+            // Reports a code outside its vocabulary, suggesting the nearest standard codes
+            const check = (report, code, f, index, label, vocabulary) => {
+                const value = (f.parsed[index] || "").trim();
+                if (!value || vocabulary.has(value)) return;
+                const message =
+                    code === "INVALID_VOCAB"
+                        ? `Invalid ${label} "${value}"`
+                        : `Non-standard ${label} "${value}"`;
+                report.call(this, code, message, f.line, this._vocabFixes(f, index, vocabulary));
+            };
+
             record.data["PARENT"]?.forEach((f) => {
-                const type = (f.parsed[1] || "").trim();
-                if (type && !VALID.PARENT_TYPES.has(type))
-                    this._error("INVALID_VOCAB", `Invalid PARENT Type "${type}"`, f.line);
+                check(this._error, "INVALID_VOCAB", f, 1, "PARENT Type", VALID.PARENT_TYPES);
             });
 
             record.data["UNION"]?.forEach((f) => {
                 if (f.isImplicit) return;
-                const type = (f.parsed[1] || "").trim();
-                const reason = (f.parsed[4] || "").trim();
-                if (type && !VALID.UNION_TYPES.has(type))
-                    this._error("INVALID_VOCAB", `Invalid UNION Type "${type}"`, f.line);
-                if (reason && !VALID.UNION_REASONS.has(reason))
-                    this._error("INVALID_VOCAB", `Invalid UNION Reason "${reason}"`, f.line);
+                check(this._error, "INVALID_VOCAB", f, 1, "UNION Type", VALID.UNION_TYPES);
+                check(this._error, "INVALID_VOCAB", f, 4, "UNION Reason", VALID.UNION_REASONS);
             });
 
             record.data["NAME"]?.forEach((f) => {
-                const type = (f.parsed[2] || "").trim();
-                const status = (f.parsed[3] || "").trim();
-                if (type && !VALID.NAME_TYPES.has(type))
-                    this._warning("NONSTD_VOCAB", `Non-standard NAME Type "${type}"`, f.line);
-                if (status && !VALID.NAME_STATUS.has(status))
-                    this._error("INVALID_VOCAB", `Invalid NAME Status "${status}"`, f.line);
+                check(this._warning, "NONSTD_VOCAB", f, 2, "NAME Type", VALID.NAME_TYPES);
+                check(this._error, "INVALID_VOCAB", f, 3, "NAME Status", VALID.NAME_STATUS);
             });
 
             ["BORN", "DIED"].forEach((key) => {
                 record.data[key]?.forEach((f) => {
-                    const status = (f.parsed[2] || "").trim();
-                    if (status && !VALID.VITAL_STATUS.has(status)) {
-                        this._error("INVALID_VOCAB", `Invalid ${key} Status "${status}"`, f.line);
-                    }
+                    check(this._error, "INVALID_VOCAB", f, 2, `${key} Status`, VALID.VITAL_STATUS);
                 });
             });
 
             record.data["ASSOC"]?.forEach((f) => {
-                const role = (f.parsed[1] || "").trim();
-                if (role && !VALID.ASSOC_ROLES.has(role))
-                    this._warning("NONSTD_VOCAB", `Non-standard ASSOC Role "${role}"`, f.line);
+                check(this._warning, "NONSTD_VOCAB", f, 1, "ASSOC Role", VALID.ASSOC_ROLES);
+            });
+
+            // Field-level privacy (*_PRIV) uses the record-level PRIVACY levels
+            Object.values(record.data).forEach((fields) => {
+                fields.forEach((field) => {
+                    for (const [modKey, mods] of Object.entries(field.modifiers || {})) {
+                        if (!modKey.endsWith("_PRIV")) continue;
+                        mods.forEach((m) => {
+                            check(this._error, "INVALID_VOCAB", m, 0, modKey, VALID.PRIVACY_LEVELS);
+                        });
+                    }
+                });
             });
         }
     }
@@ -1128,6 +1417,7 @@ class ParseSession {
         };
 
         for (const record of this.records.values()) {
+            this.currentFile = record.file;
             for (const [key, fields] of Object.entries(record.data)) {
                 if (DATE_KEYS[key]) {
                     const indicesToCheck = DATE_KEYS[key];
@@ -1135,7 +1425,7 @@ class ParseSession {
                         indicesToCheck.forEach((idx) => {
                             if (field.parsed.length > idx) {
                                 const dateVal = field.parsed[idx];
-                                if (dateVal && !isValidFTTDate(dateVal)) {
+                                if (dateVal && !FTTDate.isValid(dateVal)) {
                                     this._error(
                                         "INVALID_DATE",
                                         `Invalid ISO 8601/EDTF Date "${dateVal}"`,
@@ -1150,72 +1440,311 @@ class ParseSession {
         }
     }
 
+    /**
+     * Sanity-checks dates against each other. Uses the bounds of each date so that
+     * uncertain values (e.g. `[1904..1908]`) are only flagged when every possible
+     * value is impossible.
+     */
+    _validateChronology() {
+        const MIN_PARENT_AGE = 12;
+        const MAX_PARENT_AGE = 70;
+        const LINEAGE_TYPES = new Set(["", "BIO"]);
+        const checkedUnions = new Set();
+
+        for (const [id, record] of this.records) {
+            this.currentFile = record.file;
+            const born = this._vitalField(record, "BORN");
+            const died = this._vitalField(record, "DIED");
+            const birth = born?.dateValue;
+            const death = died?.dateValue;
+
+            // 1. Lifespan
+            if (FTTDate.isBefore(death, birth)) {
+                this._warning(
+                    "CHRONO_LIFESPAN",
+                    `${id}: Death (${death.raw}) precedes birth (${birth.raw}).`,
+                    died.line
+                );
+            }
+
+            // 2. Lineage Timing (Biological Parents)
+            record.data["PARENT"]?.forEach((pField) => {
+                if (!birth || !LINEAGE_TYPES.has(pField.relType)) return;
+                const parent = this.records.get(pField.parentId);
+                if (!parent) return;
+
+                const parentBirth = this._vitalField(parent, "BORN")?.dateValue;
+                const parentDeath = this._vitalField(parent, "DIED")?.dateValue;
+                const parentSex = parent.data["SEX"]?.[0]?.value;
+
+                if (FTTDate.isBefore(birth, parentBirth)) {
+                    this._warning(
+                        "CHRONO_BEFORE_PARENT",
+                        `${id} (born ${birth.raw}) was born before parent ${parent.id} (born ${parentBirth.raw}).`,
+                        pField.line
+                    );
+                    return;
+                }
+
+                if (parentSex === "F" && FTTDate.isBefore(parentDeath, birth)) {
+                    this._warning(
+                        "CHRONO_AFTER_MOTHER",
+                        `${id} (born ${birth.raw}) was born after mother ${parent.id} died (${parentDeath.raw}).`,
+                        pField.line
+                    );
+                }
+
+                const age = FTTDate.yearsBetween(parentBirth, birth);
+                if (age && (age.max < MIN_PARENT_AGE || age.min > MAX_PARENT_AGE)) {
+                    const ageText = age.min === age.max ? age.min : `${age.min}-${age.max}`;
+                    this._warning(
+                        "CHRONO_PARENT_AGE",
+                        `Parent ${parent.id} was ${ageText} at the birth of ${id} (expected ${MIN_PARENT_AGE}-${MAX_PARENT_AGE}).`,
+                        pField.line
+                    );
+                }
+            });
+
+            // 3. Unions (each couple & start date is checked once)
+            record.data["UNION"]?.forEach((uField) => {
+                if (uField.isImplicit) return;
+                const unionKey = [id, uField.partnerId].sort().join("|") + "|" + uField.startDate;
+                if (checkedUnions.has(unionKey)) return;
+                checkedUnions.add(unionKey);
+
+                const partners = [record, this.records.get(uField.partnerId)].filter((r) => r);
+                const deaths = partners.map((r) => ({
+                    id: r.id,
+                    field: this._vitalField(r, "DIED")
+                }));
+
+                deaths.forEach(({ id: personId, field }) => {
+                    if (FTTDate.isBefore(field?.dateValue, uField.startDateValue)) {
+                        this._warning(
+                            "CHRONO_UNION_AFTER_DEATH",
+                            `Union starts (${uField.startDate}) after ${personId} died (${field.dateValue.raw}).`,
+                            uField.line
+                        );
+                    }
+                });
+
+                // Widowhood: one partner should die within a year of the end date
+                const end = uField.endDateValue;
+                if (uField.endReason !== "WID" || !end?.earliest || !end.latest) return;
+                if (partners.length < 2) return; // Placeholder partner, nothing to compare
+
+                const isNear = (date) => {
+                    const gap = FTTDate.isBefore(date, end)
+                        ? FTTDate.yearsBetween(date, end)
+                        : FTTDate.yearsBetween(end, date);
+                    return !gap || gap.min < 1;
+                };
+
+                const recorded = deaths.filter((d) => d.field);
+                if (
+                    recorded.some((d) => !d.field.dateValue?.earliest || !d.field.dateValue.latest)
+                ) {
+                    return; // An undated death might match
+                }
+                if (!recorded.some((d) => isNear(d.field.dateValue))) {
+                    const detail = recorded.length
+                        ? `no partner died near the end date (${uField.endDate})`
+                        : "neither partner has a recorded death";
+                    this._warning(
+                        "CHRONO_WIDOWHOOD",
+                        `Union of ${id} and ${uField.partnerId} ended by widowhood, but ${detail}.`,
+                        uField.line
+                    );
+                }
+            });
+        }
+    }
+
+    /**
+     * Returns the preferred (PREF) or first BORN/DIED field of a record.
+     */
+    _vitalField(record, key) {
+        const fields = record.data[key];
+        if (!fields || fields.length === 0) return null;
+        return fields.find((f) => f.status === "PREF") || fields[0];
+    }
+
     _idExists(id) {
         if (id.startsWith("?")) return true;
         return this.ids.has(id);
     }
 
-    _error(code, msg, line) {
-        const error = new FTTError(code, msg, line, FATAL_CODES.has(code) ? "FATAL" : "ERROR");
+    /**
+     * Recovery: removes an offending field, link or modifier from its container.
+     * Only reachable in recovery mode, as the error before it halts a strict parse.
+     */
+    _quarantine(container, key, item) {
+        const list = container[key];
+        if (!list) return;
+        const index = list.indexOf(item);
+        if (index !== -1) list.splice(index, 1);
+        if (list.length === 0) delete container[key];
+    }
+
+    _error(code, msg, line, fixes = []) {
+        const severity = FATAL_CODES.has(code) ? "FATAL" : "ERROR";
+        const error = new FTTError(code, msg, line, severity, this.currentFile, fixes);
 
-        // Immediate Halt if Fatal
-        if (FATAL_CODES.has(code)) {
+        // Immediate Halt if Fatal (recovery mode records it and lets the caller quarantine)
+        if (FATAL_CODES.has(code) && !this.recover) {
             throw new FTTFatalError(error);
         }
 
         this.errors.push(error);
     }
 
-    _warning(code, msg, line) {
-        this.warnings.push(new FTTError(code, msg, line, "WARNING"));
+    _warning(code, msg, line, fixes = []) {
+        this.warnings.push(new FTTError(code, msg, line, "WARNING", this.currentFile, fixes));
+    }
+
+    // =========================================================================
+    // 6. Quick Fixes
+    // =========================================================================
+
+    _replaceFix(title, span, text, file = this.currentFile) {
+        return { title, edits: [{ file, span, text }] };
+    }
+
+    /**
+     * Ghost child: add the missing PARENT link below the child's ID line.
+     */
+    _addParentFix(childRecord, parentId) {
+        const idLine = this.keyLines.get(childRecord) || "";
+        const eol = this.eols.get(childRecord.file) || "\n";
+        const end = { line: childRecord.line, column: idLine.length };
+        const link = `PARENT: ${parentId} | BIO`;
+        return this._replaceFix(
+            `Add "${link}" to ${childRecord.id}`,
+            { start: end, end },
+            eol + link,
+            childRecord.file
+        );
+    }
+
+    _keyFixes(key, lineNum) {
+        return suggest(key, KNOWN_KEYS).map((known) =>
+            this._replaceFix(`Did you mean ${known}?`, keySpan(key, lineNum), known)
+        );
+    }
+
+    _vocabFixes(field, index, vocabulary) {
+        const span = this._segmentSpan(field, index);
+        if (!span) return [];
+        return suggest(field.parsed[index].trim(), vocabulary).map((code) =>
+            this._replaceFix(`Did you mean ${code}?`, span, code)
+        );
+    }
+
+    /**
+     * Dangling links: existing IDs of the same record type that differ by a typo.
+     */
+    _idFixes(field, id) {
+        const span = this._segmentSpan(field, 0);
+        if (!span) return [];
+        const type = this._determineRecordType(id);
+        const candidates = [...this.ids].filter((c) => this._determineRecordType(c) === type);
+        return suggest(id, candidates).map((match) =>
+            this._replaceFix(`Did you mean ${match}?`, span, match)
+        );
+    }
+
+    /**
+     * Span of a pipe segment on a field's key line, or null if the segment does not
+     * lie entirely on that line (e.g. it continues on an indented line).
+     */
+    _segmentSpan(field, index) {
+        const text = this.keyLines.get(field);
+        if (!text) return null;
+
+        const bounds = [];
+        let start = text.indexOf(":") + 1;
+        for (let i = start; i <= text.length; i++) {
+            if (text[i] === "\\") {
+                i++;
+            } else if (text[i] === "|" || i === text.length) {
+                bounds.push([start, i]);
+                start = i + 1;
+            }
+        }
+        if (!bounds[index]) return null;
+
+        let [from, to] = bounds[index];
+        while (from < to && /\s/.test(text[from])) from++;
+        while (to > from && /\s/.test(text[to - 1])) to--;
+        if (this._unescape(text.slice(from, to)).normalize("NFC") !== field.parsed[index]) {
+            return null;
+        }
+        return {
+            start: { line: field.line, column: from },
+            end: { line: field.line, column: to }
+        };
     }
 }
 
 /**
- * EDTF / ISO 8601-2 Level 2 Validator for FTT
+ * Span of the key at the start of a line.
  */
-function isValidFTTDate(dateStr) {
-    if (!dateStr) return false;
-    const str = dateStr.trim();
-    if (str === "?" || str === "..") return true;
-
-    if (str.startsWith("[") && str.endsWith("]")) {
-        const content = str.slice(1, -1);
-        if (!content.includes("..")) return false;
-        const parts = content.split("..");
-        if (parts.length !== 2) return false;
-        const [start, end] = parts;
-        const validStart = !start || validateSimpleDate(start.trim());
-        const validEnd = !end || validateSimpleDate(end.trim());
-        return validStart && validEnd && (start || end);
+function keySpan(key, line) {
+    return { start: { line, column: 0 }, end: { line, column: key.length } };
+}
+
+/**
+ * Candidates close to a misspelt value, nearest first: a case-insensitive match,
+ * else at most three within two edits.
+ */
+function suggest(value, candidates) {
+    const upper = value.toUpperCase();
+    const scored = [];
+    for (const candidate of candidates) {
+        if (candidate.toUpperCase() === upper) return [candidate];
+        if (Math.abs(candidate.length - value.length) > 2) continue;
+        const distance = editDistance(upper, candidate.toUpperCase());
+        if (distance <= 2 && distance < value.length) scored.push({ candidate, distance });
     }
-    return validateSimpleDate(str);
+    return scored
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map((s) => s.candidate);
 }
 
-function validateSimpleDate(str) {
-    const match = str.match(/^(-?)([\dX]{4})(?:-([\dX]{2})(?:-([\dX]{2}))?)?([?~]+)?$/);
-    if (!match) return false;
-    const [, , , month, day] = match;
-    let isSeason = false;
-    if (month) {
-        if (!month.includes("X")) {
-            const m = parseInt(month, 10);
-            const isStandard = m >= 1 && m <= 12;
-            isSeason = m >= 21 && m <= 24;
-            if (!isStandard && !isSeason) return false;
+/**
+ * Levenshtein distance.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
         }
+        previous = current;
     }
-    if (day) {
-        if (isSeason) return false;
-        if (!day.includes("X")) {
-            const d = parseInt(day, 10);
-            if (d < 1 || d > 31) return false;
-            if (month && !month.includes("X")) {
-                const m = parseInt(month, 10);
-                const maxDays = [0, 31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-                if (m <= 12 && d > maxDays[m]) return false;
-            }
+    return previous[b.length];
+}
+
+/**
+ * Resolves a HEAD_INCLUDE path against the directory of the including file.
+ * Paths are always "/"-separated, regardless of platform.
+ */
+export function resolveIncludePath(fromFile, path) {
+    const base = fromFile && !path.startsWith("/") ? fromFile.split("/").slice(0, -1) : [];
+    const parts = [...base, ...path.split("/")];
+    const resolved = [];
+
+    for (const part of parts) {
+        if (part === "." || (part === "" && resolved.length > 0)) continue;
+        const last = resolved[resolved.length - 1];
+        if (part === ".." && resolved.length > 0 && last !== ".." && last !== "") {
+            resolved.pop();
+        } else {
+            resolved.push(part);
         }
     }
-    return true;
+    return resolved.join("/");
 }
@@ -0,0 +1,433 @@
+/**
+ * FTTPhonetic
+ * Sound-alike name matching, because historical spellings drift: Schmidt, Smith,
+ * Schmitt and Smyth are one family in different records.
+ *
+ * const phonetic = new FTTPhonetic("daitch-mokotoff");
+ * phonetic.encode("Schmidt"); // ["463000"]
+ * phonetic.matches("Schmidt", "Smyth"); // true
+ * phonetic.find(records, "Jon Smyth"); // [{ id, display, nameType, line, exact }]
+ *
+ * Algorithms:
+ * - "soundex": American Soundex, one code per name (S530).
+ * - "daitch-mokotoff": Daitch-Mokotoff Soundex, designed for Slavic, Germanic and
+ *   Yiddish names. Ambiguous letters (CH, CK, J, RZ...) branch into several codes.
+ * - "beider-morse": an approximation of Beider-Morse Phonetic Matching. Letters
+ *   are rewritten to sounds with alternatives per language (CH as in Bach or in
+ *   Church, W as V or a vowel, J as in Jan or Juan), then similar sounds and all
+ *   vowels are merged. It ignores BMPM's language detection.
+ *
+ * Two names match when their codes overlap. Case and accents are ignored.
+ */
+
+// Daitch-Mokotoff rules: pattern -> codes [at start, before a vowel, elsewhere].
+// "|" separates alternative codes; "" codes nothing.
+const DM_RULES = {
+    a: ["0", "", ""],
+    ai: ["0", "1", ""],
+    aj: ["0", "1", ""],
+    ay: ["0", "1", ""],
+    au: ["0", "7", ""],
+    e: ["0", "", ""],
+    ei: ["0", "1", ""],
+    ej: ["0", "1", ""],
+    ey: ["0", "1", ""],
+    eu: ["1", "1", ""],
+    i: ["0", "", ""],
+    ia: ["1", "", ""],
+    ie: ["1", "", ""],
+    io: ["1", "", ""],
+    iu: ["1", "", ""],
+    o: ["0", "", ""],
+    oi: ["0", "1", ""],
+    oj: ["0", "1", ""],
+    oy: ["0", "1", ""],
+    u: ["0", "", ""],
+    ue: ["0", "", ""],
+    ui: ["0", "1", ""],
+    uj: ["0", "1", ""],
+    uy: ["0", "1", ""],
+    y: ["1", "", ""],
+    b: ["7", "7", "7"],
+    c: ["5|4", "5|4", "5|4"],
+    ch: ["5|4", "5|4", "5|4"],
+    chs: ["5", "54", "54"],
+    ck: ["5|45", "5|45", "5|45"],
+    cs: ["4", "4", "4"],
+    csz: ["4", "4", "4"],
+    cz: ["4", "4", "4"],
+    czs: ["4", "4", "4"],
+    d: ["3", "3", "3"],
+    drs: ["4", "4", "4"],
+    drz: ["4", "4", "4"],
+    ds: ["4", "4", "4"],
+    dsh: ["4", "4", "4"],
+    dsz: ["4", "4", "4"],
+    dt: ["3", "3", "3"],
+    dz: ["4", "4", "4"],
+    dzh: ["4", "4", "4"],
+    dzs: ["4", "4", "4"],
+    f: ["7", "7", "7"],
+    fb: ["7", "7", "7"],
+    g: ["5", "5", "5"],
+    h: ["5", "5", ""],
+    j: ["1|4", "|4", "|4"],
+    k: ["5", "5", "5"],
+    kh: ["5", "5", "5"],
+    ks: ["5", "54", "54"],
+    l: ["8", "8", "8"],
+    m: ["6", "6", "6"],
+    mn: ["66", "66", "66"],
+    n: ["6", "6", "6"],
+    nm: ["66", "66", "66"],
+    p: ["7", "7", "7"],
+    pf: ["7", "7", "7"],
+    ph: ["7", "7", "7"],
+    q: ["5", "5", "5"],
+    r: ["9", "9", "9"],
+    rs: ["94|4", "94|4", "94|4"],
+    rz: ["94|4", "94|4", "94|4"],
+    s: ["4", "4", "4"],
+    sch: ["4", "4", "4"],
+    schd: ["2", "43", "43"],
+    scht: ["2", "43", "43"],
+    schtch: ["2", "4", "4"],
+    schtsch: ["2", "4", "4"],
+    schtsh: ["2", "4", "4"],
+    sd: ["2", "43", "43"],
+    sh: ["4", "4", "4"],
+    shch: ["2", "4", "4"],
+    shd: ["2", "43", "43"],
+    sht: ["2", "43", "43"],
+    shtch: ["2", "4", "4"],
+    shtsh: ["2", "4", "4"],
+    st: ["2", "43", "43"],
+    stch: ["2", "4", "4"],
+    strs: ["2", "4", "4"],
+    strz: ["2", "4", "4"],
+    stsch: ["2", "4", "4"],
+    stsh: ["2", "4", "4"],
+    stz: ["2", "4", "4"],
+    sz: ["4", "4", "4"],
+    szcs: ["2", "4", "4"],
+    szcz: ["2", "4", "4"],
+    szd: ["2", "43", "43"],
+    szt: ["2", "43", "43"],
+    t: ["3", "3", "3"],
+    tch: ["4", "4", "4"],
+    th: ["3", "3", "3"],
+    trs: ["4", "4", "4"],
+    trz: ["4", "4", "4"],
+    ts: ["4", "4", "4"],
+    tsch: ["4", "4", "4"],
+    tsh: ["4", "4", "4"],
+    tsz: ["4", "4", "4"],
+    ttch: ["4", "4", "4"],
+    ttsch: ["4", "4", "4"],
+    ttsz: ["4", "4", "4"],
+    ttz: ["4", "4", "4"],
+    tz: ["4", "4", "4"],
+    tzs: ["4", "4", "4"],
+    v: ["7", "7", "7"],
+    w: ["7", "7", "7"],
+    x: ["5", "54", "54"],
+    z: ["4", "4", "4"],
+    zd: ["2", "43", "43"],
+    zdz: ["2", "4", "4"],
+    zdzh: ["2", "4", "4"],
+    zh: ["4", "4", "4"],
+    zhd: ["2", "43", "43"],
+    zhdzh: ["2", "4", "4"],
+    zs: ["4", "4", "4"],
+    zsch: ["4", "4", "4"],
+    zsh: ["4", "4", "4"]
+};
+const DM_LENGTH = 6;
+
+// Beider-Morse approximation: spelling -> alternative sounds. S and Z stand for
+// the sounds in "shoe" and "measure"; x for the CH of "Bach".
+const BM_RULES = {
+    schtsch: ["StS"],
+    szcz: ["StS"],
+    tsch: ["tS"],
+    dzh: ["dZ"],
+    sch: ["S"],
+    tch: ["tS"],
+    cz: ["tS"],
+    cs: ["tS"],
+    ch: ["x", "tS"],
+    sh: ["S"],
+    sz: ["S"],
+    zh: ["Z"],
+    ck: ["k"],
+    kh: ["x"],
+    gh: ["g"],
+    ph: ["f"],
+    pf: ["f"],
+    th: ["t"],
+    dt: ["t"],
+    tz: ["ts"],
+    qu: ["kv"],
+    q: ["k"],
+    x: ["ks"],
+    w: ["v", "u"],
+    j: ["i", "Z"],
+    z: ["z", "ts"],
+    h: [""]
+};
+const BM_VARIANTS = 16;
+
+const VOWELS = new Set(["a", "e", "i", "o", "u"]);
+
+const ENCODERS = {
+    soundex: (name) => [soundex(name)].filter((c) => c),
+    "daitch-mokotoff": daitchMokotoff,
+    "beider-morse": beiderMorse
+};
+
+export default class FTTPhonetic {
+    /**
+     * @param {string} [algorithm="daitch-mokotoff"] - "soundex", "daitch-mokotoff"
+     *   or "beider-morse"
+     * @throws {Error} If the algorithm is unknown.
+     */
+    constructor(algorithm = "daitch-mokotoff") {
+        if (!ENCODERS[algorithm]) throw new Error(`Unknown phonetic algorithm "${algorithm}".`);
+        this.algorithm = algorithm;
+        this.cache = new Map(); // word -> codes
+    }
+
+    /**
+     * Phonetic codes of a name or word ([] if it has no letters).
+     * @param {string} name
+     * @returns {string[]}
+     */
+    encode(name) {
+        const word = normalize(name);
+        if (!this.cache.has(word)) this.cache.set(word, ENCODERS[this.algorithm](word));
+        return this.cache.get(word);
+    }
+
+    /**
+     * Whether two names sound alike (share a code).
+     */
+    matches(a, b) {
+        const codes = new Set(this.encode(a));
+        return this.encode(b).some((c) => codes.has(c));
+    }
+
+    /**
+     * People with a NAME that sounds like the query. Every word of the query must
+     * match a word of the name (display or sort key); single letters match initials.
+     * All NAME variants count, so birth, married, AKA, TRAN and IMM names are found.
+     * @param {object} records - Parsed records (FTTParser result.records)
+     * @param {string} query - e.g. "Schmidt" or "Johann Smith"
+     * @returns {Array<{ id, display, nameType, line, exact }>} One hit per record,
+     *   from its best NAME. Spelling matches (`exact`) come first.
+     */
+    find(records, query) {
+        const terms = words(query);
+        if (terms.length === 0) return [];
+
+        const hits = [];
+        for (const record of Object.values(records)) {
+            if (record.type !== "INDIVIDUAL" && record.type !== "PLACEHOLDER") continue;
+
+            let best = null;
+            for (const name of record.data.NAME || []) {
+                const nameWords = [...new Set(words(`${name.display} ${name.sortKey}`))];
+                const exact = terms.every((t) => nameWords.some((w) => spells(t, w)));
+                if (!exact && !terms.every((t) => nameWords.some((w) => this._sounds(t, w)))) {
+                    continue;
+                }
+                if (!best || (exact && !best.exact)) {
+                    best = {
+                        id: record.id,
+                        display: name.display,
+                        nameType: name.nameType,
+                        line: name.line,
+                        exact
+                    };
+                }
+            }
+            if (best) hits.push(best);
+        }
+        return hits.sort((a, b) => b.exact - a.exact);
+    }
+
+    _sounds(term, word) {
+        if (term.length === 1) return word.startsWith(term);
+        return this.matches(term, word);
+    }
+}
+
+// =========================================================================
+// Encoders
+// =========================================================================
+
+/**
+ * American Soundex code (e.g. "Smith" and "Smyth" are both S530).
+ */
+export function soundex(word) {
+    const CODES = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2 };
+    Object.assign(CODES, { d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 });
+
+    const letters = normalize(word).replace(/[^a-z]/g, "");
+    if (!letters) return "";
+
+    let code = letters[0].toUpperCase();
+    let last = CODES[letters[0]];
+    for (const ch of letters.slice(1)) {
+        const digit = CODES[ch];
+        if (digit && digit !== last) code += digit;
+        if (ch !== "h" && ch !== "w") last = digit;
+        if (code.length === 4) break;
+    }
+    return code.padEnd(4, "0");
+}
+
+/**
+ * Daitch-Mokotoff Soundex codes (e.g. "Auerbach" is 097400 and 097500).
+ * @returns {string[]}
+ */
+export function daitchMokotoff(word) {
+    const letters = normalize(word).replace(/[^a-z]/g, "");
+    if (!letters) return [];
+
+    // Each branch keeps its last code: repeated codes are written once
+    let branches = [{ code: "", last: null }];
+    for (let i = 0; i < letters.length; ) {
+        const pattern = longestRule(DM_RULES, letters, i);
+        if (!pattern) {
+            i++;
+            continue;
+        }
+        const next = letters[i + pattern.length];
+        const [start, beforeVowel, other] = DM_RULES[pattern];
+        const codes = (i === 0 ? start : VOWELS.has(next) ? beforeVowel : other).split("|");
+
+        const grown = new Map();
+        for (const branch of branches) {
+            for (const code of codes) {
+                const repeat = branch.last !== null && branch.last.endsWith(code);
+                const text = repeat ? branch.code : (branch.code + code).slice(0, DM_LENGTH);
+                if (!grown.has(text)) grown.set(text, { code: text, last: code });
+            }
+        }
+        branches = [...grown.values()];
+        i += pattern.length;
+    }
+    return [...new Set(branches.map((b) => b.code.padEnd(DM_LENGTH, "0")))];
+}
+
+/**
+ * Approximate Beider-Morse keys (e.g. "Schmidt" and "Smyth" are both "smat").
+ * @returns {string[]}
+ */
+export function beiderMorse(word) {
+    const letters = normalize(word).replace(/[^a-z]/g, "");
+    if (!letters) return [];
+
+    let variants = [""];
+    for (let i = 0; i < letters.length; ) {
+        const pattern = longestRule(BM_RULES, letters, i);
+        let sounds;
+        if (pattern) {
+            sounds = BM_RULES[pattern];
+        } else if (letters[i] === "c") {
+            sounds = "eiy".includes(letters[i + 1]) ? ["ts", "s"] : ["k"];
+        } else {
+            sounds = [letters[i]];
+        }
+        variants = [...new Set(variants.flatMap((v) => sounds.map((s) => v + s)))];
+        variants = variants.slice(0, BM_VARIANTS);
+        i += pattern ? pattern.length : 1;
+    }
+
+    const keys = variants.map((v) => {
+        const key = v
+            .replace(/[S]/g, "s")
+            .replace(/[Z]/g, "z")
+            .replace(/[aeiouy]/g, "a")
+            .replace(/(.)\1+/g, "$1");
+        return key.length > 2 ? key.replace(/a$/, "") : key;
+    });
+    return [...new Set(keys)];
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Lower case without diacritics, apostrophes or other punctuation
+ * ("O’Brien" -> "obrien").
+ */
+export function normalize(text) {
+    return text
+        .normalize("NFD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .replace(/['’]/g, "")
+        .replace(/[^\p{L}\p{N}]+/gu, " ")
+        .trim();
+}
+
+/**
+ * Jaro-Winkler similarity (0-1), which favours strings with a common prefix.
+ */
+export function jaroWinkler(a, b) {
+    const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - range); j <= Math.min(b.length - 1, i + range); j++) {
+            if (!matchedB[j] && a[i] === b[j]) {
+                matchedA[i] = matchedB[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+
+    const m = matches;
+    const jaro = (m / a.length + m / b.length + (m - transpositions / 2) / m) / 3;
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+function words(text) {
+    return normalize(text || "")
+        .split(" ")
+        .filter((w) => w);
+}
+
+/**
+ * Same spelling, or an initial of it.
+ */
+function spells(term, word) {
+    return term.length === 1 ? word.startsWith(term) : term === word;
+}
+
+/**
+ * Longest rule pattern at a position (rules have at most 7 letters).
+ */
+function longestRule(rules, letters, index) {
+    for (let length = Math.min(7, letters.length - index); length > 0; length--) {
+        const pattern = letters.slice(index, index + length);
+        if (rules[pattern]) return pattern;
+    }
+    return null;
+}
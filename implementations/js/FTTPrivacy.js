@@ -0,0 +1,433 @@
+/**
+ * FTTPrivacy
+ * Applies the privacy levels of Appendix D to a parsed model. Every exporter (GEDCOM,
+ * the visualizer and redacted FTT) shares this one implementation.
+ *
+ * const redacted = new FTTPrivacy().apply(parser.parse(text));
+ * new FTTWriter().write(redacted); // A shareable .ftt file
+ * await new FTTPrivacy({ salt }).pseudonymize(model); // Also replaces LIVING people's IDs
+ *
+ * PRIVATE records are removed together with every link and citation pointing at
+ * them. LIVING people keep only their kinship links (PARENT, CHILD, UNION, ASSOC),
+ * SEX and source citations. Their vital facts (BORN, DIED, EVENT, EVENT_REF) and
+ * extension fields are removed, and links to or from them lose their dates. The
+ * policy decides what happens to their names, notes, media and IDs.
+ *
+ * A `*_PRIV` modifier applies a level to a single field (e.g. a cause of death in
+ * `NOTES` followed by `NOTES_PRIV: PRIVATE`). A PRIVATE field is removed, and so is
+ * the reciprocal of a hidden PARENT, CHILD or UNION link. A LIVING field is redacted
+ * like the facts of a LIVING person. A field is never more visible than its record.
+ *
+ * audit() finds people whose PRIVACY disagrees with their probable living status,
+ * e.g. someone born in 1985 with no DIED and no PRIVACY: LIVING.
+ */
+
+import { displayName, preferred, privacyOf } from "./FTTQuery.js";
+
+export const DEFAULT_POLICY = {
+    maskNames: true, // Replace every NAME of a LIVING person with `livingName`
+    livingName: "Living",
+    maskNotes: true, // Remove NOTES, *_NOTE and ASSOC details of LIVING people
+    dropMedia: true, // Remove MEDIA of LIVING people
+    salt: "" // Secret key of pseudonymize(); random (new pseudonyms each run) if empty
+};
+
+// Property holding the ID each linking key points at (segment 0)
+const LINK_PROPS = {
+    PARENT: "parentId",
+    CHILD: "childId",
+    UNION: "partnerId",
+    ASSOC: "targetId",
+    EVENT_REF: "eventId",
+    SRC: "sourceId"
+};
+
+// Keys a LIVING person keeps regardless of the policy
+const LIVING_KEYS = new Set(["SEX", "PRIVACY", "PARENT", "CHILD", "UNION", "ASSOC", "SRC"]);
+
+// Links whose start and end dates (segments 2 and 3) are vital details
+const DATED_LINKS = new Set(["PARENT", "UNION", "ASSOC"]);
+
+// Links the parser expects on both records, so hiding one side hides the other
+const RECIPROCAL = { PARENT: "CHILD", CHILD: "PARENT", UNION: "UNION" };
+
+const LEVELS = ["OPEN", "LIVING", "PRIVATE"];
+
+export default class FTTPrivacy {
+    /**
+     * @param {object} [policy] - Overrides for DEFAULT_POLICY
+     */
+    constructor(policy = {}) {
+        this.policy = { ...DEFAULT_POLICY, ...policy };
+    }
+
+    /**
+     * The privacy level of a record (OPEN, LIVING or PRIVATE).
+     * @param {object} record
+     * @returns {string}
+     */
+    static levelOf(record) {
+        return privacyOf(record);
+    }
+
+    /**
+     * Returns a redacted copy of a model. The input is not modified.
+     * @param {object} model - { headers, records } as returned by FTTParser.parse()
+     * @returns {{ headers: object, records: object, pseudonyms: Map<string, string> }}
+     *   `pseudonyms` is empty (see pseudonymize()). HEAD_INCLUDE is dropped, because
+     *   the records of included files are inlined.
+     */
+    apply(model) {
+        return this._redact(model, new Map());
+    }
+
+    /**
+     * Like apply(), but also replaces the IDs of LIVING people with pseudonyms.
+     * Asynchronous, as they are derived with WebCrypto.
+     * @param {object} model - { headers, records } as returned by FTTParser.parse()
+     * @returns {Promise<{ headers: object, records: object, pseudonyms: Map<string, string> }>}
+     *   `pseudonyms` maps the original IDs of LIVING people to their pseudonyms.
+     */
+    async pseudonymize(model) {
+        const living = Object.values(model.records)
+            .filter((record) => FTTPrivacy.levelOf(record) === "LIVING")
+            .map((record) => record.id);
+        const pseudonyms = await this._pseudonyms(living, Object.keys(model.records));
+        return this._redact(model, pseudonyms);
+    }
+
+    _redact(model, pseudonyms) {
+        const excluded = new Set();
+        const living = new Set();
+        for (const record of Object.values(model.records)) {
+            const level = FTTPrivacy.levelOf(record);
+            if (level === "PRIVATE") excluded.add(record.id);
+            else if (level === "LIVING") living.add(record.id);
+        }
+
+        const context = {
+            excluded,
+            living,
+            links: this._linkLevels(model.records),
+            rename: (id) => pseudonyms.get(id) || id
+        };
+
+        const records = {};
+        for (const record of Object.values(model.records)) {
+            if (excluded.has(record.id)) continue;
+            const id = context.rename(record.id);
+            records[id] = { ...record, id, data: this._redactData(record, context) };
+        }
+
+        const headers = { ...model.headers };
+        delete headers.HEAD_INCLUDE;
+        if (headers.HEAD_ROOT) {
+            if (excluded.has(headers.HEAD_ROOT)) delete headers.HEAD_ROOT;
+            else headers.HEAD_ROOT = context.rename(headers.HEAD_ROOT);
+        }
+
+        return { headers, records, pseudonyms };
+    }
+
+    /**
+     * Infers who is probably alive and lists the people whose PRIVACY disagrees.
+     * A person with a DIED field is deceased. Otherwise the birth year comes from
+     * BORN or is estimated from the nearest dated descendants, spouses or parents,
+     * and a person born less than `maxAge` years ago is probably living.
+     * PRIVATE people are never reported.
+     * @param {object} model - { records } as returned by FTTParser.parse()
+     * @param {object} [options]
+     * @param {number} [options.maxAge=110] - Age beyond which nobody is assumed alive
+     * @param {number} [options.generation=30] - Years between a parent's and a child's birth
+     * @param {number} [options.year] - Current year (defaults to today's)
+     * @returns {Array<{ id, label, file, line, declared, inferred, reason }>} `declared`
+     *   is the PRIVACY level (OPEN if absent), `inferred` is LIVING or DECEASED, and
+     *   `reason` explains the inference, e.g. "born about 1960 (child KID born 1990)".
+     */
+    audit(model, options = {}) {
+        const { maxAge = 110, generation = 30, year = new Date().getFullYear() } = options;
+        const records = model.records;
+        const people = Object.values(records).filter((r) => r.type === "INDIVIDUAL");
+
+        const children = new Map(); // Parent ID -> IDs of children (from PARENT links)
+        for (const person of people) {
+            for (const { parentId } of person.data.PARENT || []) {
+                if (!children.has(parentId)) children.set(parentId, []);
+                children.get(parentId).push(person.id);
+            }
+        }
+
+        const findings = [];
+        for (const person of people) {
+            const declared = FTTPrivacy.levelOf(person);
+            if (declared === "PRIVATE") continue;
+
+            let inferred;
+            let reason;
+            const estimate = this._estimateBirth(person, records, children, generation);
+            if (person.data.DIED) {
+                [inferred, reason] = ["DECEASED", "DIED is recorded"];
+            } else if (!estimate) {
+                continue;
+            } else if (year - estimate.year < maxAge) {
+                [inferred, reason] = ["LIVING", `${estimate.reason}, no DIED`];
+            } else {
+                [inferred, reason] = ["DECEASED", `${estimate.reason}, over ${maxAge} years ago`];
+            }
+
+            if ((inferred === "LIVING") === (declared === "LIVING")) continue;
+            findings.push({
+                id: person.id,
+                label: displayName(person),
+                file: person.file,
+                line: person.line,
+                declared,
+                inferred,
+                reason
+            });
+        }
+        return findings;
+    }
+
+    /**
+     * @returns {?{ year: number, reason: string }}
+     */
+    _estimateBirth(person, records, children, generation) {
+        const own = birthYear(person);
+        if (own !== null) return { year: own, reason: `born ${own}` };
+
+        const estimate = (year, relative, id, born) => ({
+            year,
+            reason: `born about ${year} (${relative} ${id} born ${born})`
+        });
+        const earliest = (ids) =>
+            ids
+                .map((id) => [id, birthYear(records[id])])
+                .filter(([, born]) => born !== null)
+                .sort((a, b) => a[1] - b[1])[0];
+
+        // The nearest generation of descendants with a known birth
+        const seen = new Set([person.id]);
+        let ids = children.get(person.id) || [];
+        for (let depth = 1; ids.length > 0; depth++) {
+            const found = earliest(ids);
+            if (found) {
+                const relative = ["child", "grandchild"][depth - 1] || "descendant";
+                return estimate(found[1] - depth * generation, relative, ...found);
+            }
+            ids = ids.flatMap((id) => children.get(id) || []).filter((id) => !seen.has(id));
+            ids.forEach((id) => seen.add(id));
+        }
+
+        const spouse = earliest((person.data.UNION || []).map((u) => u.partnerId));
+        if (spouse) return estimate(spouse[1], "spouse", ...spouse);
+
+        const parents = (person.data.PARENT || []).map((p) => p.parentId);
+        const parent = earliest(parents);
+        if (parent) return estimate(parent[1] + generation, "parent", ...parent);
+
+        return null;
+    }
+
+    // =========================================================================
+    // Records & Fields
+    // =========================================================================
+
+    _redactData(record, context) {
+        const isLiving = context.living.has(record.id);
+        const data = {};
+
+        for (const [key, fields] of Object.entries(record.data)) {
+            if (isLiving && key === "NAME" && this.policy.maskNames) {
+                data.NAME = [this._maskedName(fields[0])];
+                continue;
+            }
+            const redacted = [];
+            for (const field of fields) {
+                const level = this._fieldLevel(record.id, key, field, context);
+                if (level === "PRIVATE") continue;
+                const living = isLiving || level === "LIVING";
+                if (living && !this._keepsWhenLiving(key)) continue;
+                const copy = this._redactField(key, field, living, context);
+                if (copy) redacted.push(copy);
+            }
+            if (redacted.length > 0) data[key] = redacted;
+        }
+        return data;
+    }
+
+    /**
+     * Whether a key survives on a LIVING person (or in a LIVING field).
+     */
+    _keepsWhenLiving(key) {
+        const { maskNames, maskNotes, dropMedia } = this.policy;
+        return (
+            LIVING_KEYS.has(key) ||
+            (key === "NAME" && !maskNames) ||
+            (key === "NOTES" && !maskNotes) ||
+            (key === "MEDIA" && !dropMedia)
+        );
+    }
+
+    /**
+     * The level set by a field's *_PRIV modifier, raised to that of its reciprocal link.
+     */
+    _fieldLevel(id, key, field, context) {
+        const own = fieldLevel(field);
+        const reciprocal = RECIPROCAL[key] && `${RECIPROCAL[key]} ${field[LINK_PROPS[key]]} ${id}`;
+        return strictest(own, context.links.get(reciprocal) || "OPEN");
+    }
+
+    /**
+     * Levels of the PARENT, CHILD and UNION links that carry a *_PRIV modifier,
+     * keyed by "KEY FROM-ID TO-ID".
+     */
+    _linkLevels(records) {
+        const links = new Map();
+        for (const record of Object.values(records)) {
+            for (const key of Object.keys(RECIPROCAL)) {
+                for (const field of record.data[key] || []) {
+                    const level = fieldLevel(field);
+                    if (level !== "OPEN") {
+                        links.set(`${key} ${record.id} ${field[LINK_PROPS[key]]}`, level);
+                    }
+                }
+            }
+        }
+        return links;
+    }
+
+    /**
+     * A single NAME replacing all of a LIVING person's names.
+     */
+    _maskedName(first) {
+        const name = this.policy.livingName;
+        return {
+            line: first.line,
+            raw: null,
+            parsed: [name],
+            modifiers: {},
+            display: name,
+            sortKey: name,
+            nameType: "",
+            status: ""
+        };
+    }
+
+    /**
+     * @returns {?object} A redacted copy of the field, or null if it must be removed.
+     */
+    _redactField(key, field, isLiving, context) {
+        const prop = LINK_PROPS[key];
+        const target = prop ? field[prop] : null;
+        if (target && context.excluded.has(target)) return null;
+
+        const copy = { ...field, parsed: [...(field.parsed || [])] };
+        if (target) setSegment(copy, 0, prop, context.rename(target));
+
+        // A link to or from a LIVING person reveals as much as the person's own facts
+        const isPrivate = isLiving || context.living.has(target);
+        if (isPrivate && DATED_LINKS.has(key)) {
+            setSegment(copy, 2, "startDate", "");
+            setSegment(copy, 3, "endDate", "");
+            copy.startDateValue = null;
+            copy.endDateValue = null;
+            if (key === "ASSOC" && this.policy.maskNotes) setSegment(copy, 4, "details", "");
+        }
+
+        copy.modifiers = {};
+        for (const [modKey, mods] of Object.entries(field.modifiers || {})) {
+            if (modKey.endsWith("_PRIV")) continue; // Already applied
+            if (modKey.endsWith("_NOTE") && isPrivate && this.policy.maskNotes) continue;
+            const kept = mods.filter((m) => !(m.sourceId && context.excluded.has(m.sourceId)));
+            if (kept.length > 0) copy.modifiers[modKey] = kept;
+        }
+        return copy;
+    }
+
+    /**
+     * Stable pseudonyms: HMAC-SHA-256 of the ID keyed with the salt, truncated to
+     * 16 hex digits. Keyed, so they cannot be recomputed from guessable IDs
+     * (SURNAME-YYYY-INITIALS); without a salt, a random one makes them unlinkable
+     * between runs.
+     */
+    async _pseudonyms(ids, taken) {
+        if (!globalThis.crypto?.subtle) throw new Error("WebCrypto is not available.");
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            "raw",
+            encoder.encode(this.policy.salt || randomSalt()),
+            { name: "HMAC", hash: "SHA-256" },
+            false,
+            ["sign"]
+        );
+
+        const used = new Set(taken);
+        const pseudonyms = new Map();
+        for (const id of [...ids].sort()) {
+            const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(id)));
+            const base = `LIVING-${hex(mac.slice(0, 8)).toUpperCase()}`;
+            let pseudonym = base;
+            for (let n = 2; used.has(pseudonym); n++) pseudonym = `${base}-${n}`;
+            used.add(pseudonym);
+            pseudonyms.set(id, pseudonym);
+        }
+        return pseudonyms;
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Sets a parsed segment and the semantic property mirroring it, so that both
+ * FTTWriter (segments) and the exporters (properties) see the change.
+ */
+function setSegment(field, index, prop, value) {
+    if (!field.parsed[index] && !value) return;
+    while (field.parsed.length <= index) field.parsed.push("");
+    field.parsed[index] = value;
+    field[prop] = value;
+}
+
+/**
+ * The strictest level among a field's *_PRIV modifiers. An unknown level counts
+ * as PRIVATE, so a misspelt level never exposes the field.
+ */
+function fieldLevel(field) {
+    let level = "OPEN";
+    for (const [modKey, mods] of Object.entries(field.modifiers || {})) {
+        if (!modKey.endsWith("_PRIV")) continue;
+        for (const mod of mods) {
+            const value = mod.level || "OPEN";
+            level = strictest(level, LEVELS.includes(value) ? value : "PRIVATE");
+        }
+    }
+    return level;
+}
+
+function strictest(a, b) {
+    return LEVELS.indexOf(a) >= LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Year of a record's preferred BORN date (the middle of a range), or null.
+ */
+function birthYear(record) {
+    const born = preferred(record, "BORN")?.dateValue;
+    const [earliest, latest] = [born?.earliest?.year, born?.latest?.year];
+    if (earliest !== undefined && latest !== undefined) return Math.round((earliest + latest) / 2);
+    return earliest ?? latest ?? null;
+}
+
+/**
+ * A random salt, for pseudonyms that cannot be linked across runs.
+ */
+function randomSalt() {
+    return hex(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+function hex(bytes) {
+    return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
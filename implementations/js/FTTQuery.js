@@ -0,0 +1,360 @@
+/**
+ * FTTQuery
+ * Typed accessors and chainable filters over parsed records, so tools do not have
+ * to walk `records` by hand.
+ *
+ * const query = new FTTQuery(parser.parse(text).records);
+ * query.people().born({ place: "Ontario", from: 1850, to: 1900 }).sortBy("born").ids();
+ * query.people().nameContains("smith").withEvent("OCC", { from: 1920 }).count;
+ * query.events("SMITH-01", "CENS"); // Inline EVENTs and shared events (EVENT_REF)
+ *
+ * Every filter returns a new query; the original is unchanged. Date filters use the
+ * EDTF bounds of FTTDate: a date matches if any of its possible days falls in the
+ * range (or, with `strict`, if all of them do). Place filters match one unit of the
+ * place hierarchy, ignoring case and accents, in either the historical place or
+ * its standardized form (`{=...}`).
+ *
+ * The accessor functions (displayName, preferred, sexOf, privacyOf...) are exported
+ * for use on single records.
+ */
+
+import FTTDate from "./FTTDate.js";
+
+// Comparators; `sign` is -1 for descending order
+const SORT_KEYS = {
+    id: (a, b, sign) => sign * a.id.localeCompare(b.id),
+    name: (a, b, sign) =>
+        sign * (sortKeyOf(a).localeCompare(sortKeyOf(b)) || a.id.localeCompare(b.id)),
+    born: (a, b, sign) => compareDates(dateOf(a, "BORN"), dateOf(b, "BORN"), sign),
+    died: (a, b, sign) => compareDates(dateOf(a, "DIED"), dateOf(b, "DIED"), sign)
+};
+
+export default class FTTQuery {
+    /**
+     * @param {object} records - Parsed records (FTTParser result.records)
+     * @param {Array<object>} [selection] - Records matched so far (all by default)
+     */
+    constructor(records, selection = null) {
+        this.all = records;
+        this.selection = selection || Object.values(records);
+    }
+
+    // =========================================================================
+    // Filters
+    // =========================================================================
+
+    /**
+     * Records matching a predicate.
+     * @param {function(object): boolean} predicate - Called with each record
+     * @returns {FTTQuery}
+     */
+    where(predicate) {
+        return new FTTQuery(this.all, this.selection.filter(predicate));
+    }
+
+    /**
+     * @param {...string} types - INDIVIDUAL, SOURCE, EVENT or PLACEHOLDER
+     */
+    ofType(...types) {
+        return this.where((r) => types.includes(r.type));
+    }
+
+    people() {
+        return this.ofType("INDIVIDUAL");
+    }
+
+    /**
+     * @param {...string} levels - OPEN, LIVING or PRIVATE
+     */
+    withPrivacy(...levels) {
+        return this.where((r) => levels.includes(privacyOf(r)));
+    }
+
+    /**
+     * People with any NAME containing the text (ignoring case and accents).
+     */
+    nameContains(text) {
+        const needle = normalize(text);
+        return this.where((r) =>
+            (r.data.NAME || []).some((n) => normalize(n.display).includes(needle))
+        );
+    }
+
+    /**
+     * People with any NAME whose sort key starts with the text, e.g. "Smith,".
+     */
+    sortKeyStartsWith(text) {
+        const prefix = normalize(text);
+        return this.where((r) =>
+            (r.data.NAME || []).some((n) => normalize(n.sortKey).startsWith(prefix))
+        );
+    }
+
+    /**
+     * People whose preferred birth matches.
+     * @param {object} criteria
+     * @param {string} [criteria.place] - A unit of the place hierarchy, e.g. "Ontario"
+     * @param {number|string} [criteria.from] - Year or FTT date (inclusive)
+     * @param {number|string} [criteria.to] - Year or FTT date (inclusive)
+     * @param {boolean} [criteria.strict=false] - Require the whole date to be in range
+     */
+    born(criteria) {
+        const matches = matcher(criteria);
+        return this.where((r) => {
+            const field = preferred(r, "BORN");
+            return !!field && matches(field.dateValue, field);
+        });
+    }
+
+    /**
+     * People whose preferred death matches. Criteria as for born().
+     */
+    died(criteria) {
+        const matches = matcher(criteria);
+        return this.where((r) => {
+            const field = preferred(r, "DIED");
+            return !!field && matches(field.dateValue, field);
+        });
+    }
+
+    /**
+     * Records with an event of the type (inline or shared) matching the criteria.
+     * @param {?string} type - Event type, e.g. "OCC" (null for any)
+     * @param {object} [criteria] - As for born(); dates match the event's start date
+     */
+    withEvent(type, criteria = {}) {
+        const matches = matcher(criteria);
+        return this.where((r) => this.events(r, type).some((e) => matches(e.start, e.field)));
+    }
+
+    // =========================================================================
+    // Results
+    // =========================================================================
+
+    /**
+     * @param {string} key - "name" (sort key), "born", "died" or "id"
+     * @param {boolean} [descending=false]
+     */
+    sortBy(key, descending = false) {
+        const compare = SORT_KEYS[key];
+        if (!compare) throw new Error(`Cannot sort by "${key}".`);
+        const sorted = [...this.selection].sort((a, b) => compare(a, b, descending ? -1 : 1));
+        return new FTTQuery(this.all, sorted);
+    }
+
+    records() {
+        return [...this.selection];
+    }
+
+    ids() {
+        return this.selection.map((r) => r.id);
+    }
+
+    first() {
+        return this.selection[0] || null;
+    }
+
+    get count() {
+        return this.selection.length;
+    }
+
+    [Symbol.iterator]() {
+        return this.selection[Symbol.iterator]();
+    }
+
+    // =========================================================================
+    // Accessors
+    // =========================================================================
+
+    /**
+     * @param {string} id
+     * @returns {?object}
+     */
+    get(id) {
+        return this.all[id] || null;
+    }
+
+    /**
+     * A record's inline EVENTs and the shared events it references, in source order.
+     * @param {object|string} record - Record or ID
+     * @param {?string} [type] - Only events of this type
+     * @returns {Array<{ type, start, end, place, details, role, eventId, field }>}
+     *   `start` and `end` are FTTDates (or null). For shared events, `field` is the
+     *   PLACE field of the event record and `role` comes from the EVENT_REF.
+     */
+    events(record, type = null) {
+        const rec = typeof record === "string" ? this.get(record) : record;
+        if (!rec) return [];
+
+        const events = (rec.data.EVENT || []).map((f) => [
+            f.line,
+            {
+                type: f.eventType,
+                start: f.startDateValue,
+                end: f.endDateValue,
+                place: f.place,
+                details: f.details,
+                role: null,
+                eventId: null,
+                field: f
+            }
+        ]);
+        for (const ref of rec.data.EVENT_REF || []) {
+            const shared = this.get(ref.eventId);
+            if (!shared) continue;
+            const place = shared.data.PLACE?.[0];
+            events.push([
+                ref.line,
+                {
+                    type: shared.data.TYPE?.[0]?.value || "",
+                    start: shared.data.START_DATE?.[0]?.dateValue || null,
+                    end: shared.data.END_DATE?.[0]?.dateValue || null,
+                    place: place?.place || "",
+                    details: ref.details,
+                    role: ref.role,
+                    eventId: ref.eventId,
+                    field: place || null
+                }
+            ]);
+        }
+
+        return events
+            .sort((a, b) => a[0] - b[0])
+            .map(([, event]) => event)
+            .filter((e) => !type || e.type === type);
+    }
+
+    /**
+     * Partners of a person, from explicit and implicit (reciprocal) UNION fields.
+     * @param {object|string} record - Record or ID
+     * @returns {Array<{ partner: ?object, partnerId, type, start, end, endReason, field }>}
+     */
+    unions(record) {
+        const rec = typeof record === "string" ? this.get(record) : record;
+        return (rec?.data.UNION || []).map((f) => ({
+            partner: this.get(f.partnerId),
+            partnerId: f.partnerId,
+            type: f.unionType,
+            start: f.startDateValue,
+            end: f.endDateValue,
+            endReason: f.endReason,
+            field: f
+        }));
+    }
+}
+
+// =========================================================================
+// Record Accessors
+// =========================================================================
+
+/**
+ * The PREF field of a key, else the first one.
+ * @param {object} record
+ * @param {string} key - e.g. "NAME", "BORN", "DIED"
+ * @returns {?object}
+ */
+export function preferred(record, key) {
+    const fields = record?.data[key] || [];
+    return fields.find((f) => f.status === "PREF") || fields[0] || null;
+}
+
+/**
+ * Preferred display name, else the ID ("Unknown" without a record).
+ */
+export function displayName(record) {
+    if (!record) return "Unknown";
+    return preferred(record, "NAME")?.display || record.id;
+}
+
+/**
+ * SEX code (M, F, U or O), "U" if absent.
+ */
+export function sexOf(record) {
+    return record?.data.SEX?.[0]?.value.trim().toUpperCase() || "U";
+}
+
+/**
+ * PRIVACY level (OPEN, LIVING or PRIVATE), "OPEN" if absent.
+ */
+export function privacyOf(record) {
+    return record.data.PRIVACY?.[0]?.value || "OPEN";
+}
+
+/**
+ * The main scalar value of a key's first field (e.g. TITLE text, TYPE code).
+ * @returns {?string}
+ */
+export function firstValue(record, key) {
+    const field = record.data[key]?.[0];
+    if (!field) return null;
+    return field.value || field.text || field.display || field.date || field.parsed[0];
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+function sortKeyOf(record) {
+    return preferred(record, "NAME")?.sortKey || record.id;
+}
+
+function dateOf(record, key) {
+    return preferred(record, key)?.dateValue || null;
+}
+
+/**
+ * Chronological order, with records lacking a usable date last in either direction.
+ */
+function compareDates(a, b, sign) {
+    const [datedA, datedB] = [FTTDate.compare(a, null) < 0, FTTDate.compare(b, null) < 0];
+    if (datedA !== datedB) return datedA ? -1 : 1;
+    return sign * FTTDate.compare(a, b);
+}
+
+/**
+ * Lower case without diacritics.
+ */
+function normalize(text) {
+    return (text || "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().trim();
+}
+
+/**
+ * Builds a test of a date and a place-bearing field against { place, from, to, strict }.
+ */
+function matcher({ place = null, from = null, to = null, strict = false } = {}) {
+    const lower = from === null ? null : bound(from, "earliest");
+    const upper = to === null ? null : bound(to, "latest");
+    const unit = place === null ? null : normalize(place);
+
+    return (date, field) => {
+        if (unit !== null && !placeUnits(field).includes(unit)) return false;
+        if (lower === null && upper === null) return true;
+        if (!date?.earliest && !date?.latest) return false;
+
+        // Unbounded ends of a window stay unbounded
+        const earliest = date.earliest ? dayNumber(date.earliest) : -Infinity;
+        const latest = date.latest ? dayNumber(date.latest) : Infinity;
+        if (strict) {
+            return (lower === null || earliest >= lower) && (upper === null || latest <= upper);
+        }
+        return (lower === null || latest >= lower) && (upper === null || earliest <= upper);
+    };
+}
+
+function bound(value, which) {
+    const date = FTTDate.parse(String(value));
+    if (!date?.[which]) throw new Error(`Invalid date "${value}".`);
+    return dayNumber(date[which]);
+}
+
+function dayNumber({ year, month, day }) {
+    return year * 10000 + month * 100 + day;
+}
+
+/**
+ * Normalised units of a field's historical and standardized place.
+ */
+function placeUnits(field) {
+    const places = [field?.place, field?.metadata?.geo].filter((p) => p);
+    return places.flatMap((p) => p.split(";").map((u) => normalize(u)));
+}
@@ -0,0 +1,526 @@
+/**
+ * FTTRefactor
+ * Source-level refactorings for FTT trees. Edits go through the lossless syntax
+ * tree, so comments, spacing and line endings outside the edited segments survive.
+ *
+ * const refactor = new FTTRefactor();
+ * const { files } = refactor.renameID({ "main.ftt": text }, "@I123@", "SMITH-1950-A");
+ * files.get("main.ftt"); // Updated text (only changed files are returned)
+ *
+ * refactor.mergePersons({ "main.ftt": text }, "SMITH-1850", "I23"); // I23 is retired
+ * refactor.setPrivacy({ "main.ftt": text }, ["SMITH-1985"], "LIVING");
+ */
+
+import FTTParser, { resolveIncludePath } from "./FTTParser.js";
+import { CSTField, CSTLine } from "./FTTSyntaxTree.js";
+import FTTWriter from "./FTTWriter.js";
+
+// Keys whose first segment is a record ID (every *_SRC modifier is one too)
+const ID_KEYS = new Set([
+    "ID",
+    "PARENT",
+    "CHILD",
+    "UNION",
+    "ASSOC",
+    "SRC",
+    "EVENT_REF",
+    "HEAD_ROOT"
+]);
+
+// Keys linking two people, which must not link the two records being merged
+const LINK_KEYS = ["PARENT", "CHILD", "UNION", "ASSOC"];
+
+// Keys a record may have only once, so the survivor's value wins
+const SINGLE_KEYS = new Set(["SEX", "PRIVACY"]);
+
+// Segment holding the PREF status of a fact
+const STATUS_INDEX = { NAME: 3, BORN: 2, DIED: 2 };
+
+const MERGED_FROM = "_MERGED_FROM";
+
+const PRIVACY_LEVELS = ["OPEN", "LIVING", "PRIVATE"];
+
+export default class FTTRefactor {
+    constructor() {
+        this.parser = new FTTParser();
+    }
+
+    /**
+     * Renames a record ID and rewrites every reference to it across the tree.
+     * Files named by HEAD_INCLUDE are followed, taken from `files` first and then
+     * from `options.readFile`.
+     *
+     * The old ID does not need to be valid (e.g. GEDCOM-style `@I123@`), but the new
+     * one must be, must keep the same sigil (record type), and must not exist yet.
+     *
+     * @param {object|Map<string, string>} files - Path -> file content
+     * @param {string} oldId
+     * @param {string} newId
+     * @param {object} [options]
+     * @param {function(string): ?string} [options.readFile]
+     * @returns {{ files: Map<string, string>, edits: Array<{ file, key, span, text }> }}
+     *   Updated content of the changed files, and each replaced ID's pre-edit span and new text.
+     * @throws {Error} If the rename is unsafe or the old ID is not found.
+     */
+    renameID(files, oldId, newId, options = {}) {
+        const from = oldId.trim().normalize("NFC");
+        const to = newId.trim().normalize("NFC");
+
+        const problem = FTTParser.validateID(to);
+        if (problem) throw new Error(`Cannot rename to "${to}": ${problem}`);
+        if (FTTParser.recordType(from) !== FTTParser.recordType(to)) {
+            throw new Error(
+                `Cannot rename "${from}" to "${to}": the sigil (record type) must not change.`
+            );
+        }
+        if (from === to) throw new Error(`"${from}" and "${to}" are the same ID.`);
+
+        const documents = this._loadTree(files, options.readFile);
+        for (const [file, doc] of documents) {
+            const existing = doc.findRecord(to);
+            if (existing) {
+                const line = existing.span.start.line;
+                const location = file ? `${file}, Line ${line}` : `Line ${line}`;
+                throw new Error(
+                    `Cannot rename "${from}": ID "${to}" already exists (${location}).`
+                );
+            }
+        }
+
+        const edits = [];
+        const changed = new Set();
+        for (const { file, field } of [...occurrences(documents, from)]) {
+            // ID lines are read verbatim; references are unescaped like any segment
+            const text = field.key === "ID" ? to : FTTWriter.escape(to);
+            edits.push({ file, key: field.key, span: field.segments[0].span, text });
+            field.setSegment(0, text);
+            changed.add(file);
+        }
+
+        if (edits.length === 0) {
+            throw new Error(`ID "${from}" is not defined or referenced.`);
+        }
+
+        return {
+            files: new Map([...changed].map((file) => [file, documents.get(file).toString()])),
+            edits
+        };
+    }
+
+    /**
+     * The declaration of a record ID and every reference to it across the tree,
+     * i.e. the spans renameID() would replace. HEAD_INCLUDE is followed as there.
+     * @param {object|Map<string, string>} files - Path -> file content
+     * @param {string} id
+     * @param {object} [options]
+     * @param {function(string): ?string} [options.readFile]
+     * @returns {Array<{ file, key, span }>} `key` is "ID" for the declaration.
+     */
+    findReferences(files, id, options = {}) {
+        const documents = this._loadTree(files, options.readFile);
+        return [...occurrences(documents, id.trim().normalize("NFC"))].map(({ file, field }) => ({
+            file,
+            key: field.key,
+            span: field.segments[0].span
+        }));
+    }
+
+    /**
+     * Merges two records that describe the same person. The retired record's fields
+     * move to the survivor, every reference to the retired ID is redirected to the
+     * survivor, and the retired ID is kept in a `_MERGED_FROM` field.
+     *
+     * Exact duplicates (same key and values) are dropped, but citations and notes that
+     * only the duplicate had are kept. Other facts are added as alternates: a moved
+     * NAME, BORN or DIED loses its PREF status. SEX and PRIVACY are only taken if the
+     * survivor has none.
+     *
+     * @param {object|Map<string, string>} files - Path -> file content
+     * @param {string} keepId - The surviving record
+     * @param {string} retiredId - The record to merge into it and remove
+     * @param {object} [options]
+     * @param {function(string): ?string} [options.readFile]
+     * @returns {{ files: Map<string, string>, moved: string[], dropped: string[], edits: Array }}
+     *   Updated content of the changed files, the keys of the retired record's fields
+     *   that were moved or dropped as duplicates, and the redirected references as for
+     *   renameID().
+     * @throws {Error} If a record is missing, the two are linked to each other or of
+     *   different sex, or the merged tree would have errors the original did not.
+     */
+    mergePersons(files, keepId, retiredId, options = {}) {
+        const keep = keepId.trim().normalize("NFC");
+        const retired = retiredId.trim().normalize("NFC");
+        if (keep === retired) throw new Error(`"${keep}" and "${retired}" are the same ID.`);
+
+        const documents = this._loadTree(files, options.readFile);
+        const original = new Map([...documents].map(([file, doc]) => [file, doc.toString()]));
+        const target = this._locate(documents, keep);
+        const source = this._locate(documents, retired);
+        this._checkMergeable(target.record, source.record);
+
+        const edits = this._redirect(documents, retired, keep);
+        const { moved, dropped } = this._absorb(target, source);
+        removeRecord(source.doc, source.record);
+
+        const merged = new Map([...documents].map(([file, doc]) => [file, doc.toString()]));
+        const errors = this._newErrors(original, merged, options.readFile);
+        if (errors.length > 0) {
+            throw new Error(
+                `Cannot merge "${retired}" into "${keep}": the result would be invalid:\n` +
+                    errors.map((e) => `    ${e}`).join("\n")
+            );
+        }
+
+        return {
+            files: new Map([...merged].filter(([file, text]) => text !== original.get(file))),
+            moved,
+            dropped,
+            edits
+        };
+    }
+
+    /**
+     * Sets the PRIVACY level of records, replacing an existing PRIVACY value or
+     * adding a `PRIVACY:` line right after the ID line.
+     * @param {object|Map<string, string>} files - Path -> file content
+     * @param {string[]} ids
+     * @param {string} level - OPEN, LIVING or PRIVATE
+     * @param {object} [options]
+     * @param {function(string): ?string} [options.readFile]
+     * @returns {{ files: Map<string, string> }} Updated content of the changed files
+     * @throws {Error} If the level is unknown or a record is not found.
+     */
+    setPrivacy(files, ids, level, options = {}) {
+        if (!PRIVACY_LEVELS.includes(level)) {
+            throw new Error(
+                `Invalid privacy level "${level}" (expected ${PRIVACY_LEVELS.join(", ")}).`
+            );
+        }
+
+        const documents = this._loadTree(files, options.readFile);
+        const changed = new Set();
+        for (const id of ids) {
+            const { file, doc, record } = this._find(documents, id);
+            const existing = record.fields.find((f) => f.key === "PRIVACY");
+            if (existing?.value === level) continue;
+            if (existing) {
+                existing.setSegment(0, level);
+            } else {
+                const eol = eolOf(doc);
+                const idLine = record.children[0].lines[record.children[0].lines.length - 1];
+                idLine.eol ||= eol;
+                record.children.splice(1, 0, newField("PRIVACY", level, eol));
+            }
+            changed.add(file);
+        }
+
+        return {
+            files: new Map([...changed].map((file) => [file, documents.get(file).toString()]))
+        };
+    }
+
+    // =========================================================================
+    // Merging
+    // =========================================================================
+
+    _locate(documents, id) {
+        const type = FTTParser.recordType(id);
+        if (type !== "INDIVIDUAL" && type !== "PLACEHOLDER") {
+            throw new Error(`Cannot merge "${id}": only people can be merged.`);
+        }
+        return this._find(documents, id);
+    }
+
+    _checkMergeable(a, b) {
+        const cannot = `Cannot merge "${b.id}" into "${a.id}"`;
+        for (const [record, other] of [
+            [a, b],
+            [b, a]
+        ]) {
+            const link = record.fields.find(
+                (f) => LINK_KEYS.includes(f.key) && f.segments[0].value === other.id
+            );
+            if (link) throw new Error(`${cannot}: they are linked by ${link.key}.`);
+        }
+
+        const [sexA, sexB] = [a, b].map((r) => r.fields.find((f) => f.key === "SEX")?.value);
+        if (sexA && sexB && sexA !== sexB) {
+            throw new Error(`${cannot}: SEX differs (${sexA} / ${sexB}).`);
+        }
+    }
+
+    /**
+     * Points every reference to `from` at `to`. A redirected field that now repeats
+     * another field of its record (e.g. a parent's CHILD lines) is removed.
+     */
+    _redirect(documents, from, to) {
+        const edits = [];
+        const text = FTTWriter.escape(to);
+
+        for (const [file, doc] of documents) {
+            for (const node of doc.children) {
+                const fields = node.type === "record" ? node.fields : [node];
+                const redirected = new Set();
+
+                for (const field of fields) {
+                    if (!(field instanceof CSTField) || !isIdField(field)) continue;
+                    if (field.key === "ID" || field.segments[0].value !== from) continue;
+
+                    edits.push({ file, key: field.key, span: field.segments[0].span, text });
+                    field.setSegment(0, text);
+                    redirected.add(field);
+                }
+
+                if (node.type !== "record" || redirected.size === 0) continue;
+                const list = units(node);
+                for (const unit of list.filter((u) => redirected.has(u.field))) {
+                    const twin = list.find(
+                        (u) => u !== unit && !u.removed && signature(u) === signature(unit)
+                    );
+                    if (!twin) continue;
+                    addModifiers(node, twin, unit);
+                    remove(node, unit);
+                    unit.removed = true;
+                }
+            }
+        }
+
+        return edits;
+    }
+
+    /**
+     * Moves the retired record's fields into the survivor.
+     */
+    _absorb(target, source) {
+        const eol = eolOf(target.doc);
+        const record = target.record;
+        const existing = units(record);
+        const moved = [];
+        const dropped = [];
+
+        const append = (nodes) => {
+            for (const node of [record.children[record.children.length - 1], ...nodes]) {
+                const line = node instanceof CSTField ? node.lines[node.lines.length - 1] : node;
+                if (!line.eol) line.eol = eol;
+            }
+            record.children.push(...nodes);
+        };
+
+        for (const unit of units(source.record)) {
+            const key = unit.field.key;
+            const twin = existing.find((u) => signature(u) === signature(unit));
+            if (twin) {
+                addModifiers(record, twin, unit);
+                dropped.push(key);
+            } else if (SINGLE_KEYS.has(key) && existing.some((u) => u.field.key === key)) {
+                dropped.push(key);
+            } else {
+                const status = STATUS_INDEX[key];
+                if (unit.field.segments[status]?.value === "PREF") {
+                    clearSegment(unit.field, status);
+                }
+                append([...unit.comments, unit.field, ...unit.modifiers]);
+                moved.push(key);
+            }
+        }
+
+        // Comments directly above the retired record describe it, so they go along
+        const { children } = source.doc;
+        let first = children.indexOf(source.record);
+        while (children[first - 1]?.type === "comment") first--;
+        const comments = children.slice(first, children.indexOf(source.record));
+        source.doc.children = children.filter((node) => !comments.includes(node));
+
+        append([...comments, newField(MERGED_FROM, FTTWriter.escape(source.record.id), eol)]);
+
+        return { moved, dropped };
+    }
+
+    /**
+     * Errors in the merged tree that the original did not have. Line numbers
+     * change, so errors are compared by code and message.
+     */
+    _newErrors(original, merged, readFile) {
+        const signature = (e) => `${e.code}: ${e.message}`;
+        const known = new Set(
+            this.parser.parseFiles(original, { recover: true, readFile }).errors.map(signature)
+        );
+        return this.parser
+            .parseFiles(merged, { recover: true, readFile })
+            .errors.filter((e) => !known.has(signature(e)));
+    }
+
+    /**
+     * @returns {{ file: string, doc: CSTDocument, record: CSTRecord }}
+     * @throws {Error} If no file defines the record.
+     */
+    _find(documents, id) {
+        for (const [file, doc] of documents) {
+            const record = doc.findRecord(id);
+            if (record) return { file, doc, record };
+        }
+        throw new Error(`Record "${id}" not found.`);
+    }
+
+    /**
+     * Builds the CST of every file in the tree, following HEAD_INCLUDE.
+     * Missing includes are skipped; the parser reports them.
+     * @returns {Map<string, CSTDocument>}
+     */
+    _loadTree(files, readFile) {
+        const contents = files instanceof Map ? files : new Map(Object.entries(files));
+        const documents = new Map();
+        const queue = [...contents.keys()];
+
+        while (queue.length > 0) {
+            const file = queue.shift();
+            if (documents.has(file)) continue;
+
+            let text = contents.get(file);
+            if (text === undefined && readFile) {
+                try {
+                    text = readFile(file);
+                } catch {
+                    text = null;
+                }
+            }
+            if (typeof text !== "string") continue;
+
+            const doc = this.parser.parseCST(text);
+            documents.set(file, doc);
+
+            for (const header of doc.headers) {
+                if (header.key !== "HEAD_INCLUDE") continue;
+                header.segments
+                    .filter((s) => s.value)
+                    .forEach((s) => queue.push(resolveIncludePath(file, s.value)));
+            }
+        }
+
+        return documents;
+    }
+}
+
+/**
+ * Every field of a document whose first segment holds an ID.
+ */
+function* idFields(doc) {
+    for (const node of doc.children) {
+        const fields = node.type === "record" ? node.fields : node.type === "field" ? [node] : [];
+        for (const field of fields) {
+            if (isIdField(field)) yield field;
+        }
+    }
+}
+
+/**
+ * The fields declaring or referencing an ID, in every document.
+ * @returns {Iterable<{ file: string, field: CSTField }>}
+ */
+function* occurrences(documents, id) {
+    for (const [file, doc] of documents) {
+        for (const field of idFields(doc)) {
+            const value =
+                field.key === "ID" ? field.value.normalize("NFC") : field.segments[0].value;
+            if (value === id) yield { file, field };
+        }
+    }
+}
+
+function isIdField(field) {
+    return ID_KEYS.has(field.key) || field.key.endsWith("_SRC");
+}
+
+/**
+ * A record's fields (after the ID line), each with its modifiers and the comments
+ * directly above it.
+ * @returns {Array<{ field: CSTField, modifiers: CSTField[], comments: CSTLine[] }>}
+ */
+function units(record) {
+    const list = [];
+    let comments = [];
+    for (const node of record.children.slice(1)) {
+        if (node instanceof CSTField && node.isModifier && list.length > 0) {
+            list[list.length - 1].modifiers.push(node);
+        } else if (node instanceof CSTField) {
+            list.push({ field: node, modifiers: [], comments });
+            comments = [];
+        } else if (node.type === "comment") {
+            comments.push(node);
+        }
+    }
+    return list;
+}
+
+/**
+ * Key and values of a field, ignoring PREF status and trailing empty segments.
+ */
+function signature(unit) {
+    const { key, segments } = unit.field;
+    const values = segments.map((s, i) => (i === STATUS_INDEX[key] ? "" : s.value.trim()));
+    while (values.length > 0 && values[values.length - 1] === "") values.pop();
+    return [key, ...values].join("|");
+}
+
+/**
+ * Copies the modifiers of `unit` that `twin` lacks (with the comments above `unit`)
+ * to the end of `twin`.
+ */
+function addModifiers(record, twin, unit) {
+    const text = (m) => `${m.key}: ${m.value}`;
+    const known = new Set(twin.modifiers.map(text));
+    const missing = unit.modifiers.filter((m) => !known.has(text(m)));
+    if (missing.length === 0) return;
+
+    const last = twin.modifiers[twin.modifiers.length - 1] || twin.field;
+    const lastLine = last.lines[last.lines.length - 1];
+    const eol = (lastLine.eol ||= "\n");
+    missing.forEach((m) => (m.lines[m.lines.length - 1].eol ||= eol));
+    record.children.splice(record.children.indexOf(last) + 1, 0, ...unit.comments, ...missing);
+    twin.modifiers.push(...missing);
+}
+
+function remove(record, unit) {
+    const nodes = new Set([...unit.comments, unit.field, ...unit.modifiers]);
+    record.children = record.children.filter((node) => !nodes.has(node));
+}
+
+/**
+ * Removes a record and one blank line that separated it from its neighbours.
+ */
+function removeRecord(doc, record) {
+    const index = doc.children.indexOf(record);
+    const blank = [index + 1, index - 1].find((i) => doc.children[i]?.type === "blank");
+    doc.children = doc.children.filter((node, i) => node !== record && i !== blank);
+}
+
+/**
+ * The line terminator a document uses.
+ */
+function eolOf(doc) {
+    return [...doc.lines()].find((l) => l.eol)?.eol || "\n";
+}
+
+function newField(key, value, eol) {
+    const line = new CSTLine(`${key}: ${value}`, eol, 0);
+    line.type = "key";
+    return new CSTField(key, line);
+}
+
+/**
+ * Empties a segment. A trailing segment is cut off with its pipe, together with
+ * the empty segments before it ("A | B | | PREF" becomes "A | B").
+ */
+function clearSegment(field, index) {
+    const segments = field.segments;
+    let kept = index - 1;
+    while (kept > 0 && !segments[kept].raw) kept--;
+
+    const previous = segments[kept].span.end;
+    if (index === segments.length - 1 && previous.line === segments[index].span.end.line) {
+        const line = field.lines.find((l) => l.line === previous.line);
+        line.text = line.text.slice(0, previous.column).trimEnd();
+    } else {
+        field.setSegment(index, "");
+    }
+}
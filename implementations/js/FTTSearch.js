@@ -0,0 +1,211 @@
+/**
+ * FTTSearch
+ * Full-text search over parsed records: an inverted index of the free text a
+ * researcher remembers ("the letter that mentions the farm in Wexford").
+ *
+ * const index = new FTTSearch(parser.parse(text).records);
+ * index.search("farm wexford"); // [{ id, key, line, file, text, score }, ...]
+ *
+ * Indexed: NAME (display and sort key), NOTES, *_NOTE modifiers, EVENT details,
+ * source TITLE, AUTHOR and REPO, and places (historical and standardized) of
+ * BORN, DIED, EVENT and PLACE. Each field is one searchable unit, so a hit points
+ * at a line. Matching ignores case and accents ("Müller" finds "Muller"); the last
+ * query word may be a prefix. Fields containing every query word come first; then
+ * records whose fields contain them between them (the farm in NOTES, Wexford in
+ * BORN), each reported once at its best-scoring field. With the
+ * `phonetic` option, words also find names that sound alike ("Smyth" finds
+ * "Schmidt"), see FTTPhonetic.
+ */
+
+import FTTPhonetic from "./FTTPhonetic.js";
+
+const PLACE_KEYS = new Set(["BORN", "DIED", "EVENT", "PLACE"]);
+const TEXT_KEYS = new Set(["NOTES", "TITLE", "AUTHOR", "REPO"]);
+
+// Boost for fields that identify a record rather than mention it
+const WEIGHTS = { NAME: 2, TITLE: 1.5 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Letters that do not decompose under NFKD
+const FOLDS = { ß: "ss", æ: "ae", œ: "oe", ø: "o", đ: "d", ł: "l", þ: "th", ı: "i" };
+
+export default class FTTSearch {
+    /**
+     * @param {object} records - Parsed records (FTTParser result.records)
+     */
+    constructor(records) {
+        this.units = []; // { id, key, line, file, text, length }
+        this.postings = new Map(); // token -> Map(unit index -> term frequency)
+        this.phonetics = new Map(); // algorithm -> FTTPhonetic (caches codes)
+
+        for (const record of Object.values(records)) {
+            for (const [key, fields] of Object.entries(record.data)) {
+                for (const field of fields) {
+                    this._add(record, key, field, textsOf(key, field));
+                    for (const [modKey, mods] of Object.entries(field.modifiers || {})) {
+                        if (!modKey.endsWith("_NOTE")) continue;
+                        mods.forEach((mod) => this._add(record, modKey, mod, [mod.text]));
+                    }
+                }
+            }
+        }
+
+        const total = this.units.reduce((sum, u) => sum + u.length, 0);
+        this.averageLength = total / (this.units.length || 1);
+    }
+
+    /**
+     * Ranked hits for a query, best first.
+     * @param {string} query - Words to find, e.g. "farm wexford"
+     * @param {object} [options]
+     * @param {number} [options.limit=50]
+     * @param {?string} [options.phonetic] - Also match NAMEs that sound alike:
+     *   "soundex", "daitch-mokotoff" or "beider-morse"
+     * @returns {Array<{ id, key, line, file, text, score }>} `text` is the field's
+     *   indexed text.
+     */
+    search(query, { limit = 50, phonetic = null } = {}) {
+        const terms = tokenize(query);
+        if (terms.length === 0) return [];
+
+        if (phonetic && !this.phonetics.has(phonetic)) {
+            this.phonetics.set(phonetic, new FTTPhonetic(phonetic));
+        }
+        const sounds = phonetic ? this.phonetics.get(phonetic) : null;
+
+        const perTerm = terms.map((term, i) => this._score(term, i === terms.length - 1, sounds));
+        const scores = new Map(perTerm[0]);
+        for (const termScores of perTerm.slice(1)) {
+            for (const [unit, score] of scores) {
+                if (termScores.has(unit)) scores.set(unit, score + termScores.get(unit));
+                else scores.delete(unit);
+            }
+        }
+
+        const hits = [...scores].sort(byScore);
+        const found = new Set(hits.map(([unit]) => this.units[unit].id));
+        return [...hits, ...this._recordHits(perTerm, found)]
+            .slice(0, limit)
+            .map(([unit, score]) => {
+                const { id, key, line, file, text } = this.units[unit];
+                return { id, key, line, file, text, score };
+            });
+    }
+
+    /**
+     * Records containing every query word across several fields, skipping those in
+     * `found`. Scored by the best field for each word.
+     * @returns {Array<[number, number]>} [best unit of the record, score], best first
+     */
+    _recordHits(perTerm, found) {
+        const records = new Map(); // id -> { words: Map(term -> score), units: Map(unit -> score) }
+        perTerm.forEach((termScores, i) => {
+            for (const [unit, score] of termScores) {
+                const id = this.units[unit].id;
+                if (found.has(id)) continue;
+                if (!records.has(id)) records.set(id, { words: new Map(), units: new Map() });
+                const { words, units } = records.get(id);
+                words.set(i, Math.max(words.get(i) || 0, score));
+                units.set(unit, (units.get(unit) || 0) + score);
+            }
+        });
+
+        const hits = [];
+        for (const { words, units } of records.values()) {
+            if (words.size < perTerm.length) continue;
+            const [best] = [...units].sort(byScore)[0];
+            hits.push([best, [...words.values()].reduce((sum, score) => sum + score, 0)]);
+        }
+        return hits.sort(byScore);
+    }
+
+    // =========================================================================
+    // Index
+    // =========================================================================
+
+    _add(record, key, field, texts) {
+        const text = [...new Set(texts.filter((t) => t && t.trim()))].join(" | ");
+        const tokens = tokenize(text);
+        if (tokens.length === 0) return;
+
+        const unit = this.units.length;
+        this.units.push({
+            id: record.id,
+            key,
+            line: field.line,
+            file: record.file || null,
+            text,
+            length: tokens.length
+        });
+        for (const token of tokens) {
+            if (!this.postings.has(token)) this.postings.set(token, new Map());
+            const units = this.postings.get(token);
+            units.set(unit, (units.get(unit) || 0) + 1);
+        }
+    }
+
+    /**
+     * BM25 score of each unit containing the term. A prefix match (e.g. "wex" for
+     * "wexford") or a sound-alike NAME word counts half.
+     * @param {?FTTPhonetic} sounds - Phonetic matcher, if enabled
+     * @returns {Map<number, number>} unit index -> score
+     */
+    _score(term, allowPrefix, sounds) {
+        const scores = new Map();
+        for (const [token, units] of this.postings) {
+            const exact = token === term;
+            const spelled = exact || (allowPrefix && token.startsWith(term));
+            const alike = !spelled && !!sounds && term.length > 1 && sounds.matches(term, token);
+            if (!spelled && !alike) continue;
+
+            const idf = Math.log(1 + (this.units.length - units.size + 0.5) / (units.size + 0.5));
+            for (const [unit, tf] of units) {
+                const { key, length } = this.units[unit];
+                if (alike && key !== "NAME") continue;
+                const norm = 1 - B + (B * length) / this.averageLength;
+                const weight = (WEIGHTS[key] || 1) * (exact ? 1 : 0.5);
+                const score = (weight * idf * tf * (K1 + 1)) / (tf + K1 * norm);
+                scores.set(unit, Math.max(scores.get(unit) || 0, score));
+            }
+        }
+        return scores;
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * The searchable texts of a field ([] if its key is not indexed).
+ */
+function textsOf(key, field) {
+    const texts = [];
+    if (key === "NAME") texts.push(field.display, field.sortKey);
+    if (TEXT_KEYS.has(key)) texts.push(field.text);
+    if (key === "EVENT") texts.push(field.details);
+    if (PLACE_KEYS.has(key)) texts.push(field.place, field.metadata?.geo);
+    return texts;
+}
+
+// Best score first, then index order
+function byScore(a, b) {
+    return b[1] - a[1] || a[0] - b[0];
+}
+
+/**
+ * Search tokens: NFKD-normalised, lower case, without accents or apostrophes
+ * ("O’Brien" -> "obrien").
+ */
+function tokenize(text) {
+    const folded = (text || "")
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .replace(/[ßæœøđłþı]/g, (c) => FOLDS[c])
+        .replace(/['’]/g, "");
+    return folded.match(/[\p{L}\p{N}]+/gu) || [];
+}
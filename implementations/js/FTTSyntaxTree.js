@@ -0,0 +1,406 @@
+/**
+ * FTTSyntaxTree
+ * Lossless Concrete Syntax Tree (CST) for FamilyTree-Text files.
+ *
+ * Every source line (including comments, blank lines and `---` separators) is kept
+ * as a node, so `toString()` reproduces the input byte-for-byte. Editing tools can
+ * change individual lines or pipe segments and write the file back with minimal diffs.
+ *
+ * const doc = new FTTParser().parseCST(fileContentString);
+ * doc.toString() === fileContentString; // true
+ */
+
+const KEY_PATTERN = /^([A-Z0-9_]+):(?:\s+(.*))?$/;
+const MODIFIER_PATTERN = /_(SRC|QUAL|NOTE|PRIV)$/;
+
+/**
+ * Builds a CST from raw file content.
+ * @param {string} text
+ * @returns {CSTDocument}
+ */
+export function buildSyntaxTree(text) {
+    const hasBom = text.startsWith("\uFEFF");
+    const doc = new CSTDocument(hasBom);
+    const lines = splitLines(hasBom ? text.slice(1) : text);
+
+    let record = null; // Current CSTRecord (null outside of a record block)
+    let field = null; // Current CSTField accepting continuation lines
+    let trivia = []; // Comments & blank lines not yet assigned to a container
+
+    // Trivia that precedes a continuation belongs to the open field (Spec 8.1).
+    // Trivia after a record's last field stays at document level, between records.
+    const flushTrivia = (target = record || doc) => {
+        trivia.forEach((node) => target.children.push(node));
+        trivia = [];
+    };
+
+    for (const node of lines) {
+        const { text: line } = node;
+
+        if (line.startsWith("#")) {
+            node.type = "comment";
+            trivia.push(node);
+            continue;
+        }
+
+        if (line.startsWith("---")) {
+            node.type = "separator";
+            flushTrivia(doc);
+            doc.children.push(node);
+            record = null;
+            field = null;
+            continue;
+        }
+
+        if (!line.trim()) {
+            node.type = "blank";
+            trivia.push(node);
+            continue;
+        }
+
+        if (line.startsWith("  ")) {
+            node.type = "continuation";
+            if (field) {
+                trivia.forEach((t) => field.lines.push(t));
+                trivia = [];
+                field.lines.push(node);
+            } else {
+                flushTrivia();
+                (record || doc).children.push(node);
+            }
+            continue;
+        }
+
+        const keyMatch = line.match(KEY_PATTERN);
+        flushTrivia(keyMatch && keyMatch[1] === "ID" ? doc : record || doc);
+
+        if (!keyMatch) {
+            node.type = "invalid";
+            field = null;
+            (record || doc).children.push(node);
+            continue;
+        }
+
+        node.type = "key";
+        field = new CSTField(keyMatch[1], node);
+
+        if (field.key === "ID") {
+            record = new CSTRecord(field);
+            doc.children.push(record);
+        } else {
+            (record || doc).children.push(field);
+        }
+    }
+
+    flushTrivia(doc);
+    return doc;
+}
+
+/**
+ * Splits text into line nodes, preserving each line terminator exactly.
+ */
+function splitLines(text) {
+    const nodes = [];
+    let start = 0;
+    let lineNum = 1;
+
+    while (start < text.length) {
+        let end = text.indexOf("\n", start);
+        let eol = "\n";
+        if (end === -1) {
+            end = text.length;
+            eol = "";
+        }
+
+        let line = text.slice(start, end);
+        if (line.endsWith("\r")) {
+            line = line.slice(0, -1);
+            eol = "\r" + eol;
+        }
+
+        nodes.push(new CSTLine(line, eol, lineNum++));
+        start = end + 1;
+    }
+    return nodes;
+}
+
+/**
+ * Unescapes a raw segment exactly like FTTParser (backslash + next char).
+ */
+function unescape(text) {
+    let result = "";
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\\") {
+            if (i + 1 < text.length) result += text[++i];
+        } else {
+            result += text[i];
+        }
+    }
+    return result;
+}
+
+// =========================================================================
+// Nodes
+// =========================================================================
+
+/**
+ * A single physical source line.
+ * Types: key, continuation, comment, blank, separator, invalid
+ */
+export class CSTLine {
+    constructor(text, eol, line) {
+        this.type = null;
+        this.text = text;
+        this.eol = eol; // "\n", "\r\n" or "" (last line without terminator)
+        this.line = line; // 1-based, as parsed
+    }
+
+    get span() {
+        return {
+            start: { line: this.line, column: 0 },
+            end: { line: this.line, column: this.text.length }
+        };
+    }
+
+    toString() {
+        return this.text + this.eol;
+    }
+}
+
+/**
+ * A key line plus its continuation lines (and any comments or blank lines between them).
+ */
+export class CSTField {
+    constructor(key, keyLine) {
+        this.type = "field";
+        this.key = key;
+        this.lines = [keyLine];
+    }
+
+    get isHeader() {
+        return this.key.startsWith("HEAD_");
+    }
+
+    get isModifier() {
+        return MODIFIER_PATTERN.test(this.key);
+    }
+
+    /**
+     * The folded value, as FTTParser buffers it (before pipe splitting).
+     */
+    get value() {
+        return this._scan().text.trim();
+    }
+
+    /**
+     * Pipe segments with their source spans.
+     * @returns {Array<{ index, raw, value, span }>}
+     */
+    get segments() {
+        const { text, positions } = this._scan();
+        const segments = [];
+
+        const pushSegment = (from, to) => {
+            let s = from;
+            let e = to;
+            while (s < e && /\s/.test(text[s])) s++;
+            while (e > s && /\s/.test(text[e - 1])) e--;
+
+            const raw = text.slice(s, e);
+            const start = this._position(positions, s, from);
+            const end = s === e ? start : this._position(positions, e - 1, from, 1);
+            segments.push({
+                index: segments.length,
+                raw,
+                value: unescape(raw).normalize("NFC"),
+                span: { start, end }
+            });
+        };
+
+        let segStart = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === "\\") {
+                i++;
+            } else if (text[i] === "|") {
+                pushSegment(segStart, i);
+                segStart = i + 1;
+            }
+        }
+        pushSegment(segStart, text.length);
+        return segments;
+    }
+
+    get span() {
+        const first = this.lines[0];
+        const last = this.lines[this.lines.length - 1];
+        return {
+            start: { line: first.line, column: 0 },
+            end: { line: last.line, column: last.text.length }
+        };
+    }
+
+    /**
+     * Replaces the raw text of a single pipe segment in place, leaving every
+     * other byte of the field untouched. The segment must lie on one line.
+     * @param {number} index
+     * @param {string} rawText - Already escaped segment content.
+     */
+    setSegment(index, rawText) {
+        const segment = this.segments[index];
+        if (!segment) {
+            throw new Error(`Field ${this.key} has no segment at index ${index}.`);
+        }
+
+        const { start, end } = segment.span;
+        if (start.line !== end.line) {
+            throw new Error(`Segment ${index} of ${this.key} spans multiple lines.`);
+        }
+
+        const lineNode = this.lines.find((l) => l.line === start.line);
+        const before = lineNode.text.slice(0, start.column);
+        const after = lineNode.text.slice(end.column);
+
+        let replacement = rawText;
+        if (!segment.raw) {
+            // Filling an empty `||` slot or `KEY:` value: keep the canonical
+            // `KEY: A | B` spacing (the parser requires the space after the colon)
+            if (/[|:]$/.test(before)) replacement = " " + replacement;
+            if (after.startsWith("|")) replacement += " ";
+        }
+
+        lineNode.text = before + replacement + after;
+    }
+
+    toString() {
+        return this.lines.map((l) => l.toString()).join("");
+    }
+
+    /**
+     * Rebuilds the parser's buffer for this field, remembering where each
+     * character came from. Joining spaces and paragraph breaks map to null.
+     */
+    _scan() {
+        let text = "";
+        const positions = [];
+        const append = (str, line, column) => {
+            for (let i = 0; i < str.length; i++) {
+                text += str[i];
+                positions.push(line === null ? null : { line, column: column + i });
+            }
+        };
+
+        const keyLine = this.lines[0];
+        const match = keyLine.text.match(KEY_PATTERN);
+        const inline = match[2] || "";
+        let hasContent = false;
+        if (inline) {
+            append(inline, keyLine.line, keyLine.text.length - inline.length);
+            hasContent = true;
+        }
+
+        for (const node of this.lines.slice(1)) {
+            if (node.type === "blank") {
+                append("\n", null);
+                hasContent = true;
+            } else if (node.type === "continuation") {
+                if (hasContent && !text.endsWith("\n")) append(" ", null);
+                append(node.text.substring(2), node.line, 2);
+                hasContent = true;
+            }
+        }
+
+        return { text, positions };
+    }
+
+    /**
+     * Maps a buffer index to a source position, skipping synthesized characters.
+     */
+    _position(positions, index, floor, offset = 0) {
+        for (let i = index; i >= floor; i--) {
+            if (positions[i]) {
+                return { line: positions[i].line, column: positions[i].column + offset };
+            }
+        }
+        const first = this.lines[0];
+        return { line: first.line, column: first.text.length };
+    }
+}
+
+/**
+ * An `ID:` field followed by every node belonging to that record block.
+ */
+export class CSTRecord {
+    constructor(idField) {
+        this.type = "record";
+        this.children = [idField];
+    }
+
+    get id() {
+        return this.children[0].value.normalize("NFC");
+    }
+
+    get fields() {
+        return this.children.filter((c) => c instanceof CSTField);
+    }
+
+    get span() {
+        const first = this.children[0].span;
+        const last = this.children[this.children.length - 1].span;
+        return { start: first.start, end: last.end };
+    }
+
+    toString() {
+        return this.children.map((c) => c.toString()).join("");
+    }
+}
+
+/**
+ * Root node. Top-level children are header fields, records and trivia lines.
+ */
+export class CSTDocument {
+    constructor(hasBom = false) {
+        this.type = "document";
+        this.hasBom = hasBom;
+        this.children = [];
+    }
+
+    get records() {
+        return this.children.filter((c) => c instanceof CSTRecord);
+    }
+
+    get headers() {
+        return this.children.filter((c) => c instanceof CSTField && c.isHeader);
+    }
+
+    findRecord(id) {
+        return this.records.find((r) => r.id === id) || null;
+    }
+
+    /**
+     * Depth-first iterator over every line node in source order.
+     */
+    *lines() {
+        const walk = function* (node) {
+            if (node instanceof CSTLine) {
+                yield node;
+            } else if (node instanceof CSTField) {
+                yield* node.lines;
+            } else {
+                for (const child of node.children) yield* walk(child);
+            }
+        };
+        yield* walk(this);
+    }
+
+    /**
+     * Renumbers all lines after nodes were inserted or removed.
+     */
+    reindex() {
+        let lineNum = 1;
+        for (const node of this.lines()) node.line = lineNum++;
+    }
+
+    toString() {
+        return (this.hasBom ? "\uFEFF" : "") + this.children.map((c) => c.toString()).join("");
+    }
+}
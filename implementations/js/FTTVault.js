@@ -0,0 +1,284 @@
+/**
+ * FTTVault
+ * Passphrase encryption of single fields ("sealed fields"), for research notes that
+ * only some readers of a shared tree may see. It uses WebCrypto, so it runs unchanged
+ * in Node and in the browser.
+ *
+ * const vault = new FTTVault(passphrase);
+ * const { text: sealed } = await vault.seal(text, "SMITH-01", ["NOTES"]);
+ * const { text: plain, remaining } = await vault.open(sealed); // remaining: still sealed
+ *
+ * Sealing replaces a field, its continuation lines and its modifiers with one line:
+ *
+ * _SEALED: NOTES | AgAJJ8D0x8Hq...
+ *
+ * The first segment names the hidden key. The second is the envelope: base64 of a
+ * version byte, the PBKDF2 iteration count, the salt, the IV and the AES-GCM
+ * ciphertext of the original lines. The record ID and the key name are
+ * authenticated too, so the line cannot be moved to another person or key without
+ * breaking the envelope.
+ *
+ * Without the passphrase, FTTParser keeps a sealed field as an opaque extension
+ * field (`sealedKey`, `envelope`) and exporters show placeholder() instead.
+ */
+
+import FTTParser from "./FTTParser.js";
+import { CSTField, CSTLine } from "./FTTSyntaxTree.js";
+
+export const SEALED_KEY = "_SEALED";
+
+const VERSION = 2;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const HEADER_BYTES = 1 + 4 + SALT_BYTES + IV_BYTES;
+
+// PBKDF2 rounds accepted from an envelope: anyone who can edit the file controls
+// this count, and an absurd one would hang key derivation
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 10000000;
+
+export default class FTTVault {
+    /**
+     * @param {string} passphrase
+     * @param {object} [options]
+     * @param {number} [options.iterations=600000] - PBKDF2-SHA256 rounds for new envelopes
+     *   (100,000 to 10,000,000)
+     * @throws {Error} If the passphrase is empty, the iteration count is out of range or
+     *   WebCrypto is unavailable.
+     */
+    constructor(passphrase, options = {}) {
+        if (!passphrase) throw new Error("A passphrase is required.");
+        if (!globalThis.crypto?.subtle) throw new Error("WebCrypto is not available.");
+        this.passphrase = passphrase;
+        this.iterations = options.iterations ?? 600000;
+        if (!validIterations(this.iterations)) {
+            throw new Error(
+                `PBKDF2 iterations must be between ${MIN_ITERATIONS} and ${MAX_ITERATIONS}.`
+            );
+        }
+        this.parser = new FTTParser();
+        this.keys = new Map(); // "iterations:salt" -> Promise<CryptoKey>
+    }
+
+    /**
+     * Text shown in place of a sealed field, e.g. "[Sealed NOTES]".
+     * @param {object} field - A parsed _SEALED field
+     * @returns {string}
+     */
+    static placeholder(field) {
+        return `[Sealed ${field.sealedKey || "field"}]`;
+    }
+
+    /**
+     * Seals fields of one record.
+     * @param {string} text - File content
+     * @param {string} id - Record ID
+     * @param {string[]} [keys] - Keys to seal (every field of each key)
+     * @returns {Promise<{ text: string, count: number }>}
+     * @throws {Error} If the record is missing or a key cannot be sealed.
+     */
+    async seal(text, id, keys = ["NOTES"]) {
+        for (const key of keys) {
+            if (key === "ID" || key === SEALED_KEY || /_(SRC|QUAL|NOTE|PRIV)$/.test(key)) {
+                throw new Error(`${key} fields cannot be sealed.`);
+            }
+        }
+        const doc = this.parser.parseCST(text);
+        const record = doc.findRecord(id);
+        if (!record) throw new Error(`Record ${id} not found.`);
+
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const nodes = record.children;
+        let count = 0;
+        for (let i = 1; i < nodes.length; i++) {
+            const field = nodes[i];
+            if (!(field instanceof CSTField) || field.isModifier || !keys.includes(field.key)) {
+                continue;
+            }
+            const end = unitEnd(nodes, i);
+            const unit = nodes.slice(i, end + 1);
+            const source = unit
+                .map(String)
+                .join("")
+                .replace(/\r?\n$/, "");
+            const envelope = await this._encrypt(
+                source.replace(/\r\n/g, "\n"),
+                context(id, field.key),
+                salt
+            );
+
+            const line = new CSTLine(`${SEALED_KEY}: ${field.key} | ${envelope}`, lastEol(unit));
+            line.type = "key";
+            nodes.splice(i, unit.length, new CSTField(SEALED_KEY, line));
+            count++;
+        }
+        return { text: doc.toString(), count };
+    }
+
+    /**
+     * Restores every sealed field this passphrase can decrypt. Fields sealed with
+     * another passphrase stay sealed.
+     * @param {string} text - File content
+     * @returns {Promise<{ text: string, opened: number, remaining: Array<{ id, key, line }> }>}
+     */
+    async open(text) {
+        const doc = this.parser.parseCST(text);
+        const eol = text.includes("\r\n") ? "\r\n" : "\n";
+        const remaining = [];
+        let opened = 0;
+
+        for (const record of doc.records) {
+            const nodes = record.children;
+            for (let i = 0; i < nodes.length; i++) {
+                const field = nodes[i];
+                if (!(field instanceof CSTField) || field.key !== SEALED_KEY) continue;
+
+                const [key = "", envelope = ""] = field.segments.map((s) => s.value.trim());
+                let source;
+                try {
+                    source = await this._decrypt(envelope, context(record.id, key));
+                } catch {
+                    remaining.push({ id: record.id, key, line: field.lines[0].line });
+                    continue;
+                }
+                // A plain text node: the restored lines are only written back out
+                nodes[i] = new CSTLine(source.replace(/\n/g, eol), lastEol(field.lines));
+                opened++;
+            }
+        }
+        return { text: doc.toString(), opened, remaining };
+    }
+
+    // =========================================================================
+    // Envelopes
+    // =========================================================================
+
+    /**
+     * @param {string} context - Authenticated, unencrypted data: record ID and key
+     */
+    async _encrypt(plaintext, context, salt) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const cryptoKey = await this._key(salt, this.iterations);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: "AES-GCM", iv, additionalData: encode(context) },
+            cryptoKey,
+            encode(plaintext)
+        );
+
+        const bytes = new Uint8Array(HEADER_BYTES + ciphertext.byteLength);
+        bytes[0] = VERSION;
+        new DataView(bytes.buffer).setUint32(1, this.iterations);
+        bytes.set(salt, 5);
+        bytes.set(iv, 5 + SALT_BYTES);
+        bytes.set(new Uint8Array(ciphertext), HEADER_BYTES);
+        return toBase64(bytes);
+    }
+
+    /**
+     * @throws {Error} If the envelope is damaged or the passphrase is wrong.
+     */
+    async _decrypt(envelope, context) {
+        let bytes;
+        try {
+            bytes = fromBase64(envelope);
+        } catch {
+            throw new Error("Sealed field is not valid base64.");
+        }
+        if (bytes.length <= HEADER_BYTES || bytes[0] !== VERSION) {
+            throw new Error("Unsupported sealed field envelope.");
+        }
+
+        const iterations = new DataView(bytes.buffer).getUint32(1);
+        if (!validIterations(iterations)) {
+            throw new Error("Sealed field has an unsupported PBKDF2 iteration count.");
+        }
+        const salt = bytes.slice(5, 5 + SALT_BYTES);
+        const iv = bytes.slice(5 + SALT_BYTES, HEADER_BYTES);
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: "AES-GCM", iv, additionalData: encode(context) },
+                await this._key(salt, iterations),
+                bytes.slice(HEADER_BYTES)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch {
+            throw new Error("Wrong passphrase or damaged sealed field.");
+        }
+    }
+
+    /**
+     * AES-256 key derived from the passphrase. Derivation is slow on purpose, so
+     * keys are cached per salt (one salt serves every field of a seal() call).
+     */
+    _key(salt, iterations) {
+        const cacheKey = `${iterations}:${toBase64(salt)}`;
+        if (!this.keys.has(cacheKey)) {
+            const derive = async () => {
+                const material = await crypto.subtle.importKey(
+                    "raw",
+                    encode(this.passphrase.normalize("NFC")),
+                    "PBKDF2",
+                    false,
+                    ["deriveKey"]
+                );
+                return crypto.subtle.deriveKey(
+                    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+                    material,
+                    { name: "AES-GCM", length: 256 },
+                    false,
+                    ["encrypt", "decrypt"]
+                );
+            };
+            this.keys.set(cacheKey, derive());
+        }
+        return this.keys.get(cacheKey);
+    }
+}
+
+// =========================================================================
+// Helpers
+// =========================================================================
+
+/**
+ * Index of the last node of the field at `start` and its modifiers. Comments and
+ * blank lines between them belong to the unit (Spec 8.2.2).
+ */
+function unitEnd(nodes, start) {
+    let end = start;
+    for (let j = start + 1; j < nodes.length; j++) {
+        if (!(nodes[j] instanceof CSTField)) continue;
+        if (!nodes[j].isModifier) break;
+        end = j;
+    }
+    return end;
+}
+
+/**
+ * Additional data binding an envelope to its record and key.
+ */
+function context(id, key) {
+    return `${id}\n${key}`;
+}
+
+function validIterations(count) {
+    return Number.isInteger(count) && count >= MIN_ITERATIONS && count <= MAX_ITERATIONS;
+}
+
+function lastEol(nodes) {
+    const last = nodes[nodes.length - 1];
+    return last instanceof CSTField ? last.lines[last.lines.length - 1].eol : last.eol;
+}
+
+function encode(text) {
+    return new TextEncoder().encode(text);
+}
+
+function toBase64(bytes) {
+    let binary = "";
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
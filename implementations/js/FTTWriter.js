@@ -0,0 +1,230 @@
+/**
+ * FTTWriter
+ * Serializes a parsed FTT model ({ headers, records }) back to canonical FTT v0.1 text.
+ *
+ * const writer = new FTTWriter();
+ * const text = writer.write(parser.parse(fileContentString));
+ */
+
+const DEFAULT_FORMAT = "FTT v0.1";
+
+// Free-text keys whose long values are folded onto 2-space continuation lines
+const FOLDABLE_KEYS = new Set(["NOTES", "TITLE", "AUTHOR", "REPO"]);
+
+export default class FTTWriter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.lineWidth=80] - Fold free-text values longer than this.
+     */
+    constructor(options = {}) {
+        this.lineWidth = options.lineWidth || 80;
+    }
+
+    /**
+     * Main Entry Point
+     * @param {object} model - { headers, records } as returned by FTTParser.parse()
+     * @returns {string} FTT v0.1 text
+     */
+    write(model) {
+        const headers = model.headers || {};
+        const records = model.records || {};
+        const out = [];
+
+        // 1. Global Headers (HEAD_FORMAT is always first)
+        out.push(`HEAD_FORMAT: ${headers["HEAD_FORMAT"] || DEFAULT_FORMAT}`);
+        for (const [key, value] of Object.entries(headers)) {
+            if (key === "HEAD_FORMAT" || !key.startsWith("HEAD_")) continue;
+            out.push(`${key}: ${value}`);
+        }
+
+        // 2. Records
+        for (const rec of Object.values(records)) {
+            out.push("");
+            this._writeRecord(rec, out);
+        }
+
+        return out.join("\n") + "\n";
+    }
+
+    /**
+     * Escapes a literal value for use inside a pipe-delimited field.
+     * @param {string} text
+     */
+    static escape(text) {
+        return String(text).replace(/[\\|]/g, "\\$&");
+    }
+
+    // =========================================================================
+    // Records & Fields
+    // =========================================================================
+
+    _writeRecord(rec, out) {
+        out.push(`ID: ${rec.id}`);
+
+        // Restore the original line order where known (data is grouped by key)
+        const entries = [];
+        for (const [key, fields] of Object.entries(rec.data || {})) {
+            for (const field of fields) {
+                if (field.isImplicit) continue; // Injected by the parser, not authored
+                entries.push({ key, field });
+            }
+        }
+        entries.sort((a, b) => this._lineOf(a.field) - this._lineOf(b.field));
+
+        for (const { key, field } of entries) {
+            this._writeLine(key, this._serializeField(key, field), out);
+
+            // Modifiers are only valid immediately after their target field
+            for (const [modKey, mods] of Object.entries(field.modifiers || {})) {
+                for (const mod of mods) {
+                    this._writeLine(modKey, this._serializeField(modKey, mod), out);
+                }
+            }
+        }
+    }
+
+    _lineOf(field) {
+        return typeof field.line === "number" ? field.line : Infinity;
+    }
+
+    /**
+     * Rebuilds the pipe-delimited value of a field from its parsed segments.
+     * Raw segments are reused where they still match, so escapes and place
+     * syntax ({=...}, <...>) survive untouched. Changed segments are escaped.
+     */
+    _serializeField(key, field) {
+        const parsed = field.parsed || [];
+        const rawSegments = typeof field.raw === "string" ? this._splitByPipe(field.raw) : [];
+
+        const segments = parsed.map((value, i) => {
+            const text = value || "";
+            const rawSeg = rawSegments[i];
+            if (rawSeg !== undefined && this._unescape(rawSeg).normalize("NFC") === text) {
+                return rawSeg;
+            }
+            return FTTWriter.escape(text);
+        });
+
+        // Trailing empty segments may be omitted (Spec 1.2)
+        while (segments.length > 1 && segments[segments.length - 1] === "") {
+            segments.pop();
+        }
+
+        return this._joinSegments(segments);
+    }
+
+    /**
+     * Joins segments canonically: `A | B`, with empty fields collapsed to `||`.
+     */
+    _joinSegments(segments) {
+        let text = segments[0] || "";
+        for (let i = 1; i < segments.length; i++) {
+            if (text !== "" && !text.endsWith("|")) text += " ";
+            text += "|";
+            if (segments[i]) text += " " + segments[i];
+        }
+        return text;
+    }
+
+    // =========================================================================
+    // Line Output & Folding
+    // =========================================================================
+
+    _writeLine(key, value, out) {
+        const paragraphs = value.split("\n");
+        const foldable = FOLDABLE_KEYS.has(key) || key.endsWith("_NOTE");
+        const first = `${key}:`;
+
+        paragraphs.forEach((paragraph, index) => {
+            // Spec 1.1: a blank line between continuation lines is a paragraph break
+            if (index > 0) {
+                out.push("");
+                if (!paragraph) return;
+            }
+
+            const prefix = index === 0 ? (paragraph ? `${first} ` : first) : "  ";
+            const lines = foldable
+                ? this._fold(paragraph, this.lineWidth - prefix.length)
+                : [paragraph];
+
+            lines.forEach((line, lineIdx) => {
+                out.push((lineIdx === 0 ? prefix : "  ") + line);
+            });
+        });
+    }
+
+    /**
+     * Splits text at single spaces so that the parser's space-folding rule
+     * (Spec 8.1) reassembles the exact original string.
+     */
+    _fold(text, width) {
+        const lines = [];
+        let rest = text;
+        const limit = Math.max(width, 20);
+
+        while (rest.length > limit) {
+            const breakAt = this._findBreak(rest, limit);
+            if (breakAt === -1) break;
+
+            const remainder = rest.slice(breakAt + 1);
+            // A continuation line holding only whitespace would become a paragraph break
+            if (!remainder.trim()) break;
+
+            lines.push(rest.slice(0, breakAt));
+            rest = remainder;
+        }
+
+        lines.push(rest);
+        return lines;
+    }
+
+    /**
+     * Finds a space to break at, preferring the last one within the limit.
+     * The line before the break must not be blank or end in whitespace.
+     */
+    _findBreak(text, limit) {
+        const isCandidate = (i) => text[i - 1] !== " " && text.slice(0, i).trim() !== "";
+
+        for (let i = Math.min(limit, text.length - 1); i > 0; i--) {
+            if (text[i] === " " && isCandidate(i)) return i;
+        }
+        for (let i = limit + 1; i < text.length; i++) {
+            if (text[i] === " " && isCandidate(i)) return i;
+        }
+        return -1;
+    }
+
+    // =========================================================================
+    // Escape Helpers
+    // =========================================================================
+
+    /**
+     * Splits text by the pipe delimiter `|`, respecting escaped pipes `\|`.
+     * Does NOT unescape other characters. Returns raw, trimmed segments.
+     */
+    _splitByPipe(text) {
+        const segments = [];
+        let current = "";
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === "\\") {
+                current += char;
+                if (i + 1 < text.length) {
+                    current += text[i + 1];
+                    i++;
+                }
+            } else if (char === "|") {
+                segments.push(current.trim());
+                current = "";
+            } else {
+                current += char;
+            }
+        }
+        segments.push(current.trim());
+        return segments;
+    }
+
+    _unescape(text) {
+        return text.replace(/\\(.?)/gs, "$1");
+    }
+}
@@ -1,4 +1,24 @@
 import FTTParser from "./FTTParser.js";
+import FTTDate from "./FTTDate.js";
+import FTTNames from "./FTTNames.js";
+import FTTPrivacy from "./FTTPrivacy.js";
+import { firstValue } from "./FTTQuery.js";
+import FTTVault from "./FTTVault.js";
+
+const GED_MONTHS = [
+    "JAN",
+    "FEB",
+    "MAR",
+    "APR",
+    "MAY",
+    "JUN",
+    "JUL",
+    "AUG",
+    "SEP",
+    "OCT",
+    "NOV",
+    "DEC"
+];
 
 /**
  * GedcomExporter
@@ -7,6 +27,7 @@ import FTTParser from "./FTTParser.js";
 export default class GedcomExporter {
     constructor() {
         this.parser = new FTTParser();
+        this.names = new FTTNames();
         this.famCache = new Map(); // "ID1|ID2" -> [ { id: @F1@, startDate: "1990", ... } ]
         this.famCounter = 1;
         this.downgradeLog = []; // Stores audit warnings
@@ -14,16 +35,19 @@ export default class GedcomExporter {
 
     /**
      * @param {string} fttText
-     * @param {boolean} privacyEnabled - If true, enforces Appendix D privacy rules
+     * @param {boolean|object} [privacy=false] - If set, enforces Appendix D privacy rules
+     *   (true for the default policy, or an FTTPrivacy policy object)
      */
-    convert(fttText, privacyEnabled = false) {
+    convert(fttText, privacy = false) {
         // 1. Parse FTT
         const result = this.parser.parse(fttText);
         if (result.errors.length > 0) {
             throw new Error(`Cannot export invalid FTT: ${result.errors[0]}`);
         }
 
-        const records = result.records;
+        const records = privacy
+            ? new FTTPrivacy(privacy === true ? {} : privacy).apply(result).records
+            : result.records;
 
         // 1b. Inject Implicit Placeholders
         this._injectImplicitPlaceholders(records);
@@ -43,13 +67,8 @@ export default class GedcomExporter {
 
         // 3. Process Individuals
         for (const [, rec] of Object.entries(records)) {
-            if (privacyEnabled) {
-                const privacy = this._getField(rec, "PRIVACY");
-                if (privacy === "PRIVATE") continue;
-            }
-
             if (rec.type === "INDIVIDUAL" || rec.type === "PLACEHOLDER") {
-                this._writeIndividual(rec, output, records, privacyEnabled);
+                this._writeIndividual(rec, output, records);
             } else if (rec.type === "SOURCE") {
                 this._writeSource(rec, output);
             } else if (rec.type === "EVENT") {
@@ -69,22 +88,6 @@ export default class GedcomExporter {
                     output.push(`1 CHIL @${childId}@`);
                 });
 
-                // Evaluate Family Privacy (Mask if any spouse is LIVING or PRIVATE)
-                let isFamLiving = false;
-                const spouseIds = [...fam.husbs, ...fam.wives];
-                for (const spouseId of spouseIds) {
-                    const spouseRec = records[spouseId];
-                    if (spouseRec) {
-                        const priv = this._getField(spouseRec, "PRIVACY");
-                        if (priv === "LIVING" || priv === "PRIVATE") {
-                            isFamLiving = true;
-                            break;
-                        }
-                    }
-                }
-
-                const shouldMask = privacyEnabled && isFamLiving;
-
                 // Family Events (MARR, DIV, etc.)
                 fam.events.forEach((evt) => {
                     if (evt.type === "PART") {
@@ -95,18 +98,16 @@ export default class GedcomExporter {
                         output.push(`1 ${evt.tag}`);
                     }
 
-                    if (!shouldMask) {
-                        if (evt.date) output.push(`2 DATE ${evt.date}`);
+                    if (evt.date) output.push(`2 DATE ${evt.date}`);
 
-                        // Attach Notes to the main event
-                        if (evt.notes && evt.notes.length > 0) {
-                            evt.notes.forEach((n) => this._writeNote(n, output, 2));
-                        }
+                    // Attach Notes to the main event
+                    if (evt.notes && evt.notes.length > 0) {
+                        evt.notes.forEach((n) => this._writeNote(n, output, 2));
+                    }
 
-                        if (evt.reason === "DIV") {
-                            output.push(`1 DIV`);
-                            if (evt.endDate) output.push(`2 DATE ${evt.endDate}`);
-                        }
+                    if (evt.reason === "DIV") {
+                        output.push(`1 DIV`);
+                        if (evt.endDate) output.push(`2 DATE ${evt.endDate}`);
                     }
                 });
 
@@ -179,9 +180,9 @@ export default class GedcomExporter {
     _writeSource(rec, out) {
         const cleanId = rec.id.replace("^", "");
         out.push(`0 @${cleanId}@ SOUR`);
-        const title = this._getField(rec, "TITLE");
+        const title = firstValue(rec, "TITLE");
         if (title) out.push(`1 TITL ${title}`);
-        const auth = this._getField(rec, "AUTHOR");
+        const auth = firstValue(rec, "AUTHOR");
         if (auth) out.push(`1 AUTH ${auth}`);
 
         if (rec.data.NOTES) {
@@ -191,42 +192,48 @@ export default class GedcomExporter {
         }
     }
 
-    _writeIndividual(rec, out, allRecords, privacyEnabled) {
+    _writeIndividual(rec, out, allRecords) {
         out.push(`0 @${rec.id}@ INDI`);
 
-        const privacyStatus = this._getField(rec, "PRIVACY");
-        const isLiving = privacyStatus === "LIVING";
-        const shouldMask = privacyEnabled && isLiving;
-
         // Name Parsing
-        if (shouldMask) {
-            out.push("1 NAME <Living> //");
-        } else if (rec.data.NAME) {
+        if (rec.data.NAME) {
             rec.data.NAME.forEach((nameField) => {
                 const display = nameField.display || "Unknown";
-                const sort = nameField.sortKey || "";
                 const type = nameField.nameType || "";
+                const parts = this.names.parse(nameField);
+                const family = [parts.particles, parts.surname].filter((p) => p).join(" ");
 
-                let gedName = display;
-                if (sort.includes(",")) {
-                    const surname = sort.split(",")[0].trim();
-                    const surnameIndex = display.lastIndexOf(surname); // Target the true family name at the end
+                let gedName = `${display} //`;
+                if (family) {
+                    // Target the true family name: the last one, or the first if written first
+                    const familyFirst = ["family-first", "cjk"].includes(parts.convention);
+                    const surnameIndex = familyFirst
+                        ? display.indexOf(family)
+                        : display.lastIndexOf(family);
 
                     if (surnameIndex !== -1) {
                         gedName =
                             display.slice(0, surnameIndex) +
-                            `/${surname}/` +
-                            display.slice(surnameIndex + surname.length);
+                            `/${family}/` +
+                            display.slice(surnameIndex + family.length);
                     } else {
-                        gedName = `${display} /${surname}/`;
+                        gedName = `${display} /${family}/`;
                     }
-                } else {
-                    gedName = `${display} //`;
                 }
 
                 out.push(`1 NAME ${gedName}`);
                 if (type) out.push(`2 TYPE ${type}`);
 
+                // Name pieces, when a surname was found (a mononym says it all)
+                if (family) {
+                    const given = [parts.given, parts.patronymic].filter((p) => p).join(" ");
+                    if (parts.prefix) out.push(`2 NPFX ${parts.prefix}`);
+                    if (given) out.push(`2 GIVN ${given}`);
+                    if (parts.particles) out.push(`2 SPFX ${parts.particles}`);
+                    out.push(`2 SURN ${parts.surname}`);
+                    if (parts.suffix) out.push(`2 NSFX ${parts.suffix}`);
+                }
+
                 // Export NAME_NOTE
                 if (nameField.modifiers && nameField.modifiers.NAME_NOTE) {
                     nameField.modifiers.NAME_NOTE.forEach((note) => {
@@ -254,16 +261,16 @@ export default class GedcomExporter {
                 out.push(`1 SEX ${sexVal}`);
             }
 
-            if (!shouldMask && sexObj.modifiers && sexObj.modifiers.SEX_NOTE) {
+            if (sexObj.modifiers && sexObj.modifiers.SEX_NOTE) {
                 sexObj.modifiers.SEX_NOTE.forEach((note) => {
                     this._writeNote(note.text, out, 2);
                 });
             }
         }
 
-        this._writeEvent(rec, "BORN", "BIRT", out, shouldMask);
-        this._writeEvent(rec, "DIED", "DEAT", out, shouldMask);
-        this._writeEvent(rec, "EVENT", "EVEN", out, shouldMask);
+        this._writeEvent(rec, "BORN", "BIRT", out);
+        this._writeEvent(rec, "DIED", "DEAT", out);
+        this._writeEvent(rec, "EVENT", "EVEN", out);
 
         // Shared Events
         if (rec.data.EVENT_REF) {
@@ -271,14 +278,12 @@ export default class GedcomExporter {
                 const evtId = ref.eventId;
                 const sharedEvt = allRecords[evtId];
                 if (sharedEvt) {
-                    const type = this._getField(sharedEvt, "TYPE") || "EVENT";
-                    const date = this._gedDate(this._getField(sharedEvt, "START_DATE"));
+                    const type = firstValue(sharedEvt, "TYPE") || "EVENT";
+                    const date = this._gedDate(sharedEvt.data.START_DATE?.[0]?.dateValue);
                     out.push(`1 EVEN`);
                     out.push(`2 TYPE ${type}`);
-                    if (!shouldMask) {
-                        if (date) out.push(`2 DATE ${date}`);
-                        out.push(`2 NOTE Shared Event Reference: ${evtId}`);
-                    }
+                    if (date) out.push(`2 DATE ${date}`);
+                    out.push(`2 NOTE Shared Event Reference: ${evtId}`);
                 }
             });
         }
@@ -296,11 +301,11 @@ export default class GedcomExporter {
                 if (startDate) {
                     this._log(rec.id, `ASSOC to ${targetId}: Date '${startDate}' stripped.`);
                 }
-                if (details && !shouldMask) {
+                if (details) {
                     out.push(`2 NOTE ${details}`);
                 }
 
-                if (!shouldMask && assoc.modifiers && assoc.modifiers.ASSOC_NOTE) {
+                if (assoc.modifiers && assoc.modifiers.ASSOC_NOTE) {
                     assoc.modifiers.ASSOC_NOTE.forEach((n) => {
                         this._writeNote(n.text, out, 2);
                     });
@@ -309,20 +314,25 @@ export default class GedcomExporter {
         }
 
         // Notes
-        if (!shouldMask && rec.data.NOTES) {
+        if (rec.data.NOTES) {
             rec.data.NOTES.forEach((n) => {
                 this._writeNote(n.text, out, 1);
             });
         }
+        if (rec.data._SEALED) {
+            rec.data._SEALED.forEach((f) => {
+                this._writeNote(FTTVault.placeholder(f), out, 1);
+            });
+        }
 
         // Unions (Spouse Links)
         if (rec.data.UNION) {
             rec.data.UNION.forEach((u) => {
                 const partnerId = u.partnerId;
                 const type = u.unionType || "MARR";
-                const date = this._gedDate(u.startDate);
+                const date = this._gedDate(u.startDateValue);
                 const rawStartDate = u.startDate; // Use raw for lookup
-                const endDate = this._gedDate(u.endDate);
+                const endDate = this._gedDate(u.endDateValue);
                 const reason = u.endReason;
 
                 // Retrieve Specific Family by Date
@@ -330,7 +340,7 @@ export default class GedcomExporter {
 
                 // Collect UNION_NOTEs
                 const notes = [];
-                if (!shouldMask && u.modifiers && u.modifiers.UNION_NOTE) {
+                if (u.modifiers && u.modifiers.UNION_NOTE) {
                     u.modifiers.UNION_NOTE.forEach((n) => notes.push(n.text));
                 }
 
@@ -367,8 +377,8 @@ export default class GedcomExporter {
                     const p2 = p2Obj ? p2Obj.parentId : null;
 
                     // Match Child to Family based on Child's Birth Date
-                    const birthDateRaw = this._getField(rec, "BORN"); // Extract BORN date
-                    const fam = this._getFamilyForChild(p1, p2, birthDateRaw);
+                    const birthDate = rec.data.BORN?.[0]?.dateValue || null;
+                    const fam = this._getFamilyForChild(p1, p2, birthDate);
 
                     if (!fam.children.includes(rec.id)) {
                         fam.children.push(rec.id);
@@ -379,10 +389,10 @@ export default class GedcomExporter {
                     if (type === "ADO") out.push(`2 PEDI adopted`);
                     else if (type === "FOS") out.push(`2 PEDI foster`);
 
-                    if (!shouldMask && p1Obj.modifiers && p1Obj.modifiers.PARENT_NOTE) {
+                    if (p1Obj.modifiers && p1Obj.modifiers.PARENT_NOTE) {
                         p1Obj.modifiers.PARENT_NOTE.forEach((n) => this._writeNote(n.text, out, 2));
                     }
-                    if (p2Obj && !shouldMask && p2Obj.modifiers && p2Obj.modifiers.PARENT_NOTE) {
+                    if (p2Obj && p2Obj.modifiers && p2Obj.modifiers.PARENT_NOTE) {
                         p2Obj.modifiers.PARENT_NOTE.forEach((n) => this._writeNote(n.text, out, 2));
                     }
                 }
@@ -390,7 +400,7 @@ export default class GedcomExporter {
         }
     }
 
-    _writeEvent(rec, fttKey, defaultGedTag, out, shouldMask) {
+    _writeEvent(rec, fttKey, defaultGedTag, out) {
         if (rec.data[fttKey]) {
             const EVENT_MAP = {
                 BAP: "BAPM",
@@ -426,56 +436,51 @@ export default class GedcomExporter {
                     out.push(`2 TYPE ${f.eventType}`);
                 }
 
-                if (!shouldMask) {
-                    // Start Date handles BORN/DIED/EVENT transparently now
-                    const dateVal = f.startDate || f.date;
-                    const date = this._gedDate(dateVal);
-                    if (date) out.push(`2 DATE ${date}`);
-
-                    if (f.place) {
-                        out.push(`2 PLAC ${f.place.replace(/;\s*/g, ", ")}`);
-                        if (f.metadata && f.metadata.coords) {
-                            const [lat, long] = f.metadata.coords.split(",").map((s) => s.trim());
-                            if (lat && long) {
-                                out.push(`3 MAP`);
-                                out.push(`4 LATI ${lat}`);
-                                out.push(`4 LONG ${long}`);
-                            }
+                // Start Date handles BORN/DIED/EVENT transparently now
+                const dateVal = f.startDateValue || f.dateValue;
+                const date = this._gedDate(dateVal);
+                if (date) out.push(`2 DATE ${date}`);
+
+                if (f.place) {
+                    out.push(`2 PLAC ${f.place.replace(/;\s*/g, ", ")}`);
+                    if (f.metadata && f.metadata.coords) {
+                        const [lat, long] = f.metadata.coords.split(",").map((s) => s.trim());
+                        if (lat && long) {
+                            out.push(`3 MAP`);
+                            out.push(`4 LATI ${lat}`);
+                            out.push(`4 LONG ${long}`);
                         }
+                    }
 
-                        if (f.metadata && f.metadata.geo) {
-                            out.push(
-                                `3 NOTE Standardized/Modern Place: ${f.metadata.geo.replace(/;\s*/g, ", ")}`
-                            );
-                        }
+                    if (f.metadata && f.metadata.geo) {
+                        out.push(
+                            `3 NOTE Standardized/Modern Place: ${f.metadata.geo.replace(/;\s*/g, ", ")}`
+                        );
                     }
+                }
 
-                    if (f.modifiers) {
-                        let quayVal = null;
-                        const qualKey = `${fttKey}_QUAL`;
-                        if (f.modifiers[qualKey] && f.modifiers[qualKey].length > 0) {
-                            const qualField = f.modifiers[qualKey][0];
-                            // Reconstruct the array logic expected by _convertFttQualToQuay
-                            quayVal = this._convertFttQualToQuay([
-                                qualField.evidence,
-                                qualField.info
-                            ]);
-                        }
+                if (f.modifiers) {
+                    let quayVal = null;
+                    const qualKey = `${fttKey}_QUAL`;
+                    if (f.modifiers[qualKey] && f.modifiers[qualKey].length > 0) {
+                        const qualField = f.modifiers[qualKey][0];
+                        // Reconstruct the array logic expected by _convertFttQualToQuay
+                        quayVal = this._convertFttQualToQuay([qualField.evidence, qualField.info]);
+                    }
 
-                        for (const [modKey, mods] of Object.entries(f.modifiers)) {
-                            if (modKey.endsWith("_SRC")) {
-                                mods.forEach((m) => {
-                                    const srcId = m.sourceId.replace("^", ""); // Semantic
-                                    out.push(`2 SOUR @${srcId}@`);
-                                    if (m.detail) out.push(`3 PAGE ${m.detail}`); // Semantic
-                                    if (quayVal !== null) out.push(`3 QUAY ${quayVal}`);
-                                });
-                            }
-                            if (modKey.endsWith("_NOTE")) {
-                                mods.forEach((m) => {
-                                    this._writeNote(m.text, out, 2); // Semantic
-                                });
-                            }
+                    for (const [modKey, mods] of Object.entries(f.modifiers)) {
+                        if (modKey.endsWith("_SRC")) {
+                            mods.forEach((m) => {
+                                const srcId = m.sourceId.replace("^", ""); // Semantic
+                                out.push(`2 SOUR @${srcId}@`);
+                                if (m.detail) out.push(`3 PAGE ${m.detail}`); // Semantic
+                                if (quayVal !== null) out.push(`3 QUAY ${quayVal}`);
+                            });
+                        }
+                        if (modKey.endsWith("_NOTE")) {
+                            mods.forEach((m) => {
+                                this._writeNote(m.text, out, 2); // Semantic
+                            });
                         }
                     }
                 }
@@ -505,15 +510,6 @@ export default class GedcomExporter {
         this.downgradeLog.push(`[${id}] ${msg}`);
     }
 
-    _getField(rec, key) {
-        if (rec.data[key] && rec.data[key][0]) {
-            const field = rec.data[key][0];
-            // Prefer semantic scalar values, fallback to raw parsed array if needed
-            return field.value || field.text || field.display || field.date || field.parsed[0];
-        }
-        return null;
-    }
-
     // --- Family Logic ---
 
     _registerFamilySegment(p1, p2, startDateRaw, endDateRaw, allRecords) {
@@ -588,7 +584,7 @@ export default class GedcomExporter {
         return families[0];
     }
 
-    _getFamilyForChild(p1, p2, childBirthDateRaw) {
+    _getFamilyForChild(p1, p2, childBirthDate) {
         const ids = [p1, p2].filter((x) => x).sort();
         const key = ids.join("|");
         const families = this.famCache.get(key);
@@ -607,8 +603,8 @@ export default class GedcomExporter {
         if (families.length === 1) return families[0];
 
         // Case C: Multiple Marriages -> Time Matching
-        if (childBirthDateRaw) {
-            const birthYear = this._extractYear(childBirthDateRaw);
+        if (childBirthDate) {
+            const birthYear = this._extractYear(childBirthDate);
             if (birthYear) {
                 // Find family where birth year falls within range (or shortly after end)
                 // Relaxed logic: If birth is within [Start, End + 1 Year]
@@ -626,54 +622,53 @@ export default class GedcomExporter {
         return families[0];
     }
 
-    _extractYear(dateStr) {
-        if (!dateStr) return null;
-        const match = dateStr.match(/[0-9]{4}/);
-        return match ? parseInt(match[0], 10) : null;
+    /**
+     * Accepts an FTTDate (as attached by the parser) or a raw date string.
+     */
+    _toDate(value) {
+        return typeof value === "string" ? FTTDate.parse(value) : value || null;
     }
 
-    _gedDate(fttDate) {
-        if (!fttDate) return null;
-        const months = [
-            "JAN",
-            "FEB",
-            "MAR",
-            "APR",
-            "MAY",
-            "JUN",
-            "JUL",
-            "AUG",
-            "SEP",
-            "OCT",
-            "NOV",
-            "DEC"
-        ];
-
-        const isoMatch = fttDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-        if (isoMatch)
-            return `${parseInt(isoMatch[3])} ${months[parseInt(isoMatch[2]) - 1]} ${isoMatch[1]}`;
-
-        const monthMatch = fttDate.match(/^(\d{4})-(\d{2})$/);
-        if (monthMatch) return `${months[parseInt(monthMatch[2]) - 1]} ${monthMatch[1]}`;
-
-        if (/^\d{4}$/.test(fttDate)) return fttDate;
-
-        if (fttDate.endsWith("~")) {
-            return `ABT ${fttDate.replace("~", "")}`;
+    _extractYear(value) {
+        const date = this._toDate(value);
+        const bound = date && (date.earliest || date.latest);
+        return bound ? bound.year : null;
+    }
+
+    _gedDate(value) {
+        const date = this._toDate(value);
+        if (!date) return typeof value === "string" && value ? value : null; // Pass through unparseable text
+
+        if (date.type === "window") {
+            const start = date.start && this._gedInstant(date.start.earliest, date.start.precision);
+            const end = date.end && this._gedInstant(date.end.latest, date.end.precision);
+            if (!start) return `BEF ${end}`;
+            if (!end) return `AFT ${start}`;
+            return `BET ${start} AND ${end}`;
         }
 
-        if (fttDate.endsWith("?")) {
-            return `EST ${fttDate.replace("?", "")}`;
+        // "?" (unknown) and ".." (open) have no GEDCOM DATE equivalent
+        if (date.type !== "date") return null;
+
+        // Unspecified digits (194X) and seasons become a range between their bounds
+        if (date.unspecified || date.season) {
+            const start = this._gedInstant(date.earliest, date.precision);
+            const end = this._gedInstant(date.latest, date.precision);
+            return start === end ? start : `BET ${start} AND ${end}`;
         }
 
-        const rangeMatch = fttDate.match(/^\[(.*?)\.\.(.*?)\]$/);
-        if (rangeMatch) {
-            const start = rangeMatch[1].trim();
-            const end = rangeMatch[2].trim();
-            if (!start && end) return `BEF ${end}`;
-            if (start && !end) return `AFT ${start}`;
-            return `BET ${start} AND ${end}`;
+        const point = this._gedInstant(date.earliest, date.precision);
+        if (date.approximate) return `ABT ${point}`;
+        if (date.uncertain) return `EST ${point}`;
+        return point;
+    }
+
+    _gedInstant({ year, month, day }, precision) {
+        const yearText = year > 0 ? String(year) : `${1 - year} B.C.`;
+        if (precision === "day") return `${day} ${GED_MONTHS[month - 1]} ${yearText}`;
+        if (precision === "month" || precision === "season") {
+            return `${GED_MONTHS[month - 1]} ${yearText}`;
         }
-        return fttDate;
+        return yearText;
     }
 }
@@ -268,6 +268,13 @@ export default class GedcomImporter {
                 // 5. Handle Sub-Tags, Nicknames, & Notes
                 this._markTagHandled(nameNode, "SURN");
                 this._markTagHandled(nameNode, "GIVN");
+                // Prefixes and suffixes usually live only in their sub-tag: those the
+                // NAME line repeats are handled (FTTNames infers them again on export),
+                // the rest stay in the loss report
+                ["NPFX", "SPFX", "NSFX"].forEach((tag) => {
+                    const piece = nameNode.children.find((c) => c.tag === tag);
+                    if (piece && this._namePieceShown(display, piece.value)) piece.handled = true;
+                });
                 this._markTagHandled(nameNode, "_PREF");
 
                 const nickNode = nameNode.children.find((c) => c.tag === "NICK");
@@ -621,6 +628,16 @@ export default class GedcomImporter {
         if (node) node.handled = true;
     }
 
+    /**
+     * True if every comma-separated part of a name piece ("Rev., Dr.") appears
+     * as whole words in the NAME display.
+     */
+    _namePieceShown(display, value) {
+        const words = ` ${display.replace(/[\s,]+/g, " ")} `;
+        const parts = (value || "").split(",").map((p) => p.replace(/\s+/g, " ").trim());
+        return parts.every((p) => !p || words.includes(` ${p} `));
+    }
+
     _peekTag(parentNode, targetTag) {
         const node = parentNode.children.find((c) => c.tag === targetTag);
         return node ? node.value : null;
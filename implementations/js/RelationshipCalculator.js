@@ -2,6 +2,8 @@
  * RelationshipCalculator.js
  */
 
+import { displayName, sexOf } from "./FTTQuery.js";
+
 export class RelationshipCalculator {
     constructor(records) {
         this.records = records;
@@ -1435,18 +1437,9 @@ export class RelationText {
 }
 
 export function getDisplayName(rec) {
-    if (!rec) return "Unknown";
-    if (rec.data.NAME) {
-        const pref = rec.data.NAME.find((n) => n.status === "PREF");
-        if (pref) return pref.display;
-        if (rec.data.NAME[0]) return rec.data.NAME[0].display;
-    }
-    return rec.id;
+    return displayName(rec);
 }
 
 export function getGender(rec) {
-    if (rec && rec.data.SEX && rec.data.SEX[0]) {
-        return rec.data.SEX[0].value.trim().toUpperCase();
-    }
-    return "U";
+    return sexOf(rec);
 }
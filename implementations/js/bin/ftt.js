@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * FTT Command Line Tool
+ *
+ * ftt lint <file.ftt>... [--config <path>]
+ * ftt rename <OLD-ID> <NEW-ID> <file.ftt>... [--dry-run]
+ * ftt merge-person <KEEP-ID> <RETIRED-ID> <file.ftt>... [--dry-run]
+ * ftt diff <old.ftt> <new.ftt> [--json]
+ * ftt textconv <file.ftt>
+ * ftt merge <base.ftt> <ours.ftt> <theirs.ftt> [<path>]
+ * ftt audit-privacy <file.ftt>... [--max-age <years>] [--fix]
+ * ftt redact <file.ftt> [--pseudonymize] [--salt <text>] [--keep-names] [--keep-notes] [--keep-media]
+ * ftt encrypt <file.ftt> <ID> [<KEY>...]
+ * ftt decrypt <file.ftt> [--write]
+ * ftt seal <file.ftt> [<ID>...]
+ * ftt verify <file.ftt>...
+ * ftt search <file.ftt> <word>... [--limit <n>] [--phonetic <algorithm>]
+ * ftt name-index <file.ftt> [--locale <tag>] [--format text|markdown|html]
+ * ftt places <file.ftt> [--suggest]
+ *
+ * encrypt and decrypt read the passphrase from the FTT_PASSPHRASE environment variable.
+ */
+
+import fs from "fs";
+import FTTDiff from "../FTTDiff.js";
+import FTTGazetteer from "../FTTGazetteer.js";
+import FTTIntegrity from "../FTTIntegrity.js";
+import FTTLinter from "../FTTLinter.js";
+import FTTMerge from "../FTTMerge.js";
+import FTTNameIndex from "../FTTNameIndex.js";
+import FTTParser from "../FTTParser.js";
+import FTTPrivacy from "../FTTPrivacy.js";
+import FTTRefactor from "../FTTRefactor.js";
+import FTTSearch from "../FTTSearch.js";
+import FTTVault from "../FTTVault.js";
+import FTTWriter from "../FTTWriter.js";
+
+const USAGE = `Usage: ftt <command> [options]
+
+Commands:
+  lint <file.ftt>...                       Validate files, applying the rules of the
+                                           nearest .fttrc. Exits 1 if there are errors.
+      --config <path>                      Use this config instead.
+  rename <OLD-ID> <NEW-ID> <file.ftt>...   Rename an ID and every reference to it.
+                                           HEAD_INCLUDE files are followed.
+      --dry-run                            Report the changes without writing files.
+  merge-person <KEEP-ID> <RETIRED-ID> <file.ftt>...
+                                           Merge a duplicate person into another and
+                                           redirect every reference to it.
+      --dry-run                            Report the changes without writing files.
+  diff <old.ftt> <new.ftt>                 Show added, removed and modified records.
+                                           Also accepts git's 7 external diff arguments.
+      --json                               Print the diff as JSON.
+  textconv <file.ftt>                      Print a canonical listing for "git diff".
+  merge <base> <ours> <theirs> [<path>]    Three-way merge into <ours> (git merge driver).
+                                           Exits 1 if conflicts remain or the result
+                                           fails validation (then <ours> is unchanged).
+  audit-privacy <file.ftt>...              List people whose PRIVACY disagrees with their
+                                           probable living status. Exits 1 if any.
+      --max-age <years>                    Assume nobody lives longer (default 110).
+      --fix                                Add PRIVACY: LIVING for the probably living.
+  redact <file.ftt>                        Print a shareable copy: PRIVATE records are
+                                           removed and LIVING people masked (Appendix D).
+      --pseudonymize                       Replace LIVING IDs with pseudonyms.
+      --salt <text>                        Secret key of the pseudonyms, which keeps them
+                                           stable between runs (random if omitted).
+      --keep-names, --keep-notes, --keep-media
+                                           Keep these details of LIVING people.
+  encrypt <file.ftt> <ID> [<KEY>...]       Seal fields of a record (default NOTES) with
+                                           the passphrase in FTT_PASSPHRASE.
+  decrypt <file.ftt>                       Print the file with its sealed fields opened.
+                                           Exits 1 if the passphrase cannot open them all.
+      --write                              Rewrite the file instead.
+  seal <file.ftt> [<ID>...]                Store checksums of records marked as verified.
+                                           Without IDs, update every existing checksum.
+  verify <file.ftt>...                     List sealed records whose content changed
+                                           since they were sealed. Exits 1 if any.
+  search <file.ftt> <word>...              List fields containing every word (names,
+                                           notes, events, sources, places), best first.
+      --limit <n>                          Show at most n hits (default 20).
+      --phonetic <algorithm>               Also find names that sound alike: soundex,
+                                           daitch-mokotoff or beider-morse.
+  name-index <file.ftt>                    Print an index of every name, grouped by
+                                           surname, with IDs and life dates.
+      --locale <tag>                       Collate for this language (default en).
+      --format <format>                    text (default), markdown or html.
+  places <file.ftt>                        Print every place as a hierarchy, with the
+                                           number of fields naming it.
+      --suggest                            List places written in more than one way
+                                           and their proposed normal form instead.`;
+
+const readFile = (path) => fs.readFileSync(path, "utf-8");
+
+const commands = {
+    lint(args) {
+        const configPath = takeOption(args, "--config");
+        if (args.length === 0) return usage();
+
+        const parser = new FTTParser();
+        let errorCount = 0;
+        let warningCount = 0;
+
+        for (const path of args) {
+            const found = configPath
+                ? { config: FTTLinter.parseConfig(readFile(configPath), configPath) }
+                : FTTLinter.findConfig(path, readFile);
+            const result = parser.parse(readFile(path), { recover: true, file: path, readFile });
+            const { errors, warnings } = new FTTLinter(found?.config).lint(result);
+
+            [...errors, ...warnings].forEach((e) => console.log(String(e)));
+            errorCount += errors.length;
+            warningCount += warnings.length;
+        }
+
+        console.log(`${errorCount} error(s), ${warningCount} warning(s).`);
+        return errorCount > 0 ? 1 : 0;
+    },
+
+    rename(args) {
+        const dryRun = takeFlag(args, "--dry-run");
+        const [oldId, newId, ...paths] = args;
+        if (!oldId || !newId || paths.length === 0) return usage();
+
+        const files = new Map(paths.map((path) => [path, readFile(path)]));
+        const { files: changed, edits } = new FTTRefactor().renameID(files, oldId, newId, {
+            readFile
+        });
+
+        for (const { file, key, span } of edits) {
+            console.log(`${file}:${span.start.line}:${span.start.column + 1}  ${key}`);
+        }
+        if (!dryRun) {
+            changed.forEach((text, path) => fs.writeFileSync(path, text, "utf-8"));
+        }
+
+        const verb = dryRun ? "Would rename" : "Renamed";
+        console.log(
+            `${verb} ${oldId} -> ${newId}: ${edits.length} edit(s) in ${changed.size} file(s).`
+        );
+        return 0;
+    },
+
+    "merge-person"(args) {
+        const dryRun = takeFlag(args, "--dry-run");
+        const [keepId, retiredId, ...paths] = args;
+        if (!keepId || !retiredId || paths.length === 0) return usage();
+
+        const files = new Map(paths.map((path) => [path, readFile(path)]));
+        const result = new FTTRefactor().mergePersons(files, keepId, retiredId, { readFile });
+
+        for (const { file, key, span } of result.edits) {
+            console.log(`${file}:${span.start.line}:${span.start.column + 1}  ${key}`);
+        }
+        if (!dryRun) {
+            result.files.forEach((text, path) => fs.writeFileSync(path, text, "utf-8"));
+        }
+
+        const verb = dryRun ? "Would merge" : "Merged";
+        console.log(
+            `${verb} ${retiredId} into ${keepId}: ${result.moved.length} field(s) moved, ` +
+                `${result.dropped.length} duplicate(s) dropped, ` +
+                `${result.edits.length} reference(s) redirected.`
+        );
+        return 0;
+    },
+
+    diff(args) {
+        const json = takeFlag(args, "--json");
+
+        // git diff.<driver>.command: path old-file old-hex old-mode new-file new-hex new-mode
+        let path = null;
+        if (args.length === 7) [path, args] = [args[0], [args[1], args[4]]];
+        if (args.length !== 2) return usage();
+
+        const differ = new FTTDiff();
+        const result = differ.diff(readFile(args[0]), readFile(args[1]));
+        if (json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            const report = differ.format(result);
+            if (path && report) console.log(`FTT diff: ${path}\n`);
+            process.stdout.write(report);
+        }
+        return 0;
+    },
+
+    merge(args) {
+        const [basePath, oursPath, theirsPath, path = oursPath] = args;
+        if (!theirsPath) return usage();
+
+        const { text, conflicts, errors } = new FTTMerge().merge(
+            readFile(basePath),
+            readFile(oursPath),
+            readFile(theirsPath)
+        );
+
+        if (conflicts.length > 0) {
+            fs.writeFileSync(oursPath, text, "utf-8");
+            conflicts.forEach((c) => console.error(`CONFLICT (ftt): ${path}: ${c.message}`));
+            return 1;
+        }
+        if (errors.length > 0) {
+            console.error(`ftt: ${path}: merged result is invalid, keeping ours:`);
+            errors.forEach((e) => console.error(`    ${e}`));
+            return 1;
+        }
+
+        fs.writeFileSync(oursPath, text, "utf-8");
+        return 0;
+    },
+
+    "audit-privacy"(args) {
+        const fix = takeFlag(args, "--fix");
+        const maxAge = takeOption(args, "--max-age");
+        if (args.length === 0 || (maxAge !== null && !(Number(maxAge) > 0))) return usage();
+
+        const parser = new FTTParser();
+        const privacy = new FTTPrivacy();
+        const living = [];
+        const seen = new Set(); // A file and the files it includes report the same people
+        let count = 0;
+
+        for (const path of args) {
+            const result = parser.parse(readFile(path), { recover: true, file: path, readFile });
+            const findings = privacy.audit(result, maxAge ? { maxAge: Number(maxAge) } : {});
+            for (const f of findings) {
+                if (seen.has(f.id)) continue;
+                seen.add(f.id);
+                count++;
+                const status = f.inferred === "LIVING" ? "probably living" : "probably deceased";
+                console.log(
+                    `${f.file}:${f.line}  ${f.id} (${f.label}): ${status} but PRIVACY is ${f.declared} - ${f.reason}`
+                );
+                if (f.inferred === "LIVING") living.push(f.id);
+            }
+        }
+
+        if (fix && living.length > 0) {
+            const files = new Map(args.map((path) => [path, readFile(path)]));
+            const { files: changed } = new FTTRefactor().setPrivacy(files, living, "LIVING", {
+                readFile
+            });
+            changed.forEach((text, path) => fs.writeFileSync(path, text, "utf-8"));
+            console.log(`Marked ${living.length} record(s) as LIVING.`);
+            count -= living.length;
+        }
+
+        console.log(`${count} privacy issue(s).`);
+        return count > 0 ? 1 : 0;
+    },
+
+    async redact(args) {
+        const pseudonymize = takeFlag(args, "--pseudonymize");
+        const policy = {
+            salt: takeOption(args, "--salt") || "",
+            maskNames: !takeFlag(args, "--keep-names"),
+            maskNotes: !takeFlag(args, "--keep-notes"),
+            dropMedia: !takeFlag(args, "--keep-media")
+        };
+        if (args.length !== 1) return usage();
+
+        const result = new FTTParser().parse(readFile(args[0]), { file: args[0], readFile });
+        if (result.errors.length > 0) {
+            throw new Error(`Cannot redact invalid FTT: ${result.errors[0]}`);
+        }
+        const privacy = new FTTPrivacy(policy);
+        const redacted = pseudonymize ? await privacy.pseudonymize(result) : privacy.apply(result);
+        process.stdout.write(new FTTWriter().write(redacted));
+        return 0;
+    },
+
+    async encrypt(args) {
+        const [path, id, ...keys] = args;
+        if (!id) return usage();
+
+        const vault = new FTTVault(passphrase());
+        const { text, count } = await vault.seal(
+            readFile(path),
+            id,
+            keys.length ? keys : undefined
+        );
+        fs.writeFileSync(path, text, "utf-8");
+        console.log(`Sealed ${count} field(s) of ${id}.`);
+        return 0;
+    },
+
+    async decrypt(args) {
+        const write = takeFlag(args, "--write");
+        if (args.length !== 1) return usage();
+
+        const { text, opened, remaining } = await new FTTVault(passphrase()).open(
+            readFile(args[0])
+        );
+        for (const { id, key, line } of remaining) {
+            console.error(`${args[0]}:${line}  ${id}: cannot open sealed ${key}`);
+        }
+        if (write) {
+            fs.writeFileSync(args[0], text, "utf-8");
+            console.log(`Opened ${opened} sealed field(s).`);
+        } else {
+            process.stdout.write(text);
+        }
+        return remaining.length > 0 ? 1 : 0;
+    },
+
+    async seal(args) {
+        const [path, ...ids] = args;
+        if (!path) return usage();
+
+        const integrity = new FTTIntegrity();
+        const { text, sealed } = await integrity.seal(readFile(path), ids.length ? ids : null);
+        fs.writeFileSync(path, text, "utf-8");
+        sealed.forEach((id) => console.log(`${path}  ${id}`));
+        console.log(`Sealed ${sealed.length} record(s).`);
+        return 0;
+    },
+
+    async verify(args) {
+        if (args.length === 0) return usage();
+
+        const integrity = new FTTIntegrity();
+        let count = 0;
+        for (const path of args) {
+            for (const { id, line } of await integrity.verify(readFile(path))) {
+                console.log(`${path}:${line}  ${id}: content changed since it was sealed`);
+                count++;
+            }
+        }
+        console.log(`${count} modified record(s).`);
+        return count > 0 ? 1 : 0;
+    },
+
+    search(args) {
+        const limit = takeOption(args, "--limit");
+        const phonetic = takeOption(args, "--phonetic");
+        const [path, ...words] = args;
+        if (!path || words.length === 0 || (limit !== null && !(Number(limit) > 0))) {
+            return usage();
+        }
+
+        const { records } = new FTTParser().parse(readFile(path), {
+            recover: true,
+            file: path,
+            readFile
+        });
+        const hits = new FTTSearch(records).search(words.join(" "), {
+            limit: Number(limit || 20),
+            phonetic
+        });
+        for (const { file, line, id, key, text } of hits) {
+            const excerpt = text.replace(/\s+/g, " ");
+            const shown = excerpt.length > 80 ? `${excerpt.slice(0, 79)}…` : excerpt;
+            console.log(`${file}:${line}  ${id} ${key}: ${shown}`);
+        }
+        console.log(`${hits.length} hit(s).`);
+        return 0;
+    },
+
+    "name-index"(args) {
+        const locale = takeOption(args, "--locale") || "en";
+        const format = takeOption(args, "--format") || "text";
+        if (args.length !== 1) return usage();
+
+        const { records } = new FTTParser().parse(readFile(args[0]), {
+            recover: true,
+            file: args[0],
+            readFile
+        });
+        const index = new FTTNameIndex({ locale });
+        process.stdout.write(index.format(index.build(records), format));
+        return 0;
+    },
+
+    places(args) {
+        const suggest = takeFlag(args, "--suggest");
+        if (args.length !== 1) return usage();
+
+        const { records } = new FTTParser().parse(readFile(args[0]), {
+            recover: true,
+            file: args[0],
+            readFile
+        });
+        const gazetteer = new FTTGazetteer(records);
+
+        if (suggest) {
+            const suggestions = gazetteer.suggestions();
+            for (const { place, suggestion, uses, changes } of suggestions) {
+                console.log(`${place} -> ${suggestion}  (${uses} use(s): ${changes.join(", ")})`);
+            }
+            console.log(`${suggestions.length} suggestion(s).`);
+            return 0;
+        }
+
+        for (const node of gazetteer.places()) {
+            const indent = "    ".repeat(node.units.length - 1);
+            const geo = node.geo.length > 0 ? ` {=${node.geo.join(" | ")}}` : "";
+            console.log(`${indent}${node.name}${geo}  (${node.total})`);
+        }
+        return 0;
+    },
+
+    textconv(args) {
+        if (args.length !== 1) return usage();
+        process.stdout.write(new FTTDiff().textconv(readFile(args[0])));
+        return 0;
+    }
+};
+
+function takeFlag(args, flag) {
+    const index = args.indexOf(flag);
+    if (index === -1) return false;
+    args.splice(index, 1);
+    return true;
+}
+
+/**
+ * Removes `name <value>` from the arguments and returns the value.
+ */
+function takeOption(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) return null;
+    const [, value] = args.splice(index, 2);
+    if (value === undefined) throw new Error(`${name} needs a value.`);
+    return value;
+}
+
+function passphrase() {
+    const value = process.env.FTT_PASSPHRASE;
+    if (!value) throw new Error("Set FTT_PASSPHRASE to the passphrase of the sealed fields.");
+    return value;
+}
+
+function usage() {
+    console.error(USAGE);
+    return 2;
+}
+
+const [name, ...args] = process.argv.slice(2);
+const command = Object.hasOwn(commands, name) ? commands[name] : usage;
+
+try {
+    process.exitCode = await command(args);
+} catch (err) {
+    console.error(`ftt: ${err.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from "vitest";
+import FTTDate from "../FTTDate.js";
+
+const ymd = (year, month, day) => ({ year, month, day });
+
+describe("FTTDate (EDTF Date Model)", () => {
+    // ==========================================
+    // 1. PRECISION & BOUNDS
+    // ==========================================
+    describe("Precision & Bounds", () => {
+        it("should parse day, month and year precision", () => {
+            const day = FTTDate.parse("1980-05-12");
+            expect(day.precision).toBe("day");
+            expect([day.year, day.month, day.day]).toEqual([1980, 5, 12]);
+            expect(day.isExact).toBe(true);
+
+            const month = FTTDate.parse("1900-02");
+            expect(month.precision).toBe("month");
+            expect(month.earliest).toEqual(ymd(1900, 2, 1));
+            expect(month.latest).toEqual(ymd(1900, 2, 28));
+
+            const year = FTTDate.parse("2000");
+            expect(year.precision).toBe("year");
+            expect(year.latest).toEqual(ymd(2000, 12, 31));
+        });
+
+        it("should expand unspecified digits", () => {
+            const decade = FTTDate.parse("194X");
+            expect(decade.unspecified).toBe(true);
+            expect(decade.year).toBeNull();
+            expect(decade.earliest).toEqual(ymd(1940, 1, 1));
+            expect(decade.latest).toEqual(ymd(1949, 12, 31));
+
+            const days = FTTDate.parse("2000-02-XX");
+            expect(days.earliest).toEqual(ymd(2000, 2, 1));
+            expect(days.latest).toEqual(ymd(2000, 2, 29));
+        });
+
+        it("should map seasons to month ranges", () => {
+            const winter = FTTDate.parse("1900-24");
+            expect(winter.precision).toBe("season");
+            expect(winter.season).toBe("Winter");
+            expect(winter.earliest).toEqual(ymd(1900, 12, 1));
+            expect(winter.latest).toEqual(ymd(1901, 2, 28));
+        });
+
+        it("should handle negative (astronomical) years", () => {
+            const bce = FTTDate.parse("-0500");
+            expect(bce.year).toBe(-500);
+            expect(bce.earliest).toEqual(ymd(-500, 1, 1));
+
+            const range = FTTDate.parse("-019X");
+            expect(range.earliest.year).toBe(-199);
+            expect(range.latest.year).toBe(-190);
+        });
+    });
+
+    // ==========================================
+    // 2. QUALIFIERS, WINDOWS & SPECIAL VALUES
+    // ==========================================
+    describe("Qualifiers & Windows", () => {
+        it("should flag uncertain and approximate dates without widening bounds", () => {
+            const circa = FTTDate.parse("1904~");
+            expect(circa.approximate).toBe(true);
+            expect(circa.uncertain).toBe(false);
+            expect(circa.earliest).toEqual(ymd(1904, 1, 1));
+
+            const both = FTTDate.parse("1904?~");
+            expect(both.approximate && both.uncertain).toBe(true);
+        });
+
+        it("should parse bounding windows, including open-ended ones", () => {
+            const window = FTTDate.parse("[1904..1908-06]");
+            expect(window.type).toBe("window");
+            expect(window.start.raw).toBe("1904");
+            expect(window.earliest).toEqual(ymd(1904, 1, 1));
+            expect(window.latest).toEqual(ymd(1908, 6, 30));
+
+            const before = FTTDate.parse("[..1900]");
+            expect(before.start).toBeNull();
+            expect(before.earliest).toBeNull();
+            expect(before.latest).toEqual(ymd(1900, 12, 31));
+        });
+
+        it("should model unknown and open values without bounds", () => {
+            expect(FTTDate.parse("?")).toMatchObject({ type: "unknown", earliest: null });
+            expect(FTTDate.parse("..")).toMatchObject({ type: "open", latest: null });
+        });
+
+        it("should reject invalid dates", () => {
+            ["May 12, 1980", "1980-13", "1980-02-30", "1900-21-05", "[..]", "[1900]", "80"].forEach(
+                (str) => expect(FTTDate.parse(str)).toBeNull()
+            );
+            expect(FTTDate.isValid("1980-02-29")).toBe(true);
+            expect(FTTDate.parse("")).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // 3. COMPARISON & ARITHMETIC
+    // ==========================================
+    describe("Comparison & Age", () => {
+        it("should sort chronologically with unknown dates last", () => {
+            const values = ["?", "1950", "-0100", "[..1940]", "1950-01-05", "194X", ""];
+            const sorted = values
+                .map((v) => FTTDate.parse(v))
+                .sort(FTTDate.compare)
+                .map((d) => (d ? d.raw : null));
+
+            expect(sorted).toEqual(["-0100", "194X", "[..1940]", "1950", "1950-01-05", "?", null]);
+        });
+
+        it("should compute age ranges from bounds", () => {
+            const born = FTTDate.parse("1900-06-15");
+            expect(FTTDate.yearsBetween(born, FTTDate.parse("1950-06-14"))).toEqual({
+                min: 49,
+                max: 49
+            });
+            expect(FTTDate.yearsBetween(born, FTTDate.parse("1950"))).toEqual({
+                min: 49,
+                max: 50
+            });
+            expect(FTTDate.yearsBetween(born, FTTDate.parse("[1950..]"))).toBeNull();
+        });
+    });
+});
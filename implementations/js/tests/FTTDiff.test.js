@@ -0,0 +1,181 @@
+import { describe, it, expect } from "vitest";
+import FTTDiff from "../FTTDiff.js";
+
+describe("FTTDiff (Semantic Diff)", () => {
+    const differ = new FTTDiff();
+
+    const before = `HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Smith Family
+
+ID: SMITH-1950
+NAME: John Smith | Smith, John | BIRTH | PREF
+NAME: Johnny | Smith, Johnny | NICK
+BORN: 1950-01-01 | Calgary; AB
+CHILD: KID-1
+CHILD: KID-2
+
+ID: GONE-1900
+NAME: Old Entry
+`;
+
+    // Record order, NAME order and spacing changed; BORN edited and cited
+    const after = `HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Smith Family
+
+ID: DOE-1952
+NAME: Jane Doe
+UNION: SMITH-1950 | MARR
+
+# Moved below DOE-1952
+ID: SMITH-1950
+NAME: Johnny   |   Smith, Johnny | NICK
+NAME: John Smith | Smith, John | BIRTH | PREF
+BORN: 1950-01-02 | Calgary; AB
+BORN_SRC: ^S1 | Page 4
+CHILD: KID-1
+CHILD: KID-2
+`;
+
+    // ==========================================
+    // 1. RECORD-LEVEL CHANGES
+    // ==========================================
+    describe("Records", () => {
+        it("should classify added, removed and modified records", () => {
+            const result = differ.diff(before, after);
+
+            expect(result.records.map((r) => [r.id, r.status, r.label])).toEqual([
+                ["DOE-1952", "added", "Jane Doe"],
+                ["SMITH-1950", "modified", "John Smith"],
+                ["GONE-1900", "removed", "Old Entry"]
+            ]);
+            expect(result.summary).toEqual({ added: 1, removed: 1, modified: 1 });
+            expect(result.headers).toEqual([]);
+        });
+
+        it("should report nothing for reformatted but equivalent files", () => {
+            const reformatted = before
+                .replace("BORN: 1950-01-01 | Calgary; AB", "BORN:   1950-01-01|Calgary; AB  |")
+                .replace("HEAD_TITLE", "# Comment\nHEAD_TITLE");
+            const result = differ.diff(before, reformatted);
+
+            expect(result.records).toEqual([]);
+            expect(differ.format(result)).toBe("");
+        });
+
+        it("should list the fields of added and removed records", () => {
+            const [added] = differ.diff(before, after).records;
+            expect(added.changes.map((c) => [c.key, c.status, c.after])).toEqual([
+                ["NAME", "added", "Jane Doe"],
+                ["UNION", "added", "SMITH-1950 | MARR"]
+            ]);
+        });
+    });
+
+    // ==========================================
+    // 2. FIELD MATCHING
+    // ==========================================
+    describe("Field Matching", () => {
+        it("should ignore reordered repeatable fields and report edited segments", () => {
+            const smith = differ.diff(before, after).records[1];
+            expect(smith.changes).toHaveLength(1);
+
+            const [born] = smith.changes;
+            expect(born).toMatchObject({
+                key: "BORN",
+                status: "modified",
+                before: "1950-01-01 | Calgary; AB",
+                after: "1950-01-02 | Calgary; AB",
+                line: 12
+            });
+            expect(born.segments).toEqual([
+                { index: 0, name: "date", before: "1950-01-01", after: "1950-01-02" }
+            ]);
+            expect(born.modifiers.map((m) => [m.key, m.status, m.after])).toEqual([
+                ["BORN_SRC", "added", "^S1 | Page 4"]
+            ]);
+        });
+
+        it("should pair edited repeatable fields by their most similar value", () => {
+            const edited = before.replace(
+                "NAME: Johnny | Smith, Johnny",
+                "NAME: Jonny | Smith, Johnny"
+            );
+            const [change] = differ.diff(before, edited).records[0].changes;
+
+            expect(change.segments).toEqual([
+                { index: 0, name: "display", before: "Johnny", after: "Jonny" }
+            ]);
+        });
+
+        it("should treat a changed link target as a removal and an addition", () => {
+            const old = "HEAD_FORMAT: FTT v0.1\n\nID: A\nPARENT: DAD-1 | BIO\n";
+            const changes = differ.diff(old, old.replace("DAD-1", "DAD-2")).records[0].changes;
+
+            expect(changes.map((c) => [c.key, c.status])).toEqual([
+                ["PARENT", "removed"],
+                ["PARENT", "added"]
+            ]);
+        });
+
+        it("should report CHILD reordering, as line order is meaningful", () => {
+            const swapped = before.replace(
+                "CHILD: KID-1\nCHILD: KID-2",
+                "CHILD: KID-2\nCHILD: KID-1"
+            );
+            const [change] = differ.diff(before, swapped).records[0].changes;
+
+            expect(change).toMatchObject({
+                key: "CHILD",
+                status: "reordered",
+                before: "KID-1, KID-2",
+                after: "KID-2, KID-1"
+            });
+        });
+    });
+
+    // ==========================================
+    // 3. OUTPUT FORMATS
+    // ==========================================
+    describe("Output", () => {
+        it("should format a readable report", () => {
+            const report = differ.format(differ.diff(before, after));
+            expect(report).toBe(`+ DOE-1952  Jane Doe
+    + NAME: Jane Doe
+    + UNION: SMITH-1950 | MARR
+~ SMITH-1950  John Smith
+    ~ BORN date: 1950-01-01 -> 1950-01-02
+        + BORN_SRC: ^S1 | Page 4
+- GONE-1900  Old Entry
+    - NAME: Old Entry
+
+1 added, 1 removed, 1 modified
+`);
+        });
+
+        it("should produce a canonical listing for git textconv", () => {
+            const listing = differ.textconv(after);
+            expect(listing).toBe(`HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Smith Family
+
+[DOE-1952] Jane Doe
+[DOE-1952] NAME: Jane Doe
+[DOE-1952] UNION: SMITH-1950 | MARR
+
+[SMITH-1950] John Smith
+[SMITH-1950] NAME: John Smith | Smith, John | BIRTH | PREF
+[SMITH-1950] NAME: Johnny | Smith, Johnny | NICK
+[SMITH-1950] BORN: 1950-01-02 | Calgary; AB
+[SMITH-1950]   BORN_SRC: ^S1 | Page 4
+[SMITH-1950] CHILD: KID-1
+[SMITH-1950] CHILD: KID-2
+`);
+
+            // Reordering records and repeatable fields does not change the listing
+            const shuffled = after.replace(
+                "NAME: Johnny   |   Smith, Johnny | NICK\nNAME: John Smith | Smith, John | BIRTH | PREF",
+                "NAME: John Smith | Smith, John | BIRTH | PREF\nNAME: Johnny | Smith, Johnny | NICK"
+            );
+            expect(differ.textconv(shuffled)).toBe(listing);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from "vitest";
+import FTTDuplicates from "../FTTDuplicates.js";
+import FTTParser from "../FTTParser.js";
+
+describe("FTTDuplicates (Duplicate Detection)", () => {
+    const finder = new FTTDuplicates();
+    const parse = (text) => new FTTParser().parse(text, { recover: true }).records;
+
+    const records = parse(`HEAD_FORMAT: FTT v0.1
+
+ID: FATHER
+NAME: William Smith | Smith, William
+SEX: M
+
+ID: SMITH-1850
+NAME: John Smith | Smith, John
+SEX: M
+BORN: 1850 | Calgary; Alberta; Canada
+PARENT: FATHER | BIO
+
+ID: I23
+NAME: Jon Smyth | Smyth, Jon
+BORN: [1849..1851] | Calgary; AB; Canada
+PARENT: FATHER | BIO
+
+ID: JANE
+NAME: Jane Smith | Smith, Jane
+SEX: F
+BORN: 1850
+
+ID: SMITH-1920
+NAME: John Smith | Smith, John
+BORN: 1920 | London; England
+
+ID: DOE
+NAME: John Doe | Doe, John
+BORN: 1850
+`);
+
+    // ==========================================
+    // 1. RANKING
+    // ==========================================
+    describe("Ranking", () => {
+        it("should rank likely duplicates with a breakdown of the evidence", () => {
+            const [best, ...rest] = finder.find(records);
+
+            expect(rest).toEqual([]);
+            expect(best.ids).toEqual(["SMITH-1850", "I23"]);
+            expect(best.labels).toEqual(["John Smith", "Jon Smyth"]);
+            expect(best.score).toBeCloseTo(0.843, 3);
+            expect(best.evidence.map((e) => [e.signal, e.score, e.detail])).toEqual([
+                ["name", 0.85, '"John Smith" / "Jon Smyth" (phonetic)'],
+                ["born", 0.8, "1850 / [1849..1851]"],
+                ["place", 0.9, "Calgary; Alberta; Canada / Calgary; AB; Canada"],
+                ["relatives", 1, "Shared parent FATHER"]
+            ]);
+        });
+
+        it("should let conflicting dates and places outweigh identical names", () => {
+            const pair = finder.compare(records["SMITH-1850"], records["SMITH-1920"]);
+
+            expect(pair.evidence.find((e) => e.signal === "name").score).toBe(1);
+            expect(pair.evidence.find((e) => e.signal === "born").score).toBe(0);
+            expect(pair.score).toBeLessThan(0.6);
+        });
+
+        it("should honour the threshold and limit options", () => {
+            const all = finder.find(records, { threshold: 0 });
+
+            expect(all.length).toBeGreaterThan(1);
+            expect(all.map((c) => c.score)).toEqual(
+                [...all.map((c) => c.score)].sort((a, b) => b - a)
+            );
+            expect(finder.find(records, { threshold: 0, limit: 1 })).toEqual([all[0]]);
+        });
+    });
+
+    // ==========================================
+    // 2. EXCLUSIONS
+    // ==========================================
+    describe("Exclusions", () => {
+        it("should never pair people of different sex or direct relatives", () => {
+            expect(finder.compare(records["SMITH-1850"], records.JANE)).toBeNull();
+            expect(finder.compare(records["SMITH-1850"], records.FATHER)).toBeNull();
+        });
+
+        it("should only compare people with phonetically similar surnames", () => {
+            const pairs = finder.find(records, { threshold: 0 }).map((c) => c.ids.join());
+            expect(pairs.some((ids) => ids.includes("DOE"))).toBe(false);
+        });
+
+        it("should match a married name against a birth name", () => {
+            const married = parse(`HEAD_FORMAT: FTT v0.1
+
+ID: A
+NAME: Mary Jones | Jones, Mary | BIRTH
+NAME: Mary Smith | Smith, Mary | MARR
+BORN: 1900
+
+ID: B
+NAME: Mary Smith | Smith, Mary
+BORN: 1900
+`);
+            const [pair] = finder.find(married);
+            expect(pair.ids).toEqual(["A", "B"]);
+            expect(pair.evidence[0]).toMatchObject({ signal: "name", score: 1 });
+        });
+
+        it("should find the surname of family-first names and names with particles", () => {
+            const people = parse(`HEAD_FORMAT: FTT v0.1
+
+ID: A
+NAME: Mao Zedong | Mao Zedong
+BORN: 1893
+
+ID: B
+NAME: Mao Zedong | Mao, Zedong
+BORN: 1893
+
+ID: C
+NAME: Jan van der Berg
+BORN: 1900
+
+ID: D
+NAME: Jan Berg | Berg, Jan
+BORN: 1900
+`);
+            const pairs = finder.find(people);
+
+            expect(pairs.map((c) => c.ids)).toEqual([
+                ["A", "B"],
+                ["C", "D"]
+            ]);
+            expect(pairs.map((c) => c.evidence[0].score)).toEqual([1, 1]);
+        });
+
+        it("should block and match names with the chosen phonetic algorithm", () => {
+            const spellings = parse(`HEAD_FORMAT: FTT v0.1
+
+ID: A
+NAME: Anna Kohn | Kohn, Anna
+BORN: 1900
+
+ID: B
+NAME: Anna Cohn | Cohn, Anna
+BORN: 1900
+`);
+            const dm = new FTTDuplicates({ phonetic: "daitch-mokotoff" });
+
+            expect(finder.find(spellings, { threshold: 0 })).toEqual([]);
+            expect(dm.find(spellings)[0].ids).toEqual(["A", "B"]);
+            expect(() => new FTTDuplicates({ phonetic: "metaphone" })).toThrow(
+                'Unknown phonetic algorithm "metaphone".'
+            );
+        });
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTGazetteer from "../FTTGazetteer.js";
+
+describe("FTTGazetteer", () => {
+    const text = `HEAD_FORMAT: FTT v0.1
+
+ID: ANN
+BORN: 1900 | Berlin {=Kitchener}; Ontario; Canada <43.45, -80.49>
+EVENT: OCC | 1920 || Calgary; AB | Clerk
+DIED: 1960 | Calgary; Alberta; Canada <51.04, -114.07>
+
+ID: BEN
+BORN: 1902 | Calgary;  Alberta; Canada
+DIED: 1970 | Montreal; Quebec; Canada
+
+ID: CARL
+BORN: 1850 | Montréal; Québec; Canada
+DIED: 1890 | Springfield
+EVENT: RESI | 1860 || Springfield; Illinois; USA
+EVENT: RESI | 1870 || Springfield; Massachusetts; USA
+EVENT: RESI | 1880 || Calgery; Alberta
+
+ID: &EVT-FLOOD
+TYPE: Flood
+START_DATE: 1913
+PLACE: Calgary; Alberta; Canada`;
+    const { records } = new FTTParser().parse(text);
+    const gazetteer = new FTTGazetteer(records);
+
+    // ==========================================
+    // 1. HIERARCHY
+    // ==========================================
+    describe("Hierarchy", () => {
+        it("should file places under their larger units", () => {
+            const canada = gazetteer.get("Canada");
+
+            expect(gazetteer.roots.map((n) => n.name)).toEqual([
+                "AB",
+                "Alberta",
+                "Canada",
+                "Springfield",
+                "USA"
+            ]);
+            expect(canada.children.map((n) => n.name)).toEqual([
+                "Alberta",
+                "Ontario",
+                "Quebec",
+                "Québec"
+            ]);
+            expect(canada).toMatchObject({ count: 0, total: 6 });
+            expect(gazetteer.places()).toHaveLength(19);
+        });
+
+        it("should merge identical hierarchies and list every use", () => {
+            const calgary = gazetteer.get("Calgary; Alberta;Canada");
+
+            expect(calgary).toMatchObject({ count: 3, total: 3, coords: ["51.04, -114.07"] });
+            expect(calgary.uses).toEqual([
+                { id: "ANN", key: "DIED", type: "DIED", date: "1960", line: 6, file: null },
+                { id: "BEN", key: "BORN", type: "BORN", date: "1902", line: 9, file: null },
+                {
+                    id: "&EVT-FLOOD",
+                    key: "PLACE",
+                    type: "Flood",
+                    date: "1913",
+                    line: 22,
+                    file: null
+                }
+            ]);
+            expect(gazetteer.get("Calgary; AB").uses[0]).toMatchObject({ type: "OCC", line: 5 });
+        });
+
+        it("should keep modern equivalents and coordinates", () => {
+            expect(gazetteer.get("Berlin; Ontario; Canada")).toMatchObject({
+                geo: ["Kitchener; Ontario; Canada"],
+                coords: ["43.45, -80.49"]
+            });
+            expect(gazetteer.get("Ontario; Canada").geo).toEqual([]);
+            expect(gazetteer.get("Atlantis")).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // 2. NEAR-DUPLICATES
+    // ==========================================
+    describe("Near-Duplicates", () => {
+        it("should propose the most complete spelling", () => {
+            expect(gazetteer.suggestions()).toEqual([
+                {
+                    place: "Calgary; AB",
+                    suggestion: "Calgary; Alberta; Canada",
+                    uses: 1,
+                    changes: ["AB -> Alberta", "+ Canada"]
+                },
+                {
+                    place: "Calgery; Alberta",
+                    suggestion: "Calgary; Alberta; Canada",
+                    uses: 1,
+                    changes: ["Calgery -> Calgary", "+ Canada"]
+                },
+                {
+                    place: "Montreal; Quebec; Canada",
+                    suggestion: "Montréal; Québec; Canada",
+                    uses: 1,
+                    changes: ["Montreal -> Montréal", "Quebec -> Québec"]
+                }
+            ]);
+        });
+
+        it("should leave ambiguous places alone", () => {
+            const places = gazetteer.suggestions().map((s) => s.place);
+            expect(places).not.toContain("Springfield");
+        });
+    });
+});
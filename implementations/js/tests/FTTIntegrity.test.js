@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import FTTIntegrity from "../FTTIntegrity.js";
+import FTTParser from "../FTTParser.js";
+
+describe("FTTIntegrity", () => {
+    const text = `HEAD_FORMAT: FTT v0.1
+
+ID: ANN
+NAME: Ann Smith | Smith, Ann
+BORN: 1920 | Calgary; AB
+BORN_SRC: ^CERT | No. 1234
+UNION: BOB | MARR ||
+
+ID: BOB
+NAME: Bob Smith
+UNION: ANN | MARR
+
+ID: ^CERT
+TITLE: Birth Certificate`;
+    const integrity = new FTTIntegrity();
+
+    // ==========================================
+    // 1. SEALING
+    // ==========================================
+    describe("Sealing", () => {
+        it("should add a checksum after the ID of each marked record", async () => {
+            const { text: sealed, sealed: ids } = await integrity.seal(text, ["ANN"]);
+            const lines = sealed.split("\n");
+
+            expect(ids).toEqual(["ANN"]);
+            expect(lines[3]).toMatch(/^_CHECKSUM: sha256:[0-9a-f]{64}$/);
+            expect(sealed.replace(`${lines[3]}\n`, "")).toBe(text);
+            expect(await integrity.verify(sealed)).toEqual([]);
+        });
+
+        it("should update existing checksums when no IDs are given", async () => {
+            const { text: sealed } = await integrity.seal(text, ["ANN", "BOB"]);
+            const edited = sealed.replace("Bob Smith", "Robert Smith");
+
+            const result = await integrity.seal(edited);
+            expect(result.sealed).toEqual(["BOB"]);
+            expect(await integrity.verify(result.text)).toEqual([]);
+            expect(result.text).not.toMatch(/TITLE: Birth Certificate\n_CHECKSUM/);
+        });
+
+        it("should fill an empty checksum line", async () => {
+            const blank = text.replace("ID: BOB\n", "ID: BOB\n_CHECKSUM:\n");
+            const { text: sealed, sealed: ids } = await integrity.seal(blank);
+
+            expect(ids).toEqual(["BOB"]);
+            expect(sealed).toMatch(/\nID: BOB\n_CHECKSUM: sha256:[0-9a-f]{64}\n/);
+            expect(new FTTParser().parse(sealed).errors).toEqual([]);
+            expect(await integrity.verify(sealed)).toEqual([]);
+        });
+
+        it("should reject unknown records", async () => {
+            await expect(integrity.seal(text, ["CAROL"])).rejects.toThrow(
+                "Record CAROL not found."
+            );
+        });
+    });
+
+    // ==========================================
+    // 2. VERIFICATION
+    // ==========================================
+    describe("Verification", () => {
+        it("should report records whose content changed", async () => {
+            const { text: sealed } = await integrity.seal(text, ["ANN", "BOB"]);
+            const edited = sealed.replace("No. 1234", "No. 1243");
+            const mismatches = await integrity.verify(edited);
+            const [mismatch] = mismatches;
+
+            expect(mismatches).toHaveLength(1);
+            expect(mismatch).toMatchObject({ id: "ANN", line: 4 });
+            expect(mismatch.expected).not.toBe(mismatch.actual);
+        });
+
+        it("should ignore comments, layout and the order of different keys", async () => {
+            const { text: sealed } = await integrity.seal(text, ["ANN"]);
+            const reformatted = sealed
+                .replace("NAME: Ann Smith | Smith, Ann\n", "# Checked 2024\n")
+                .replace("UNION: BOB | MARR ||", "UNION:   BOB|MARR\nNAME: Ann Smith | Smith, Ann")
+                .replace(/\n/g, "\r\n");
+
+            expect(await integrity.verify(reformatted)).toEqual([]);
+        });
+
+        it("should detect reordered fields of the same key", async () => {
+            const twoNames = text.replace("NAME: Bob Smith", "NAME: Bob Smith\nNAME: Robert Smith");
+            const { text: sealed } = await integrity.seal(twoNames, ["BOB"]);
+            const swapped = sealed.replace(
+                "NAME: Bob Smith\nNAME: Robert Smith",
+                "NAME: Robert Smith\nNAME: Bob Smith"
+            );
+
+            expect((await integrity.verify(swapped)).map((m) => m.id)).toEqual(["BOB"]);
+        });
+    });
+});
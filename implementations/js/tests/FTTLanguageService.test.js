@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import FTTLanguageService from "../FTTLanguageService.js";
+
+describe("FTTLanguageService", () => {
+    let service;
+
+    const PATH = "/tree/main.ftt";
+    const input = `HEAD_FORMAT: FTT v0.1
+HEAD_ROOT: KID
+
+ID: DAD
+NAME: John Smith | Smith, John | BIRTH | PREF
+BORN: 1950 | Calgary; AB
+UNION: MOM | MARR
+
+ID: MOM
+NAME: Jane Doe
+SEX: F
+
+ID: KID
+NAME: Kid Smith
+PARENT: DAD | BIO
+PARENT: MOM | BIO
+BORN: 1980
+BORN_SRC: ^S1 | Page 4
+
+ID: ^S1
+TITLE: Birth Register
+`;
+
+    beforeEach(() => {
+        service = new FTTLanguageService();
+        service.openDocument(PATH, input);
+    });
+
+    // ==========================================
+    // 1. DIAGNOSTICS
+    // ==========================================
+    describe("Diagnostics", () => {
+        it("should report parser errors and warnings with line ranges", () => {
+            service.openDocument(
+                PATH,
+                input.replace("DAD | BIO", "DAD | XYZ").replace("MOM | BIO", "GONE | BIO")
+            );
+            const diagnostics = service.getDiagnostics(PATH);
+
+            expect(diagnostics.map((d) => [d.code, d.severity])).toEqual([
+                ["DANGLING_REF", 1],
+                ["INVALID_VOCAB", 1]
+            ]);
+            expect(diagnostics[0].range).toEqual({
+                start: { line: 15, character: 0 },
+                end: { line: 15, character: 18 }
+            });
+        });
+
+        it("should report nothing for a clean document", () => {
+            expect(service.getDiagnostics(PATH)).toEqual([]);
+        });
+
+        it("should apply the rules of the nearest .fttrc", () => {
+            const config = '{ "rules": { "MISSING_FIELD": ["warning", { "keys": ["SEX"] }] } }';
+            service = new FTTLanguageService({
+                readFile: (path) => (path === "/tree/.fttrc" ? config : null)
+            });
+            service.openDocument(PATH, input);
+
+            expect(
+                service.getDiagnostics(PATH).map((d) => [d.code, d.severity, d.message])
+            ).toEqual([
+                ["MISSING_FIELD", 2, "DAD has no SEX."],
+                ["MISSING_FIELD", 2, "KID has no SEX."]
+            ]);
+        });
+
+        it("should offer quick fixes as code actions", () => {
+            service.openDocument(PATH, input.replace("MOM | MARR", "MOM | MAR"));
+            const range = { start: { line: 6, character: 0 }, end: { line: 6, character: 0 } };
+            const [action] = service.getCodeActions(PATH, range);
+
+            expect(action).toMatchObject({
+                title: "Did you mean MARR?",
+                kind: "quickfix",
+                isPreferred: true
+            });
+            expect(action.diagnostics[0].code).toBe("INVALID_VOCAB");
+            expect(action.edit.changes[PATH]).toEqual([
+                {
+                    range: { start: { line: 6, character: 13 }, end: { line: 6, character: 16 } },
+                    newText: "MARR"
+                }
+            ]);
+
+            const clean = { start: { line: 5, character: 0 }, end: { line: 5, character: 4 } };
+            expect(service.getCodeActions(PATH, clean)).toEqual([]);
+        });
+    });
+
+    // ==========================================
+    // 2. NAVIGATION
+    // ==========================================
+    describe("Navigation", () => {
+        it("should go to the definition of a referenced ID", () => {
+            const location = service.getDefinition(PATH, { line: 14, character: 9 });
+            expect(location).toEqual({
+                path: PATH,
+                range: { start: { line: 3, character: 4 }, end: { line: 3, character: 7 } }
+            });
+
+            // Source citation in a modifier
+            const source = service.getDefinition(PATH, { line: 17, character: 11 });
+            expect(source.range.start.line).toBe(19);
+
+            // Not on an ID
+            expect(service.getDefinition(PATH, { line: 14, character: 15 })).toBeNull();
+        });
+
+        it("should resolve definitions in included files", () => {
+            service = new FTTLanguageService({
+                readFile: (path) =>
+                    path === "/tree/other.ftt" ? "HEAD_FORMAT: FTT v0.1\n\nID: FAR\n" : null
+            });
+            service.openDocument(
+                PATH,
+                "HEAD_FORMAT: FTT v0.1\nHEAD_INCLUDE: other.ftt\n\nID: A\nPARENT: FAR\n"
+            );
+
+            expect(service.getDefinition(PATH, { line: 4, character: 9 })).toEqual({
+                path: "/tree/other.ftt",
+                range: { start: { line: 2, character: 0 }, end: { line: 2, character: 0 } }
+            });
+        });
+
+        it("should find all references, optionally with the declaration", () => {
+            const refs = service.getReferences(PATH, { line: 3, character: 5 });
+            expect(refs.map((r) => r.range.start)).toEqual([
+                { line: 3, character: 4 },
+                { line: 14, character: 8 }
+            ]);
+
+            const kidRefs = service.getReferences(PATH, { line: 1, character: 12 }, false);
+            expect(kidRefs.map((r) => r.range.start.line)).toEqual([1]);
+        });
+
+        it("should find references in other open documents and included files", () => {
+            const kids = "HEAD_FORMAT: FTT v0.1\n\nID: KID-2\nPARENT: DAD\n";
+            service = new FTTLanguageService({
+                readFile: (path) => (path === "/tree/kids.ftt" ? kids : null)
+            });
+            service.openDocument(PATH, input.replace("HEAD_ROOT: KID", "HEAD_INCLUDE: kids.ftt"));
+            service.openDocument("/tree/other.ftt", "HEAD_FORMAT: FTT v0.1\n\nID: X\nASSOC: DAD\n");
+
+            const refs = service.getReferences(PATH, { line: 3, character: 5 }, false);
+            expect(refs.map((r) => [r.path, r.range.start.line])).toEqual([
+                [PATH, 14],
+                ["/tree/other.ftt", 3],
+                ["/tree/kids.ftt", 3]
+            ]);
+        });
+
+        it("should outline the document's records", () => {
+            const symbols = service.getDocumentSymbols(PATH);
+            expect(symbols.map((s) => [s.name, s.detail, s.kind])).toEqual([
+                ["DAD", "John Smith", 19],
+                ["MOM", "Jane Doe", 19],
+                ["KID", "Kid Smith", 19],
+                ["^S1", "Birth Register", 2]
+            ]);
+            expect(symbols[0].range).toEqual({
+                start: { line: 3, character: 0 },
+                end: { line: 6, character: 17 }
+            });
+        });
+    });
+
+    // ==========================================
+    // 3. RENAME
+    // ==========================================
+    describe("Rename", () => {
+        it("should rename an ID across open documents", () => {
+            service.openDocument("/tree/other.ftt", "HEAD_FORMAT: FTT v0.1\n\nID: X\nASSOC: DAD\n");
+
+            expect(service.prepareRename(PATH, { line: 14, character: 9 })).toEqual({
+                range: { start: { line: 14, character: 8 }, end: { line: 14, character: 11 } },
+                placeholder: "DAD"
+            });
+
+            const changes = service.getRenameEdits(PATH, { line: 3, character: 5 }, "SMITH-1950");
+            expect(changes[PATH].map((e) => e.range.start.line)).toEqual([3, 14]);
+            expect(changes["/tree/other.ftt"]).toEqual([
+                {
+                    range: { start: { line: 3, character: 7 }, end: { line: 3, character: 10 } },
+                    newText: "SMITH-1950"
+                }
+            ]);
+        });
+
+        it("should refuse unsafe renames", () => {
+            expect(service.prepareRename(PATH, { line: 4, character: 8 })).toBeNull();
+            expect(() => service.getRenameEdits(PATH, { line: 3, character: 5 }, "MOM")).toThrow(
+                /already exists/
+            );
+        });
+    });
+
+    // ==========================================
+    // 4. HOVER & COMPLETION
+    // ==========================================
+    describe("Hover & Completion", () => {
+        it("should show a person's name and dates on hover", () => {
+            const hover = service.getHover(PATH, { line: 14, character: 9 });
+            expect(hover.contents.value).toBe("**John Smith**\n\n`DAD`\n\nBorn: 1950, Calgary; AB");
+            expect(hover.range.start).toEqual({ line: 14, character: 8 });
+        });
+
+        it("should explain vocabulary codes on hover", () => {
+            const hover = service.getHover(PATH, { line: 14, character: 15 });
+            expect(hover.contents.value).toBe("**BIO**: Biological");
+        });
+
+        it("should complete IDs of the right record type", () => {
+            service.openDocument(PATH, input + "\nID: NEW\nPARENT: \nSRC: \n");
+            const lines = input.split("\n").length;
+
+            const people = service.getCompletions(PATH, { line: lines + 1, character: 8 });
+            expect(people.map((c) => c.label)).toEqual(["DAD", "MOM", "KID", "NEW"]);
+            expect(people[0].detail).toBe("John Smith");
+
+            const sources = service.getCompletions(PATH, { line: lines + 2, character: 5 });
+            expect(sources.map((c) => c.label)).toEqual(["^S1"]);
+        });
+
+        it("should complete vocabulary codes by pipe position", () => {
+            const labels = (line, character) =>
+                service.getCompletions(PATH, { line, character }).map((c) => c.label);
+
+            expect(labels(14, 14)).toContain("ADO"); // PARENT type
+            expect(labels(6, 14)).toEqual(["MARR", "CIVL", "PART", "UNK"]); // UNION type
+            expect(labels(10, 5)).toEqual(["M", "F", "U", "O"]); // SEX
+            expect(labels(4, 10)).toEqual([]); // NAME display text
+        });
+    });
+});
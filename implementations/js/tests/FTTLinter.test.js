@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import FTTLinter from "../FTTLinter.js";
+import FTTParser from "../FTTParser.js";
+
+describe("FTTLinter (House Rules)", () => {
+    const parser = new FTTParser();
+
+    const input = `HEAD_FORMAT: FTT v0.1
+
+ID: SMITH-1950-J
+NAME: John Smith | Smith, John | FOO
+SEX: M
+BORN: 1950
+BORN_SRC: ^S1
+
+ID: kid
+NAME: Kid Smith
+BORN: 1980
+PARENT: SMITH-1950-J | BIO
+
+ID: ^S1
+TITLE: Register
+`;
+
+    const lint = (rules, text = input) =>
+        new FTTLinter({ rules }).lint(parser.parse(text, { recover: true }));
+    const codes = (problems) => problems.map((e) => [e.code, e.line]);
+
+    // ==========================================
+    // 1. SEVERITY OVERRIDES
+    // ==========================================
+    describe("Severity Overrides", () => {
+        it("should pass parser output through unchanged without a config", () => {
+            const { errors, warnings } = lint({});
+            expect(errors).toEqual([]);
+            expect(codes(warnings)).toEqual([["NONSTD_VOCAB", 4]]);
+        });
+
+        it("should promote, demote and silence parser codes", () => {
+            const promoted = lint({ NONSTD_VOCAB: "error" });
+            expect(codes(promoted.errors)).toEqual([["NONSTD_VOCAB", 4]]);
+            expect(promoted.errors[0].severity).toBe("ERROR");
+            expect(promoted.warnings).toEqual([]);
+
+            const dangling = input.replace("SMITH-1950-J | BIO", "GONE | BIO");
+            const demoted = lint({ DANGLING_REF: "warning", NONSTD_VOCAB: "off" }, dangling);
+            expect(demoted.errors).toEqual([]);
+            expect(codes(demoted.warnings)).toEqual([["DANGLING_REF", 12]]);
+            expect(String(demoted.warnings[0])).toBe(
+                "[WARNING] Line 12: Reference to missing ID: GONE (DANGLING_REF)"
+            );
+        });
+
+        it("should reject unknown severities", () => {
+            expect(() => new FTTLinter({ rules: { NONSTD_VOCAB: "loud" } })).toThrow(
+                'Invalid severity "loud" for NONSTD_VOCAB.'
+            );
+        });
+    });
+
+    // ==========================================
+    // 2. RULES
+    // ==========================================
+    describe("Rules", () => {
+        it("should run the built-in rules that are switched on", () => {
+            const { errors, warnings } = lint({
+                NONSTD_VOCAB: "off",
+                MISSING_SOURCE: ["error", { keys: ["BORN"] }],
+                ID_PATTERN: ["warning", { pattern: "^[A-Z]+-\\d{4}-[A-Z]+$" }],
+                MISSING_FIELD: ["error", { keys: ["SEX"] }]
+            });
+
+            expect(codes(errors)).toEqual([
+                ["MISSING_SOURCE", 11],
+                ["MISSING_FIELD", 9]
+            ]);
+            expect(errors.map((e) => e.message)).toEqual([
+                "kid: BORN has no BORN_SRC citation.",
+                "kid has no SEX."
+            ]);
+            expect(warnings.map((e) => e.message)).toEqual([
+                'ID "kid" does not match ^[A-Z]+-\\d{4}-[A-Z]+$.'
+            ]);
+        });
+
+        it("should run custom rules", () => {
+            const linter = new FTTLinter({ rules: { NO_NAME: ["error", { key: "NAME" }] } });
+            linter.defineRule("NO_NAME", ({ key }) => (record, { report }) => {
+                if (!record.data[key]) report(`${record.id} is unnamed.`, record.line);
+            });
+
+            const { errors } = linter.lint(parser.parse(input, { recover: true }));
+            expect(codes(errors)).toEqual([["NO_NAME", 14]]);
+        });
+    });
+
+    // ==========================================
+    // 3. CONFIG FILES
+    // ==========================================
+    describe("Config Files", () => {
+        const files = {
+            "/home/tree/.fttrc": '{ "rules": { "NONSTD_VOCAB": "error" } }',
+            "/home/bad/.fttrc": "{ rules: }"
+        };
+        const readFile = (path) => {
+            if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+            return files[path];
+        };
+
+        it("should find the nearest config in a parent directory", () => {
+            expect(FTTLinter.findConfig("/home/tree/branches/doe.ftt", readFile)).toEqual({
+                path: "/home/tree/.fttrc",
+                config: { rules: { NONSTD_VOCAB: "error" } }
+            });
+            expect(FTTLinter.findConfig("/home/other/main.ftt", readFile)).toBeNull();
+        });
+
+        it("should report invalid config files with their path", () => {
+            expect(() => FTTLinter.findConfig("/home/bad/main.ftt", readFile)).toThrow(
+                /^Invalid \/home\/bad\/\.fttrc: /
+            );
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import FTTMerge from "../FTTMerge.js";
+
+describe("FTTMerge (Three-Way Merge)", () => {
+    const merger = new FTTMerge();
+
+    const base = `HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Smith Family
+
+ID: DAD
+NAME: John Smith | Smith, John | BIRTH | PREF
+BORN: 1950 | Calgary; AB
+CHILD: KID-1
+
+ID: KID-1
+NAME: Kid One
+PARENT: DAD | BIO
+
+ID: OLD
+NAME: Old Entry
+`;
+
+    const edit = (text, ...replacements) =>
+        replacements.reduce((acc, [from, to]) => acc.replace(from, to), text);
+
+    // ==========================================
+    // 1. AUTOMATIC MERGES
+    // ==========================================
+    describe("Independent Changes", () => {
+        it("should merge CHILD lines and records added on both sides", () => {
+            const ours = edit(base, ["CHILD: KID-1\n", "CHILD: KID-1\nCHILD: KID-2\n"]).concat(
+                "\nID: KID-2\nNAME: Kid Two\nPARENT: DAD | BIO\n"
+            );
+            const theirs = edit(base, ["CHILD: KID-1\n", "CHILD: KID-1\nCHILD: KID-3\n"]).concat(
+                "\nID: KID-3\nNAME: Kid Three\nPARENT: DAD | BIO\n"
+            );
+
+            const result = merger.merge(base, ours, theirs);
+
+            expect(result.clean).toBe(true);
+            expect(result.text).toBe(
+                edit(ours, ["CHILD: KID-2\n", "CHILD: KID-2\nCHILD: KID-3\n"]).concat(
+                    "\nID: KID-3\nNAME: Kid Three\nPARENT: DAD | BIO\n"
+                )
+            );
+        });
+
+        it("should keep both sides' NAME variants", () => {
+            const ours = edit(base, [
+                "NAME: Kid One\n",
+                "NAME: Kiddo | One, Kiddo | NICK\nNAME: Kid One\n"
+            ]);
+            const theirs = edit(base, [
+                "NAME: Kid One\n",
+                "NAME: Kid One\nNAME: Kit | One, Kit | NICK\n"
+            ]);
+
+            const { text, clean } = merger.merge(base, ours, theirs);
+
+            expect(clean).toBe(true);
+            expect(text).toContain(
+                "NAME: Kiddo | One, Kiddo | NICK\nNAME: Kid One\nNAME: Kit | One, Kit | NICK\n"
+            );
+        });
+
+        it("should merge edits to different segments and modifiers of one field", () => {
+            const ours = edit(base, ["BORN: 1950 | Calgary; AB", "BORN: 1950-03-02 | Calgary; AB"]);
+            const theirs = edit(
+                base,
+                ["BORN: 1950 | Calgary; AB", "BORN: 1950 | Calgary; Alberta\nBORN_SRC: ^S1"],
+                ["\nID: OLD", "\nID: ^S1\nTITLE: Register\n\nID: OLD"]
+            );
+
+            const { text, clean } = merger.merge(base, ours, theirs);
+
+            expect(clean).toBe(true);
+            expect(text).toContain("BORN: 1950-03-02 | Calgary; Alberta\nBORN_SRC: ^S1\nCHILD");
+        });
+
+        it("should apply deletions and edits made on one side, keeping ours' formatting", () => {
+            const ours = edit(base, ["HEAD_TITLE", "# Maintained by Jane\nHEAD_TITLE"]);
+            const theirs = edit(
+                base,
+                ["\nID: OLD\nNAME: Old Entry\n", ""],
+                ["HEAD_TITLE: Smith Family", "HEAD_TITLE: Smith & Doe Families"]
+            );
+
+            const { text, clean } = merger.merge(base, ours, theirs);
+
+            expect(clean).toBe(true);
+            expect(text).toBe(
+                edit(
+                    ours,
+                    ["\nID: OLD\nNAME: Old Entry\n", ""],
+                    ["HEAD_TITLE: Smith Family", "HEAD_TITLE: Smith & Doe Families"]
+                )
+            );
+        });
+    });
+
+    // ==========================================
+    // 2. CONFLICTS
+    // ==========================================
+    describe("Conflicts", () => {
+        it("should mark fields that both sides changed differently", () => {
+            const ours = edit(base, ["BORN: 1950 | Calgary; AB", "BORN: 1951 | Calgary; AB"]);
+            const theirs = edit(base, ["BORN: 1950 | Calgary; AB", "BORN: 1952 | Calgary; AB"]);
+
+            const result = merger.merge(base, ours, theirs);
+
+            expect(result.clean).toBe(false);
+            expect(result.conflicts).toEqual([
+                { id: "DAD", key: "BORN", message: "BORN was changed differently on both sides" }
+            ]);
+            expect(result.text).toContain(
+                "NAME: John Smith | Smith, John | BIRTH | PREF\n<<<<<<< ours\nBORN: 1951 | Calgary; AB\n=======\nBORN: 1952 | Calgary; AB\n>>>>>>> theirs\nCHILD: KID-1\n"
+            );
+        });
+
+        it("should conflict on different values for single-valued keys", () => {
+            const ours = edit(base, ["NAME: Kid One\n", "NAME: Kid One\nSEX: M\n"]);
+            const theirs = edit(base, ["NAME: Kid One\n", "NAME: Kid One\nSEX: F\n"]);
+
+            const result = merger.merge(base, ours, theirs);
+            expect(result.conflicts.map((c) => [c.id, c.key])).toEqual([["KID-1", "SEX"]]);
+        });
+
+        it("should conflict when a record changed on one side is deleted on the other", () => {
+            const ours = edit(base, ["NAME: Old Entry", "NAME: Old Entry, Corrected"]);
+            const theirs = edit(base, ["\nID: OLD\nNAME: Old Entry\n", ""]);
+
+            const result = merger.merge(base, ours, theirs);
+
+            expect(result.conflicts[0].message).toBe(
+                "OLD was deleted in theirs but changed in ours"
+            );
+            expect(result.text).toContain(
+                "<<<<<<< ours\nID: OLD\nNAME: Old Entry, Corrected\n=======\n>>>>>>> theirs\n"
+            );
+        });
+    });
+
+    // ==========================================
+    // 3. VALIDATION
+    // ==========================================
+    describe("Validation", () => {
+        it("should report errors the merge introduced", () => {
+            // Ours links to KID-1, which theirs deleted: each side alone is valid
+            const ours = edit(base, ["NAME: Old Entry", "NAME: Old Entry\nASSOC: KID-1 | WITN"]);
+            const theirs = edit(
+                base,
+                ["CHILD: KID-1\n", ""],
+                ["\nID: KID-1\nNAME: Kid One\nPARENT: DAD | BIO\n", ""]
+            );
+
+            const result = merger.merge(base, ours, theirs);
+
+            expect(result.conflicts).toEqual([]);
+            expect(result.clean).toBe(false);
+            expect(result.errors.map((e) => e.code)).toEqual(["DANGLING_REF"]);
+        });
+
+        it("should not blame the merge for errors a side already had", () => {
+            const broken = base + "\nID: ORPHAN\nPARENT: MISSING\n";
+            const theirs = edit(broken, ["NAME: Old Entry", "NAME: Old Entry 2"]);
+
+            expect(merger.merge(broken, broken, theirs).clean).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTNameIndex from "../FTTNameIndex.js";
+
+describe("FTTNameIndex", () => {
+    const text = `HEAD_FORMAT: FTT v0.1
+
+ID: ANNA-1
+NAME: Anna Lind | Lind, Anna | MARR | PREF
+NAME: Anna Åberg | Åberg, Anna | BIRTH
+BORN: 1850~
+DIED: [..1921]
+
+ID: ERIK-1
+NAME: Erik Zetterlund
+BORN: [1904..1908]
+
+ID: JAN-1
+NAME: Dr. Jan van der Berg Jr.
+
+ID: JON
+NAME: Jón Einarsson | Jón Einarsson
+DIED: 1890?
+
+ID: LARS-1
+NAME: Lars Lind | Lind, Lars
+NAME: Lasse <Lind> || NICK
+BORN: 1848
+
+ID: ^SRC-1
+TITLE: Lind family Bible`;
+    const { records } = new FTTParser().parse(text);
+
+    // ==========================================
+    // 1. GROUPING & COLLATION
+    // ==========================================
+    describe("Grouping & Collation", () => {
+        it("should group every name under its surname heading", () => {
+            const headings = new FTTNameIndex().build(records);
+
+            expect(headings.map((h) => h.heading)).toEqual([
+                "Åberg",
+                "Jón",
+                "Lasse <Lind>",
+                "Lind",
+                "van der Berg",
+                "Zetterlund"
+            ]);
+            expect(headings[3].entries.map((e) => [e.name, e.id])).toEqual([
+                ["Lind, Anna", "ANNA-1"],
+                ["Lind, Lars", "LARS-1"]
+            ]);
+            expect(headings[4].entries[0].name).toBe("van der Berg, Jan, Jr.");
+        });
+
+        it("should collate for the configured locale", () => {
+            const swedish = new FTTNameIndex({ locale: "sv" }).build(records);
+            expect(swedish.map((h) => h.heading).slice(-2)).toEqual(["Zetterlund", "Åberg"]);
+        });
+    });
+
+    // ==========================================
+    // 2. CROSS-REFERENCES
+    // ==========================================
+    describe("Cross-References", () => {
+        it("should refer variant names to the preferred name with ID and life dates", () => {
+            const [aberg] = new FTTNameIndex().build(records);
+
+            expect(aberg.entries).toEqual([
+                {
+                    name: "Åberg, Anna",
+                    id: "ANNA-1",
+                    dates: "c. 1850–bef. 1921",
+                    nameType: "BIRTH",
+                    preferred: false,
+                    see: "Lind, Anna"
+                }
+            ]);
+        });
+    });
+
+    // ==========================================
+    // 3. OUTPUT FORMATS
+    // ==========================================
+    describe("Output Formats", () => {
+        const index = new FTTNameIndex();
+        const headings = index.build(records).slice(0, 3);
+
+        it("should render plain text", () => {
+            expect(index.format(headings)).toBe(
+                [
+                    "Åberg",
+                    "    Åberg, Anna (birth name; c. 1850–bef. 1921) [ANNA-1], see Lind, Anna",
+                    "",
+                    "Jón",
+                    "    Jón Einarsson (d. 1890?) [JON]",
+                    "",
+                    "Lasse <Lind>",
+                    "    Lasse <Lind> (nickname; b. 1848) [LARS-1], see Lind, Lars",
+                    ""
+                ].join("\n")
+            );
+        });
+
+        it("should render Markdown and HTML with escaping", () => {
+            const markdown = index.format(headings, "markdown");
+            const html = index.format(headings, "html");
+
+            expect(markdown).toContain(
+                "### Åberg\n\n- Åberg, Anna (birth name; c. 1850–bef. 1921)"
+            );
+            expect(markdown).toContain(
+                "- Lasse \\<Lind\\> (nickname; b. 1848) `LARS-1`, _see_ Lind, Lars"
+            );
+            expect(html).toContain("<h3>Lasse &lt;Lind&gt;</h3>");
+            expect(html).toContain("<li>Jón Einarsson (d. 1890?) <code>JON</code></li>");
+            expect(() => index.format(headings, "pdf")).toThrow('Unknown index format "pdf"');
+        });
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTNames from "../FTTNames.js";
+
+describe("FTTNames", () => {
+    const names = new FTTNames();
+    const parser = new FTTParser();
+
+    // Parses one NAME line and returns its parts
+    const parts = (value) => {
+        const result = parser.parse(`HEAD_FORMAT: FTT v0.1\n\nID: P1\nNAME: ${value}`);
+        return names.parse(result.records.P1.data.NAME[0]);
+    };
+
+    // ==========================================
+    // 1. CONVENTIONS
+    // ==========================================
+    describe("Conventions", () => {
+        it("should split western names with prefixes, particles and suffixes", () => {
+            expect(parts("Dr. Jan van der Berg Jr. | Berg, Jan van der")).toEqual({
+                prefix: "Dr.",
+                given: "Jan",
+                particles: "van der",
+                surname: "Berg",
+                suffix: "Jr.",
+                patronymic: "",
+                convention: "western"
+            });
+            expect(parts("Mary Anne Smith")).toMatchObject({
+                given: "Mary Anne",
+                surname: "Smith"
+            });
+        });
+
+        it("should only take capitalised particles from the sort key", () => {
+            expect(parts("John Ben Smith")).toMatchObject({
+                given: "John Ben",
+                particles: "",
+                surname: "Smith"
+            });
+            expect(parts("Ludwig van Beethoven")).toMatchObject({
+                given: "Ludwig",
+                particles: "van",
+                surname: "Beethoven"
+            });
+            expect(parts("Dick Van Dyke | Van Dyke, Dick")).toMatchObject({
+                given: "Dick",
+                particles: "Van",
+                surname: "Dyke"
+            });
+            expect(parts("Jan Van der Berg | Berg, Jan van der")).toMatchObject({
+                given: "Jan",
+                particles: "Van der",
+                surname: "Berg"
+            });
+        });
+
+        it("should put the family name first when the sort key does", () => {
+            expect(parts("Mao Zedong | Mao Zedong")).toMatchObject({
+                given: "Zedong",
+                surname: "Mao",
+                convention: "family-first"
+            });
+            expect(parts("Bartók Béla | Bartók, Béla")).toMatchObject({
+                given: "Béla",
+                surname: "Bartók",
+                convention: "family-first"
+            });
+        });
+
+        it("should read CJK names family first", () => {
+            expect(parts("毛泽东")).toMatchObject({
+                given: "泽东",
+                surname: "毛",
+                convention: "cjk"
+            });
+            expect(parts("山田 太郎")).toMatchObject({ given: "太郎", surname: "山田" });
+        });
+
+        it("should keep patronymics apart from surnames", () => {
+            expect(parts("Jón Einarsson | Jón Einarsson")).toMatchObject({
+                given: "Jón",
+                surname: "",
+                patronymic: "Einarsson",
+                convention: "patronymic"
+            });
+            expect(parts("Ivan Petrovich Sidorov | Sidorov, Ivan Petrovich")).toMatchObject({
+                given: "Ivan",
+                patronymic: "Petrovich",
+                surname: "Sidorov",
+                convention: "western"
+            });
+        });
+
+        it("should recognise mononyms and historical epithets", () => {
+            expect(parts("Plato")).toMatchObject({ given: "Plato", convention: "mononym" });
+            expect(parts("Big Bob || NICK")).toMatchObject({ given: "Big Bob", surname: "" });
+            expect(parts("Catherine the Great | Catherine, Great")).toMatchObject({
+                given: "Catherine",
+                surname: "",
+                suffix: "the Great",
+                convention: "historical"
+            });
+        });
+
+        it("should trust the sort key when the display lacks a part", () => {
+            expect(parts("Mother | Smith, Mary")).toMatchObject({
+                given: "Mary",
+                surname: "Smith"
+            });
+            expect(
+                new FTTNames({ particles: ["dit"] }).parse({ display: "Jean dit Lafleur" })
+            ).toMatchObject({
+                given: "Jean",
+                particles: "dit",
+                surname: "Lafleur"
+            });
+        });
+    });
+
+    // ==========================================
+    // 2. RECORD SURNAMES
+    // ==========================================
+    describe("Record Surnames", () => {
+        it("should prefer the PREF name, then the first name with a surname", () => {
+            const result = parser.parse(`HEAD_FORMAT: FTT v0.1
+
+ID: A
+NAME: Anna Smith | Smith, Anna | BIRTH
+NAME: Anna van Dijk | Dijk, Anna van | MARR | PREF
+
+ID: B
+NAME: Nana || NICK
+NAME: Beatrix Jones
+
+ID: C
+NAME: Plato`);
+
+            expect(names.surname(result.records.A)).toBe("van Dijk");
+            expect(names.surname(result.records.B)).toBe("Jones");
+            expect(names.surname(result.records.C)).toBe("");
+        });
+    });
+});
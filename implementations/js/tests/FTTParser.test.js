@@ -173,6 +173,26 @@ BORN_SRC: ^SRC-1
             expect(result.errors.length).toBeGreaterThan(0);
             expect(result.errors[0].code).toBe("CTX_MODIFIER");
         });
+
+        it("should attach and validate field-level privacy levels", () => {
+            const input = `
+HEAD_FORMAT: FTT v0.1
+
+ID: A
+NOTES: Cause of death.
+NOTES_PRIV: PRIVATE
+EVENT: RES | 1950
+EVENT_PRIV: PRIVTE
+`;
+            const result = parser.parse(input, { recover: true });
+            const [notes, event] = [result.records.A.data.NOTES[0], result.records.A.data.EVENT[0]];
+
+            expect(notes.modifiers.NOTES_PRIV[0].level).toBe("PRIVATE");
+            expect(event.modifiers.EVENT_PRIV[0].level).toBe("PRIVTE");
+            expect(result.errors).toHaveLength(1);
+            expect(result.errors[0]).toMatchObject({ code: "INVALID_VOCAB", line: 8 });
+            expect(result.errors[0].fixes[0].title).toBe("Did you mean PRIVATE?");
+        });
     });
 
     // ==========================================
@@ -350,6 +370,30 @@ EVENT: OCC | [1900..1910] || Work
             expect(result.errors).toHaveLength(0);
         });
 
+        it("should attach structured date values to dated fields", () => {
+            const input = `
+HEAD_FORMAT: FTT v0.1
+
+ID: A
+BORN: 1980-05-12
+EVENT: OCC | [1900..1910] || Work
+UNION: B | MARR | 1975~ | ..
+
+ID: B
+DIED: May 12, 1980
+`;
+            const result = parser.parse(input);
+            const rec = result.records["A"];
+
+            expect(rec.data.BORN[0].dateValue).toMatchObject({ precision: "day", year: 1980 });
+            expect(rec.data.EVENT[0].startDateValue.type).toBe("window");
+            expect(rec.data.EVENT[0].endDateValue).toBeNull();
+            expect(rec.data.UNION[0].startDateValue.approximate).toBe(true);
+            expect(rec.data.UNION[0].endDateValue.type).toBe("open");
+            expect(result.records["B"].data.UNION[0].startDateValue.raw).toBe("1975~");
+            expect(result.records["B"].data.DIED[0].dateValue).toBeNull();
+        });
+
         it("should error on invalid dates", () => {
             const input = `
 HEAD_FORMAT: FTT v0.1
@@ -587,6 +631,25 @@ ID: ^SRC-1
             expect(born.modifiers["BORN_SRC"]).toBeDefined();
             expect(born.modifiers["BORN_NOTE"]).toBeDefined();
         });
+
+        it("should reject unresolved merge conflict markers", () => {
+            const input = `HEAD_FORMAT: FTT v0.1
+
+ID: A
+<<<<<<< ours
+BORN: 1980
+=======
+BORN: 1981
+>>>>>>> theirs
+`;
+            const result = parser.parse(input, { recover: true });
+
+            expect(result.errors.map((e) => [e.code, e.line])).toEqual([
+                ["MERGE_CONFLICT", 4],
+                ["MERGE_CONFLICT", 6],
+                ["MERGE_CONFLICT", 8]
+            ]);
+        });
     });
 
     // ==========================================
@@ -663,4 +726,348 @@ BORN: 1980 | City \\| Name; Country
             expect(field.place).toBe("City | Name; Country");
         });
     });
+
+    // ==========================================
+    // 7. Chronological Plausibility
+    // ==========================================
+    describe("Chronological Plausibility", () => {
+        const codes = (input) =>
+            parser
+                .parse(`HEAD_FORMAT: FTT v0.1\n${input}`)
+                .warnings.map((w) => w.code)
+                .filter((c) => c.startsWith("CHRONO_"));
+
+        it("should warn when death precedes birth", () => {
+            expect(codes(`ID: A\nBORN: 1950\nDIED: 1949-12`)).toEqual(["CHRONO_LIFESPAN"]);
+            expect(codes(`ID: A\nBORN: 1950-05\nDIED: 1950`)).toEqual([]);
+        });
+
+        it("should warn on impossible lineage timing", () => {
+            const input = `
+ID: MOM
+SEX: F
+BORN: 1900
+DIED: 1930
+
+ID: DAD
+SEX: M
+BORN: 1800
+
+ID: KID
+BORN: 1935
+PARENT: MOM | BIO
+PARENT: DAD | BIO
+
+ID: OLDER
+BORN: 1890
+PARENT: MOM | BIO
+
+ID: ADOPTED
+BORN: 1890
+PARENT: MOM | ADO
+`;
+            expect(codes(input)).toEqual([
+                "CHRONO_AFTER_MOTHER",
+                "CHRONO_PARENT_AGE",
+                "CHRONO_BEFORE_PARENT"
+            ]);
+        });
+
+        it("should only flag bounding windows when every value is impossible", () => {
+            const input = (kidBorn) => `
+ID: MOM
+SEX: F
+BORN: 1900
+DIED: 1930
+
+ID: KID
+BORN: ${kidBorn}
+PARENT: MOM | BIO
+`;
+            expect(codes(input("[1925..1935]"))).toEqual([]);
+            expect(codes(input("193X"))).toEqual([]);
+            expect(codes(input("[1931..1935]"))).toEqual(["CHRONO_AFTER_MOTHER"]);
+            expect(codes(input("[1905..1911]"))).toEqual(["CHRONO_PARENT_AGE"]);
+        });
+
+        it("should check union start dates and widowhood", () => {
+            const input = `
+ID: A
+DIED: 1950
+
+ID: B
+DIED: 1990
+UNION: A | MARR | 1951
+UNION: C | MARR | 1960 | 1970 | WID
+
+ID: C
+DIED: 1980
+UNION: B | MARR | 1960 | 1970 | WID
+`;
+            expect(codes(input)).toEqual(["CHRONO_UNION_AFTER_DEATH", "CHRONO_WIDOWHOOD"]);
+            expect(codes(input.replace(/1980/, "1970~"))).toEqual(["CHRONO_UNION_AFTER_DEATH"]);
+        });
+    });
+
+    // ==========================================
+    // 8. Recovery Mode
+    // ==========================================
+    describe("Recovery Mode", () => {
+        const input = `HEAD_FORMAT: FTT v0.1
+
+ID: A
+NAME: Alice
+CHILD: GHOST
+BORN_SRC: ^S1
+  continued citation text
+
+ID: A
+NAME: Duplicate Alice
+
+ID: bad id
+NAME: Invalid
+
+ID: B
+NAME: Bob
+PARENT: A | BIO
+PARENT: MISSING | BIO
+BORN: 1990
+BORN_SRC: ^NOPE
+FOO: unknown key
+  with a continuation
+this line is invalid
+SEX: M
+
+ID: GHOST
+NAME: Ghost
+
+ID: C1
+PARENT: C2 | BIO
+
+ID: C2
+PARENT: C1 | BIO
+`;
+
+        it("should stay strict by default", () => {
+            const result = parser.parse(input);
+            expect(result.records).toEqual({});
+            expect(result.errors).toHaveLength(1);
+        });
+
+        it("should collect every error and return best-effort records", () => {
+            const result = parser.parse(input, { recover: true });
+
+            expect(result.errors.map((e) => [e.code, e.line])).toEqual([
+                ["CTX_MODIFIER", 6],
+                ["DUPLICATE_ID", 9],
+                ["ID_FORMAT", 12],
+                ["SYNTAX_INVALID", 21],
+                ["SYNTAX_INVALID", 23],
+                ["DANGLING_REF", 18],
+                ["DANGLING_SRC", 20],
+                ["GHOST_CHILD", 5],
+                ["CIRCULAR_LINEAGE", 33]
+            ]);
+            expect(result.errors.every((e) => e.severity === "FATAL")).toBe(true);
+            expect(Object.keys(result.records)).toEqual(["A", "B", "GHOST", "C1", "C2"]);
+        });
+
+        it("should quarantine only the offending record or link", () => {
+            const { records } = parser.parse(input, { recover: true });
+
+            // First definition wins, duplicate and invalid blocks are left out
+            expect(records["A"].data.NAME[0].display).toBe("Alice");
+            expect(records["bad id"]).toBeUndefined();
+
+            // Broken links are removed, the rest of the record survives
+            const bob = records["B"].data;
+            expect(bob.PARENT.map((p) => p.parentId)).toEqual(["A"]);
+            expect(bob.BORN[0].modifiers).toEqual({});
+            expect(bob.SEX[0].value).toBe("M");
+            expect(bob.FOO).toBeUndefined();
+            expect(records["A"].data.CHILD.map((c) => c.childId)).toEqual(["B"]);
+
+            // The cycle is broken at its closing link
+            expect(records["C1"].data.PARENT).toHaveLength(1);
+            expect(records["C2"].data.PARENT).toBeUndefined();
+        });
+    });
+
+    // ==========================================
+    // 9. Multi-File Trees
+    // ==========================================
+    describe("Multi-File Trees", () => {
+        const files = {
+            "tree/main.ftt": `HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Main
+HEAD_INCLUDE: branches/doe.ftt
+
+ID: SMITH-1
+NAME: John Smith
+UNION: DOE-1 | MARR
+CHILD: SMITH-2
+`,
+            "tree/branches/doe.ftt": `HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Doe Branch
+HEAD_INCLUDE: ../kids.ftt | ../main.ftt
+
+ID: DOE-1
+NAME: Jane Doe
+`,
+            "tree/kids.ftt": `HEAD_FORMAT: FTT v0.1
+
+ID: SMITH-2
+PARENT: SMITH-1 | BIO
+PARENT: DOE-1 | BIO
+`
+        };
+
+        it("should follow HEAD_INCLUDE and resolve IDs across files", () => {
+            const main = files["tree/main.ftt"];
+            const result = parser.parse(main, {
+                file: "tree/main.ftt",
+                readFile: (path) => files[path]
+            });
+
+            expect(result.errors).toHaveLength(0);
+            expect(result.headers["HEAD_TITLE"]).toBe("Main");
+            expect(result.headers["HEAD_INCLUDE"]).toBeUndefined();
+            expect(Object.keys(result.records)).toEqual(["SMITH-1", "DOE-1", "SMITH-2"]);
+            expect(result.records["DOE-1"].file).toBe("tree/branches/doe.ftt");
+            expect(result.records["DOE-1"].data.UNION[0].isImplicit).toBe(true);
+        });
+
+        it("should merge a set of files passed to parseFiles()", () => {
+            const result = parser.parseFiles(files);
+            expect(result.errors).toHaveLength(0);
+            expect(Object.keys(result.records)).toHaveLength(3);
+        });
+
+        it("should report duplicate IDs with both files and lines", () => {
+            const result = parser.parseFiles({
+                "a.ftt": "HEAD_FORMAT: FTT v0.1\n\nID: X\n",
+                "b.ftt": "HEAD_FORMAT: FTT v0.1\n\n\nID: X\n"
+            });
+            const [error] = result.errors;
+
+            expect(error.code).toBe("DUPLICATE_ID");
+            expect(error.file).toBe("b.ftt");
+            expect(error.line).toBe(4);
+            expect(error.message).toContain("a.ftt, Line 3");
+            expect(error.toString()).toContain("b.ftt, Line 4");
+        });
+
+        it("should validate the graph across file boundaries", () => {
+            const result = parser.parseFiles(
+                {
+                    "a.ftt": "HEAD_FORMAT: FTT v0.1\n\nID: P\nCHILD: K\n",
+                    "b.ftt":
+                        "HEAD_FORMAT: FTT v0.1\n\nID: K\nPARENT: Q | BIO\n\nID: Q\nPARENT: K | BIO\n"
+                },
+                { recover: true }
+            );
+
+            expect(result.errors.map((e) => [e.code, e.file, e.line])).toEqual([
+                ["GHOST_CHILD", "a.ftt", 4],
+                ["CIRCULAR_LINEAGE", "b.ftt", 7]
+            ]);
+        });
+
+        it("should report includes that cannot be read", () => {
+            const result = parser.parse("HEAD_FORMAT: FTT v0.1\nHEAD_INCLUDE: missing.ftt\n");
+            expect(result.errors[0]).toMatchObject({ code: "INCLUDE_NOT_FOUND", line: 2 });
+            expect(result.errors[0].file).toBeNull();
+        });
+    });
+
+    // ==========================================
+    // 10. Quick Fixes
+    // ==========================================
+    describe("Quick Fixes", () => {
+        const fixOnce = (text, options = {}) => {
+            const result = parser.parse(text, { recover: true, ...options });
+            const [problem] = [...result.errors, ...result.warnings];
+            return { problem, fixed: FTTParser.applyFix(text, problem.fixes[0], options.file) };
+        };
+
+        it("should suggest the nearest vocabulary code", () => {
+            const input = "HEAD_FORMAT: FTT v0.1\n\nID: A\nUNION: B | MAR\n\nID: B\nUNION: A\n";
+            const { problem, fixed } = fixOnce(input);
+
+            expect(problem.code).toBe("INVALID_VOCAB");
+            expect(problem.fixes[0]).toEqual({
+                title: "Did you mean MARR?",
+                edits: [
+                    {
+                        file: null,
+                        span: { start: { line: 4, column: 11 }, end: { line: 4, column: 14 } },
+                        text: "MARR"
+                    }
+                ]
+            });
+            expect(fixed).toContain("UNION: B | MARR\n");
+            expect(parser.parse(fixed).errors).toEqual([]);
+        });
+
+        it("should prefer a case-insensitive match and offer nothing for unrelated values", () => {
+            const input = "HEAD_FORMAT: FTT v0.1\n\nID: A\nNAME: A | A, A | nick | Favourite\n";
+            const result = parser.parse(input, { recover: true });
+
+            expect(result.warnings[0].fixes.map((f) => f.title)).toEqual(["Did you mean NICK?"]);
+            expect(result.errors[0].code).toBe("INVALID_VOCAB");
+            expect(result.errors[0].fixes).toEqual([]);
+        });
+
+        it("should add the missing PARENT link for a ghost child", () => {
+            const input =
+                "HEAD_FORMAT: FTT v0.1\r\n\r\nID: DAD\r\nCHILD: KID\r\n\r\nID: KID\r\nNAME: Kid";
+            const { problem, fixed } = fixOnce(input);
+
+            expect(problem.code).toBe("GHOST_CHILD");
+            expect(problem.fixes[0].title).toBe('Add "PARENT: DAD | BIO" to KID');
+            expect(fixed).toBe(input.replace("ID: KID", "ID: KID\r\nPARENT: DAD | BIO"));
+            expect(parser.parse(fixed).errors).toEqual([]);
+        });
+
+        it("should target the file of the record being fixed", () => {
+            const result = parser.parseFiles(
+                {
+                    "a.ftt": "HEAD_FORMAT: FTT v0.1\n\nID: P\nCHILD: K\n",
+                    "b.ftt": "HEAD_FORMAT: FTT v0.1\n\nID: K\n"
+                },
+                { recover: true }
+            );
+            const [fix] = result.errors[0].fixes;
+
+            expect(fix.edits.map((e) => e.file)).toEqual(["b.ftt"]);
+            expect(FTTParser.applyFix("ID: K\n", fix, "a.ftt")).toBe("ID: K\n");
+        });
+
+        it("should rename a modifier to match the field it follows", () => {
+            const input = "HEAD_FORMAT: FTT v0.1\n\nID: A\nDIED: 1990\nBORN_SRC: ^S1\n\nID: ^S1\n";
+            const { problem, fixed } = fixOnce(input);
+
+            expect(problem.code).toBe("CTX_MODIFIER");
+            expect(problem.fixes[0].title).toBe("Rename BORN_SRC to DIED_SRC");
+            expect(fixed).toContain("DIED: 1990\nDIED_SRC: ^S1\n");
+        });
+
+        it("should suggest existing IDs of the same type for dangling links", () => {
+            const input =
+                "HEAD_FORMAT: FTT v0.1\n\nID: SMITH-01\n\nID: ^SMITH-02\n\nID: A\nASSOC: SMITH-02 | WITN\n";
+            const { problem, fixed } = fixOnce(input);
+
+            expect(problem.code).toBe("DANGLING_REF");
+            expect(problem.fixes.map((f) => f.title)).toEqual(["Did you mean SMITH-01?"]);
+            expect(fixed).toContain("ASSOC: SMITH-01 | WITN");
+        });
+
+        it("should suggest known keys for unknown ones", () => {
+            const input = "HEAD_FORMAT: FTT v0.1\n\nID: A\nBRON: 1950\n";
+            const { problem, fixed } = fixOnce(input);
+
+            expect(problem.fixes[0].title).toBe("Did you mean BORN?");
+            expect(fixed).toContain("BORN: 1950");
+        });
+    });
 });
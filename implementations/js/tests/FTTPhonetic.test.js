@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTPhonetic, { beiderMorse, daitchMokotoff, soundex } from "../FTTPhonetic.js";
+
+describe("FTTPhonetic", () => {
+    const spellings = ["Schmidt", "Smith", "Schmitt", "Smyth"];
+
+    // ==========================================
+    // 1. ENCODERS
+    // ==========================================
+    describe("Encoders", () => {
+        it("should compute American Soundex codes", () => {
+            expect(spellings.map(soundex)).toEqual(["S530", "S530", "S530", "S530"]);
+            expect(soundex("Ashcraft")).toBe("A261");
+            expect(soundex("Tymczak")).toBe("T522");
+            expect(soundex("")).toBe("");
+        });
+
+        it("should compute Daitch-Mokotoff codes with branches", () => {
+            expect(daitchMokotoff("Schmidt")).toEqual(["463000"]);
+            expect(daitchMokotoff("Peters")).toEqual(["739400", "734000"]);
+            expect(daitchMokotoff("Moskowitz")).toEqual(["645740"]);
+            expect(daitchMokotoff("Auerbach").sort()).toEqual(["097400", "097500"]);
+            expect(daitchMokotoff("Jackson").sort()).toEqual([
+                "145460",
+                "154600",
+                "445460",
+                "454600"
+            ]);
+        });
+
+        it("should approximate Beider-Morse keys", () => {
+            expect(new Set(spellings.flatMap(beiderMorse))).toEqual(new Set(["smat"]));
+            expect(beiderMorse("Müller")).toEqual(beiderMorse("Mueller"));
+            expect(beiderMorse("Cohen")).toEqual(beiderMorse("Kohn"));
+            expect(beiderMorse("Bach")).toEqual(["bax", "bats"]);
+        });
+    });
+
+    // ==========================================
+    // 2. MATCHING
+    // ==========================================
+    describe("Matching", () => {
+        it("should match sound-alike spellings with every algorithm", () => {
+            for (const algorithm of ["soundex", "daitch-mokotoff", "beider-morse"]) {
+                const phonetic = new FTTPhonetic(algorithm);
+                expect(spellings.every((s) => phonetic.matches("Smith", s))).toBe(true);
+                expect(phonetic.matches("Smith", "Jones")).toBe(false);
+            }
+            expect(new FTTPhonetic().matches("Schwartz", "Szwarc")).toBe(true);
+            expect(() => new FTTPhonetic("nysiis")).toThrow('Unknown phonetic algorithm "nysiis".');
+        });
+
+        it("should find people by any NAME variant", () => {
+            const { records } = new FTTParser().parse(`HEAD_FORMAT: FTT v0.1
+
+ID: HANS
+NAME: Johann Schmidt | Schmidt, Johann | BIRTH
+NAME: John Smith | Smith, John | IMM | PREF
+
+ID: JANE
+NAME: Jane Smyth | Smyth, Jane
+
+ID: ^REGISTER
+TITLE: Smith Register`);
+            const phonetic = new FTTPhonetic();
+
+            expect(phonetic.find(records, "Schmitt")).toEqual([
+                { id: "HANS", display: "Johann Schmidt", nameType: "BIRTH", line: 4, exact: false },
+                { id: "JANE", display: "Jane Smyth", nameType: "", line: 8, exact: false }
+            ]);
+            expect(phonetic.find(records, "smith").map((h) => [h.id, h.display, h.exact])).toEqual([
+                ["HANS", "John Smith", true],
+                ["JANE", "Jane Smyth", false]
+            ]);
+            expect(phonetic.find(records, "J Smyth").map((h) => h.id)).toEqual(["JANE", "HANS"]);
+            expect(phonetic.find(records, "Jones")).toEqual([]);
+        });
+    });
+});
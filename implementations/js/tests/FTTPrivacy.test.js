@@ -0,0 +1,298 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTPrivacy from "../FTTPrivacy.js";
+import FTTWriter from "../FTTWriter.js";
+import GedcomExporter from "../GedcomExporter.js";
+
+describe("FTTPrivacy (Appendix D)", () => {
+    const text = `HEAD_FORMAT: FTT v0.1
+HEAD_ROOT: KID
+
+ID: DAD
+NAME: John Smith | Smith, John
+SEX: M
+UNION: MOM | MARR | 1975
+UNION_NOTE: Married at St. Mary's
+CHILD: KID
+CHILD: SECRET
+BORN: 1950 | Calgary; AB
+BORN_SRC: ^DIARY | p. 3
+
+ID: MOM
+NAME: Mary Jones | Jones, Mary
+SEX: F
+PRIVACY: LIVING
+BORN: 1952 | Calgary; AB
+UNION: DAD | MARR | 1975
+CHILD: KID
+CHILD: SECRET
+NOTES: Lives on Elm Street.
+MEDIA: mary.jpg
+_EYE_COLOR: Blue
+
+ID: KID
+NAME: Kid Smith | Smith, Kid
+PRIVACY: LIVING
+PARENT: DAD | BIO
+PARENT: MOM | BIO
+ASSOC: DAD | GODP | 1980 || Baptism sponsor
+
+ID: SECRET
+PRIVACY: PRIVATE
+NAME: Secret Child
+PARENT: DAD | BIO
+PARENT: MOM | BIO
+
+ID: ^DIARY
+TITLE: Family Diary
+PRIVACY: PRIVATE
+`;
+    const parser = new FTTParser();
+    const model = parser.parse(text);
+    const redact = (policy) => new FTTPrivacy(policy).apply(model);
+    const pseudonymize = (policy) => new FTTPrivacy(policy).pseudonymize(model);
+
+    // ==========================================
+    // 1. PRIVACY LEVELS
+    // ==========================================
+    describe("Privacy Levels", () => {
+        it("should remove PRIVATE records and every link or citation to them", () => {
+            const { records } = redact();
+
+            expect(Object.keys(records)).toEqual(["DAD", "MOM", "KID"]);
+            expect(records.DAD.data.CHILD.map((c) => c.childId)).toEqual(["KID"]);
+            expect(records.DAD.data.BORN[0].modifiers).toEqual({});
+        });
+
+        it("should keep only the kinship of LIVING people", () => {
+            const mom = redact().records.MOM;
+
+            expect(Object.keys(mom.data)).toEqual(["NAME", "SEX", "PRIVACY", "UNION", "CHILD"]);
+            expect(mom.data.NAME[0].display).toBe("Living");
+            expect(mom.data.UNION[0]).toMatchObject({ partnerId: "DAD", startDate: "" });
+        });
+
+        it("should mask the dates and notes of links to LIVING people", () => {
+            const { records } = redact();
+
+            const union = records.DAD.data.UNION[0];
+            expect(union).toMatchObject({ unionType: "MARR", startDate: "", modifiers: {} });
+            expect(records.KID.data.ASSOC[0]).toMatchObject({ role: "GODP", details: "" });
+        });
+
+        it("should not modify the input model", async () => {
+            await pseudonymize();
+            expect(model.records.MOM.data.NAME[0].display).toBe("Mary Jones");
+            expect(model.records.DAD.data.UNION[0].startDate).toBe("1975");
+        });
+    });
+
+    // ==========================================
+    // 2. POLICY OPTIONS
+    // ==========================================
+    describe("Policy", () => {
+        it("should keep names, notes and media when the policy allows", () => {
+            const mom = redact({ maskNames: false, maskNotes: false, dropMedia: false }).records
+                .MOM;
+
+            expect(mom.data.NAME[0].display).toBe("Mary Jones");
+            expect(mom.data.NOTES[0].text).toBe("Lives on Elm Street.");
+            expect(mom.data.MEDIA[0].path).toBe("mary.jpg");
+            expect(mom.data.BORN).toBeUndefined();
+            expect(mom.data._EYE_COLOR).toBeUndefined();
+        });
+
+        it("should give LIVING people stable pseudonymous IDs", async () => {
+            const first = await pseudonymize({ salt: "s3cret" });
+            const second = await pseudonymize({ salt: "s3cret" });
+            const kid = first.pseudonyms.get("KID");
+
+            expect(kid).toBe("LIVING-F6345F3AE865E675"); // HMAC-SHA-256("s3cret", "KID")
+            expect(second.pseudonyms).toEqual(first.pseudonyms);
+            expect((await pseudonymize({ salt: "other" })).pseudonyms.get("KID")).not.toBe(kid);
+
+            expect(first.headers.HEAD_ROOT).toBe(kid);
+            expect(first.records.DAD.data.CHILD[0].childId).toBe(kid);
+            expect(first.records[kid].id).toBe(kid);
+        });
+
+        it("should use a random salt when none is given", async () => {
+            const first = (await pseudonymize()).pseudonyms.get("KID");
+            const second = (await pseudonymize()).pseudonyms.get("KID");
+
+            expect(first).toMatch(/^LIVING-[0-9A-F]{16}$/);
+            expect(second).not.toBe(first);
+        });
+    });
+
+    // ==========================================
+    // 3. EXPORTERS
+    // ==========================================
+    describe("Exporters", () => {
+        it("should produce a valid redacted FTT file", async () => {
+            const output = new FTTWriter().write(await pseudonymize());
+            const reparsed = parser.parse(output);
+
+            expect(reparsed.errors).toEqual([]);
+            expect(output).not.toMatch(/Mary|Elm Street|1952|1975|SECRET|DIARY|Baptism/);
+            expect(output).toContain("UNION: DAD | MARR\n");
+        });
+
+        it("should apply the same rules to GEDCOM exports", () => {
+            const ged = new GedcomExporter().convert(text, true);
+
+            expect(ged).not.toMatch(/Mary|1952|1975|SECRET|DIARY|St\. Mary/);
+            expect(ged).toContain("0 @MOM@ INDI\n1 NAME Living //\n1 SEX F");
+            expect(new GedcomExporter().convert(text)).toContain("1 NAME Mary /Jones/");
+        });
+    });
+
+    // ==========================================
+    // 4. LIVING STATUS AUDIT
+    // ==========================================
+    describe("Living Status Audit", () => {
+        const audit = (body, options) =>
+            new FTTPrivacy().audit(parser.parse(`HEAD_FORMAT: FTT v0.1\n${body}`), {
+                year: 2025,
+                ...options
+            });
+
+        const family = `
+ID: GRANDPA
+BORN: 1890
+CHILD: DAD
+
+ID: DAD
+NAME: John Smith | Smith, John
+PARENT: GRANDPA | BIO
+CHILD: KID
+
+ID: KID
+BORN: 1990
+PARENT: DAD | BIO
+UNION: WIFE | MARR
+
+ID: WIFE
+UNION: KID | MARR
+
+ID: GHOST
+PRIVACY: LIVING
+DIED: 1950
+
+ID: UNDATED
+`;
+
+        it("should report probably living people without PRIVACY: LIVING", () => {
+            const findings = audit(family);
+
+            expect(findings.map((f) => [f.id, f.declared, f.inferred, f.reason])).toEqual([
+                ["DAD", "OPEN", "LIVING", "born about 1960 (child KID born 1990), no DIED"],
+                ["KID", "OPEN", "LIVING", "born 1990, no DIED"],
+                ["WIFE", "OPEN", "LIVING", "born about 1990 (spouse KID born 1990), no DIED"],
+                ["GHOST", "LIVING", "DECEASED", "DIED is recorded"]
+            ]);
+            expect(findings[0]).toMatchObject({ label: "John Smith", line: 7 });
+        });
+
+        it("should estimate from grandchildren and parents", () => {
+            const findings = audit(`
+ID: A
+CHILD: B
+
+ID: B
+PARENT: A
+CHILD: C
+
+ID: C
+PARENT: B
+BORN: 2000
+CHILD: D
+
+ID: D
+PARENT: C
+`);
+            expect(findings.map((f) => f.reason)).toEqual([
+                "born about 1940 (grandchild C born 2000), no DIED",
+                "born about 1970 (child C born 2000), no DIED",
+                "born 2000, no DIED",
+                "born about 2030 (parent C born 2000), no DIED"
+            ]);
+        });
+
+        it("should honour the age threshold and agreeing declarations", () => {
+            const text = "\nID: OLD\nBORN: 1900\n\nID: YOUNG\nPRIVACY: LIVING\nBORN: 1980\n";
+
+            expect(audit(text)).toEqual([]);
+            expect(audit(text, { maxAge: 130 }).map((f) => f.id)).toEqual(["OLD"]);
+            expect(audit(text, { maxAge: 40 })[0]).toMatchObject({
+                id: "YOUNG",
+                inferred: "DECEASED",
+                reason: "born 1980, over 40 years ago"
+            });
+        });
+    });
+
+    // ==========================================
+    // 5. FIELD-LEVEL PRIVACY
+    // ==========================================
+    describe("Field-Level Privacy", () => {
+        const fieldText = `HEAD_FORMAT: FTT v0.1
+
+ID: GRAN
+NAME: Ada Smith | Smith, Ada
+BORN: 1890 | Calgary; AB
+DIED: 1950 | Ponoka; AB
+DIED_NOTE: Cause of death from the asylum register.
+EVENT: RES | 1940 | 1950 | Ponoka; AB | Provincial Mental Hospital
+EVENT_PRIV: PRIVATE
+NOTES: Lived on the family farm.
+NOTES: Treated for tuberculosis in 1938.
+NOTES_PRIV: LIVING
+UNION: GRAMP | MARR | 1910
+UNION_PRIV: LIVING
+CHILD: SON
+CHILD_PRIV: PRIVATE
+_HEIGHT: 160 cm
+_HEIGHT_PRIV: BOGUS
+
+ID: GRAMP
+NAME: Bert Smith | Smith, Bert
+UNION: GRAN | MARR | 1910
+
+ID: SON
+NAME: Tom Smith | Smith, Tom
+PARENT: GRAN | BIO
+PARENT: GRAMP | BIO
+`;
+        const fieldModel = new FTTParser().parse(fieldText, { recover: true });
+        const { records } = new FTTPrivacy().apply(fieldModel);
+
+        it("should remove PRIVATE fields and unknown levels, and mask LIVING fields", () => {
+            const gran = records.GRAN.data;
+
+            expect(gran.EVENT).toBeUndefined();
+            expect(gran._HEIGHT).toBeUndefined();
+            expect(gran.NOTES.map((n) => n.text)).toEqual(["Lived on the family farm."]);
+            expect(gran.DIED[0].modifiers.DIED_NOTE).toHaveLength(1);
+            expect(gran.UNION[0]).toMatchObject({ partnerId: "GRAMP", startDate: "" });
+            expect(gran.UNION[0].modifiers).toEqual({});
+        });
+
+        it("should hide the reciprocal side of a hidden link", () => {
+            expect(records.GRAMP.data.UNION[0]).toMatchObject({ partnerId: "GRAN", startDate: "" });
+            expect(records.GRAN.data.CHILD).toBeUndefined();
+            expect(records.SON.data.PARENT.map((p) => p.parentId)).toEqual(["GRAMP"]);
+        });
+
+        it("should produce a valid FTT file and GEDCOM without the hidden facts", () => {
+            const output = new FTTWriter().write({ ...fieldModel, records });
+            const valid = fieldText.replace("BOGUS", "PRIVATE");
+            const ged = new GedcomExporter().convert(valid, true);
+
+            expect(new FTTParser().parse(output).errors).toEqual([]);
+            expect(output).not.toMatch(/_PRIV|Hospital|tuberculosis|1910|160 cm/);
+            expect(ged).not.toMatch(/Hospital|tuberculosis|1910|160 cm/);
+            expect(ged).toContain("Lived on the family farm.");
+        });
+    });
+});
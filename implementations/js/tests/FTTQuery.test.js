@@ -0,0 +1,123 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTQuery, { displayName, preferred, sexOf, privacyOf } from "../FTTQuery.js";
+
+describe("FTTQuery", () => {
+    const text = `HEAD_FORMAT: FTT v0.1
+
+ID: ANN
+NAME: Ann Smith | Smith, Ann
+BORN: 1852 | Toronto; York; Ontario {=Toronto; Ontario; Canada}
+SEX: F
+UNION: BOB | MARR | 1875
+EVENT: OCC | 1870 || Toronto; Ontario | Teacher
+EVENT_REF: &CENSUS-1881 | HEAD
+
+ID: BOB
+NAME: Robert Jones | Jones, Robert
+NAME: Bob Jones | Jones, Bob | NICK | PREF
+BORN: 1849 | Kingston; Ontario
+BORN: 1851 | Kingston; Ontario | PREF
+SEX: M
+EVENT_REF: &CENSUS-1881 | SPOUSE
+
+ID: CARL
+NAME: Carl Émile Smith | Smith, Carl
+BORN: 189X | Montréal; Québec
+PRIVACY: LIVING
+
+ID: DORA
+NAME: Dora Smyth | Smyth, Dora
+BORN: [1899..1901] | Ottawa; Ontario
+
+ID: &CENSUS-1881
+TYPE: CENS
+START_DATE: 1881
+PLACE: Toronto; Ontario`;
+    const records = new FTTParser().parse(text).records;
+    const query = new FTTQuery(records);
+
+    // ==========================================
+    // 1. FILTERS
+    // ==========================================
+    describe("Filters", () => {
+        it("should chain place and date range filters", () => {
+            const ids = query.people().born({ place: "Ontario", from: 1850, to: 1900 }).ids();
+            expect(ids).toEqual(["ANN", "BOB", "DORA"]);
+        });
+
+        it("should match standardized places, ignoring case and accents", () => {
+            expect(query.born({ place: "canada" }).ids()).toEqual(["ANN"]);
+            expect(query.born({ place: "Quebec" }).ids()).toEqual(["CARL"]);
+            expect(query.born({ place: "Tor" }).ids()).toEqual([]);
+        });
+
+        it("should require the whole date in range when strict", () => {
+            expect(query.born({ from: 1890, to: 1900 }).ids()).toEqual(["CARL", "DORA"]);
+            expect(query.born({ from: 1890, to: 1900, strict: true }).ids()).toEqual(["CARL"]);
+            expect(query.born({ to: "1850-06" }).ids()).toEqual([]);
+        });
+
+        it("should filter by name, sort key, privacy and type", () => {
+            expect(query.nameContains("emile").ids()).toEqual(["CARL"]);
+            expect(query.nameContains("bob").ids()).toEqual(["BOB"]);
+            expect(query.sortKeyStartsWith("Smith,").ids()).toEqual(["ANN", "CARL"]);
+            expect(query.withPrivacy("LIVING").ids()).toEqual(["CARL"]);
+            expect(query.ofType("EVENT").ids()).toEqual(["&CENSUS-1881"]);
+        });
+
+        it("should filter by inline and shared events", () => {
+            expect(query.withEvent("CENS", { place: "Toronto" }).ids()).toEqual(["ANN", "BOB"]);
+            expect(query.withEvent("OCC", { from: 1871 }).ids()).toEqual([]);
+            expect(query.withEvent(null, { to: 1870 }).ids()).toEqual(["ANN"]);
+        });
+
+        it("should sort without changing the original query", () => {
+            const people = query.people();
+            expect(people.sortBy("born").ids()).toEqual(["BOB", "ANN", "CARL", "DORA"]);
+            expect(people.sortBy("name", true).ids()).toEqual(["DORA", "CARL", "ANN", "BOB"]);
+
+            // Undated people stay last when the order is reversed
+            const dated = new FTTQuery(
+                new FTTParser().parse(
+                    "HEAD_FORMAT: FTT v0.1\n\nID: A\nBORN: 1900\n\nID: B\n\nID: C\nBORN: 1950\n"
+                ).records
+            );
+            expect(dated.sortBy("born").ids()).toEqual(["A", "C", "B"]);
+            expect(dated.sortBy("born", true).ids()).toEqual(["C", "A", "B"]);
+            expect(people.ids()).toEqual(["ANN", "BOB", "CARL", "DORA"]);
+            expect(() => people.sortBy("age")).toThrow('Cannot sort by "age".');
+        });
+    });
+
+    // ==========================================
+    // 2. ACCESSORS
+    // ==========================================
+    describe("Accessors", () => {
+        it("should prefer PREF fields", () => {
+            expect(displayName(records.BOB)).toBe("Bob Jones");
+            expect(preferred(records.BOB, "BORN").date).toBe("1851");
+            expect(preferred(records.ANN, "DIED")).toBeNull();
+            expect(sexOf(records.DORA)).toBe("U");
+            expect(privacyOf(records.ANN)).toBe("OPEN");
+        });
+
+        it("should list inline and shared events in source order", () => {
+            const events = query.events("ANN");
+            expect(events.map((e) => [e.type, e.start.year, e.role, e.eventId])).toEqual([
+                ["OCC", 1870, null, null],
+                ["CENS", 1881, "HEAD", "&CENSUS-1881"]
+            ]);
+            expect(events[1].place).toBe("Toronto; Ontario");
+            expect(query.events("BOB", "OCC")).toEqual([]);
+        });
+
+        it("should list unions with their partners", () => {
+            const [union] = query.unions("ANN");
+            expect(union).toMatchObject({ partnerId: "BOB", type: "MARR" });
+            expect(union.partner).toBe(records.BOB);
+            expect(union.start.year).toBe(1875);
+            expect(query.unions("BOB")[0].partnerId).toBe("ANN");
+        });
+    });
+});
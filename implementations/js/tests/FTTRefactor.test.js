@@ -0,0 +1,331 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTRefactor from "../FTTRefactor.js";
+
+describe("FTTRefactor", () => {
+    const refactor = new FTTRefactor();
+
+    const main = `HEAD_FORMAT: FTT v0.1
+HEAD_ROOT: @I1@
+
+# Imported from GEDCOM
+ID: @I1@
+NAME: John Smith | Smith, John | BIRTH | PREF
+UNION:   @I2@   | MARR
+CHILD: @I3@
+BORN: 1950
+BORN_SRC: ^S1 | Page 4
+ASSOC: @I2@ | WITN
+
+ID: @I2@
+NAME: Jane Doe
+UNION: @I1@ | MARR
+CHILD: @I3@
+
+ID: @I3@
+NAME: Kid Smith
+PARENT: @I1@ | BIO
+PARENT: @I2@ | BIO
+
+ID: ^S1
+TITLE: Register of @I1@
+`;
+
+    // ==========================================
+    // 1. RENAMING
+    // ==========================================
+    describe("Rename ID", () => {
+        it("should rewrite the declaration and every reference", () => {
+            const { files, edits } = refactor.renameID({ "main.ftt": main }, "@I1@", "SMITH-1950");
+            const text = files.get("main.ftt");
+
+            expect(edits.map((e) => e.key)).toEqual(["HEAD_ROOT", "ID", "UNION", "PARENT"]);
+            expect(text).toBe(
+                main
+                    .replace("HEAD_ROOT: @I1@", "HEAD_ROOT: SMITH-1950")
+                    .replace("ID: @I1@", "ID: SMITH-1950")
+                    .replace("UNION: @I1@", "UNION: SMITH-1950")
+                    .replace("PARENT: @I1@", "PARENT: SMITH-1950")
+            );
+
+            // Free text and formatting are left alone
+            expect(text).toContain("TITLE: Register of @I1@");
+            expect(text).toContain("# Imported from GEDCOM");
+        });
+
+        it("should rename source citations in modifiers", () => {
+            const { files, edits } = refactor.renameID({ "main.ftt": main }, "^S1", "^SRC-REG");
+            expect(edits.map((e) => e.key)).toEqual(["BORN_SRC", "ID"]);
+            expect(files.get("main.ftt")).toContain("BORN_SRC: ^SRC-REG | Page 4");
+        });
+
+        it("should keep surrounding whitespace and report pre-edit spans", () => {
+            const { files, edits } = refactor.renameID({ "main.ftt": main }, "@I2@", "DOE-1952");
+            expect(files.get("main.ftt")).toContain("UNION:   DOE-1952   | MARR");
+            expect(edits[0]).toEqual({
+                file: "main.ftt",
+                key: "UNION",
+                span: { start: { line: 7, column: 9 }, end: { line: 7, column: 13 } },
+                text: "DOE-1952"
+            });
+        });
+
+        it("should rename placeholders that have no record", () => {
+            const text = "HEAD_FORMAT: FTT v0.1\n\nID: A\nPARENT: ?UNK | BIO\n";
+            const { files } = refactor.renameID({ "a.ftt": text }, "?UNK", "?UNK-FATHER");
+            expect(files.get("a.ftt")).toContain("PARENT: ?UNK-FATHER | BIO");
+        });
+    });
+
+    // ==========================================
+    // 2. MULTI-FILE TREES
+    // ==========================================
+    describe("Multi-File Trees", () => {
+        const root = "HEAD_FORMAT: FTT v0.1\nHEAD_INCLUDE: people/kids.ftt\n\nID: DAD\n";
+        const kids = "HEAD_FORMAT: FTT v0.1\n\nID: KID\nPARENT: DAD\n";
+        const other = "HEAD_FORMAT: FTT v0.1\n\nID: OTHER\n";
+
+        it("should follow HEAD_INCLUDE and return only the changed files", () => {
+            const read = [];
+            const readFile = (path) => {
+                read.push(path);
+                return path === "tree/people/kids.ftt" ? kids : null;
+            };
+
+            const { files } = refactor.renameID(
+                { "tree/main.ftt": root, "tree/other.ftt": other },
+                "DAD",
+                "DAD-1920",
+                { readFile }
+            );
+
+            expect(read).toEqual(["tree/people/kids.ftt"]);
+            expect([...files.keys()]).toEqual(["tree/main.ftt", "tree/people/kids.ftt"]);
+            expect(files.get("tree/people/kids.ftt")).toContain("PARENT: DAD-1920");
+        });
+
+        it("should refuse names taken in another file", () => {
+            expect(() =>
+                refactor.renameID({ "main.ftt": root, "people/kids.ftt": kids }, "DAD", "KID")
+            ).toThrow('ID "KID" already exists (people/kids.ftt, Line 3)');
+        });
+    });
+
+    // ==========================================
+    // 3. SAFETY CHECKS
+    // ==========================================
+    describe("Safety Checks", () => {
+        const files = { "main.ftt": main };
+
+        it("should refuse collisions", () => {
+            const text = "HEAD_FORMAT: FTT v0.1\n\nID: A\n\nID: B\n";
+            expect(() => refactor.renameID({ "a.ftt": text }, "A", "B")).toThrow(
+                'Cannot rename "A": ID "B" already exists (a.ftt, Line 5).'
+            );
+        });
+
+        it("should apply the ID format rules to the new ID", () => {
+            expect(() => refactor.renameID(files, "@I1@", "@I9@")).toThrow(
+                /Invalid Standard ID "@I9@"/
+            );
+            expect(() => refactor.renameID(files, "^S1", "^S 1")).toThrow(/forbidden characters/);
+        });
+
+        it("should refuse to change the record type", () => {
+            expect(() => refactor.renameID(files, "^S1", "S1")).toThrow(/sigil/);
+            expect(() => refactor.renameID(files, "@I1@", "&SMITH")).toThrow(/sigil/);
+        });
+
+        it("should refuse unknown IDs", () => {
+            expect(() => refactor.renameID(files, "NOBODY", "SOMEBODY")).toThrow(
+                /not defined or referenced/
+            );
+        });
+    });
+
+    // ==========================================
+    // 4. MERGING PERSONS
+    // ==========================================
+    describe("Merge Persons", () => {
+        const tree = `HEAD_FORMAT: FTT v0.1
+HEAD_ROOT: I23
+
+ID: FATHER
+NAME: William Smith | Smith, William
+SEX: M
+CHILD: SMITH-1850
+CHILD: I23
+
+ID: SMITH-1850
+NAME: John Smith | Smith, John | BIRTH | PREF
+SEX: M
+BORN: 1850 | Calgary; Alberta; Canada
+PARENT: FATHER | BIO
+
+ID: WIFE
+NAME: Mary Brown
+SEX: F
+UNION: I23 | MARR
+
+# From the 1881 census
+ID: I23
+NAME: John Smith | Smith, John | BIRTH | PREF
+NAME: Jon Smyth | Smyth, Jon | AKA | PREF
+SEX: M
+BORN: [1849..1851] | Calgary; AB; Canada
+BORN_SRC: ^CENSUS | p. 4
+PARENT: FATHER | BIO
+PARENT_SRC: ^CENSUS
+UNION: WIFE | MARR
+
+ID: ^CENSUS
+TITLE: 1881 Census
+`;
+
+        it("should move facts, redirect references and remove the retired record", () => {
+            const result = refactor.mergePersons({ "main.ftt": tree }, "SMITH-1850", "I23");
+            const text = result.files.get("main.ftt");
+
+            expect(result.moved).toEqual(["NAME", "BORN", "UNION"]);
+            expect(result.dropped).toEqual(["NAME", "SEX", "PARENT"]);
+            expect(result.edits.map((e) => e.key)).toEqual(["HEAD_ROOT", "CHILD", "UNION"]);
+            expect(text).toBe(`HEAD_FORMAT: FTT v0.1
+HEAD_ROOT: SMITH-1850
+
+ID: FATHER
+NAME: William Smith | Smith, William
+SEX: M
+CHILD: SMITH-1850
+
+ID: SMITH-1850
+NAME: John Smith | Smith, John | BIRTH | PREF
+SEX: M
+BORN: 1850 | Calgary; Alberta; Canada
+PARENT: FATHER | BIO
+PARENT_SRC: ^CENSUS
+NAME: Jon Smyth | Smyth, Jon | AKA
+BORN: [1849..1851] | Calgary; AB; Canada
+BORN_SRC: ^CENSUS | p. 4
+UNION: WIFE | MARR
+# From the 1881 census
+_MERGED_FROM: I23
+
+ID: WIFE
+NAME: Mary Brown
+SEX: F
+UNION: SMITH-1850 | MARR
+
+ID: ^CENSUS
+TITLE: 1881 Census
+`);
+            expect(new FTTParser().parse(text).errors).toEqual([]);
+        });
+
+        it("should drop empty segments left before a cleared PREF status", () => {
+            const text = `HEAD_FORMAT: FTT v0.1
+
+ID: KEEP
+NAME: John Smith | Smith, John | | PREF
+
+ID: OLD
+NAME: Jon Smith | Smith, Jon | | PREF
+NAME: J. Smith |  |  | PREF
+`;
+            const { files } = refactor.mergePersons({ "main.ftt": text }, "KEEP", "OLD");
+            const merged = files.get("main.ftt");
+
+            expect(merged).toContain(
+                "NAME: John Smith | Smith, John | | PREF\nNAME: Jon Smith | Smith, Jon\nNAME: J. Smith\n"
+            );
+            expect(new FTTParser().parse(merged).errors).toEqual([]);
+        });
+
+        it("should merge across included files", () => {
+            const root = "HEAD_FORMAT: FTT v0.1\nHEAD_INCLUDE: kids.ftt\n\nID: DAD\nCHILD: KID\n";
+            const kids = "HEAD_FORMAT: FTT v0.1\n\nID: KID\nPARENT: DAD\n\nID: KID-2\nBORN: 1900";
+
+            const { files } = refactor.mergePersons(
+                { "main.ftt": root, "kids.ftt": kids },
+                "KID-2",
+                "KID"
+            );
+
+            expect(files.get("main.ftt")).toContain("CHILD: KID-2\n");
+            expect(files.get("kids.ftt")).toBe(
+                "HEAD_FORMAT: FTT v0.1\n\nID: KID-2\nBORN: 1900\nPARENT: DAD\n_MERGED_FROM: KID\n"
+            );
+        });
+
+        it("should refuse to merge people who cannot be the same person", () => {
+            const files = { "main.ftt": tree };
+            expect(() => refactor.mergePersons(files, "FATHER", "I23")).toThrow(
+                'Cannot merge "I23" into "FATHER": they are linked by CHILD.'
+            );
+            expect(() => refactor.mergePersons(files, "WIFE", "SMITH-1850")).toThrow(
+                "SEX differs (F / M)"
+            );
+            expect(() => refactor.mergePersons(files, "I23", "^CENSUS")).toThrow(
+                /only people can be merged/
+            );
+            expect(() => refactor.mergePersons(files, "I23", "NOBODY")).toThrow(
+                'Record "NOBODY" not found.'
+            );
+        });
+
+        it("should refuse merges that would make the tree invalid", () => {
+            // The grandfather would become his own father
+            const text = `HEAD_FORMAT: FTT v0.1
+
+ID: GRANDPA
+CHILD: DAD
+
+ID: DAD
+PARENT: GRANDPA
+CHILD: KID
+
+ID: KID
+PARENT: DAD
+`;
+            expect(() => refactor.mergePersons({ "a.ftt": text }, "KID", "GRANDPA")).toThrow(
+                /would be invalid:\n.*CIRCULAR_LINEAGE/
+            );
+        });
+    });
+
+    // ==========================================
+    // 5. PRIVACY LEVELS
+    // ==========================================
+    describe("Set Privacy", () => {
+        it("should add or replace PRIVACY lines", () => {
+            const text =
+                "HEAD_FORMAT: FTT v0.1\r\n\r\nID: A\r\nNAME: A\r\n\r\nID: B\r\nPRIVACY: OPEN";
+            const { files } = refactor.setPrivacy({ "a.ftt": text }, ["A", "B"], "LIVING");
+
+            expect(files.get("a.ftt")).toBe(
+                "HEAD_FORMAT: FTT v0.1\r\n\r\nID: A\r\nPRIVACY: LIVING\r\nNAME: A\r\n\r\nID: B\r\nPRIVACY: LIVING"
+            );
+            expect(
+                refactor.setPrivacy({ "a.ftt": files.get("a.ftt") }, ["A"], "LIVING").files.size
+            ).toBe(0);
+        });
+
+        it("should fill an empty PRIVACY value", () => {
+            const text = "HEAD_FORMAT: FTT v0.1\n\nID: A\nPRIVACY:\nNAME: A\n";
+            const { files } = refactor.setPrivacy({ "a.ftt": text }, ["A"], "LIVING");
+            const fixed = files.get("a.ftt");
+
+            expect(fixed).toBe("HEAD_FORMAT: FTT v0.1\n\nID: A\nPRIVACY: LIVING\nNAME: A\n");
+            expect(new FTTParser().parse(fixed).errors).toEqual([]);
+        });
+
+        it("should refuse unknown levels and records", () => {
+            const files = { "main.ftt": main };
+            expect(() => refactor.setPrivacy(files, ["@I1@"], "SECRET")).toThrow(
+                /Invalid privacy level "SECRET"/
+            );
+            expect(() => refactor.setPrivacy(files, ["NOBODY"], "LIVING")).toThrow(
+                'Record "NOBODY" not found.'
+            );
+        });
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTSearch from "../FTTSearch.js";
+
+describe("FTTSearch", () => {
+    const text = `HEAD_FORMAT: FTT v0.1
+
+ID: ANN
+NAME: Ann O’Brien | O’Brien, Ann
+BORN: 1852 | Enniscorthy; Wexford {=Enniscorthy; County Wexford; Ireland}
+BORN_NOTE: Baptised at St. Aidan's, the farm was let that spring.
+NOTES: Her letter of 1870 mentions the farm in Wexford
+  and a cousin in Québec.
+EVENT: OCC | 1870 || Montréal | Domestic servant
+
+ID: CARL
+NAME: Carl Müller | Müller, Carl
+NOTES: Worked on a farm near Kassel.
+DIED: 1920 | Straße; Kassel
+
+ID: ^LETTERS
+TITLE: Letters from Wexford
+AUTHOR: Ann O'Brien
+REPO: National Library of Ireland`;
+    const result = new FTTParser().parse(text);
+    const index = new FTTSearch(result.records);
+
+    // ==========================================
+    // 1. MATCHING
+    // ==========================================
+    describe("Matching", () => {
+        it("should rank fields containing every word", () => {
+            const hits = index.search("farm Wexford");
+            const farms = index.search("farm");
+
+            expect(hits.map((h) => [h.id, h.key, h.line])).toEqual([["ANN", "NOTES", 7]]);
+            expect(hits[0].text).toBe(result.records.ANN.data.NOTES[0].text);
+            expect(farms.map((h) => h.key).sort()).toEqual(["BORN_NOTE", "NOTES", "NOTES"]);
+            expect(farms[0].score).toBeGreaterThanOrEqual(farms[1].score);
+        });
+
+        it("should fall back to records holding the words in different fields", () => {
+            // NOTES mention the farm, BORN names Ireland: one hit, at the rarer word
+            expect(index.search("farm ireland").map((h) => [h.id, h.key])).toEqual([
+                ["ANN", "BORN"]
+            ]);
+            expect(index.search("servant enniscorthy")).toMatchObject([{ id: "ANN", key: "BORN" }]);
+            expect(index.search("carl wexford")).toEqual([]);
+        });
+
+        it("should ignore case, accents and apostrophes", () => {
+            expect(index.search("MULLER").map((h) => h.key)).toEqual(["NAME"]);
+            expect(index.search("quebec").map((h) => h.id)).toEqual(["ANN"]);
+            expect(index.search("strasse").map((h) => h.key)).toEqual(["DIED"]);
+            expect(index.search("obrien").map((h) => [h.id, h.key])).toEqual([
+                ["ANN", "NAME"],
+                ["^LETTERS", "AUTHOR"]
+            ]);
+        });
+
+        it("should index places, event details and sources", () => {
+            expect(index.search("ireland").map((h) => [h.id, h.key])).toEqual([
+                ["^LETTERS", "REPO"],
+                ["ANN", "BORN"]
+            ]);
+            expect(index.search("servant montreal").map((h) => h.key)).toEqual(["EVENT"]);
+            expect(index.search("letters wexford")[0]).toMatchObject({
+                id: "^LETTERS",
+                key: "TITLE",
+                line: 17
+            });
+        });
+
+        it("should match the last word as a prefix", () => {
+            expect(index.search("kass").map((h) => h.id)).toEqual(["CARL", "CARL"]);
+            expect(index.search("kass farm")).toEqual([]);
+            expect(index.search("  ")).toEqual([]);
+            expect(index.search("farm", { limit: 1 })).toHaveLength(1);
+        });
+
+        it("should find sound-alike names when asked", () => {
+            expect(index.search("miller")).toEqual([]);
+            expect(index.search("miller", { phonetic: "daitch-mokotoff" })).toMatchObject([
+                { id: "CARL", key: "NAME", line: 12 }
+            ]);
+            expect(index.search("kasel", { phonetic: "soundex" })).toEqual([]);
+        });
+    });
+});
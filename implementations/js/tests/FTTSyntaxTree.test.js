@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import fs from "fs";
+import FTTParser from "../FTTParser.js";
+
+describe("FTTParser.parseCST (Lossless Syntax Tree)", () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new FTTParser();
+    });
+
+    const example = (name) =>
+        fs.readFileSync(new URL(`../../../examples/${name}`, import.meta.url), "utf-8");
+
+    // ==========================================
+    // 1. BYTE-FOR-BYTE ROUND TRIP
+    // ==========================================
+    describe("Round Trip", () => {
+        it("should reproduce the bundled examples exactly", () => {
+            for (const name of ["simpsons.ftt", "macdonald.ftt", "noah.ftt"]) {
+                const text = example(name);
+                expect(parser.parseCST(text).toString()).toBe(text);
+            }
+        });
+
+        it("should preserve BOM, CRLF line endings and a missing final newline", () => {
+            const text =
+                "\uFEFFHEAD_FORMAT: FTT v0.1\r\n\r\nID: A\r\nNAME:   Spaced   |  Out\r\n---";
+            expect(parser.parseCST(text).toString()).toBe(text);
+        });
+
+        it("should preserve invalid and orphaned lines", () => {
+            const text = "  orphan continuation\nNot a key\n INDENT: one space\nID: A\n\tTabbed\n";
+            expect(parser.parseCST(text).toString()).toBe(text);
+        });
+    });
+
+    // ==========================================
+    // 2. TREE STRUCTURE
+    // ==========================================
+    describe("Structure", () => {
+        const input = `HEAD_FORMAT: FTT v0.1
+HEAD_TITLE: Test
+---
+
+# People
+ID: A
+NAME: John | Doe, John
+NOTES: First line.
+# Inline comment
+  Second line.
+
+  New paragraph.
+BORN: 1980
+BORN_SRC: ^S1
+
+ID: ^S1
+TITLE: Certificate
+`;
+
+        it("should group headers, records and trivia", () => {
+            const doc = parser.parseCST(input);
+            expect(doc.headers.map((h) => h.key)).toEqual(["HEAD_FORMAT", "HEAD_TITLE"]);
+            expect(doc.records.map((r) => r.id)).toEqual(["A", "^S1"]);
+
+            const types = doc.children.map((c) => c.type);
+            expect(types).toEqual([
+                "field",
+                "field",
+                "separator",
+                "blank",
+                "comment",
+                "record",
+                "blank",
+                "record"
+            ]);
+        });
+
+        it("should keep continuation lines, comments and paragraph breaks inside the field", () => {
+            const notes = parser
+                .parseCST(input)
+                .findRecord("A")
+                .fields.find((f) => f.key === "NOTES");
+
+            expect(notes.lines.map((l) => l.type)).toEqual([
+                "key",
+                "comment",
+                "continuation",
+                "blank",
+                "continuation"
+            ]);
+            expect(notes.span).toEqual({
+                start: { line: 8, column: 0 },
+                end: { line: 12, column: 16 }
+            });
+        });
+
+        it("should flag modifier fields", () => {
+            const fields = parser.parseCST(input).findRecord("A").fields;
+            expect(fields.filter((f) => f.isModifier).map((f) => f.key)).toEqual(["BORN_SRC"]);
+        });
+
+        it("should compute the same folded value as the semantic parser", () => {
+            const text = example("simpsons.ftt");
+            const records = parser.parse(text).records;
+
+            for (const rec of parser.parseCST(text).records) {
+                let lastData = null;
+                for (const field of rec.fields.slice(1)) {
+                    if (field.isModifier) {
+                        const mods = lastData.modifiers[field.key];
+                        expect(mods.map((m) => m.raw)).toContain(field.value);
+                        continue;
+                    }
+                    const data = records[rec.id].data[field.key].find(
+                        (f) => f.line === field.lines[0].line
+                    );
+                    expect(field.value).toBe(data.raw);
+                    lastData = data;
+                }
+            }
+        });
+    });
+
+    // ==========================================
+    // 3. PIPE SEGMENTS & SPANS
+    // ==========================================
+    describe("Segments", () => {
+        it("should expose each pipe segment with its span", () => {
+            const doc = parser.parseCST("ID: A\nNAME: John \\| Jr |  Doe, John ||PREF\n");
+            const segments = doc.records[0].fields[1].segments;
+
+            expect(segments.map((s) => s.raw)).toEqual(["John \\| Jr", "Doe, John", "", "PREF"]);
+            expect(segments[0].value).toBe("John | Jr");
+            expect(segments[1].span).toEqual({
+                start: { line: 2, column: 20 },
+                end: { line: 2, column: 29 }
+            });
+            expect(segments[3].span.start).toEqual({ line: 2, column: 32 });
+        });
+
+        it("should track segments across continuation lines", () => {
+            const doc = parser.parseCST("ID: A\nEVENT: OCC | 1900\n  || Town | Long\n  details\n");
+            const segments = doc.records[0].fields[1].segments;
+
+            expect(segments.map((s) => s.value)).toEqual([
+                "OCC",
+                "1900",
+                "",
+                "Town",
+                "Long details"
+            ]);
+            expect(segments[3].span).toEqual({
+                start: { line: 3, column: 5 },
+                end: { line: 3, column: 9 }
+            });
+            expect(segments[4].span.start.line).toBe(3);
+            expect(segments[4].span.end).toEqual({ line: 4, column: 9 });
+        });
+
+        it("should edit a single segment with a minimal diff", () => {
+            const text =
+                "HEAD_FORMAT: FTT v0.1\n\n# Comment\nID: A\nPARENT:   OLD-ID   | BIO\nNAME: John ||| PREF\n";
+            const doc = parser.parseCST(text);
+            const [, parent, name] = doc.records[0].fields;
+
+            parent.setSegment(0, "NEW-ID");
+            name.setSegment(1, "Doe, John");
+
+            expect(doc.toString()).toBe(
+                "HEAD_FORMAT: FTT v0.1\n\n# Comment\nID: A\nPARENT:   NEW-ID   | BIO\nNAME: John | Doe, John || PREF\n"
+            );
+        });
+
+        it("should keep the space after the colon when filling an empty value", () => {
+            const text = "HEAD_FORMAT: FTT v0.1\n\nID: A\nPRIVACY:\n";
+            const doc = parser.parseCST(text);
+            const [, privacy] = doc.records[0].fields;
+
+            privacy.setSegment(0, "LIVING");
+
+            expect(doc.toString()).toContain("\nPRIVACY: LIVING\n");
+            const result = parser.parse(doc.toString());
+            expect(result.errors).toEqual([]);
+            expect(result.records.A.data.PRIVACY[0].value).toBe("LIVING");
+        });
+
+        it("should renumber lines after structural edits", () => {
+            const doc = parser.parseCST("ID: A\nNAME: One\n\nID: B\n");
+            doc.children.splice(1, 1); // Drop the blank line between records
+            doc.reindex();
+            expect(doc.records[1].span.start.line).toBe(3);
+        });
+    });
+});
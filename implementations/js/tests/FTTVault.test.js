@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import FTTParser from "../FTTParser.js";
+import FTTVault from "../FTTVault.js";
+import GedcomExporter from "../GedcomExporter.js";
+
+describe("FTTVault", () => {
+    const text = `HEAD_FORMAT: FTT v0.1\r
+\r
+ID: ANN\r
+NAME: Ann Smith | Smith, Ann\r
+NOTES: Adopted in 1950 through the county agency.\r
+  Birth mother named in the sealed court file.\r
+NOTES_SRC: ^COURT | File 1950-112\r
+# Court file seen in 2019\r
+BORN: 1949\r
+NOTES: Public biography.\r
+\r
+ID: ^COURT\r
+TITLE: County Court Adoption Files`;
+    const vault = new FTTVault("correct horse", { iterations: 100000 });
+
+    // ==========================================
+    // 1. SEALING & OPENING
+    // ==========================================
+    describe("Sealing", () => {
+        it("should replace each field and its modifiers with one sealed line", async () => {
+            const { text: sealed, count } = await vault.seal(text, "ANN", ["NOTES"]);
+            const lines = sealed.split("\r\n");
+
+            expect(count).toBe(2);
+            expect(sealed).not.toMatch(/Adopted|Biography|File 1950/i);
+            expect(lines[4]).toMatch(/^_SEALED: NOTES \| [A-Za-z0-9+/]+=*$/);
+            expect(lines.slice(5, 7)).toEqual(["# Court file seen in 2019", "BORN: 1949"]);
+            expect(lines[7]).toMatch(/^_SEALED: NOTES \| /);
+        });
+
+        it("should restore the original text byte for byte", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["NOTES"]);
+            const opened = await new FTTVault("correct horse").open(sealed);
+
+            expect(opened).toEqual({ text, opened: 2, remaining: [] });
+        });
+
+        it("should leave fields sealed with another passphrase untouched", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["BORN"]);
+            const result = await new FTTVault("wrong").open(sealed);
+
+            expect(result.text).toBe(sealed);
+            expect(result.remaining).toEqual([{ id: "ANN", key: "BORN", line: 9 }]);
+        });
+
+        it("should reject an envelope moved to another key", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["BORN"]);
+            const moved = sealed.replace("_SEALED: BORN", "_SEALED: DIED");
+
+            expect((await vault.open(moved)).remaining).toHaveLength(1);
+        });
+
+        it("should reject an envelope moved to another record", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["BORN"]);
+            const [line] = sealed.match(/_SEALED: BORN \| \S+/);
+            const moved = sealed
+                .replace(`${line}\r\n`, "")
+                .replace("TITLE: County Court Adoption Files", `TITLE: County Court\r\n${line}`);
+
+            expect((await vault.open(moved)).remaining).toEqual([
+                { id: "^COURT", key: "BORN", line: 13 }
+            ]);
+        });
+
+        it("should refuse IDs, modifiers and missing records", async () => {
+            await expect(vault.seal(text, "ANN", ["ID"])).rejects.toThrow("cannot be sealed");
+            await expect(vault.seal(text, "ANN", ["NOTES_SRC"])).rejects.toThrow(
+                "cannot be sealed"
+            );
+            await expect(vault.seal(text, "BOB")).rejects.toThrow("Record BOB not found.");
+            expect(() => new FTTVault("")).toThrow("A passphrase is required.");
+            expect(() => new FTTVault("x", { iterations: 1000 })).toThrow("PBKDF2 iterations");
+        });
+
+        it("should not derive keys for an envelope with an absurd iteration count", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["BORN"]);
+            const envelope = sealed.match(/_SEALED: BORN \| (\S+)/)[1];
+            const bytes = Uint8Array.from(atob(envelope), (c) => c.charCodeAt(0));
+            new DataView(bytes.buffer).setUint32(1, 4000000000);
+            const tampered = sealed.replace(envelope, btoa(String.fromCharCode(...bytes)));
+
+            expect((await vault.open(tampered)).remaining).toHaveLength(1);
+        });
+    });
+
+    // ==========================================
+    // 2. SEALED FIELDS WITHOUT THE PASSPHRASE
+    // ==========================================
+    describe("Without the Passphrase", () => {
+        it("should parse sealed fields as opaque extension fields", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["NOTES"]);
+            const result = new FTTParser().parse(sealed);
+            const [field] = result.records.ANN.data._SEALED;
+
+            expect(result.errors).toEqual([]);
+            expect(result.records.ANN.data.NOTES).toBeUndefined();
+            expect(field.sealedKey).toBe("NOTES");
+            expect(field.envelope).toMatch(/^[A-Za-z0-9+/]+=*$/);
+            expect(FTTVault.placeholder(field)).toBe("[Sealed NOTES]");
+        });
+
+        it("should export placeholders to GEDCOM", async () => {
+            const { text: sealed } = await vault.seal(text, "ANN", ["NOTES"]);
+            const ged = new GedcomExporter().convert(sealed);
+
+            expect(ged).toContain("1 NOTE [Sealed NOTES]");
+            expect(ged).not.toMatch(/Adopted/);
+        });
+    });
+});
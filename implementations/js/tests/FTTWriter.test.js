@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import fs from "fs";
+import FTTParser from "../FTTParser.js";
+import FTTWriter from "../FTTWriter.js";
+
+describe("FTTWriter", () => {
+    let parser;
+    let writer;
+
+    beforeEach(() => {
+        parser = new FTTParser();
+        writer = new FTTWriter();
+    });
+
+    // Trailing empty segments are equivalent to omitted ones (Spec 1.2)
+    const segments = (parsed) => {
+        const copy = [...parsed];
+        while (copy.length > 1 && copy[copy.length - 1] === "") copy.pop();
+        return copy;
+    };
+
+    /**
+     * Reduces a parse result to the data that must survive a round trip
+     * (line numbers are excluded).
+     */
+    const model = (result) => {
+        const records = {};
+        for (const [id, rec] of Object.entries(result.records)) {
+            const data = {};
+            for (const [key, fields] of Object.entries(rec.data)) {
+                data[key] = fields.map((f) => ({
+                    parsed: segments(f.parsed),
+                    place: f.place,
+                    metadata: f.metadata,
+                    isImplicit: !!f.isImplicit,
+                    modifiers: Object.fromEntries(
+                        Object.entries(f.modifiers).map(([k, mods]) => [
+                            k,
+                            mods.map((m) => segments(m.parsed))
+                        ])
+                    )
+                }));
+            }
+            records[id] = { type: rec.type, data };
+        }
+        return { headers: result.headers, records };
+    };
+
+    const roundTrip = (input) => {
+        const first = parser.parse(input);
+        expect(first.errors).toHaveLength(0);
+        const text = writer.write(first);
+        const second = parser.parse(text);
+        expect(second.errors).toHaveLength(0);
+        expect(model(second)).toEqual(model(first));
+        return text;
+    };
+
+    // ==========================================
+    // 1. BASIC SERIALIZATION
+    // ==========================================
+    describe("Basic Serialization", () => {
+        it("should write headers with HEAD_FORMAT first", () => {
+            const text = writer.write({
+                headers: { HEAD_TITLE: "Test", HEAD_FORMAT: "FTT v0.1" },
+                records: {}
+            });
+            expect(text).toBe("HEAD_FORMAT: FTT v0.1\nHEAD_TITLE: Test\n");
+        });
+
+        it("should default HEAD_FORMAT when missing", () => {
+            const text = writer.write({ headers: {}, records: {} });
+            expect(text.startsWith("HEAD_FORMAT: FTT v0.1")).toBe(true);
+        });
+
+        it("should collapse empty segments and omit trailing pipes", () => {
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+NAME: John |   |  | PREF
+EVENT: OCC | 2005 ||| Engineer
+UNION: ?B | MARR | 1975 | .. |
+`);
+            expect(text).toContain("NAME: John ||| PREF");
+            expect(text).toContain("EVENT: OCC | 2005 ||| Engineer");
+            expect(text).toContain("UNION: ?B | MARR | 1975 | ..\n");
+        });
+
+        it("should preserve the original field order across keys", () => {
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+NAME: First
+BORN: 1900
+NAME: Second
+`);
+            expect(text).toContain("NAME: First\nBORN: 1900\nNAME: Second");
+        });
+
+        it("should serialize programmatically built records", () => {
+            const text = writer.write({
+                headers: {},
+                records: {
+                    P1: {
+                        id: "P1",
+                        data: {
+                            NAME: [{ parsed: ["A | B", "B, A"], modifiers: {} }],
+                            BORN: [{ parsed: ["1900", "Town"], modifiers: {} }]
+                        }
+                    }
+                }
+            });
+            expect(text).toContain("ID: P1\nNAME: A \\| B | B, A\nBORN: 1900 | Town");
+            expect(parser.parse(text).records["P1"].data.NAME[0].display).toBe("A | B");
+        });
+    });
+
+    // ==========================================
+    // 2. ESCAPING
+    // ==========================================
+    describe("Escaping", () => {
+        it("should escape pipes and backslashes in edited values", () => {
+            const result = parser.parse(`HEAD_FORMAT: FTT v0.1
+ID: A
+NOTES: Plain
+`);
+            result.records["A"].data.NOTES[0].parsed = ["C:\\path | more"];
+            const text = writer.write(result);
+            expect(text).toContain("NOTES: C:\\\\path \\| more");
+            expect(parser.parse(text).records["A"].data.NOTES[0].text).toBe("C:\\path | more");
+        });
+
+        it("should keep escaped place syntax literal", () => {
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+BORN: 1980 | Old Name \\{=Modern\\}; The Pub \\<Old\\>; City \\| Name
+DIED: 2000 | Berlin {=Kitchener}; Ontario <43.45, -80.49>
+`);
+            expect(text).toContain("BORN: 1980 | Old Name \\{=Modern\\}; The Pub \\<Old\\>");
+            expect(text).toContain("DIED: 2000 | Berlin {=Kitchener}; Ontario <43.45, -80.49>");
+        });
+
+        it("should escape pipes and backslashes in literal values", () => {
+            expect(FTTWriter.escape("a|b\\c")).toBe("a\\|b\\\\c");
+        });
+    });
+
+    // ==========================================
+    // 3. CONTINUATION FOLDING
+    // ==========================================
+    describe("Continuation Folding", () => {
+        it("should fold long NOTES onto 2-space continuation lines", () => {
+            const sentence = "The quick brown fox jumps over the lazy dog. ".repeat(6).trim();
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+NOTES: ${sentence}
+`);
+            const lines = text
+                .split("\n")
+                .filter((l) => l.startsWith("NOTES:") || l.startsWith("  "));
+            expect(lines.length).toBeGreaterThan(1);
+            lines.forEach((l) => expect(l.length).toBeLessThanOrEqual(80));
+        });
+
+        it("should write paragraph breaks and extra indentation", () => {
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+NOTES: The first line.
+
+    An indented second line.
+
+  Final paragraph.
+`);
+            expect(text).toContain(
+                "NOTES: The first line.\n\n    An indented second line.\n\n  Final"
+            );
+        });
+
+        it("should not fold pipe-delimited fields", () => {
+            const place = "Somewhere; ".repeat(10) + "Country";
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+BORN: 1900 | ${place}
+`);
+            expect(text).toContain(`BORN: 1900 | ${place}\n`);
+        });
+    });
+
+    // ==========================================
+    // 4. MODIFIERS & IMPLICIT DATA
+    // ==========================================
+    describe("Modifiers & Implicit Data", () => {
+        it("should place modifiers immediately after their target field", () => {
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: A
+BORN: 1980 | Calgary; AB
+BORN_SRC: ^S1 | Certificate #12345
+BORN_QUAL: DIRECT | PRIM | ORIG
+BORN_NOTE: Calculated.
+DIED: 2020
+
+ID: ^S1
+TITLE: Birth Certificate
+`);
+            expect(text).toContain(
+                "BORN: 1980 | Calgary; AB\nBORN_SRC: ^S1 | Certificate #12345\n" +
+                    "BORN_QUAL: DIRECT | PRIM | ORIG\nBORN_NOTE: Calculated.\nDIED: 2020"
+            );
+        });
+
+        it("should leave out implicit reciprocal UNIONs and CHILD entries", () => {
+            const text = roundTrip(`HEAD_FORMAT: FTT v0.1
+ID: HUSB
+UNION: WIFE | MARR | 1950 | ..
+
+ID: WIFE
+
+ID: KID
+PARENT: HUSB | BIO
+`);
+            expect(text.match(/^UNION:/gm)).toHaveLength(1);
+            expect(text).not.toContain("CHILD:");
+            expect(text).not.toContain("Implicit");
+        });
+
+        it("should round-trip the bundled examples", () => {
+            for (const name of ["simpsons.ftt", "macdonald.ftt", "noah.ftt"]) {
+                const url = new URL(`../../../examples/${name}`, import.meta.url);
+                roundTrip(fs.readFileSync(url, "utf-8"));
+            }
+        });
+    });
+});
@@ -116,6 +116,23 @@ SEX: M
             expect(gedcom).toContain("1 NAME William /Will/");
             expect(gedcom).not.toContain("1 NAME /Will/iam Will");
         });
+
+        it("should export name pieces (NPFX, GIVN, SPFX, SURN, NSFX)", () => {
+            const input = `
+ID: P3
+NAME: Dr. Jan van der Berg Jr. | Berg, Jan van der
+
+ID: P4
+NAME: Mao Zedong | Mao Zedong
+`;
+            const gedcom = convertWithHeader(input);
+
+            expect(gedcom).toContain("1 NAME Dr. Jan /van der Berg/ Jr.");
+            expect(gedcom).toContain(
+                "2 NPFX Dr.\n2 GIVN Jan\n2 SPFX van der\n2 SURN Berg\n2 NSFX Jr."
+            );
+            expect(gedcom).toContain("1 NAME /Mao/ Zedong\n2 GIVN Zedong\n2 SURN Mao");
+        });
     });
 
     // ==========================================
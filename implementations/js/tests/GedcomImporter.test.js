@@ -67,6 +67,23 @@ describe("GedcomImporter", () => {
             expect(result).not.toContain("Unhandled SURN");
         });
 
+        it("should report name pieces the NAME line leaves out", () => {
+            const input = `
+0 @I1@ INDI
+1 NAME John /Smith/
+2 NPFX Rev.
+2 NSFX Jr.
+0 @I2@ INDI
+1 NAME Paul /Smith/ Jr.
+2 NSFX Jr.
+      `;
+            const result = importer.convert(input);
+            expect(result).toContain("NAME: John Smith | Smith, John | BIRTH | PREF");
+            expect(result).toContain('[INDI(I1).NAME] Unhandled NPFX = "Rev."');
+            expect(result).toContain('[INDI(I1).NAME] Unhandled NSFX = "Jr."');
+            expect(result).not.toContain("[INDI(I2).NAME] Unhandled NSFX");
+        });
+
         it("should extract Nicknames into separate records", () => {
             const input = `
 0 @I1@ INDI
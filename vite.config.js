@@ -33,6 +33,7 @@ export default defineConfig({
                 visualizer: resolve(__dirname, "web/tools/visualizer.html"),
                 relationship: resolve(__dirname, "web/tools/relationship.html"),
                 converter: resolve(__dirname, "web/tools/converter.html"),
+                duplicates: resolve(__dirname, "web/tools/duplicates.html"),
                 spec: resolve(__dirname, "web/spec.html")
             }
         }
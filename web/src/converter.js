@@ -1,16 +1,30 @@
 import GedcomImporter from "../../implementations/js/GedcomImporter.js";
 import GedcomExporter from "../../implementations/js/GedcomExporter.js";
+import FTTParser from "../../implementations/js/FTTParser.js";
+import FTTPrivacy from "../../implementations/js/FTTPrivacy.js";
+import FTTWriter from "../../implementations/js/FTTWriter.js";
 
 const inputArea = document.getElementById("input-area");
 const outputArea = document.getElementById("output-area");
 const errorMsg = document.getElementById("error-msg");
 const chkPrivacy = document.getElementById("chk-privacy");
+const chkPseudonyms = document.getElementById("chk-pseudonyms");
 
 function clearError() {
     errorMsg.textContent = "";
     outputArea.value = "";
 }
 
+// Redacted model of the input; pseudonyms are derived asynchronously (WebCrypto)
+async function redact(data) {
+    const result = new FTTParser().parse(data);
+    if (result.errors.length > 0) {
+        throw new Error(`Cannot redact invalid FTT: ${result.errors[0]}`);
+    }
+    const privacy = new FTTPrivacy();
+    return chkPseudonyms.checked ? privacy.pseudonymize(result) : privacy.apply(result);
+}
+
 // GEDCOM -> FTT
 document.getElementById("btn-to-ftt").addEventListener("click", () => {
     clearError();
@@ -27,17 +41,34 @@ document.getElementById("btn-to-ftt").addEventListener("click", () => {
 });
 
 // FTT -> GEDCOM
-document.getElementById("btn-to-ged").addEventListener("click", () => {
+document.getElementById("btn-to-ged").addEventListener("click", async () => {
     clearError();
     const data = inputArea.value;
     if (!data.trim()) return;
 
-    const isPrivacyEnabled = chkPrivacy.checked;
-
     try {
         const bridge = new GedcomExporter();
-        // Pass privacy flag to convert
-        outputArea.value = bridge.convert(data, isPrivacyEnabled);
+        if (chkPrivacy.checked && chkPseudonyms.checked) {
+            // Export the pseudonymized FTT, as convert() cannot wait for the pseudonyms
+            outputArea.value = bridge.convert(new FTTWriter().write(await redact(data)));
+        } else {
+            // Pass privacy policy to convert
+            outputArea.value = bridge.convert(data, chkPrivacy.checked);
+        }
+    } catch (e) {
+        errorMsg.textContent = "Conversion Error: " + e.message;
+        console.error(e);
+    }
+});
+
+// FTT -> Redacted FTT
+document.getElementById("btn-to-redacted").addEventListener("click", async () => {
+    clearError();
+    const data = inputArea.value;
+    if (!data.trim()) return;
+
+    try {
+        outputArea.value = new FTTWriter().write(await redact(data));
     } catch (e) {
         errorMsg.textContent = "Conversion Error: " + e.message;
         console.error(e);
@@ -0,0 +1,138 @@
+import FTTParser from "../../implementations/js/FTTParser.js";
+import FTTDuplicates from "../../implementations/js/FTTDuplicates.js";
+import FTTRefactor from "../../implementations/js/FTTRefactor.js";
+
+const SIGNAL_LABELS = {
+    name: "Name",
+    born: "Birth",
+    died: "Death",
+    place: "Places",
+    relatives: "Relatives"
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+    const txtSource = document.getElementById("ftt-source");
+    const inpThreshold = document.getElementById("threshold");
+    const selPhonetic = document.getElementById("phonetic");
+    const btnFind = document.getElementById("btn-find");
+    const resultList = document.getElementById("result-list");
+
+    const btnOpenFile = document.getElementById("btn-open-file");
+    const fileInput = document.getElementById("file-input");
+
+    const showMessage = (message, className) => {
+        resultList.textContent = "";
+        const span = document.createElement("span");
+        span.className = className;
+        span.textContent = message;
+        resultList.appendChild(span);
+    };
+
+    btnOpenFile.addEventListener("click", () => fileInput.click());
+
+    fileInput.addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            txtSource.value = e.target.result;
+            showMessage("File loaded. Click Find Duplicates.", "placeholder");
+        };
+        reader.readAsText(file);
+        fileInput.value = "";
+    });
+
+    const findDuplicates = () => {
+        // Recovery mode: a tree that needs de-duplicating rarely validates cleanly
+        const { records } = new FTTParser().parse(txtSource.value, { recover: true });
+        const threshold = Number(inpThreshold.value) / 100;
+        const finder = new FTTDuplicates({ phonetic: selPhonetic.value });
+        const candidates = finder.find(records, { threshold, limit: 200 });
+
+        if (candidates.length === 0) {
+            showMessage("No likely duplicates found.", "placeholder");
+            return;
+        }
+        resultList.textContent = "";
+        candidates.forEach((candidate) =>
+            resultList.appendChild(renderCandidate(candidate, mergeCandidate))
+        );
+    };
+
+    // Keeps the first record of the pair and retires the second
+    const mergeCandidate = ([keepId, retiredId]) => {
+        try {
+            const { files } = new FTTRefactor().mergePersons(
+                { "tree.ftt": txtSource.value },
+                keepId,
+                retiredId
+            );
+            txtSource.value = files.get("tree.ftt");
+        } catch (err) {
+            showMessage(err.message, "error");
+            return;
+        }
+        findDuplicates();
+    };
+
+    btnFind.addEventListener("click", () => {
+        if (!txtSource.value.trim()) {
+            showMessage("Please provide FTT data.", "error");
+            return;
+        }
+        findDuplicates();
+    });
+});
+
+// ==========================================
+// Rendering
+// ==========================================
+
+function renderCandidate({ ids, labels, score, evidence }, onMerge) {
+    const div = document.createElement("div");
+    div.className = "candidate";
+
+    const header = document.createElement("div");
+    header.className = "candidate-header";
+
+    const names = document.createElement("span");
+    ids.forEach((id, i) => {
+        if (i > 0) names.appendChild(document.createTextNode(" ↔ "));
+        names.appendChild(document.createTextNode(`${labels[i]} `));
+        const spanId = document.createElement("span");
+        spanId.className = "candidate-id";
+        spanId.textContent = `(${id})`;
+        names.appendChild(spanId);
+    });
+
+    const spanScore = document.createElement("span");
+    spanScore.className = "score";
+    spanScore.textContent = percent(score);
+
+    const btnMerge = document.createElement("button");
+    btnMerge.className = "btn btn-secondary btn-merge";
+    btnMerge.textContent = `Merge into ${ids[0]}`;
+    btnMerge.title = `Move ${ids[1]}'s facts to ${ids[0]} and redirect every reference`;
+    btnMerge.addEventListener("click", () => onMerge(ids));
+
+    header.appendChild(names);
+    header.appendChild(spanScore);
+    header.appendChild(btnMerge);
+    div.appendChild(header);
+
+    const table = document.createElement("table");
+    table.className = "evidence";
+    evidence.forEach((item) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = SIGNAL_LABELS[item.signal] || item.signal;
+        row.insertCell().textContent = percent(item.score);
+        row.insertCell().textContent = item.detail;
+    });
+    div.appendChild(table);
+
+    return div;
+}
+
+function percent(value) {
+    return `${Math.round(value * 100)}%`;
+}
@@ -1,4 +1,5 @@
 import FTTParser from "../../implementations/js/FTTParser.js";
+import FTTPhonetic from "../../implementations/js/FTTPhonetic.js";
 import {
     RelationshipCalculator,
     RelationText,
@@ -41,11 +42,11 @@ document.addEventListener("DOMContentLoaded", () => {
 
     btnCalc.addEventListener("click", () => {
         const source = txtSource.value;
-        const id1 = inpId1.value.trim();
-        const id2 = inpId2.value.trim();
+        const input1 = inpId1.value.trim();
+        const input2 = inpId2.value.trim();
 
-        if (!source || !id1 || !id2) {
-            showError("Please provide FTT data and both IDs.");
+        if (!source || !input1 || !input2) {
+            showError("Please provide FTT data and both people.");
             return;
         }
 
@@ -59,8 +60,8 @@ document.addEventListener("DOMContentLoaded", () => {
             }
 
             const records = parseResult.records;
-            if (!records[id1]) throw new Error(`ID "${id1}" not found.`);
-            if (!records[id2]) throw new Error(`ID "${id2}" not found.`);
+            const id1 = resolvePerson(records, input1);
+            const id2 = resolvePerson(records, input2);
 
             const calculator = new RelationshipCalculator(records);
             const relationships = calculator.calculate(id1, id2);
@@ -73,6 +74,24 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 });
 
+/**
+ * An ID as typed, else the one person whose name matches. Names match phonetically
+ * (Daitch-Mokotoff), so "Jon Smyth" finds "John Schmidt".
+ */
+function resolvePerson(records, input) {
+    if (records[input]) return input;
+
+    const hits = new FTTPhonetic().find(records, input);
+    if (hits.length === 0) throw new Error(`No ID or name matches "${input}".`);
+    const exact = hits.filter((h) => h.exact);
+    const best = exact.length > 0 ? exact : hits;
+    if (best.length > 1) {
+        const names = best.slice(0, 5).map((h) => `${h.id} (${h.display})`);
+        throw new Error(`"${input}" matches several people: ${names.join(", ")}. Enter an ID.`);
+    }
+    return best[0].id;
+}
+
 // ==========================================
 // Rendering & Terminology (Composite)
 // ==========================================
@@ -1,5 +1,6 @@
 import cytoscape from "cytoscape";
 import elk from "cytoscape-elk";
+import FTTParser from "../../implementations/js/FTTParser.js";
 
 // Register the ELK layout extension
 cytoscape.use(elk);
@@ -50,6 +51,11 @@ document.addEventListener("DOMContentLoaded", () => {
     const btnRender = document.getElementById("btn-render");
     const errorBox = document.getElementById("error-box");
     const chkPrivacy = document.getElementById("chk-privacy");
+    const txtPassphrase = document.getElementById("txt-passphrase");
+    const txtSearch = document.getElementById("txt-search");
+    const searchResults = document.getElementById("search-results");
+    const selSurname = document.getElementById("sel-surname");
+    const chkSurnameColors = document.getElementById("chk-surname-colors");
 
     // File Menu Elements
     const btnFileMenu = document.getElementById("btn-file-menu");
@@ -160,6 +166,14 @@ document.addEventListener("DOMContentLoaded", () => {
                     "transition-duration": "0.2s"
                 }
             },
+            {
+                selector: "node.by-surname[surnameColor]",
+                style: { "background-color": "data(surnameColor)" }
+            },
+            {
+                selector: ".dimmed",
+                style: { opacity: 0.15 }
+            },
             {
                 selector: 'node[type="UNION_NODE"]',
                 style: {
@@ -314,60 +328,141 @@ document.addEventListener("DOMContentLoaded", () => {
         editor.scrollTop = scrollPos > 0 ? scrollPos : 0;
     }
 
-    // --- Privacy Filter Logic ---
-
-    function applyPrivacyFilter(elements) {
-        const filteredNodes = [];
-        const filteredEdges = [];
-        const excludedIds = new Set();
-
-        // Helper to reliably distinguish nodes from edges in the raw worker output
-        // (Worker output does not always include 'group' property explicitly)
-        const isEdge = (ele) =>
-            ele.group === "edges" || (ele.data && ele.data.source && ele.data.target);
-        const isNode = (ele) => !isEdge(ele);
-
-        // 1. Filter Nodes
-        elements.forEach((ele) => {
-            if (isNode(ele)) {
-                const type = ele.data.type;
-                if (type === "INDIVIDUAL" || type === "PLACEHOLDER") {
-                    const privacy = ele.data.privacy || "OPEN";
-
-                    if (privacy === "PRIVATE") {
-                        excludedIds.add(ele.data.id);
-                        // Do not add to filteredNodes
-                    } else if (privacy === "LIVING") {
-                        // Mask data for Living: Clear subLabel (dates/places)
-                        const clone = JSON.parse(JSON.stringify(ele));
-                        clone.data.subLabel = ""; // Clear dates
-                        filteredNodes.push(clone);
-                    } else {
-                        filteredNodes.push(ele);
-                    }
-                } else {
-                    // Always include helper nodes (Union, Hubs, etc)
-                    filteredNodes.push(ele);
-                }
-            }
+    // --- Full-Text Search ---
+    // The worker parses and indexes the editor's text (with privacy mode applied),
+    // rebuilding its index only when the text or the privacy setting changed
+    let latestSearch = 0;
+    const pendingSearches = new Map(); // request id -> resolve
+
+    function searchInWorker(query) {
+        const requestId = ++latestSearch;
+        return new Promise((resolve) => {
+            pendingSearches.set(requestId, resolve);
+            worker.postMessage({
+                type: "SEARCH",
+                requestId,
+                query,
+                fttContent: editor.value,
+                privacy: chkPrivacy.checked
+            });
         });
+    }
 
-        // 2. Filter Edges
-        elements.forEach((ele) => {
-            if (isEdge(ele)) {
-                if (!excludedIds.has(ele.data.source) && !excludedIds.has(ele.data.target)) {
-                    filteredEdges.push(ele);
-                }
-            }
+    function jumpToHit(hit) {
+        searchResults.style.display = "none";
+        jumpToLine(hit.line);
+
+        const node = cy.getElementById(hit.id);
+        if (node.length > 0) cy.animate({ center: { eles: node } }, { duration: 300 });
+    }
+
+    async function showSearchResults() {
+        const query = txtSearch.value.trim();
+        if (!query) {
+            latestSearch++; // Drop answers to earlier queries
+            searchResults.innerHTML = "";
+            searchResults.style.display = "none";
+            return [];
+        }
+
+        const { hits, stale } = await searchInWorker(query);
+        if (stale) return []; // A newer query is on its way
+
+        searchResults.innerHTML = "";
+        if (hits.length === 0) {
+            const div = document.createElement("div");
+            div.className = "search-empty";
+            div.textContent = "No matches.";
+            searchResults.appendChild(div);
+        }
+        hits.forEach((hit) => {
+            const div = document.createElement("div");
+            div.className = "search-hit";
+
+            const spanLine = document.createElement("span");
+            spanLine.className = "msg-line";
+            spanLine.textContent = `L${hit.line}`;
+
+            const spanId = document.createElement("span");
+            spanId.className = "search-hit-id";
+            spanId.textContent = `${hit.id} ${hit.key}`;
+
+            const spanText = document.createElement("span");
+            spanText.className = "search-hit-text";
+            spanText.textContent = hit.text;
+            spanText.title = hit.text;
+
+            div.appendChild(spanLine);
+            div.appendChild(spanId);
+            div.appendChild(spanText);
+            div.addEventListener("click", () => jumpToHit(hit));
+            searchResults.appendChild(div);
         });
+        searchResults.style.display = "block";
+        return hits;
+    }
+
+    // --- Surname Colors & Filter ---
+
+    // Stable pastel color per surname, so families keep their color between renders
+    function surnameColor(surname) {
+        let hash = 0;
+        for (const ch of surname) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+        return `hsl(${hash % 360}, 70%, 85%)`;
+    }
+
+    function updateSurnames() {
+        const counts = new Map();
+        cy.nodes('[type="INDIVIDUAL"]').forEach((node) => {
+            const surname = node.data("surname");
+            if (!surname) return;
+            counts.set(surname, (counts.get(surname) || 0) + 1);
+            node.data("surnameColor", surnameColor(surname));
+        });
+
+        const selected = selSurname.value;
+        selSurname.length = 1; // Keep "All surnames"
+        [...counts.keys()]
+            .sort((a, b) => a.localeCompare(b))
+            .forEach((surname) => {
+                selSurname.add(new Option(`${surname} (${counts.get(surname)})`, surname));
+            });
+        selSurname.value = counts.has(selected) ? selected : "";
+        applySurnameStyles();
+    }
 
-        return [...filteredNodes, ...filteredEdges];
+    function applySurnameStyles() {
+        cy.nodes().toggleClass("by-surname", chkSurnameColors.checked);
+
+        cy.elements().removeClass("dimmed");
+        const surname = selSurname.value;
+        if (!surname) return;
+
+        // Keep the family, its links and the union hubs between them
+        const family = cy.nodes().filter((n) => n.data("surname") === surname);
+        const hubs = family.neighborhood('node[type="UNION_NODE"], node[type="IMPLICIT_NODE"]');
+        const kept = family.union(hubs).union(family.connectedEdges());
+        cy.elements().not(kept).addClass("dimmed");
+    }
+
+    // --- Quick Fixes ---
+    function applyQuickFix(fix) {
+        editor.value = FTTParser.applyFix(editor.value, fix);
+        saveContent();
+        render();
     }
 
     // --- Worker Response Handler ---
     worker.onmessage = (e) => {
         const { type, payload } = e.data;
 
+        if (type === "SEARCH_RESULTS") {
+            const resolve = pendingSearches.get(payload.requestId);
+            pendingSearches.delete(payload.requestId);
+            resolve?.({ hits: payload.hits, stale: payload.requestId !== latestSearch });
+            return;
+        }
+
         if (type === "CRITICAL_ERROR") {
             const div = document.createElement("div");
             div.className = "msg-critical";
@@ -378,12 +473,7 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         if (type === "SUCCESS") {
-            let { elements, errors, warnings } = payload;
-
-            // Apply Privacy Filter if enabled
-            if (chkPrivacy.checked) {
-                elements = applyPrivacyFilter(elements);
-            }
+            const { elements, errors, warnings } = payload;
 
             // 1. Update UI Validation
             const hasErrors = errors && errors.length > 0;
@@ -412,6 +502,18 @@ document.addEventListener("DOMContentLoaded", () => {
                     div.appendChild(spanLine);
                     div.appendChild(spanCode);
                     div.appendChild(spanText);
+
+                    // Quick-fix buttons (e.g. "Did you mean MARR?")
+                    (item.fixes || []).forEach((fix) => {
+                        const btnFix = document.createElement("button");
+                        btnFix.className = "msg-fix";
+                        btnFix.textContent = fix.title;
+                        btnFix.addEventListener("click", (e) => {
+                            e.stopPropagation();
+                            applyQuickFix(fix);
+                        });
+                        div.appendChild(btnFix);
+                    });
                     div.addEventListener("click", () => jumpToLine(item.line));
                     return div;
                 };
@@ -450,6 +552,7 @@ document.addEventListener("DOMContentLoaded", () => {
                         "elk.layered.considerModelOrder.strategy": "NODES_AND_EDGES"
                     }
                 }).run();
+                updateSurnames();
             } catch (err) {
                 console.error("Layout Error:", err);
             }
@@ -460,7 +563,11 @@ document.addEventListener("DOMContentLoaded", () => {
     function render() {
         // Post the editor content to the worker.
         // The worker will parse, calc ranks, generate graph elements, and return them.
-        worker.postMessage({ fttContent: editor.value });
+        worker.postMessage({
+            fttContent: editor.value,
+            privacy: chkPrivacy.checked,
+            passphrase: txtPassphrase.value
+        });
     }
 
     // --- File Handlers ---
@@ -533,18 +640,59 @@ document.addEventListener("DOMContentLoaded", () => {
         fileMenuContent.classList.toggle("show");
     });
 
-    // Close Dropdown on click outside
+    // Close Dropdown and search results on click outside
     window.addEventListener("click", (e) => {
         if (!e.target.matches("#btn-file-menu")) {
             if (fileMenuContent.classList.contains("show")) {
                 fileMenuContent.classList.remove("show");
             }
         }
+        if (!e.target.closest("#search-bar")) {
+            searchResults.style.display = "none";
+        }
     });
 
-    // Re-render when Privacy Toggle changes
+    // Re-render when Privacy Toggle changes; open search results follow it too
     chkPrivacy.addEventListener("change", () => {
         render();
+        if (searchResults.style.display === "block") showSearchResults();
+    });
+
+    // Re-render with sealed fields opened (or sealed again when cleared)
+    txtPassphrase.addEventListener("change", () => {
+        render();
+    });
+
+    // Surname colors and family highlight
+    chkSurnameColors.addEventListener("change", applySurnameStyles);
+    selSurname.addEventListener("change", () => {
+        applySurnameStyles();
+        const family = cy.nodes().filter((n) => n.data("surname") === selSurname.value);
+        if (family.length > 0)
+            cy.animate({ fit: { eles: family, padding: 50 } }, { duration: 300 });
+    });
+
+    // Search as you type; Enter jumps to the best hit, Escape closes the list
+    let searchTimeout;
+    txtSearch.addEventListener("input", () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(showSearchResults, 150);
+    });
+
+    txtSearch.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            clearTimeout(searchTimeout);
+            showSearchResults().then(([best]) => {
+                if (best) jumpToHit(best);
+            });
+        } else if (e.key === "Escape") {
+            searchResults.style.display = "none";
+        }
+    });
+
+    txtSearch.addEventListener("focus", () => {
+        if (txtSearch.value.trim()) showSearchResults();
     });
 
     // Shortcut: Ctrl+Enter / Cmd+Enter to Render
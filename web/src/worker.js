@@ -1,13 +1,44 @@
 import FTTParser from "../../implementations/js/FTTParser.js";
+import FTTDate from "../../implementations/js/FTTDate.js";
+import FTTNames from "../../implementations/js/FTTNames.js";
+import FTTPrivacy from "../../implementations/js/FTTPrivacy.js";
+import { displayName, preferred } from "../../implementations/js/FTTQuery.js";
+import FTTSearch from "../../implementations/js/FTTSearch.js";
+import FTTVault from "../../implementations/js/FTTVault.js";
 
 const parser = new FTTParser();
+const names = new FTTNames();
+let vault = null; // Kept between renders, as it caches the slow key derivation
+let latestRequest = 0;
+let searchIndex = null;
+let indexed = null; // { fttContent, privacy } the search index was built from
+
+self.onmessage = async (e) => {
+    if (e.data.type === "SEARCH") {
+        search(e.data);
+        return;
+    }
 
-self.onmessage = (e) => {
-    const { fttContent } = e.data;
+    const { fttContent, privacy, passphrase } = e.data;
+    const request = ++latestRequest;
     try {
-        const result = parser.parse(fttContent);
-        const ranks = calculateGenerations(result.records);
-        const elements = convertToCytoscape(result, ranks);
+        // Diagnostics come from the editor's text, so their lines and fix spans match it
+        const result = parser.parse(fttContent, { recover: true });
+
+        // Sealed fields stay opaque placeholders unless the passphrase opens them.
+        // Opened fields span more lines, so the opened text only feeds the graph.
+        let shown = result;
+        if (passphrase) {
+            if (vault?.passphrase !== passphrase) vault = new FTTVault(passphrase);
+            const { text, opened } = await vault.open(fttContent);
+            if (request !== latestRequest) return; // A newer render superseded this one
+            if (opened > 0) shown = parser.parse(text, { recover: true });
+        }
+
+        // Privacy mode: hide PRIVATE records and mask LIVING people (Appendix D)
+        const model = privacy ? { ...shown, ...new FTTPrivacy().apply(shown) } : shown;
+        const ranks = calculateGenerations(model.records);
+        const elements = convertToCytoscape(model, ranks);
 
         self.postMessage({
             type: "SUCCESS",
@@ -25,6 +56,26 @@ self.onmessage = (e) => {
     }
 };
 
+/**
+ * Answers a search box query. The index covers the editor's text, so hit lines match
+ * it, and in privacy mode it only sees what the graph shows.
+ */
+function search({ requestId, query, fttContent, privacy }) {
+    try {
+        if (indexed?.fttContent !== fttContent || indexed?.privacy !== privacy) {
+            const result = parser.parse(fttContent, { recover: true });
+            const records = privacy ? new FTTPrivacy().apply(result).records : result.records;
+            searchIndex = new FTTSearch(records);
+            indexed = { fttContent, privacy };
+        }
+        const hits = searchIndex.search(query, { limit: 30 });
+        self.postMessage({ type: "SEARCH_RESULTS", payload: { requestId, hits } });
+    } catch (err) {
+        console.error("Search Error:", err);
+        self.postMessage({ type: "SEARCH_RESULTS", payload: { requestId, hits: [] } });
+    }
+}
+
 function calculateGenerations(records) {
     const idToRank = {};
     const parent = new Map();
@@ -246,11 +297,12 @@ function convertToCytoscape(parsedData, ranks) {
     // C. Sort children of Implicit Parents (by Date)
     for (const [pId, children] of parentToChildren) {
         if (!records[pId]) {
-            children.sort((a, b) => {
-                const dA = records[a]?.data.BORN?.[0]?.date || "9999";
-                const dB = records[b]?.data.BORN?.[0]?.date || "9999";
-                return dA.localeCompare(dB);
-            });
+            children.sort((a, b) =>
+                FTTDate.compare(
+                    records[a]?.data.BORN?.[0]?.dateValue,
+                    records[b]?.data.BORN?.[0]?.dateValue
+                )
+            );
         }
     }
 
@@ -262,7 +314,7 @@ function convertToCytoscape(parsedData, ranks) {
         return scoreA - scoreB;
     });
 
-    function addNode(id, label, subLabel, type, privacy) {
+    function addNode(id, label, subLabel, type, surname = "") {
         if (createdNodeIds.has(id)) return;
         const rank = ranks[id] !== undefined ? ranks[id] : 0;
 
@@ -272,7 +324,7 @@ function convertToCytoscape(parsedData, ranks) {
                 label,
                 subLabel,
                 type,
-                privacy, // Added privacy field to node data
+                surname,
                 elk: {
                     "org.eclipse.elk.layered.layerIndex": rank
                 }
@@ -284,8 +336,7 @@ function convertToCytoscape(parsedData, ranks) {
     function ensurePlaceholderNode(id) {
         if (!createdNodeIds.has(id)) {
             // Implicit/Placeholder node
-            // Placeholders default to OPEN
-            addNode(id, id, "(Unknown)", "PLACEHOLDER", "OPEN");
+            addNode(id, id, "(Unknown)", "PLACEHOLDER");
         }
     }
 
@@ -299,27 +350,18 @@ function convertToCytoscape(parsedData, ranks) {
         if (rec.type === "SOURCE" || rec.type === "EVENT") continue;
         let label = id;
         let subLabel = "";
-        let privacy = "OPEN"; // Default
+        let surname = "";
 
         if (rec.type === "INDIVIDUAL" || rec.type === "PLACEHOLDER") {
-            if (rec.data.NAME && rec.data.NAME.length > 0) {
-                label = rec.data.NAME[0].display || id;
-                const prefName = rec.data.NAME.find((n) => n.status === "PREF");
-                if (prefName) label = prefName.display;
-            }
-            if (rec.data.BORN && rec.data.BORN.length > 0) {
-                const prefBorn = rec.data.BORN.find((b) => (b.status || "").trim() === "PREF");
-                const targetBorn = prefBorn || rec.data.BORN[0];
-                if (targetBorn && targetBorn.date) {
-                    subLabel = targetBorn.date;
-                }
-            }
-            // Extract Privacy Status
-            if (rec.data.PRIVACY && rec.data.PRIVACY.length > 0) {
-                privacy = rec.data.PRIVACY[0].value || "OPEN";
+            label = displayName(rec);
+            surname = names.surname(rec);
+            subLabel = preferred(rec, "BORN")?.date || "";
+            if (rec.data._SEALED) {
+                const sealed = rec.data._SEALED.map((f) => FTTVault.placeholder(f));
+                subLabel = [subLabel, ...sealed].filter((l) => l).join("\n");
             }
         }
-        addNode(id, label, subLabel, rec.type, privacy);
+        addNode(id, label, subLabel, rec.type, surname);
     }
 
     function getHub(p1, p2) {